@@ -2,9 +2,17 @@ const express = require('express');
 const path = require('path');
 const { initializeDatabase, ensureApiKey } = require('./src/database');
 const { initializeWhatsApp } = require('./src/api/whatsapp');
+const { SessionManager } = require('./src/api/sessions');
+const { startWebhookWorker } = require('./src/api/webhooks');
+const { startScheduler } = require('./src/api/scheduler');
+const { startBroadcastWorker } = require('./src/api/broadcasts');
+const { startOutboundQueueWorker } = require('./src/api/outbound');
+const { startRetentionWorker } = require('./src/api/retention');
 const { createRoutes } = require('./src/api/routes');
+const { handleUpgrade } = require('./src/api/websocket');
 const { loadConfig } = require('./src/api/config');
 const { createLogger } = require('./src/api/logger');
+const { isValidTimeZone } = require('./src/api/time');
 
 // Load configuration
 const config = loadConfig();
@@ -14,6 +22,11 @@ logger.info('='.repeat(50));
 logger.info('Starting OpenWAPI v1.0');
 logger.info('='.repeat(50));
 
+if (!isValidTimeZone(config.TIMEZONE)) {
+  logger.error(`Invalid TIMEZONE: ${config.TIMEZONE}. Use an IANA name such as UTC or Asia/Kolkata`);
+  process.exit(1);
+}
+
 // Initialize Express
 const app = express();
 app.use(express.json());
@@ -23,50 +36,109 @@ app.use('/image', express.static(path.resolve(config.MEDIA_PATH)));
 
 // Initialize database
 logger.info('Initializing database...');
-const database = initializeDatabase(config.DB_PATH);
+let database;
+try {
+  database = initializeDatabase(config.DB_PATH);
+} catch (error) {
+  // e.g. a database migrated by a newer version of OpenWAPI
+  logger.error(`Database initialization failed: ${error.message}`);
+  process.exit(1);
+}
 logger.info('Database initialized');
 
-// Ensure API key exists
+// Start webhook delivery worker (sends queued events, retries failures)
+const stopWebhookWorker = startWebhookWorker(database, logger, {
+  maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: config.WEBHOOK_RETRY_BASE_SECONDS * 1000
+});
+
+// Ensure an API key exists (keys are stored hashed, so a new key is only shown once)
 const apiKey = ensureApiKey(database);
 logger.info('='.repeat(50));
-logger.info('API Key:', apiKey);
+if (apiKey) {
+  logger.info('API Key (shown once, store it safely):', apiKey);
+} else {
+  logger.info('API keys: manage them in the dashboard or via /api/v1/keys');
+}
 logger.info('='.repeat(50));
 logger.info('Dashboard credentials:');
 logger.info('  Username:', config.DASHBOARD_USER);
 logger.info('  Password:', config.DASHBOARD_PASSWORD);
 logger.info('='.repeat(50));
 
-// Initialize WhatsApp client
-logger.info('Initializing WhatsApp client...');
-initializeWhatsApp(database, logger, config.SESSION_PATH, config.MEDIA_PATH).then((whatsappState) => {
-  logger.info('WhatsApp client initialized');
+// Initialize WhatsApp sessions (one connection per number)
+const sessionManager = new SessionManager(database, logger, {
+  sessionPath: config.SESSION_PATH,
+  sessionsPath: config.SESSIONS_PATH,
+  mediaPath: config.MEDIA_PATH
+}, initializeWhatsApp);
+
+// Start scheduler (sends scheduled messages when they are due)
+const stopScheduler = startScheduler(database, sessionManager, logger, {
+  mediaPath: config.MEDIA_PATH
+});
+
+// Start broadcast worker (sends broadcast jobs with rate limits and a daily cap)
+const stopBroadcastWorker = startBroadcastWorker(database, sessionManager, logger, {
+  dailyCap: config.BROADCAST_DAILY_CAP,
+  mediaPath: config.MEDIA_PATH
+});
+
+// Start outbound queue worker (sends queued messages in order while connected)
+const stopOutboundQueueWorker = startOutboundQueueWorker(database, sessionManager, logger, {
+  maxAttempts: config.OUTBOUND_QUEUE_MAX_ATTEMPTS,
+  mediaPath: config.MEDIA_PATH
+});
+
+// Start retention job (deletes old messages and media files by the saved rules)
+const stopRetentionWorker = startRetentionWorker(database, logger, {
+  intervalMs: config.RETENTION_INTERVAL_MINUTES * 60 * 1000,
+  mediaPath: config.MEDIA_PATH
+});
+
+logger.info('Initializing WhatsApp sessions...');
+sessionManager.startAll().then(() => {
+  logger.info('WhatsApp sessions initialized');
 
   // Create API routes
-  const routes = createRoutes(database, whatsappState, config, logger);
+  const routes = createRoutes(database, sessionManager, config, logger);
   app.use('/api/v1', routes);
 
-  // Start server
-  app.listen(config.PORT, () => {
+  // Start server (WebSocket upgrades go through the same routes, e.g. /api/v1/events)
+  const server = app.listen(config.PORT, () => {
     logger.info('='.repeat(50));
     logger.info(`Server running on port ${config.PORT}`);
     logger.info(`Dashboard: http://localhost:${config.PORT}/login.html`);
     logger.info(`API Base: http://localhost:${config.PORT}/api/v1`);
     logger.info('='.repeat(50));
   });
+  server.on('upgrade', handleUpgrade(app));
 }).catch((error) => {
-  logger.error('Failed to initialize WhatsApp client:', error);
+  logger.error('Failed to initialize WhatsApp sessions:', error);
   process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('Shutting down gracefully...');
+  stopWebhookWorker();
+  stopScheduler();
+  stopBroadcastWorker();
+  stopOutboundQueueWorker();
+  stopRetentionWorker();
+  sessionManager.closeAll();
   database.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   logger.info('Shutting down gracefully...');
+  stopWebhookWorker();
+  stopScheduler();
+  stopBroadcastWorker();
+  stopOutboundQueueWorker();
+  stopRetentionWorker();
+  sessionManager.closeAll();
   database.close();
   process.exit(0);
 });
@@ -0,0 +1,72 @@
+/**
+ * API key scopes and request validation
+ */
+
+// Scopes that can be granted to an API key ('*' grants all of them)
+const API_KEY_SCOPES = {
+  inbox: 'Read inbox and messages, update message status',
+  send: 'Send messages and replies',
+  webhooks: 'Manage webhooks and webhook deliveries',
+  contacts: 'Read contacts and edit their names, notes and CRM IDs',
+  templates: 'Create, edit and delete message templates',
+  rules: 'Create, edit and test auto-reply rules',
+  logout: 'Log a WhatsApp session out'
+};
+
+/**
+ * Validate a list of API key scopes
+ * @param {Array<string>} scopes - Scope names
+ * @returns {string|null} Error message or null if valid
+ */
+function validateApiKeyScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Scopes must be a non-empty array';
+  }
+
+  const unknown = scopes.filter((scope) => scope !== '*' && !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a key grants a scope
+ * @param {object} apiKey - API key row (scopes as comma-separated string)
+ * @param {string|null} scope - Required scope (null = any valid key)
+ * @returns {boolean} True if allowed
+ */
+function hasScope(apiKey, scope) {
+  if (!scope) {
+    return true;
+  }
+
+  const scopes = apiKey.scopes.split(',');
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+/**
+ * Get the state of an API key
+ * @param {object} apiKey - API key row
+ * @param {Date} now - Current time
+ * @returns {string} 'active', 'expired' or 'revoked'
+ */
+function getApiKeyStatus(apiKey, now = new Date()) {
+  if (apiKey.revoked_at) {
+    return 'revoked';
+  }
+
+  if (apiKey.expires_at && apiKey.expires_at <= now.toISOString()) {
+    return 'expired';
+  }
+
+  return 'active';
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKeyScopes,
+  hasScope,
+  getApiKeyStatus
+};
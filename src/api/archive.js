@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  listMessages,
+  findDuplicateMessage,
+  importMessage,
+  updateMessageMedia
+} = require('../database');
+const { toJid } = require('./contacts');
+const { writeToStream, ZipWriter, readZip } = require('./zip');
+
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+
+// Columns of an exported message, in CSV column order
+const EXPORT_COLUMNS = [
+  'id', 'session_id', 'direction', 'phone', 'chat_jid', 'sender_jid', 'sender_name', 'message', 'reply_status',
+  'media_type', 'media_url', 'media_mimetype', 'media_filename', 'media_size', 'media_duration',
+  'whatsapp_id', 'delivery_status', 'server_ack_at', 'delivered_at', 'read_at', 'failed_at', 'created_at'
+];
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip'
+};
+
+const IMPORT_DIRECTIONS = ['incoming', 'outgoing'];
+const IMPORT_STATUSES = ['unread', 'replied', 'ignored', 'sent'];
+const IMPORT_TEXT_COLUMNS = [
+  'sender_jid', 'sender_name', 'media_type', 'media_url', 'media_mimetype', 'media_filename', 'whatsapp_id', 'delivery_status'
+];
+const IMPORT_TIME_COLUMNS = ['server_ack_at', 'delivered_at', 'read_at', 'failed_at'];
+const IMPORT_NUMBER_COLUMNS = ['media_size', 'media_duration'];
+
+// Messages are read in batches so an export never loads the whole table
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Create an error that routes answer with its status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ */
+function invalidImport(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check whether a media_url names a file in MEDIA_PATH (not a URL the media was sent from)
+ * @param {string|null} mediaUrl - media_url of a message
+ * @returns {boolean} True for stored files
+ */
+function isStoredMediaFile(mediaUrl) {
+  return typeof mediaUrl === 'string' && mediaUrl !== '' && mediaUrl !== 'base64' && !/^https?:\/\//i.test(mediaUrl);
+}
+
+/**
+ * Format one CSV line (RFC 4180)
+ * @param {Array<*>} values - Cell values (null is an empty cell)
+ * @returns {string} Line with CRLF
+ */
+function toCsvLine(values) {
+  return values.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Exported messages as lines, oldest first
+ * @param {object} database - Database instance
+ * @param {object} filters - Message filters (see buildMessageFilters)
+ * @param {string} format - 'ndjson' or 'csv'
+ * @param {Set<string>|null} mediaFiles - Collects the names of stored media files
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* exportLines(database, filters, format, mediaFiles = null) {
+  if (format === 'csv') {
+    yield toCsvLine(EXPORT_COLUMNS);
+  }
+
+  let cursor = null;
+  let batch;
+  do {
+    batch = listMessages(database, { ...filters, order: 'asc', cursor, limit: EXPORT_BATCH_SIZE });
+
+    let lines = '';
+    for (const message of batch) {
+      if (mediaFiles && isStoredMediaFile(message.media_url)) {
+        mediaFiles.add(path.basename(message.media_url));
+      }
+
+      lines += format === 'csv'
+        ? toCsvLine(EXPORT_COLUMNS.map((column) => message[column]))
+        : `${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, message[column]])))}\n`;
+    }
+    if (lines) {
+      yield lines;
+    }
+
+    cursor = batch.length > 0 ? batch[batch.length - 1].id : cursor;
+  } while (batch.length === EXPORT_BATCH_SIZE);
+}
+
+/**
+ * Stream an export of messages
+ * Timestamps are UTC; with media the messages file and the stored media files are bundled into
+ * a ZIP archive (messages.ndjson or messages.csv, media/{file})
+ * @param {object} database - Database instance
+ * @param {stream.Writable} output - Stream that receives the export (not ended)
+ * @param {object} options - { filters, format, media, mediaPath }
+ * @throws {Error} When the stream is closed before the export is complete (nothing more is read)
+ */
+async function writeExport(database, output, { filters = {}, format = 'ndjson', media = false, mediaPath = './media' }) {
+  if (!media) {
+    for await (const lines of exportLines(database, filters, format)) {
+      await writeToStream(output, lines);
+    }
+    return;
+  }
+
+  const zip = new ZipWriter(output);
+  const mediaFiles = new Set();
+  await zip.addEntry(`messages.${format}`, exportLines(database, filters, format, mediaFiles));
+
+  const resolvedMediaPath = path.resolve(mediaPath);
+  for (const name of mediaFiles) {
+    const filepath = path.join(resolvedMediaPath, name);
+    if (!fs.existsSync(filepath)) continue;
+
+    await zip.addEntry(`media/${name}`, fs.createReadStream(filepath), fs.statSync(filepath).mtime);
+  }
+
+  await zip.finish();
+}
+
+/**
+ * Read the rows of an exported messages file
+ * @param {string} text - NDJSON or CSV export
+ * @param {string} format - 'ndjson' or 'csv'
+ * @returns {Array<object>} [{ label, record }] where label locates the row in errors ('line 3', 'row 2')
+ * @throws {Error} With status 400 when the file cannot be read
+ */
+function readImportRows(text, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text).filter((row) => row.some((cell) => cell !== ''));
+    if (!header || !['direction', 'phone', 'created_at'].every((column) => header.includes(column))) {
+      throw invalidImport('CSV header must include direction, phone and created_at');
+    }
+
+    return rows.map((cells, index) => ({
+      label: `row ${index + 1}`,
+      // Empty cells are missing values
+      record: Object.fromEntries(header.map((column, cell) => [column, cells[cell] === '' ? null : cells[cell]]))
+    }));
+  }
+
+  const rows = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      throw invalidImport(`line ${index + 1}: invalid JSON`);
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw invalidImport(`line ${index + 1}: must be a JSON object`);
+    }
+    rows.push({ label: `line ${index + 1}`, record });
+  });
+  return rows;
+}
+
+/**
+ * Parse a UTC or offset timestamp of an imported row
+ * @param {*} value - Timestamp
+ * @returns {string|null|undefined} UTC ISO-8601 timestamp, null when empty, undefined when invalid
+ */
+function parseImportTimestamp(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || !/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Validate an imported row
+ * @param {object} record - Exported message (NDJSON object or CSV cells by column)
+ * @param {string} sessionId - Session the message is imported into
+ * @returns {object} { message } with the message columns or { error }
+ */
+function parseImportRow(record, sessionId) {
+  const message = { session_id: sessionId };
+
+  if (!IMPORT_DIRECTIONS.includes(record.direction)) {
+    return { error: `direction must be one of: ${IMPORT_DIRECTIONS.join(', ')}` };
+  }
+  message.direction = record.direction;
+
+  message.phone = typeof record.phone === 'string' ? toJid(record.phone) : null;
+  if (!message.phone) {
+    return { error: 'phone must be a phone number or JID' };
+  }
+  message.chat_jid = typeof record.chat_jid === 'string' && record.chat_jid ? record.chat_jid : message.phone;
+
+  if (record.message !== null && record.message !== undefined && typeof record.message !== 'string') {
+    return { error: 'message must be a string' };
+  }
+  message.message = record.message || '';
+
+  message.reply_status = record.reply_status ?? (message.direction === 'incoming' ? 'unread' : 'sent');
+  if (!IMPORT_STATUSES.includes(message.reply_status)) {
+    return { error: `reply_status must be one of: ${IMPORT_STATUSES.join(', ')}` };
+  }
+
+  for (const column of IMPORT_TEXT_COLUMNS) {
+    if (record[column] !== null && record[column] !== undefined && typeof record[column] !== 'string') {
+      return { error: `${column} must be a string` };
+    }
+    message[column] = record[column] ?? null;
+  }
+
+  for (const column of IMPORT_NUMBER_COLUMNS) {
+    const value = record[column] === null || record[column] === undefined ? null : Number(record[column]);
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      return { error: `${column} must be a non-negative integer` };
+    }
+    message[column] = value;
+  }
+
+  for (const column of ['created_at', ...IMPORT_TIME_COLUMNS]) {
+    message[column] = parseImportTimestamp(record[column]);
+    if (message[column] === undefined || (column === 'created_at' && message[column] === null)) {
+      return { error: `${column} must be an ISO 8601 date-time with a zone (e.g. 2024-05-01T10:00:00Z)` };
+    }
+  }
+
+  return { message };
+}
+
+/**
+ * Import an export into a session
+ * Rows already stored are skipped, so an export can be imported again safely. Timestamps, directions
+ * and statuses are kept; messages get new IDs and media files from a ZIP archive are renamed to match.
+ * The file is checked first: nothing is imported when a row is invalid.
+ * @param {object} database - Database instance
+ * @param {Buffer} body - NDJSON, CSV or ZIP export
+ * @param {object} options - { format: 'ndjson' | 'csv' | 'zip', sessionId, mediaPath, maxSize: most bytes a ZIP archive may extract to }
+ * @returns {object} { imported, duplicates, mediaFiles }
+ * @throws {Error} With status 400 when the file or a row is invalid, 413 when an archive extracts to more than maxSize
+ */
+function importMessages(database, body, { format, sessionId, mediaPath = './media', maxSize }) {
+  let text;
+  let files = null;
+
+  if (format === 'zip') {
+    files = readZip(body, { maxSize });
+    const messagesFile = EXPORT_FORMATS.find((candidate) => files.has(`messages.${candidate}`));
+    if (!messagesFile) {
+      throw invalidImport('Archive has no messages.ndjson or messages.csv');
+    }
+    format = messagesFile;
+    text = files.get(`messages.${format}`).toString('utf8');
+  } else {
+    text = body.toString('utf8');
+  }
+
+  const messages = readImportRows(text, format).map(({ label, record }) => {
+    const { message, error } = parseImportRow(record, sessionId);
+    if (error) {
+      throw invalidImport(`${label}: ${error}`);
+    }
+    return message;
+  });
+
+  const result = { imported: 0, duplicates: 0, mediaFiles: 0 };
+  const mediaToWrite = [];
+
+  database.transaction(() => {
+    for (const message of messages) {
+      if (findDuplicateMessage(database, message)) {
+        result.duplicates += 1;
+        continue;
+      }
+
+      // Stored files are named by message ID, so they only come along inside an archive
+      const stored = isStoredMediaFile(message.media_url);
+      const data = stored && files ? files.get(`media/${path.basename(message.media_url)}`) : null;
+      const id = importMessage(database, { ...message, media_url: stored ? null : message.media_url });
+
+      if (data) {
+        const filename = `${id}${path.extname(message.media_url)}`;
+        updateMessageMedia(database, id, {
+          url: filename,
+          mimetype: message.media_mimetype,
+          filename: message.media_filename,
+          size: message.media_size,
+          duration: message.media_duration
+        });
+        mediaToWrite.push({ filename, data });
+      }
+
+      result.imported += 1;
+    }
+  })();
+
+  if (mediaToWrite.length > 0) {
+    const resolvedMediaPath = path.resolve(mediaPath);
+    fs.mkdirSync(resolvedMediaPath, { recursive: true });
+    for (const { filename, data } of mediaToWrite) {
+      fs.writeFileSync(path.join(resolvedMediaPath, filename), data);
+      result.mediaFiles += 1;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  CONTENT_TYPES,
+  toCsvLine,
+  parseCsv,
+  writeExport,
+  importMessages
+};
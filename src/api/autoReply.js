@@ -0,0 +1,614 @@
+const vm = require('vm');
+const {
+  DEFAULT_SESSION_ID,
+  getAutoReplyRules,
+  recordAutoReplyRun,
+  finishAutoReplyRun,
+  getLastAutoReplyRun,
+  getTemplate,
+  getWebhookById,
+  updateMessageStatus
+} = require('../database');
+const { sendOutgoingMessage } = require('./sender');
+const { enqueueWebhook } = require('./webhooks');
+const { toJid } = require('./contacts');
+const { isGroupJid } = require('./groups');
+const { validateSessionId } = require('./sessions');
+const { LANGUAGE_PATTERN, TEMPLATE_LIMITS, getPlaceholders, fillPlaceholders, renderTemplate } = require('./templates');
+
+// What a rule does with a matching message
+const AUTO_REPLY_ACTIONS = {
+  reply: 'Reply with a text or a template',
+  set_status: 'Set the message status to replied or ignored',
+  forward: 'Send the message to one webhook subscription'
+};
+
+// Statuses the set_status action can set
+const AUTO_REPLY_STATUSES = ['replied', 'ignored'];
+
+// Message types a rule can match (media_type of stored messages)
+const AUTO_REPLY_MEDIA_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'sticker'];
+
+// Placeholders a reply can use; filled from the incoming message
+const AUTO_REPLY_VARIABLES = ['name', 'phone'];
+
+// Limits of one rule
+const AUTO_REPLY_LIMITS = {
+  name: 100,
+  keywords: 50,
+  keyword: 100,
+  pattern: 200,
+  senders: 100,
+  priority: 1000,
+  cooldownSeconds: 7 * 24 * 60 * 60
+};
+
+// Cooldown of rules created without cooldownSeconds; keeps two bots from answering each other forever
+const AUTO_REPLY_DEFAULT_COOLDOWN_SECONDS = 60;
+
+// Longest a pattern may run on one message before it counts as not matching
+const AUTO_REPLY_PATTERN_TIMEOUT_MS = 50;
+
+// Patterns run in their own context so a slow one can be interrupted instead of blocking the process
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('pattern.test(text)');
+
+/**
+ * Find a repeated group that contains a quantifier or an alternation, e.g. (a+)+ or (a|ab)*
+ * Such patterns can backtrack exponentially on text that almost matches
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} The offending group or null if none
+ */
+function findNestedQuantifier(pattern) {
+  const groups = []; // Open groups: { start, repeats } (repeats: contains a quantifier or alternation)
+  const isRange = (index) => /^\{\d+,\d*\}/.test(pattern.slice(index));
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip character classes; quantifier characters inside them are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ start: i, repeats: false });
+    } else if (char === ')' && groups.length > 0) {
+      const group = groups.pop();
+      const next = pattern[i + 1];
+      const quantified = next === '*' || next === '+' || (next === '{' && isRange(i + 1));
+
+      if (quantified && group.repeats) {
+        return pattern.slice(group.start, next === '{' ? pattern.indexOf('}', i) + 1 : i + 2);
+      }
+      if (groups.length > 0 && (group.repeats || quantified)) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if ((char === '*' || char === '+' || char === '|' || (char === '{' && isRange(i))) && groups.length > 0) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Test a rule pattern against a message text with a time limit
+ * @param {string} pattern - Regular expression source (matched case-insensitively)
+ * @param {string} text - Message text
+ * @returns {boolean} True if the pattern matches (false if it ran out of time)
+ */
+function testPattern(pattern, text) {
+  patternContext.pattern = new RegExp(pattern, 'i');
+  patternContext.text = text;
+
+  try {
+    return patternScript.runInContext(patternContext, { timeout: AUTO_REPLY_PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return false;
+    }
+    throw error;
+  } finally {
+    patternContext.pattern = null;
+    patternContext.text = null;
+  }
+}
+
+/**
+ * Check that a value is a positive integer (IDs in request bodies)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate the match conditions of a rule
+ * @param {object} match - { keywords, pattern, senders, mediaTypes, groups }
+ * @returns {object} { conditions } or { error }
+ */
+function parseConditions(match) {
+  if (typeof match !== 'object' || match === null || Array.isArray(match)) {
+    return { error: 'match must be an object' };
+  }
+
+  const { keywords, pattern, senders, mediaTypes, groups = false } = match;
+  const conditions = {};
+
+  if (keywords !== undefined) {
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.length > AUTO_REPLY_LIMITS.keywords ||
+        !keywords.every((keyword) => typeof keyword === 'string' && keyword.trim() && keyword.trim().length <= AUTO_REPLY_LIMITS.keyword)) {
+      return {
+        error: `match.keywords must be an array of 1 to ${AUTO_REPLY_LIMITS.keywords} non-empty strings of at most ${AUTO_REPLY_LIMITS.keyword} characters`
+      };
+    }
+    conditions.keywords = [...new Set(keywords.map((keyword) => keyword.trim()))];
+  }
+
+  if (pattern !== undefined) {
+    if (typeof pattern !== 'string' || !pattern || pattern.length > AUTO_REPLY_LIMITS.pattern) {
+      return { error: `match.pattern must be a non-empty string of at most ${AUTO_REPLY_LIMITS.pattern} characters` };
+    }
+
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      return { error: `match.pattern is not a valid regular expression: ${e.message}` };
+    }
+
+    const nested = findNestedQuantifier(pattern);
+    if (nested) {
+      return { error: `match.pattern must not repeat a group that contains a quantifier or alternative: ${nested}` };
+    }
+    conditions.pattern = pattern;
+  }
+
+  if (senders !== undefined) {
+    if (!Array.isArray(senders) || senders.length === 0 || senders.length > AUTO_REPLY_LIMITS.senders) {
+      return { error: `match.senders must be an array of 1 to ${AUTO_REPLY_LIMITS.senders} phone numbers or JIDs` };
+    }
+
+    conditions.senders = [];
+    for (const [index, sender] of senders.entries()) {
+      const jid = typeof sender === 'string' || typeof sender === 'number' ? toJid(String(sender)) : null;
+      if (!jid) {
+        return { error: `match.senders[${index}] must be a phone number or JID` };
+      }
+      conditions.senders.push(jid);
+    }
+  }
+
+  if (mediaTypes !== undefined) {
+    if (!Array.isArray(mediaTypes) || mediaTypes.length === 0 || !mediaTypes.every((type) => AUTO_REPLY_MEDIA_TYPES.includes(type))) {
+      return { error: `match.mediaTypes must be a non-empty array of: ${AUTO_REPLY_MEDIA_TYPES.join(', ')}` };
+    }
+    conditions.mediaTypes = [...new Set(mediaTypes)];
+  }
+
+  if (typeof groups !== 'boolean') {
+    return { error: 'match.groups must be a boolean' };
+  }
+  conditions.groups = groups;
+
+  return { conditions };
+}
+
+/**
+ * Find placeholders a reply text uses that auto-replies cannot fill
+ * @param {string|null} text - Reply text
+ * @returns {Array<string>} Unknown placeholder names
+ */
+function getUnknownPlaceholders(text) {
+  return getPlaceholders(text).filter((name) => !AUTO_REPLY_VARIABLES.includes(name));
+}
+
+/**
+ * Validate the action of a rule
+ * @param {object} database - Database instance
+ * @param {object} action - { type, text, templateId, language, status, webhookId }
+ * @returns {object} { action } or { error }
+ */
+function parseAction(database, action) {
+  if (typeof action !== 'object' || action === null || !AUTO_REPLY_ACTIONS[action.type]) {
+    return { error: `action.type must be one of: ${Object.keys(AUTO_REPLY_ACTIONS).join(', ')}` };
+  }
+
+  if (action.type === 'set_status') {
+    if (!AUTO_REPLY_STATUSES.includes(action.status)) {
+      return { error: `action.status must be one of: ${AUTO_REPLY_STATUSES.join(', ')}` };
+    }
+    return { action: { type: 'set_status', status: action.status } };
+  }
+
+  if (action.type === 'forward') {
+    if (!isPositiveInteger(action.webhookId)) {
+      return { error: 'action.webhookId must be a positive integer' };
+    }
+    if (!getWebhookById(database, action.webhookId)) {
+      return { error: 'action.webhookId: Webhook not found' };
+    }
+    return { action: { type: 'forward', webhookId: action.webhookId } };
+  }
+
+  const { text, templateId, language } = action;
+  const available = `available: ${AUTO_REPLY_VARIABLES.join(', ')}`;
+
+  if ((text === undefined) === (templateId === undefined)) {
+    return { error: 'action requires either text or templateId' };
+  }
+
+  if (text !== undefined) {
+    if (typeof text !== 'string' || !text.trim() || text.length > TEMPLATE_LIMITS.text) {
+      return { error: `action.text must be a non-empty string of at most ${TEMPLATE_LIMITS.text} characters` };
+    }
+
+    const unknown = getUnknownPlaceholders(text);
+    if (unknown.length > 0) {
+      return { error: `action.text uses unknown placeholders: ${unknown.join(', ')} (${available})` };
+    }
+    return { action: { type: 'reply', text } };
+  }
+
+  if (!isPositiveInteger(templateId)) {
+    return { error: 'action.templateId must be a positive integer' };
+  }
+
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    return { error: 'action.language must be a language code such as en, hi or pt-BR' };
+  }
+
+  const template = getTemplate(database, templateId);
+  if (!template) {
+    return { error: 'action.templateId: Template not found' };
+  }
+
+  const unknown = [...new Set(Object.values(template.variants).flatMap((variant) => getUnknownPlaceholders(variant.text)))];
+  if (unknown.length > 0) {
+    return { error: `Template uses placeholders auto-replies cannot fill: ${unknown.join(', ')} (${available})` };
+  }
+
+  return { action: { type: 'reply', templateId, language: language || null } };
+}
+
+/**
+ * Validate the body of a rule create or update request
+ * @param {object} database - Database instance
+ * @param {object} body - { name, enabled, priority, session, match, action, cooldownSeconds }
+ * @param {object|null} existing - Rule being updated (null when creating)
+ * @returns {object} { fields: { name, enabled, priority, sessionId, conditions, action, cooldownSeconds } } or { error }
+ */
+function parseAutoReplyRuleInput(database, body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > AUTO_REPLY_LIMITS.name) {
+      return { error: `name must be a non-empty string of at most ${AUTO_REPLY_LIMITS.name} characters` };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority) || Math.abs(body.priority) > AUTO_REPLY_LIMITS.priority) {
+      return { error: `priority must be an integer from -${AUTO_REPLY_LIMITS.priority} to ${AUTO_REPLY_LIMITS.priority}` };
+    }
+    fields.priority = body.priority;
+  }
+
+  if (body.session !== undefined) {
+    const sessionError = body.session === null ? null : validateSessionId(body.session);
+    if (sessionError) {
+      return { error: sessionError };
+    }
+    fields.sessionId = body.session;
+  }
+
+  if (body.cooldownSeconds !== undefined) {
+    if (!Number.isInteger(body.cooldownSeconds) || body.cooldownSeconds < 0 || body.cooldownSeconds > AUTO_REPLY_LIMITS.cooldownSeconds) {
+      return { error: `cooldownSeconds must be an integer from 0 to ${AUTO_REPLY_LIMITS.cooldownSeconds}` };
+    }
+    fields.cooldownSeconds = body.cooldownSeconds;
+  } else if (!existing) {
+    fields.cooldownSeconds = AUTO_REPLY_DEFAULT_COOLDOWN_SECONDS;
+  }
+
+  if (body.match !== undefined || !existing) {
+    const { conditions, error } = parseConditions(body.match ?? {});
+    if (error) {
+      return { error };
+    }
+    fields.conditions = conditions;
+  }
+
+  if (body.action !== undefined || !existing) {
+    const { action, error } = parseAction(database, body.action);
+    if (error) {
+      return { error };
+    }
+    fields.action = action;
+  }
+
+  return { fields };
+}
+
+/**
+ * Check whether a text contains a keyword as a whole word or phrase (case-insensitive)
+ * @param {string} text - Message text
+ * @param {string} keyword - Keyword or phrase
+ * @returns {boolean} True if found
+ */
+function containsKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * Check whether a message meets all conditions of a rule
+ * @param {object} rule - Rule
+ * @param {object} message - Stored incoming message
+ * @returns {boolean} True if the rule matches
+ */
+function matchAutoReplyRule(rule, message) {
+  const { keywords, pattern, senders, mediaTypes, groups } = rule.conditions;
+  const text = message.message || '';
+  const chatJid = message.chat_jid || message.phone;
+
+  if (isGroupJid(chatJid) && !groups) return false;
+  if (mediaTypes && !mediaTypes.includes(message.media_type || 'text')) return false;
+  if (senders && !senders.includes(message.sender_jid) && !senders.includes(chatJid)) return false;
+  if (keywords && !keywords.some((keyword) => containsKeyword(text, keyword))) return false;
+  if (pattern && !testPattern(pattern, text)) return false;
+
+  return true;
+}
+
+/**
+ * Get the contact a rule's cooldown applies to (the sender, also in groups)
+ * @param {object} message - Stored incoming message
+ * @returns {string} Contact JID
+ */
+function getAutoReplyContact(message) {
+  return message.sender_jid || message.chat_jid || message.phone;
+}
+
+/**
+ * Find the rule that handles a message
+ * Rules are evaluated by priority; the first match that is not cooling down for the contact wins
+ * @param {object} database - Database instance
+ * @param {object} message - Stored incoming message
+ * @param {object} options - { rules, now }
+ * @param {Array|null} options.rules - Rules to evaluate (defaults to the enabled rules of the message's session)
+ * @param {Date} options.now - Current time
+ * @returns {object} { rule, results: [{ rule, matched, cooldownUntil }] } (rule is null when none applies)
+ */
+function findAutoReplyRule(database, message, { rules = null, now = new Date() } = {}) {
+  const candidates = rules || getAutoReplyRules(database, { sessionId: message.session_id, enabledOnly: true });
+  const contact = getAutoReplyContact(message);
+  const results = [];
+  let chosen = null;
+
+  for (const rule of candidates) {
+    const matched = matchAutoReplyRule(rule, message);
+    let cooldownUntil = null;
+
+    if (matched && rule.cooldown_seconds > 0 && rule.id) {
+      const lastRun = getLastAutoReplyRun(database, rule.id, contact);
+      const until = lastRun ? new Date(new Date(lastRun).getTime() + rule.cooldown_seconds * 1000) : null;
+      cooldownUntil = until && until > now ? until.toISOString() : null;
+    }
+
+    results.push({ rule, matched, cooldownUntil });
+
+    if (matched && !cooldownUntil && !chosen) {
+      chosen = rule;
+    }
+  }
+
+  return { rule: chosen, results };
+}
+
+/**
+ * Build the content of a reply action
+ * @param {object} database - Database instance
+ * @param {object} action - Reply action ({ text } or { templateId, language })
+ * @param {object} message - Stored incoming message
+ * @returns {object} { message, media }
+ * @throws {Error} When the template was deleted
+ */
+function buildAutoReplyContent(database, action, message) {
+  const variables = {
+    name: message.sender_name || '',
+    phone: getAutoReplyContact(message).split('@')[0]
+  };
+
+  if (action.text) {
+    return { message: fillPlaceholders(action.text, variables) };
+  }
+
+  const template = getTemplate(database, action.templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  return renderTemplate(template, { language: action.language, variables }).payload;
+}
+
+/**
+ * Describe what a rule would do with a message, without doing it
+ * @param {object} database - Database instance
+ * @param {object} rule - Rule
+ * @param {object} message - Incoming message
+ * @returns {object} Action with the reply content, webhook URL or error
+ */
+function previewAutoReplyAction(database, rule, message) {
+  const { action } = rule;
+
+  if (action.type === 'reply') {
+    try {
+      return { ...action, content: buildAutoReplyContent(database, action, message) };
+    } catch (error) {
+      return { ...action, error: error.message };
+    }
+  }
+
+  if (action.type === 'forward') {
+    const webhook = getWebhookById(database, action.webhookId);
+    return webhook && webhook.active
+      ? { ...action, url: webhook.url }
+      : { ...action, error: 'Webhook not found or inactive' };
+  }
+
+  return action;
+}
+
+/**
+ * Run a rule's action for a message
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {object} rule - Rule
+ * @param {object} message - Stored incoming message
+ * @param {string} mediaPath - Path to media storage
+ */
+async function runAutoReplyAction(database, sock, rule, message, mediaPath) {
+  const { action } = rule;
+  const chatJid = message.chat_jid || message.phone;
+
+  if (action.type === 'reply') {
+    const content = buildAutoReplyContent(database, action, message);
+    await sendOutgoingMessage(database, sock, chatJid, content, mediaPath, message.session_id);
+    updateMessageStatus(database, message.id, 'replied');
+    return;
+  }
+
+  if (action.type === 'set_status') {
+    updateMessageStatus(database, message.id, action.status);
+    return;
+  }
+
+  const webhook = getWebhookById(database, action.webhookId);
+  if (!webhook || !webhook.active) {
+    throw new Error('Webhook not found or inactive');
+  }
+
+  enqueueWebhook(database, webhook, {
+    event: 'autoreply.forwarded',
+    timestamp: new Date().toISOString(),
+    session: message.session_id,
+    rule: { id: rule.id, name: rule.name },
+    message: {
+      id: message.id,
+      from: chatJid,
+      text: message.message,
+      mediaType: message.media_type,
+      mediaUrl: message.media_url,
+      senderJid: message.sender_jid,
+      senderName: message.sender_name
+    }
+  });
+}
+
+/**
+ * Find the rule that handles an incoming message and record its run before the action starts
+ * The run counts towards the cooldown right away, so messages arriving while the action is
+ * still running (e.g. another bot answering) cannot trigger the rule again
+ * @param {object} database - Database instance
+ * @param {object} message - Stored incoming message
+ * @param {object} logger - Logger instance
+ * @returns {object|null} { rule, runId } or null when no rule applies
+ */
+function claimAutoReplyRule(database, message, logger) {
+  try {
+    const { rule } = findAutoReplyRule(database, message);
+    if (!rule) return null;
+
+    const runId = recordAutoReplyRun(database, {
+      ruleId: rule.id,
+      sessionId: message.session_id || DEFAULT_SESSION_ID,
+      messageId: message.id,
+      contact: getAutoReplyContact(message),
+      status: 'running'
+    });
+
+    return { rule, runId };
+  } catch (error) {
+    logger.error('Failed to evaluate auto-reply rules:', error);
+    return null;
+  }
+}
+
+/**
+ * Describe a claimed or finished rule run for webhook payloads
+ * @param {object} rule - Rule
+ * @param {string} status - 'running', 'done' or 'failed'
+ * @param {string|null} error - Failure reason
+ * @returns {object} { ruleId, name, action, status, error }
+ */
+function toAutoReplyResult(rule, status, error = null) {
+  return { ruleId: rule.id, name: rule.name, action: rule.action.type, status, error };
+}
+
+/**
+ * Run the action of a claimed rule and record the outcome
+ * Failures are logged and recorded, never thrown, so message handling continues
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {object} claim - { rule, runId } from claimAutoReplyRule
+ * @param {object} message - Stored incoming message
+ * @param {object} logger - Logger instance
+ * @param {object} options - { mediaPath }
+ * @returns {Promise<object>} { ruleId, name, action, status, error }
+ */
+async function runAutoReply(database, sock, { rule, runId }, message, logger, { mediaPath = './media' } = {}) {
+  try {
+    await runAutoReplyAction(database, sock, rule, message, mediaPath);
+    finishAutoReplyRun(database, runId, { status: 'done' });
+    logger.info('Auto-reply rule applied', { ruleId: rule.id, messageId: message.id, action: rule.action.type });
+    return toAutoReplyResult(rule, 'done');
+  } catch (error) {
+    finishAutoReplyRun(database, runId, { status: 'failed', error: error.message });
+    logger.error('Auto-reply rule failed:', { ruleId: rule.id, messageId: message.id, error: error.message });
+    return toAutoReplyResult(rule, 'failed', error.message);
+  }
+}
+
+/**
+ * Evaluate the rules for an incoming message and run the action of the first one that applies
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {object} message - Stored incoming message
+ * @param {object} logger - Logger instance
+ * @param {object} options - { mediaPath }
+ * @returns {Promise<object|null>} { ruleId, name, action, status, error } or null when no rule applies
+ */
+async function applyAutoReplyRules(database, sock, message, logger, options = {}) {
+  const claim = claimAutoReplyRule(database, message, logger);
+  return claim ? runAutoReply(database, sock, claim, message, logger, options) : null;
+}
+
+module.exports = {
+  AUTO_REPLY_ACTIONS,
+  AUTO_REPLY_STATUSES,
+  AUTO_REPLY_MEDIA_TYPES,
+  AUTO_REPLY_LIMITS,
+  AUTO_REPLY_VARIABLES,
+  AUTO_REPLY_DEFAULT_COOLDOWN_SECONDS,
+  parseAutoReplyRuleInput,
+  matchAutoReplyRule,
+  getAutoReplyContact,
+  findAutoReplyRule,
+  previewAutoReplyAction,
+  claimAutoReplyRule,
+  toAutoReplyResult,
+  runAutoReply,
+  applyAutoReplyRules
+};
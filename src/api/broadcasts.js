@@ -0,0 +1,185 @@
+const {
+  getBroadcast,
+  getBroadcastProgress,
+  getNextBroadcastRecipient,
+  getRunnableBroadcasts,
+  finishBroadcastRecipient,
+  setBroadcastNextSendAt,
+  setBroadcastStatus,
+  countBroadcastSentSince
+} = require('../database');
+const { sendOutgoingMessage } = require('./sender');
+const { emitWebhookEvent } = require('./webhooks');
+const { fillPlaceholders } = require('./templates');
+
+// The daily cap counts messages sent in the last 24 hours
+const DAILY_CAP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Running jobs are checked every second; each job sends at most one message per check
+const DEFAULT_BROADCAST_OPTIONS = {
+  intervalMs: 1000,
+  dailyCap: 500,
+  mediaPath: './media'
+};
+
+/**
+ * Delay before the next message of a job
+ * @param {number} ratePerMinute - Messages per minute
+ * @param {number} jitterSeconds - Maximum random extra delay
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getSendDelay(ratePerMinute, jitterSeconds, random = Math.random) {
+  return Math.ceil(60000 / ratePerMinute + random() * jitterSeconds * 1000);
+}
+
+/**
+ * Mark a job completed and notify webhooks
+ * @param {object} database - Database instance
+ * @param {object} broadcast - Broadcast row
+ * @param {object} logger - Logger instance
+ */
+function completeBroadcast(database, broadcast, logger) {
+  if (!setBroadcastStatus(database, broadcast.id, 'completed', ['running'])) {
+    return;
+  }
+
+  const progress = getBroadcastProgress(database, broadcast.id);
+  emitWebhookEvent(database, 'broadcast.completed', {
+    session: broadcast.session_id,
+    broadcast: {
+      id: broadcast.id,
+      name: broadcast.name,
+      total: broadcast.total,
+      sent: progress.sent,
+      failed: progress.failed
+    }
+  });
+
+  logger.info('Broadcast completed', { id: broadcast.id, sent: progress.sent, failed: progress.failed });
+}
+
+/**
+ * Send the next message of a running broadcast job
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {object} broadcast - Broadcast row
+ * @param {object} logger - Logger instance
+ * @param {object} options - { dailyCap, mediaPath, random }
+ * @returns {Promise<string>} 'sent', 'failed', 'completed', 'waiting' (disconnected) or 'capped' (daily cap reached)
+ */
+async function processBroadcast(database, sessionManager, broadcast, logger, options = {}) {
+  const { dailyCap, mediaPath, random } = { ...DEFAULT_BROADCAST_OPTIONS, ...options };
+
+  let recipient = getNextBroadcastRecipient(database, broadcast.id);
+  if (!recipient) {
+    completeBroadcast(database, broadcast, logger);
+    return 'completed';
+  }
+
+  if (!sessionManager.has(broadcast.session_id)) {
+    // Session deleted: nothing can be sent any more
+    while (recipient) {
+      finishBroadcastRecipient(database, recipient.id, { status: 'failed', error: 'Session not found' });
+      recipient = getNextBroadcastRecipient(database, broadcast.id);
+    }
+    completeBroadcast(database, broadcast, logger);
+    return 'completed';
+  }
+
+  const state = sessionManager.get(broadcast.session_id);
+  if (!state || !state.connected || !state.sock) {
+    return 'waiting';
+  }
+
+  const since = new Date(Date.now() - DAILY_CAP_WINDOW_MS).toISOString();
+  if (countBroadcastSentSince(database, broadcast.session_id, since) >= dailyCap) {
+    return 'capped';
+  }
+
+  const payload = JSON.parse(broadcast.payload);
+  const variables = recipient.variables ? JSON.parse(recipient.variables) : {};
+  let result;
+
+  try {
+    let jid = recipient.recipient;
+
+    // Verify the number is registered on WhatsApp (individual chats only)
+    if (jid.endsWith('@s.whatsapp.net')) {
+      const [found] = await state.sock.onWhatsApp(jid);
+      if (!found || !found.exists) {
+        throw new Error('Number is not registered on WhatsApp');
+      }
+      jid = found.jid || jid;
+    }
+
+    const { id } = await sendOutgoingMessage(
+      database,
+      state.sock,
+      jid,
+      { ...payload, message: payload.message ? fillPlaceholders(payload.message, variables) : payload.message },
+      mediaPath,
+      broadcast.session_id
+    );
+
+    finishBroadcastRecipient(database, recipient.id, { status: 'sent', messageId: id });
+    result = 'sent';
+  } catch (error) {
+    finishBroadcastRecipient(database, recipient.id, { status: 'failed', error: error.message });
+    logger.error('Broadcast message failed:', { id: broadcast.id, to: recipient.recipient, error: error.message });
+    result = 'failed';
+  }
+
+  if (!getNextBroadcastRecipient(database, broadcast.id)) {
+    completeBroadcast(database, getBroadcast(database, broadcast.id), logger);
+    return result;
+  }
+
+  const delay = getSendDelay(broadcast.rate_per_minute, broadcast.jitter_seconds, random);
+  setBroadcastNextSendAt(database, broadcast.id, new Date(Date.now() + delay).toISOString());
+  return result;
+}
+
+/**
+ * Start background worker that sends broadcast jobs
+ * Jobs and their progress live in the database, so running jobs continue after a restart
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {object} logger - Logger instance
+ * @param {object} options - { intervalMs, dailyCap, mediaPath }
+ * @returns {Function} Stop function
+ */
+function startBroadcastWorker(database, sessionManager, logger, options = {}) {
+  const workerOptions = { ...DEFAULT_BROADCAST_OPTIONS, ...options };
+  const inFlight = new Set();
+
+  const tick = () => {
+    let runnable;
+    try {
+      runnable = getRunnableBroadcasts(database, new Date().toISOString());
+    } catch (error) {
+      logger.error('Failed to load broadcasts:', error);
+      return;
+    }
+
+    for (const broadcast of runnable) {
+      if (inFlight.has(broadcast.id)) continue;
+
+      inFlight.add(broadcast.id);
+      processBroadcast(database, sessionManager, broadcast, logger, workerOptions)
+        .catch((error) => logger.error('Broadcast error:', error))
+        .finally(() => inFlight.delete(broadcast.id));
+    }
+  };
+
+  const timer = setInterval(tick, workerOptions.intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getSendDelay,
+  processBroadcast,
+  startBroadcastWorker
+};
@@ -1,5 +1,18 @@
 require('dotenv').config();
 
+/**
+ * Read an integer setting from the environment
+ * An explicit 0 is kept; unset, non-numeric or too small values use the default
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when unset or invalid
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Setting value
+ */
+function readInteger(name, defaultValue, min = 0) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? defaultValue : value;
+}
+
 /**
  * Load and validate configuration from environment variables
  * @returns {object} Configuration object
@@ -11,7 +24,20 @@ function loadConfig() {
     DASHBOARD_PASSWORD: process.env.DASHBOARD_PASSWORD || 'admin123',
     DB_PATH: process.env.DB_PATH || './messages.db',
     SESSION_PATH: process.env.SESSION_PATH || './session',
+    SESSIONS_PATH: process.env.SESSIONS_PATH || './sessions',
     MEDIA_PATH: process.env.MEDIA_PATH || './media',
+    WEBHOOK_MAX_ATTEMPTS: readInteger('WEBHOOK_MAX_ATTEMPTS', 8, 1),
+    WEBHOOK_RETRY_BASE_SECONDS: readInteger('WEBHOOK_RETRY_BASE_SECONDS', 10),
+    API_KEY_ROTATION_GRACE_HOURS: readInteger('API_KEY_ROTATION_GRACE_HOURS', 24),
+    SCHEDULED_WHEN_DISCONNECTED: process.env.SCHEDULED_WHEN_DISCONNECTED === 'miss' ? 'miss' : 'send',
+    BROADCAST_RATE_PER_MINUTE: readInteger('BROADCAST_RATE_PER_MINUTE', 20, 1),
+    BROADCAST_JITTER_SECONDS: readInteger('BROADCAST_JITTER_SECONDS', 5),
+    BROADCAST_DAILY_CAP: readInteger('BROADCAST_DAILY_CAP', 500, 1),
+    OUTBOUND_QUEUE: process.env.OUTBOUND_QUEUE === 'true',
+    OUTBOUND_QUEUE_MAX_ATTEMPTS: readInteger('OUTBOUND_QUEUE_MAX_ATTEMPTS', 5, 1),
+    RETENTION_INTERVAL_MINUTES: readInteger('RETENTION_INTERVAL_MINUTES', 60, 1),
+    IMPORT_MAX_MB: readInteger('IMPORT_MAX_MB', 100, 1),
+    TIMEZONE: process.env.TIMEZONE || 'UTC',
     NODE_ENV: process.env.NODE_ENV || 'development'
   };
 }
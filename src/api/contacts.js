@@ -0,0 +1,162 @@
+const { getContact, upsertContact, linkContactLid } = require('../database');
+
+const PHONE_JID_SUFFIX = '@s.whatsapp.net';
+const LID_SUFFIX = '@lid';
+
+/**
+ * Check whether a JID belongs to a person (phone number or LID)
+ * @param {string} jid - WhatsApp JID
+ * @returns {boolean} True for phone JIDs and LIDs
+ */
+function isContactJid(jid) {
+  return typeof jid === 'string' && (jid.endsWith(PHONE_JID_SUFFIX) || jid.endsWith(LID_SUFFIX));
+}
+
+/**
+ * Normalize a phone number or JID into a WhatsApp JID
+ * @param {string} to - Phone number (digits, optional +, spaces or dashes) or full JID
+ * @returns {string|null} JID or null if input is invalid
+ */
+function toJid(to) {
+  if (typeof to !== 'string' || !to.trim()) {
+    return null;
+  }
+
+  const value = to.trim();
+
+  // Already a JID (user, LID or group)
+  if (value.includes('@')) {
+    return value;
+  }
+
+  const digits = value.replace(/[\s\-()+]/g, '');
+  if (!/^\d{6,15}$/.test(digits)) {
+    return null;
+  }
+
+  return `${digits}${PHONE_JID_SUFFIX}`;
+}
+
+/**
+ * Get the name to show for a contact
+ * Our own display name wins over the saved name, the business name and the pushName
+ * @param {object|null} contact - Contact row
+ * @returns {string|null} Name or null
+ */
+function getContactName(contact) {
+  if (!contact) {
+    return null;
+  }
+
+  return contact.display_name || contact.name || contact.verified_name || contact.notify || null;
+}
+
+/**
+ * Format a contact for webhook payloads
+ * @param {object|null} contact - Contact row
+ * @returns {object|null} { jid, name, externalId } or null
+ */
+function toWebhookContact(contact) {
+  if (!contact) {
+    return null;
+  }
+
+  return {
+    jid: contact.jid,
+    name: getContactName(contact),
+    externalId: contact.external_id
+  };
+}
+
+/**
+ * Store contacts from Baileys contacts.upsert / contacts.update events
+ * @param {object} database - Database instance
+ * @param {Array<object>} contacts - Baileys contacts (id, lid, phoneNumber, name, notify, verifiedName)
+ */
+function applyContactUpdates(database, contacts) {
+  for (const contact of contacts) {
+    const jids = [contact.id, contact.lid, contact.phoneNumber].filter(isContactJid);
+    const phoneJid = jids.find((jid) => jid.endsWith(PHONE_JID_SUFFIX));
+    const lid = jids.find((jid) => jid.endsWith(LID_SUFFIX));
+
+    if (phoneJid && lid) {
+      linkContactLid(database, lid, phoneJid);
+    }
+
+    const jid = phoneJid || lid;
+    if (!jid) continue;
+
+    // A LID update for a contact already stored under its phone JID
+    const existing = getContact(database, jid);
+
+    upsertContact(database, existing ? existing.jid : jid, {
+      name: contact.name,
+      notify: contact.notify,
+      verifiedName: contact.verifiedName
+    });
+  }
+}
+
+/**
+ * Store LID to phone number mappings (Baileys lid-mapping.update event)
+ * @param {object} database - Database instance
+ * @param {object|Array<object>} mappings - { lid, pn } or a list of them
+ */
+function applyLidMappings(database, mappings) {
+  for (const { lid, pn } of [].concat(mappings)) {
+    if (typeof lid === 'string' && lid.endsWith(LID_SUFFIX) && typeof pn === 'string' && pn.endsWith(PHONE_JID_SUFFIX)) {
+      linkContactLid(database, lid, pn);
+    }
+  }
+}
+
+/**
+ * Store the pushName an incoming message was sent with
+ * @param {object} database - Database instance
+ * @param {string} jid - Sender JID (as stored on the message)
+ * @param {string|null} pushName - Name the sender set in WhatsApp
+ */
+function recordPushName(database, jid, pushName) {
+  if (!pushName || !isContactJid(jid)) return;
+
+  const existing = getContact(database, jid);
+  upsertContact(database, existing ? existing.jid : jid, { notify: pushName });
+}
+
+/**
+ * Get the JID of the person who wrote an incoming message
+ * One-to-one messages come from the chat, group messages from the participant;
+ * LID senders are resolved to their phone JID when the mapping is known
+ * @param {object} database - Database instance
+ * @param {object} key - Baileys message key
+ * @returns {string} Phone JID when known, otherwise the LID
+ */
+function resolveSenderJid(database, key) {
+  const fromGroup = typeof key.remoteJid === 'string' && key.remoteJid.endsWith('@g.us');
+  const jid = fromGroup ? key.participant : key.remoteJid;
+  if (!jid || !jid.endsWith(LID_SUFFIX)) {
+    return jid;
+  }
+
+  // Phone JID sent along with the LID (*Alt in Baileys 7, *Pn before)
+  const alternatives = fromGroup ? [key.participantAlt, key.participantPn] : [key.remoteJidAlt, key.senderPn];
+  const phoneJid = alternatives.find((candidate) => typeof candidate === 'string' && candidate.endsWith(PHONE_JID_SUFFIX));
+  if (phoneJid) {
+    linkContactLid(database, jid, phoneJid);
+    return phoneJid;
+  }
+
+  const contact = getContact(database, jid);
+  return contact && contact.jid.endsWith(PHONE_JID_SUFFIX) ? contact.jid : jid;
+}
+
+module.exports = {
+  isContactJid,
+  toJid,
+  getContactName,
+  toWebhookContact,
+  applyContactUpdates,
+  applyLidMappings,
+  recordPushName,
+  resolveSenderJid
+};
@@ -0,0 +1,100 @@
+const { insertEvent, getEventsAfter, pruneEvents } = require('../database');
+
+/**
+ * Live event stream
+ * Every event emitted for webhooks is recorded and pushed to the clients connected to /events
+ * (Server-Sent Events or WebSocket). The most recent events are kept, so a client that reconnects
+ * with the ID of the last event it received gets the events it missed.
+ */
+
+// Events kept for clients that resume; older ones are deleted
+const EVENT_HISTORY_SIZE = 1000;
+
+// Old events are deleted every this many events
+const EVENT_PRUNE_INTERVAL = 100;
+
+// Missed events are read in batches when a client resumes
+const EVENT_REPLAY_BATCH_SIZE = 500;
+
+// Connected clients: { database, sessionId, events, onEvent }
+const subscribers = new Set();
+
+/**
+ * Convert an event row to the entry passed to subscribers
+ * @param {object} row - Event row
+ * @returns {object} { id, event, sessionId, data }
+ */
+function toStreamEvent(row) {
+  return { id: row.id, event: row.event, sessionId: row.session_id, data: JSON.parse(row.payload) };
+}
+
+/**
+ * Record an event and push it to the subscribers it matches
+ * @param {object} database - Database instance
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {object} payload - Event payload ({ event, timestamp, session, ... })
+ * @returns {number} Event ID
+ */
+function publishEvent(database, event, payload) {
+  const sessionId = payload.session || null;
+  const id = insertEvent(database, { event, sessionId, payload });
+
+  if (id % EVENT_PRUNE_INTERVAL === 0) {
+    pruneEvents(database, EVENT_HISTORY_SIZE);
+  }
+
+  const entry = { id, event, sessionId, data: payload };
+  for (const subscriber of subscribers) {
+    if (subscriber.database !== database) continue;
+    if (subscriber.sessionId && subscriber.sessionId !== sessionId) continue;
+    if (subscriber.events && !subscriber.events.includes(event)) continue;
+
+    subscriber.onEvent(entry);
+  }
+
+  return id;
+}
+
+/**
+ * Receive events as they are published
+ * Missed events are replayed first; replay and subscription happen in the same tick, so no event
+ * published in between is lost or delivered twice
+ * @param {object} database - Database instance
+ * @param {object} options - { sessionId, events, lastEventId } (null = all sessions/events, no replay)
+ * @param {Function} onEvent - Called with { id, event, sessionId, data } for every event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeEvents(database, { sessionId = null, events = null, lastEventId = null } = {}, onEvent) {
+  if (lastEventId !== null) {
+    let afterId = lastEventId;
+    let batch;
+    do {
+      batch = getEventsAfter(database, afterId, { sessionId, events }, EVENT_REPLAY_BATCH_SIZE);
+      for (const row of batch) {
+        onEvent(toStreamEvent(row));
+        afterId = row.id;
+      }
+    } while (batch.length === EVENT_REPLAY_BATCH_SIZE);
+  }
+
+  const subscriber = { database, sessionId, events, onEvent };
+  subscribers.add(subscriber);
+
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {object} entry - { id, event, data }
+ * @returns {string} Message ending with a blank line
+ */
+function formatServerSentEvent({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  EVENT_HISTORY_SIZE,
+  publishEvent,
+  subscribeEvents,
+  formatServerSentEvent
+};
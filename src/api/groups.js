@@ -0,0 +1,159 @@
+const { getGroup, saveGroup, markGroupStale, getSetting, setSetting, linkContactLid } = require('../database');
+
+const GROUP_JID_SUFFIX = '@g.us';
+
+// Cached metadata is fetched again after this long (group events refresh it sooner)
+const GROUP_METADATA_MAX_AGE_MS = 60 * 60 * 1000;
+
+// A slow metadata fetch falls back to the cache instead of holding up the message
+const GROUP_METADATA_TIMEOUT_MS = 5000;
+
+// Setting that drops incoming group messages before they are stored
+const IGNORE_GROUPS_SETTING = 'ignore_groups';
+
+/**
+ * Check whether a JID is a group chat
+ * @param {string} jid - WhatsApp JID
+ * @returns {boolean} True for group JIDs
+ */
+function isGroupJid(jid) {
+  return typeof jid === 'string' && jid.endsWith(GROUP_JID_SUFFIX);
+}
+
+/**
+ * Check whether group messages are ignored
+ * @param {object} database - Database instance
+ * @returns {boolean} True if group messages are dropped
+ */
+function isIgnoringGroups(database) {
+  return getSetting(database, IGNORE_GROUPS_SETTING) === 'true';
+}
+
+/**
+ * Turn ignoring group messages on or off
+ * @param {object} database - Database instance
+ * @param {boolean} ignore - Drop group messages
+ */
+function setIgnoringGroups(database, ignore) {
+  setSetting(database, IGNORE_GROUPS_SETTING, ignore ? 'true' : 'false');
+}
+
+/**
+ * Store Baileys group metadata (full or partial)
+ * Participants are stored by phone JID when WhatsApp sends it along with their LID
+ * @param {object} database - Database instance
+ * @param {object} metadata - Baileys GroupMetadata (id, subject, desc, owner, participants, size)
+ * @param {string|undefined} fetchedAt - When the full metadata was fetched
+ * @returns {object} Group row
+ */
+function storeGroupMetadata(database, metadata, fetchedAt = undefined) {
+  let participants;
+  if (Array.isArray(metadata.participants)) {
+    participants = metadata.participants.map((participant) => {
+      if (participant.phoneNumber && participant.id.endsWith('@lid')) {
+        linkContactLid(database, participant.id, participant.phoneNumber);
+      }
+
+      return { jid: participant.phoneNumber || participant.id, admin: participant.admin || null };
+    });
+  }
+
+  return saveGroup(database, metadata.id, {
+    subject: metadata.subject,
+    description: metadata.desc,
+    owner: metadata.owner,
+    participants,
+    size: metadata.size,
+    fetchedAt
+  });
+}
+
+/**
+ * Get group metadata, fetching it from WhatsApp when not cached or outdated
+ * Falls back to the cached (possibly outdated) metadata if the fetch fails or times out
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {string} jid - Group JID
+ * @param {object} logger - Logger instance
+ * @param {object} options - { timeoutMs }
+ * @returns {Promise<object|null>} Group row or null if unknown
+ */
+async function getGroupMetadata(database, sock, jid, logger, { timeoutMs = GROUP_METADATA_TIMEOUT_MS } = {}) {
+  const cached = getGroup(database, jid);
+  const fresh = cached && cached.fetched_at &&
+    Date.now() - new Date(cached.fetched_at).getTime() < GROUP_METADATA_MAX_AGE_MS;
+
+  if (fresh || !sock) {
+    return cached;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const metadata = await Promise.race([sock.groupMetadata(jid), timeout]);
+    return storeGroupMetadata(database, metadata, new Date().toISOString());
+  } catch (error) {
+    logger.error('Failed to fetch group metadata:', { jid, error: error.message });
+    return cached;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Apply Baileys groups.upsert / groups.update events
+ * @param {object} database - Database instance
+ * @param {Array<object>} updates - Full or partial group metadata
+ */
+function applyGroupUpdates(database, updates) {
+  for (const update of updates) {
+    if (isGroupJid(update.id)) {
+      storeGroupMetadata(database, update);
+    }
+  }
+}
+
+/**
+ * Apply a Baileys group-participants.update event
+ * The participant list is fetched again on the next message of the group
+ * @param {object} database - Database instance
+ * @param {object} update - { id, participants, action }
+ */
+function applyParticipantsUpdate(database, update) {
+  if (isGroupJid(update.id)) {
+    markGroupStale(database, update.id);
+  }
+}
+
+/**
+ * Format a group for webhook payloads
+ * @param {object|null} group - Group row
+ * @returns {object|null} { jid, subject, participantCount } or null
+ */
+function toWebhookGroup(group) {
+  if (!group) {
+    return null;
+  }
+
+  return {
+    jid: group.jid,
+    subject: group.subject,
+    participantCount: group.size
+  };
+}
+
+module.exports = {
+  GROUP_METADATA_MAX_AGE_MS,
+  GROUP_METADATA_TIMEOUT_MS,
+  isGroupJid,
+  isIgnoringGroups,
+  setIgnoringGroups,
+  storeGroupMetadata,
+  getGroupMetadata,
+  applyGroupUpdates,
+  applyParticipantsUpdate,
+  toWebhookGroup
+};
@@ -0,0 +1,179 @@
+/**
+ * Media helpers shared by incoming message handling and outgoing sends
+ */
+
+// Baileys message keys that carry downloadable media, mapped to our media_type
+const MEDIA_MESSAGE_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+// File extensions for common WhatsApp mimetypes
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'txt',
+  'text/csv': 'csv'
+};
+
+// Fallback mimetypes when WhatsApp omits one
+const DEFAULT_MIMETYPES = {
+  image: 'image/jpeg',
+  video: 'video/mp4',
+  audio: 'audio/ogg',
+  voice: 'audio/ogg; codecs=opus',
+  document: 'application/octet-stream',
+  sticker: 'image/webp'
+};
+
+/**
+ * Extract media details from a Baileys message object
+ * @param {object} message - msg.message from Baileys
+ * @returns {object|null} { type, mimetype, fileName, fileLength, seconds, caption } or null if no media
+ */
+function getMediaInfo(message) {
+  if (!message) {
+    return null;
+  }
+
+  // Documents sent with a caption are wrapped in documentWithCaptionMessage
+  const source = message.documentWithCaptionMessage?.message || message;
+
+  for (const [key, type] of Object.entries(MEDIA_MESSAGE_TYPES)) {
+    const media = source[key];
+    if (!media) continue;
+
+    return {
+      // Voice notes are audio messages flagged as push-to-talk
+      type: type === 'audio' && media.ptt ? 'voice' : type,
+      mimetype: media.mimetype || DEFAULT_MIMETYPES[type],
+      fileName: media.fileName || null,
+      fileLength: media.fileLength ? Number(media.fileLength) : null,
+      seconds: media.seconds || null,
+      caption: media.caption || ''
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Pick a file extension for stored media
+ * @param {string|null} mimetype - Media mimetype (parameters like "; codecs=opus" are ignored)
+ * @param {string|null} fileName - Original file name, used when the mimetype is unknown
+ * @returns {string} Extension without the leading dot
+ */
+function getExtension(mimetype, fileName = null) {
+  const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+
+  if (MIME_EXTENSIONS[baseType]) {
+    return MIME_EXTENSIONS[baseType];
+  }
+
+  const fromName = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : null;
+  if (fromName && /^[a-z0-9]{1,8}$/.test(fromName)) {
+    return fromName;
+  }
+
+  return 'bin';
+}
+
+// Media types accepted in outgoing messages
+const OUTGOING_MEDIA_TYPES = ['image', 'video', 'audio', 'voice', 'document', 'sticker'];
+
+// Outgoing media types that can carry a caption
+const CAPTION_MEDIA_TYPES = ['image', 'video', 'document'];
+
+/**
+ * Validate an outgoing media object
+ * @param {object} media - { type, url | data | mediaId, filename, mimetype }
+ * @param {string} caption - Optional caption text
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOutgoingMedia(media, caption = '') {
+  if (!media || typeof media !== 'object' || Array.isArray(media)) {
+    return 'Media must be an object';
+  }
+
+  if (!OUTGOING_MEDIA_TYPES.includes(media.type)) {
+    return `Invalid media type. Must be one of: ${OUTGOING_MEDIA_TYPES.join(', ')}`;
+  }
+
+  const sources = ['url', 'data', 'mediaId'].filter((key) => media[key] !== undefined && media[key] !== null && media[key] !== '');
+  if (sources.length !== 1) {
+    return 'Media requires exactly one source: url, data (base64) or mediaId';
+  }
+
+  if (media.url !== undefined && !/^https?:\/\//.test(media.url)) {
+    return 'Media url must start with http:// or https://';
+  }
+
+  if (caption && !CAPTION_MEDIA_TYPES.includes(media.type)) {
+    return `Captions are not supported for ${media.type} media`;
+  }
+
+  return null;
+}
+
+/**
+ * Build Baileys message content for an outgoing media message
+ * @param {string} type - Media type (image, video, audio, voice, document, sticker)
+ * @param {Buffer|object} source - Buffer or { url } accepted by Baileys
+ * @param {object} options - { caption, mimetype, filename }
+ * @returns {object} Baileys message content
+ */
+function buildMediaContent(type, source, { caption = '', mimetype = null, filename = null } = {}) {
+  switch (type) {
+    case 'image':
+      return { image: source, caption };
+    case 'video':
+      return { video: source, caption, mimetype: mimetype || DEFAULT_MIMETYPES.video };
+    case 'audio':
+      return { audio: source, mimetype: mimetype || 'audio/mp4' };
+    case 'voice':
+      return { audio: source, ptt: true, mimetype: mimetype || DEFAULT_MIMETYPES.voice };
+    case 'document':
+      return {
+        document: source,
+        mimetype: mimetype || DEFAULT_MIMETYPES.document,
+        fileName: filename || `document.${getExtension(mimetype)}`,
+        caption
+      };
+    case 'sticker':
+      return { sticker: source };
+    default:
+      throw new Error(`Unsupported media type: ${type}`);
+  }
+}
+
+module.exports = {
+  MEDIA_MESSAGE_TYPES,
+  OUTGOING_MEDIA_TYPES,
+  DEFAULT_MIMETYPES,
+  getMediaInfo,
+  getExtension,
+  validateOutgoingMedia,
+  buildMediaContent
+};
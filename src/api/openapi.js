@@ -0,0 +1,1899 @@
+const { validateSchema, coerceParameter } = require('./schema');
+const { SESSION_ID_PATTERN } = require('./sessions');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { API_KEY_SCOPES } = require('./apiKeys');
+const { OUTGOING_MEDIA_TYPES } = require('./media');
+const { WHEN_DISCONNECTED_POLICIES } = require('./scheduler');
+const { LANGUAGE_PATTERN, TEMPLATE_LIMITS } = require('./templates');
+const { EXPORT_FORMATS } = require('./archive');
+const { RETENTION_TARGETS, RETENTION_STATUSES, RETENTION_DIRECTIONS, RETENTION_LIMITS } = require('./retention');
+const {
+  AUTO_REPLY_ACTIONS,
+  AUTO_REPLY_STATUSES,
+  AUTO_REPLY_MEDIA_TYPES,
+  AUTO_REPLY_LIMITS,
+  AUTO_REPLY_DEFAULT_COOLDOWN_SECONDS
+} = require('./autoReply');
+
+/**
+ * OpenAPI description of the REST API
+ * Every route of routes.js has an operation here; the document is served at /openapi.json and
+ * validateRequest checks requests against the parameters and body of their operation, so the
+ * document cannot drift from what the API accepts.
+ */
+
+// Values accepted by message filters and status updates
+const MESSAGE_DIRECTIONS = ['incoming', 'outgoing'];
+const MESSAGE_STATUSES = ['unread', 'replied', 'ignored', 'sent'];
+
+// States of a webhook delivery
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Contact fields that can be edited through the API, with maximum lengths
+const CONTACT_DETAIL_LIMITS = {
+  displayName: 100,
+  notes: 2000,
+  externalId: 100
+};
+
+// States of a scheduled message
+const SCHEDULED_STATUSES = ['pending', 'sending', 'sent', 'failed', 'missed', 'cancelled'];
+
+// States of a broadcast job and results of its recipients
+const BROADCAST_STATUSES = ['running', 'paused', 'completed', 'cancelled'];
+const BROADCAST_RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'cancelled'];
+
+// Limits of one broadcast job
+const BROADCAST_LIMITS = {
+  recipients: 1000,
+  name: 100,
+  ratePerMinute: 60,
+  jitterSeconds: 300
+};
+
+// States of an outbound queue item
+const OUTBOUND_QUEUE_STATUSES = ['queued', 'sent', 'failed'];
+
+// Largest page of a paginated list
+const MAX_PAGE_SIZE = 200;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (items, limits = {}) => ({ type: 'array', items, ...limits });
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const POSITIVE_ID = { type: 'integer', minimum: 1 };
+
+const SESSION_ID = {
+  type: 'string',
+  pattern: SESSION_ID_PATTERN.source,
+  'x-error': 'must be 1-32 letters, digits, dashes or underscores',
+  example: 'support'
+};
+
+const LANGUAGE = {
+  type: 'string',
+  pattern: LANGUAGE_PATTERN.source,
+  'x-error': 'must be a language code such as en, hi or pt-BR',
+  example: 'en'
+};
+
+const VARIABLES = {
+  type: 'object',
+  additionalProperties: { anyOf: [STRING, NUMBER] },
+  description: 'Values for the {{placeholders}} of the message',
+  example: { name: 'Asha', order: '4417' }
+};
+
+const PHONE_OR_JID = { anyOf: [STRING, INTEGER], description: 'Phone number with country code, or a JID' };
+
+// Fields of every request that sends a message: its own content, or a template
+const CONTENT_PROPERTIES = {
+  message: { type: 'string', description: 'Text, or the caption of image, video and document media' },
+  image: { type: 'string', description: 'Image URL or base64 data (shorthand for media of type image)' },
+  media: ref('OutgoingMedia'),
+  templateId: { ...POSITIVE_ID, description: 'Send this template instead of message, image or media' },
+  language: { ...LANGUAGE, description: 'Template language (default: the template default language)' },
+  variables: VARIABLES
+};
+
+const CONTENT_REQUIRED = ['message', 'image', 'media', 'templateId'].map((name) => ({ required: [name] }));
+
+const COMPONENTS = {
+  securitySchemes: {
+    ApiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'API key; each key only works for the endpoints its scopes allow'
+    },
+    BasicAuth: {
+      type: 'http',
+      scheme: 'basic',
+      description: 'Dashboard credentials; required for admin endpoints and accepted on every API key endpoint'
+    }
+  },
+  parameters: {
+    Timezone: {
+      name: 'timezone',
+      in: 'query',
+      description: 'IANA timezone of the timestamps in the request and response (default: TIMEZONE)',
+      schema: { type: 'string', example: 'Asia/Kolkata' }
+    },
+    XTimezone: {
+      name: 'X-Timezone',
+      in: 'header',
+      description: 'Same as ?timezone=',
+      schema: STRING
+    }
+  },
+  responses: {
+    ValidationError: {
+      description: 'Invalid request; errors lists every invalid field',
+      content: { 'application/json': { schema: ref('ValidationError') } }
+    },
+    Unauthorized: {
+      description: 'Missing or invalid credentials',
+      content: { 'application/json': { schema: ref('Error') } }
+    },
+    Forbidden: {
+      description: 'The API key lacks the required scope',
+      content: { 'application/json': { schema: ref('Error') } }
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: STRING
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['success', 'error', 'errors'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', description: 'The first error', example: 'status must be one of: unread, replied, ignored, sent' },
+        errors: arrayOf({
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+            field: { type: 'string', description: 'Path of the field (empty for the whole body)', example: 'rules[0].olderThanDays' },
+            message: STRING
+          }
+        })
+      }
+    },
+    Paging: {
+      type: 'object',
+      properties: {
+        limit: INTEGER,
+        nextCursor: nullable({ type: 'string', description: 'Pass as cursor to load the next page; null on the last page' }),
+        total: { type: 'integer', description: 'Matching items (GET /messages only)' }
+      }
+    },
+    OutgoingMedia: {
+      type: 'object',
+      required: ['type'],
+      description: 'Media to send; exactly one of url, data or mediaId is required',
+      properties: {
+        type: { type: 'string', enum: OUTGOING_MEDIA_TYPES },
+        url: { type: 'string', format: 'uri', description: 'http(s) URL to download the media from' },
+        data: { type: 'string', format: 'byte', description: 'Base64 data' },
+        mediaId: { ...POSITIVE_ID, description: 'ID of a stored message whose media is sent again' },
+        mimetype: STRING,
+        filename: { type: 'string', description: 'File name of a document' }
+      }
+    },
+    MediaSummary: nullable({
+      type: 'object',
+      description: 'Media of a stored outgoing payload (base64 data is left out)',
+      properties: {
+        type: STRING,
+        url: STRING,
+        mediaId: INTEGER,
+        mimetype: STRING,
+        filename: STRING
+      }
+    }),
+    Message: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        session_id: STRING,
+        direction: { type: 'string', enum: MESSAGE_DIRECTIONS },
+        phone: { type: 'string', description: 'JID of the chat' },
+        chat_jid: nullable(STRING),
+        sender_jid: nullable(STRING),
+        sender_name: nullable(STRING),
+        message: STRING,
+        reply_status: { type: 'string', enum: MESSAGE_STATUSES },
+        media_type: nullable(STRING),
+        media_url: nullable(STRING),
+        media_mimetype: nullable(STRING),
+        media_filename: nullable(STRING),
+        media_size: nullable(INTEGER),
+        media_duration: nullable(INTEGER),
+        whatsapp_id: nullable(STRING),
+        delivery_status: nullable(STRING),
+        server_ack_at: nullable(TIMESTAMP),
+        delivered_at: nullable(TIMESTAMP),
+        read_at: nullable(TIMESTAMP),
+        failed_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP
+      }
+    },
+    MessageWithTimeline: {
+      allOf: [
+        ref('Message'),
+        {
+          type: 'object',
+          properties: {
+            timeline: arrayOf({
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['queued', 'sent', 'server_ack', 'delivered', 'read', 'failed'] },
+                at: TIMESTAMP
+              }
+            })
+          }
+        }
+      ]
+    },
+    InboxMessage: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        type: { type: 'string', enum: ['incoming'] },
+        phone: STRING,
+        chat_jid: nullable(STRING),
+        sender_jid: nullable(STRING),
+        sender_name: nullable(STRING),
+        message: STRING,
+        status: { type: 'string', enum: ['unread'] },
+        media_type: nullable(STRING),
+        media_url: nullable(STRING),
+        media_mimetype: nullable(STRING),
+        media_filename: nullable(STRING),
+        media_size: nullable(INTEGER),
+        media_duration: nullable(INTEGER),
+        contact_name: nullable(STRING),
+        external_id: nullable(STRING),
+        is_group: BOOLEAN,
+        group_subject: nullable(STRING),
+        timestamp: TIMESTAMP
+      }
+    },
+    Conversation: {
+      type: 'object',
+      properties: {
+        phone: STRING,
+        sender_name: nullable(STRING),
+        unread_count: INTEGER,
+        message_count: INTEGER,
+        last_activity: TIMESTAMP,
+        last_message: {
+          type: 'object',
+          properties: {
+            id: INTEGER,
+            direction: { type: 'string', enum: MESSAGE_DIRECTIONS },
+            message: STRING,
+            media_type: nullable(STRING),
+            status: STRING
+          }
+        }
+      }
+    },
+    Contact: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        jid: STRING,
+        lid: nullable(STRING),
+        phone: nullable(STRING),
+        name: nullable({ type: 'string', description: 'Display name, saved name, verified name or push name' }),
+        display_name: nullable(STRING),
+        saved_name: nullable(STRING),
+        push_name: nullable(STRING),
+        verified_name: nullable(STRING),
+        notes: nullable(STRING),
+        external_id: nullable(STRING),
+        created_at: TIMESTAMP,
+        updated_at: TIMESTAMP
+      }
+    },
+    Session: {
+      type: 'object',
+      properties: {
+        id: STRING,
+        running: BOOLEAN,
+        autoStart: BOOLEAN,
+        connected: BOOLEAN,
+        phone: nullable(STRING),
+        hasQrCode: BOOLEAN,
+        createdAt: TIMESTAMP
+      }
+    },
+    ApiKey: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        name: STRING,
+        prefix: STRING,
+        scopes: arrayOf(STRING),
+        status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+        expires_at: nullable(TIMESTAMP),
+        last_used_at: nullable(TIMESTAMP),
+        revoked_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP
+      }
+    },
+    Webhook: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        url: STRING,
+        events: arrayOf(STRING),
+        secret: { type: 'string', description: 'Key of the X-Webhook-Signature HMAC' },
+        active: BOOLEAN,
+        created_at: TIMESTAMP
+      }
+    },
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        webhook_id: nullable(INTEGER),
+        url: STRING,
+        event: STRING,
+        payload: { type: 'object', description: 'Event payload as sent' },
+        status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+        attempts: INTEGER,
+        last_status_code: nullable(INTEGER),
+        last_error: nullable(STRING),
+        next_attempt_at: nullable(TIMESTAMP),
+        last_attempt_at: nullable(TIMESTAMP),
+        delivered_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP
+      }
+    },
+    ScheduledMessage: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        session: STRING,
+        to: STRING,
+        message: nullable(STRING),
+        media: ref('MediaSummary'),
+        send_at: TIMESTAMP,
+        when_disconnected: { type: 'string', enum: Object.keys(WHEN_DISCONNECTED_POLICIES) },
+        status: { type: 'string', enum: SCHEDULED_STATUSES },
+        message_id: nullable(INTEGER),
+        error: nullable(STRING),
+        processed_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP
+      }
+    },
+    Broadcast: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        session: STRING,
+        name: nullable(STRING),
+        message: nullable(STRING),
+        media: ref('MediaSummary'),
+        status: { type: 'string', enum: BROADCAST_STATUSES },
+        rate_per_minute: INTEGER,
+        jitter_seconds: INTEGER,
+        progress: {
+          type: 'object',
+          properties: {
+            total: INTEGER,
+            pending: INTEGER,
+            sent: INTEGER,
+            failed: INTEGER,
+            cancelled: INTEGER,
+            percent: INTEGER
+          }
+        },
+        next_send_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP,
+        updated_at: TIMESTAMP,
+        finished_at: nullable(TIMESTAMP)
+      }
+    },
+    BroadcastRecipient: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        to: STRING,
+        variables: VARIABLES,
+        status: { type: 'string', enum: BROADCAST_RECIPIENT_STATUSES },
+        message_id: nullable(INTEGER),
+        error: nullable(STRING),
+        processed_at: nullable(TIMESTAMP)
+      }
+    },
+    OutboundMessage: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        message_id: INTEGER,
+        session: STRING,
+        to: STRING,
+        message: nullable(STRING),
+        media: ref('MediaSummary'),
+        reply_to: nullable(INTEGER),
+        status: { type: 'string', enum: OUTBOUND_QUEUE_STATUSES },
+        attempts: INTEGER,
+        next_attempt_at: nullable(TIMESTAMP),
+        error: nullable(STRING),
+        created_at: TIMESTAMP,
+        processed_at: nullable(TIMESTAMP)
+      }
+    },
+    QueuedMessage: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', description: 'Message ID' },
+        queueId: INTEGER,
+        to: STRING,
+        status: { type: 'string', enum: ['queued'] }
+      }
+    },
+    TemplateVariant: {
+      type: 'object',
+      required: ['language'],
+      description: 'Text, media or both',
+      properties: {
+        language: LANGUAGE,
+        text: nullable({ type: 'string', maxLength: TEMPLATE_LIMITS.text, description: 'Text with {{placeholders}}' }),
+        media: ref('OutgoingMedia')
+      }
+    },
+    Template: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        name: STRING,
+        default_language: STRING,
+        languages: arrayOf(STRING),
+        placeholders: arrayOf(STRING),
+        variants: arrayOf({
+          type: 'object',
+          properties: {
+            language: STRING,
+            text: nullable(STRING),
+            media: ref('MediaSummary'),
+            placeholders: arrayOf(STRING)
+          }
+        }),
+        created_at: TIMESTAMP,
+        updated_at: TIMESTAMP
+      }
+    },
+    AutoReplyMatch: {
+      type: 'object',
+      description: 'Conditions a message must all meet; no conditions match every message',
+      properties: {
+        keywords: arrayOf({ type: 'string', minLength: 1, maxLength: AUTO_REPLY_LIMITS.keyword },
+          { minItems: 1, maxItems: AUTO_REPLY_LIMITS.keywords, description: 'Any of these whole words or phrases' }),
+        pattern: { type: 'string', minLength: 1, maxLength: AUTO_REPLY_LIMITS.pattern, description: 'Case-insensitive regular expression' },
+        senders: arrayOf(PHONE_OR_JID, { minItems: 1, maxItems: AUTO_REPLY_LIMITS.senders }),
+        mediaTypes: arrayOf({ type: 'string', enum: AUTO_REPLY_MEDIA_TYPES }, { minItems: 1 }),
+        groups: { type: 'boolean', description: 'Also match group messages (default false)' }
+      }
+    },
+    AutoReplyAction: {
+      type: 'object',
+      required: ['type'],
+      description: 'reply: text or templateId (+ language); set_status: status; forward: webhookId',
+      properties: {
+        type: { type: 'string', enum: Object.keys(AUTO_REPLY_ACTIONS) },
+        text: { type: 'string', minLength: 1, maxLength: TEMPLATE_LIMITS.text, description: 'May use {{name}} and {{phone}}' },
+        templateId: POSITIVE_ID,
+        language: LANGUAGE,
+        status: { type: 'string', enum: AUTO_REPLY_STATUSES },
+        webhookId: POSITIVE_ID
+      }
+    },
+    AutoReplyRuleInput: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: AUTO_REPLY_LIMITS.name },
+        enabled: BOOLEAN,
+        priority: { type: 'integer', minimum: -AUTO_REPLY_LIMITS.priority, maximum: AUTO_REPLY_LIMITS.priority, description: 'Higher runs first' },
+        session: nullable({ ...SESSION_ID, description: 'Only messages of this session (null = all sessions)' }),
+        cooldownSeconds: { type: 'integer', minimum: 0, maximum: AUTO_REPLY_LIMITS.cooldownSeconds, description: `Per contact (default ${AUTO_REPLY_DEFAULT_COOLDOWN_SECONDS})` },
+        match: ref('AutoReplyMatch'),
+        action: ref('AutoReplyAction')
+      }
+    },
+    AutoReplyRule: {
+      type: 'object',
+      properties: {
+        id: INTEGER,
+        name: STRING,
+        enabled: BOOLEAN,
+        priority: INTEGER,
+        session: nullable(STRING),
+        match: { type: 'object' },
+        action: { type: 'object' },
+        cooldown_seconds: INTEGER,
+        trigger_count: INTEGER,
+        last_triggered_at: nullable(TIMESTAMP),
+        created_at: TIMESTAMP,
+        updated_at: TIMESTAMP
+      }
+    },
+    RetentionRule: {
+      type: 'object',
+      required: ['target', 'olderThanDays'],
+      properties: {
+        target: { type: 'string', enum: RETENTION_TARGETS, description: 'media: delete media files of incoming messages; messages: delete messages' },
+        olderThanDays: { type: 'integer', minimum: 1, maximum: RETENTION_LIMITS.days },
+        status: nullable(arrayOf({ type: 'string', enum: RETENTION_STATUSES }, { minItems: 1 })),
+        direction: nullable({ type: 'string', enum: RETENTION_DIRECTIONS, description: 'messages rules only' }),
+        session: nullable(SESSION_ID)
+      }
+    },
+    RetentionResult: {
+      type: 'object',
+      properties: {
+        dryRun: BOOLEAN,
+        totals: {
+          type: 'object',
+          properties: { messages: INTEGER, mediaFiles: INTEGER, bytes: INTEGER }
+        },
+        rules: arrayOf({
+          allOf: [
+            ref('RetentionRule'),
+            {
+              type: 'object',
+              properties: { cutoffAt: TIMESTAMP, messages: INTEGER, mediaFiles: INTEGER, bytes: INTEGER }
+            }
+          ]
+        })
+      }
+    }
+  }
+};
+
+/**
+ * Describe a JSON success response
+ * @param {string} description - Response description
+ * @param {object|null} data - Schema of data (null when there is none)
+ * @param {object} fields - Other fields of the response (e.g. { paging })
+ * @returns {object} OpenAPI response
+ */
+function success(description, data, fields = {}) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            ...(data ? { data } : {}),
+            ...fields
+          }
+        }
+      }
+    }
+  };
+}
+
+const MESSAGE_FIELD = { message: STRING };
+const PAGING_FIELD = { paging: ref('Paging') };
+
+const pathParameter = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+const queryParameter = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const idParameter = (resource) => pathParameter('id', POSITIVE_ID, `${resource} ID`);
+const statusParameter = (statuses) => queryParameter('status', { type: 'string', enum: statuses }, 'Only items with this status');
+
+const PAGINATION_PARAMETERS = [
+  queryParameter('cursor', { type: 'integer', minimum: 0 }, 'paging.nextCursor of the previous page'),
+  queryParameter('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, `Page size (default 50, max ${MAX_PAGE_SIZE})`)
+];
+
+const MESSAGE_FILTER_PARAMETERS = [
+  queryParameter('direction', { type: 'string', enum: MESSAGE_DIRECTIONS }),
+  queryParameter('status', arrayOf({ type: 'string', enum: MESSAGE_STATUSES }, { minItems: 1 }), 'One or more statuses, comma-separated'),
+  queryParameter('phone', STRING, 'Phone number or JID of the chat'),
+  queryParameter('senderName', STRING, 'Part of the sender name'),
+  queryParameter('mediaType', { type: 'string', pattern: '^[a-z]+$', 'x-error': 'must be a media type such as image or document' }),
+  queryParameter('from', STRING, 'ISO 8601 date or date-time; a plain date starts at midnight, no zone = request timezone'),
+  queryParameter('to', STRING, 'ISO 8601 date or date-time; a plain date covers the whole day')
+];
+
+const PHONE_PARAMETER = pathParameter('phone', STRING, 'Phone number or JID');
+
+// Operations in route order; session-scoped ones are also served under /sessions/{sessionId}
+// auth: 'public', 'basic' (dashboard credentials) or 'apiKey' (with scope, or any key when scope is null)
+const OPERATIONS = [
+  {
+    id: 'getHealth',
+    method: 'get',
+    path: '/health',
+    tag: 'System',
+    summary: 'Health check',
+    auth: 'public',
+    responses: { 200: success('Server is running', null, { message: STRING, version: STRING }) }
+  },
+  {
+    id: 'getQrCode',
+    method: 'get',
+    path: '/qr',
+    sessionScoped: true,
+    tag: 'Sessions',
+    summary: 'Get the QR code to link WhatsApp',
+    auth: 'public',
+    responses: { 200: success('QR code as a data URL', { type: 'object', properties: { qr: STRING, message: STRING } }) },
+    errors: { 400: 'Already connected, or no QR code yet' }
+  },
+  {
+    id: 'getConfig',
+    method: 'get',
+    path: '/config',
+    tag: 'System',
+    summary: 'Get configuration and counters',
+    auth: 'basic',
+    responses: {
+      200: success('Configuration', {
+        type: 'object',
+        properties: {
+          activeApiKeys: INTEGER,
+          connected: BOOLEAN,
+          phone: nullable(STRING),
+          messageCount: INTEGER,
+          ignoreGroups: BOOLEAN,
+          timezone: STRING
+        }
+      })
+    }
+  },
+  {
+    id: 'getStatus',
+    method: 'get',
+    path: '/status',
+    sessionScoped: true,
+    tag: 'Sessions',
+    summary: 'Get the connection status',
+    auth: 'apiKey',
+    scope: null,
+    responses: {
+      200: success('Status', {
+        type: 'object',
+        properties: { session: STRING, connected: BOOLEAN, phone: nullable(STRING), messageCount: INTEGER }
+      })
+    }
+  },
+  {
+    id: 'logout',
+    method: 'post',
+    path: '/logout',
+    sessionScoped: true,
+    tag: 'Sessions',
+    summary: 'Log WhatsApp out',
+    description: 'Deletes the session credentials and reconnects to show a new QR code',
+    auth: 'apiKey',
+    scope: 'logout',
+    responses: { 200: success('Logged out', null, MESSAGE_FIELD) },
+    errors: { 400: 'Not connected' }
+  },
+  {
+    id: 'getInbox',
+    method: 'get',
+    path: '/inbox',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Get unread incoming messages',
+    auth: 'apiKey',
+    scope: 'inbox',
+    responses: { 200: success('Unread messages, newest first', arrayOf(ref('InboxMessage'))) }
+  },
+  {
+    id: 'replyToMessage',
+    method: 'post',
+    path: '/messages/{id}/reply',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Reply to a message',
+    description: 'Group messages are answered in the group. With queue: true the reply goes through the outbound queue.',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Message')],
+    body: {
+      type: 'object',
+      anyOf: CONTENT_REQUIRED,
+      properties: {
+        ...CONTENT_PROPERTIES,
+        queue: nullable({ type: 'boolean', description: 'Send through the outbound queue (default: OUTBOUND_QUEUE)' })
+      }
+    },
+    responses: {
+      200: success('Reply sent', null, MESSAGE_FIELD),
+      202: success('Reply queued', ref('QueuedMessage'), MESSAGE_FIELD)
+    },
+    errors: { 404: 'Message, template or stored media not found' }
+  },
+  {
+    id: 'sendMessage',
+    method: 'post',
+    path: '/messages/send',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Send a message to any number',
+    auth: 'apiKey',
+    scope: 'send',
+    body: {
+      type: 'object',
+      required: ['to'],
+      anyOf: CONTENT_REQUIRED,
+      properties: {
+        to: { type: 'string', description: 'Phone number with country code, or a user or group JID', example: '919876543210' },
+        ...CONTENT_PROPERTIES,
+        queue: nullable({ type: 'boolean', description: 'Send through the outbound queue (default: OUTBOUND_QUEUE)' })
+      }
+    },
+    responses: {
+      200: success('Message sent', { type: 'object', properties: { id: INTEGER, whatsappId: STRING, to: STRING } }, MESSAGE_FIELD),
+      202: success('Message queued', ref('QueuedMessage'), MESSAGE_FIELD)
+    },
+    errors: { 404: 'Template or stored media not found' }
+  },
+  {
+    id: 'updateMessageStatus',
+    method: 'patch',
+    path: '/messages/{id}/status',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Update the status of a message',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [idParameter('Message')],
+    body: {
+      type: 'object',
+      required: ['status'],
+      properties: { status: { type: 'string', enum: MESSAGE_STATUSES } }
+    },
+    responses: { 200: success('Status updated', null, MESSAGE_FIELD) },
+    errors: { 404: 'Message not found' }
+  },
+  {
+    id: 'getWebhook',
+    method: 'get',
+    path: '/webhook',
+    tag: 'Webhooks',
+    summary: 'Get the dashboard webhook',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: {
+      200: success('Webhook subscribed to message.received, or null', nullable({
+        type: 'object',
+        properties: { id: INTEGER, url: STRING, event: STRING, secret: STRING, active: INTEGER, created_at: TIMESTAMP }
+      }))
+    }
+  },
+  {
+    id: 'setWebhook',
+    method: 'post',
+    path: '/webhook',
+    tag: 'Webhooks',
+    summary: 'Set the dashboard webhook',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', format: 'uri' } }
+    },
+    responses: { 200: success('Webhook configured', { type: 'object', properties: { url: STRING, secret: STRING } }, MESSAGE_FIELD) }
+  },
+  {
+    id: 'rotateWebhookSecret',
+    method: 'post',
+    path: '/webhook/secret',
+    tag: 'Webhooks',
+    summary: 'Rotate the dashboard webhook secret',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: { 200: success('New secret', { type: 'object', properties: { secret: STRING } }, MESSAGE_FIELD) },
+    errors: { 404: 'No webhook configured' }
+  },
+  {
+    id: 'deleteWebhook',
+    method: 'delete',
+    path: '/webhook',
+    tag: 'Webhooks',
+    summary: 'Delete the dashboard webhook',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: { 200: success('Webhook deleted', null, MESSAGE_FIELD) }
+  },
+  {
+    id: 'listWebhookDeliveries',
+    method: 'get',
+    path: '/webhook/deliveries',
+    tag: 'Webhooks',
+    summary: 'List webhook deliveries',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    parameters: [
+      statusParameter(WEBHOOK_DELIVERY_STATUSES),
+      queryParameter('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, `Page size (default 50, max ${MAX_PAGE_SIZE})`),
+      queryParameter('offset', { type: 'integer', minimum: 0 })
+    ],
+    responses: { 200: success('Deliveries, newest first', arrayOf(ref('WebhookDelivery'))) }
+  },
+  {
+    id: 'replayDeadWebhookDeliveries',
+    method: 'post',
+    path: '/webhook/deliveries/replay',
+    tag: 'Webhooks',
+    summary: 'Replay all dead webhook deliveries',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: { 200: success('Deliveries queued again', { type: 'object', properties: { replayed: INTEGER } }, MESSAGE_FIELD) }
+  },
+  {
+    id: 'replayWebhookDelivery',
+    method: 'post',
+    path: '/webhook/deliveries/{id}/replay',
+    tag: 'Webhooks',
+    summary: 'Replay a dead webhook delivery',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    parameters: [idParameter('Delivery')],
+    responses: { 200: success('Delivery queued again', null, MESSAGE_FIELD) },
+    errors: { 404: 'Delivery not found' }
+  },
+  {
+    id: 'listWebhookEvents',
+    method: 'get',
+    path: '/webhooks/events',
+    tag: 'Webhooks',
+    summary: 'List webhook event types',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: {
+      200: success('Event types', arrayOf({ type: 'object', properties: { event: STRING, description: STRING } }))
+    }
+  },
+  {
+    id: 'listWebhooks',
+    method: 'get',
+    path: '/webhooks',
+    tag: 'Webhooks',
+    summary: 'List webhook subscriptions',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    responses: { 200: success('Subscriptions', arrayOf(ref('Webhook'))) }
+  },
+  {
+    id: 'createWebhook',
+    method: 'post',
+    path: '/webhooks',
+    tag: 'Webhooks',
+    summary: 'Create a webhook subscription',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    body: {
+      type: 'object',
+      required: ['url', 'events'],
+      properties: {
+        url: { type: 'string', format: 'uri' },
+        events: arrayOf({ type: 'string', enum: ['*', ...Object.keys(WEBHOOK_EVENTS)] }, { minItems: 1, description: '"*" subscribes to all events' })
+      }
+    },
+    responses: { 201: success('Subscription created', ref('Webhook'), MESSAGE_FIELD) }
+  },
+  {
+    id: 'updateWebhook',
+    method: 'patch',
+    path: '/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Update a webhook subscription',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    parameters: [idParameter('Webhook')],
+    body: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri' },
+        events: arrayOf({ type: 'string', enum: ['*', ...Object.keys(WEBHOOK_EVENTS)] }, { minItems: 1 }),
+        active: { type: 'boolean', description: 'false pauses the subscription' }
+      }
+    },
+    responses: { 200: success('Subscription updated', ref('Webhook'), MESSAGE_FIELD) },
+    errors: { 404: 'Webhook not found' }
+  },
+  {
+    id: 'rotateWebhookSubscriptionSecret',
+    method: 'post',
+    path: '/webhooks/{id}/secret',
+    tag: 'Webhooks',
+    summary: 'Rotate a webhook subscription secret',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    parameters: [idParameter('Webhook')],
+    responses: { 200: success('New secret', { type: 'object', properties: { secret: STRING } }, MESSAGE_FIELD) },
+    errors: { 404: 'Webhook not found' }
+  },
+  {
+    id: 'deleteWebhookSubscription',
+    method: 'delete',
+    path: '/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Delete a webhook subscription',
+    auth: 'apiKey',
+    scope: 'webhooks',
+    parameters: [idParameter('Webhook')],
+    responses: { 200: success('Subscription deleted', null, MESSAGE_FIELD) },
+    errors: { 404: 'Webhook not found' }
+  },
+  {
+    id: 'getMessage',
+    method: 'get',
+    path: '/messages/{id}',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Get a message with its delivery timeline',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [idParameter('Message')],
+    responses: { 200: success('Message', ref('MessageWithTimeline')) },
+    errors: { 404: 'Message not found' }
+  },
+  {
+    id: 'listSessions',
+    method: 'get',
+    path: '/sessions',
+    tag: 'Sessions',
+    summary: 'List sessions',
+    auth: 'basic',
+    responses: { 200: success('Sessions', arrayOf(ref('Session'))) }
+  },
+  {
+    id: 'createSession',
+    method: 'post',
+    path: '/sessions',
+    tag: 'Sessions',
+    summary: 'Create and start a session',
+    description: 'Scan its QR code at /sessions/{sessionId}/qr',
+    auth: 'basic',
+    body: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: SESSION_ID }
+    },
+    responses: { 201: success('Session created', ref('Session'), MESSAGE_FIELD) },
+    errors: { 409: 'Session already exists' }
+  },
+  {
+    id: 'getSession',
+    method: 'get',
+    path: '/sessions/{sessionId}',
+    tag: 'Sessions',
+    summary: 'Get a session',
+    auth: 'basic',
+    parameters: [pathParameter('sessionId', SESSION_ID, 'Session ID')],
+    responses: { 200: success('Session', ref('Session')) },
+    errors: { 404: 'Session not found' }
+  },
+  {
+    id: 'startSession',
+    method: 'post',
+    path: '/sessions/{sessionId}/start',
+    tag: 'Sessions',
+    summary: 'Start a session',
+    auth: 'basic',
+    parameters: [pathParameter('sessionId', SESSION_ID, 'Session ID')],
+    responses: { 200: success('Session started', ref('Session'), MESSAGE_FIELD) },
+    errors: { 404: 'Session not found' }
+  },
+  {
+    id: 'stopSession',
+    method: 'post',
+    path: '/sessions/{sessionId}/stop',
+    tag: 'Sessions',
+    summary: 'Stop a session',
+    description: 'Disconnects without logging out; the session can be started again without a QR scan',
+    auth: 'basic',
+    parameters: [pathParameter('sessionId', SESSION_ID, 'Session ID')],
+    responses: { 200: success('Session stopped', ref('Session'), MESSAGE_FIELD) },
+    errors: { 404: 'Session not found' }
+  },
+  {
+    id: 'deleteSession',
+    method: 'delete',
+    path: '/sessions/{sessionId}',
+    tag: 'Sessions',
+    summary: 'Delete a session',
+    description: 'Logs out and removes the session; stored messages are kept. The default session cannot be deleted.',
+    auth: 'basic',
+    parameters: [pathParameter('sessionId', SESSION_ID, 'Session ID')],
+    responses: { 200: success('Session deleted', null, MESSAGE_FIELD) },
+    errors: { 404: 'Session not found' }
+  },
+  {
+    id: 'listApiKeyScopes',
+    method: 'get',
+    path: '/keys/scopes',
+    tag: 'API keys',
+    summary: 'List API key scopes',
+    auth: 'basic',
+    responses: { 200: success('Scopes', arrayOf({ type: 'object', properties: { name: STRING, description: STRING } })) }
+  },
+  {
+    id: 'listApiKeys',
+    method: 'get',
+    path: '/keys',
+    tag: 'API keys',
+    summary: 'List API keys',
+    auth: 'basic',
+    responses: { 200: success('API keys (only their prefix)', arrayOf(ref('ApiKey'))) }
+  },
+  {
+    id: 'createApiKey',
+    method: 'post',
+    path: '/keys',
+    tag: 'API keys',
+    summary: 'Create an API key',
+    description: 'The key is only returned in this response',
+    auth: 'basic',
+    body: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: {
+        name: { type: 'string', pattern: '\\S', 'x-error': 'must be a non-empty string' },
+        scopes: arrayOf({ type: 'string', enum: ['*', ...Object.keys(API_KEY_SCOPES)] }, { minItems: 1, description: '"*" grants every scope' }),
+        expiresAt: nullable({ ...TIMESTAMP, description: 'Expiry in the future (default: never)' })
+      }
+    },
+    responses: {
+      201: success('API key created', {
+        allOf: [ref('ApiKey'), { type: 'object', properties: { key: STRING } }]
+      }, MESSAGE_FIELD)
+    }
+  },
+  {
+    id: 'rotateApiKey',
+    method: 'post',
+    path: '/keys/{id}/rotate',
+    tag: 'API keys',
+    summary: 'Rotate an API key',
+    description: 'Issues a new key with the same name, scopes and expiry; the old key keeps working for graceHours',
+    auth: 'basic',
+    parameters: [idParameter('API key')],
+    body: {
+      type: 'object',
+      properties: {
+        graceHours: { type: 'number', minimum: 0, description: 'Default: API_KEY_ROTATION_GRACE_HOURS; 0 revokes the old key now' }
+      }
+    },
+    responses: {
+      200: success('New key', {
+        allOf: [
+          ref('ApiKey'),
+          { type: 'object', properties: { key: STRING, previous: ref('ApiKey'), previousExpiresAt: nullable(TIMESTAMP) } }
+        ]
+      }, MESSAGE_FIELD)
+    },
+    errors: { 404: 'API key not found' }
+  },
+  {
+    id: 'revokeApiKey',
+    method: 'delete',
+    path: '/keys/{id}',
+    tag: 'API keys',
+    summary: 'Revoke an API key',
+    auth: 'basic',
+    parameters: [idParameter('API key')],
+    responses: { 200: success('API key revoked', null, MESSAGE_FIELD) },
+    errors: { 404: 'API key not found' }
+  },
+  {
+    id: 'listConversations',
+    method: 'get',
+    path: '/conversations',
+    sessionScoped: true,
+    tag: 'Conversations',
+    summary: 'List conversations',
+    description: 'One row per chat, most recent activity first',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: PAGINATION_PARAMETERS,
+    responses: { 200: success('Conversations', arrayOf(ref('Conversation')), PAGING_FIELD) }
+  },
+  {
+    id: 'getConversationMessages',
+    method: 'get',
+    path: '/conversations/{phone}/messages',
+    sessionScoped: true,
+    tag: 'Conversations',
+    summary: 'Get the messages of a conversation',
+    description: 'Both directions, oldest to newest within a page; the next page has older messages',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [PHONE_PARAMETER, ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Messages', arrayOf(ref('Message')), PAGING_FIELD) }
+  },
+  {
+    id: 'searchMessages',
+    method: 'get',
+    path: '/messages/search',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'Search messages',
+    description: 'Full-text search, newest first',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [
+      queryParameter('q', { type: 'string', pattern: '\\S', 'x-error': 'must not be empty' }, 'Words or "phrases"; word* matches prefixes', true),
+      ...MESSAGE_FILTER_PARAMETERS,
+      ...PAGINATION_PARAMETERS
+    ],
+    responses: { 200: success('Matching messages', arrayOf(ref('Message')), PAGING_FIELD) }
+  },
+  {
+    id: 'listMessages',
+    method: 'get',
+    path: '/messages',
+    sessionScoped: true,
+    tag: 'Messages',
+    summary: 'List messages',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [
+      ...MESSAGE_FILTER_PARAMETERS,
+      queryParameter('order', { type: 'string', enum: ['asc', 'desc'] }, 'asc replays oldest first (default desc)'),
+      ...PAGINATION_PARAMETERS
+    ],
+    responses: { 200: success('Messages', arrayOf(ref('Message')), PAGING_FIELD) }
+  },
+  {
+    id: 'listContacts',
+    method: 'get',
+    path: '/contacts',
+    tag: 'Contacts',
+    summary: 'List contacts',
+    auth: 'apiKey',
+    scope: 'contacts',
+    parameters: [
+      queryParameter('search', STRING, 'Part of a name, JID or external ID'),
+      ...PAGINATION_PARAMETERS
+    ],
+    responses: { 200: success('Contacts, most recently added first', arrayOf(ref('Contact')), PAGING_FIELD) }
+  },
+  {
+    id: 'getContact',
+    method: 'get',
+    path: '/contacts/{jid}',
+    tag: 'Contacts',
+    summary: 'Get a contact',
+    auth: 'apiKey',
+    scope: 'contacts',
+    parameters: [pathParameter('jid', STRING, 'Phone number, JID or LID')],
+    responses: { 200: success('Contact', ref('Contact')) },
+    errors: { 404: 'Contact not found' }
+  },
+  {
+    id: 'updateContact',
+    method: 'patch',
+    path: '/contacts/{jid}',
+    tag: 'Contacts',
+    summary: 'Update the details of a contact',
+    description: 'Creates the contact if needed; null or an empty string clears a field',
+    auth: 'apiKey',
+    scope: 'contacts',
+    parameters: [pathParameter('jid', STRING, 'Phone number, JID or LID')],
+    body: {
+      type: 'object',
+      anyOf: Object.keys(CONTACT_DETAIL_LIMITS).map((name) => ({ required: [name] })),
+      properties: Object.fromEntries(Object.entries(CONTACT_DETAIL_LIMITS).map(([name, maxLength]) => (
+        [name, nullable({ type: 'string', maxLength })]
+      )))
+    },
+    responses: { 200: success('Contact', ref('Contact')) }
+  },
+  {
+    id: 'updateConfig',
+    method: 'patch',
+    path: '/config',
+    tag: 'System',
+    summary: 'Update configuration',
+    auth: 'basic',
+    body: {
+      type: 'object',
+      required: ['ignoreGroups'],
+      properties: { ignoreGroups: { type: 'boolean', description: 'Drop incoming group messages' } }
+    },
+    responses: { 200: success('Configuration', { type: 'object', properties: { ignoreGroups: BOOLEAN } }) }
+  },
+  {
+    id: 'scheduleMessage',
+    method: 'post',
+    path: '/scheduled',
+    sessionScoped: true,
+    tag: 'Scheduled messages',
+    summary: 'Schedule a message',
+    auth: 'apiKey',
+    scope: 'send',
+    body: {
+      type: 'object',
+      required: ['to', 'sendAt'],
+      anyOf: CONTENT_REQUIRED,
+      properties: {
+        to: { type: 'string', description: 'Phone number with country code, or a user or group JID' },
+        sendAt: { type: 'string', description: 'ISO 8601 date-time in the future; without a zone it is read in the request timezone', example: '2024-05-01T09:00:00+05:30' },
+        whenDisconnected: { type: 'string', enum: Object.keys(WHEN_DISCONNECTED_POLICIES), description: 'Default: SCHEDULED_WHEN_DISCONNECTED' },
+        ...CONTENT_PROPERTIES
+      }
+    },
+    responses: { 201: success('Message scheduled', ref('ScheduledMessage')) },
+    errors: { 404: 'Template not found' }
+  },
+  {
+    id: 'listScheduledMessages',
+    method: 'get',
+    path: '/scheduled',
+    sessionScoped: true,
+    tag: 'Scheduled messages',
+    summary: 'List scheduled messages',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [statusParameter(SCHEDULED_STATUSES), ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Scheduled messages, newest first', arrayOf(ref('ScheduledMessage')), PAGING_FIELD) }
+  },
+  {
+    id: 'getScheduledMessage',
+    method: 'get',
+    path: '/scheduled/{id}',
+    sessionScoped: true,
+    tag: 'Scheduled messages',
+    summary: 'Get a scheduled message',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Scheduled message')],
+    responses: { 200: success('Scheduled message', ref('ScheduledMessage')) },
+    errors: { 404: 'Scheduled message not found' }
+  },
+  {
+    id: 'cancelScheduledMessage',
+    method: 'delete',
+    path: '/scheduled/{id}',
+    sessionScoped: true,
+    tag: 'Scheduled messages',
+    summary: 'Cancel a scheduled message',
+    description: 'Only pending messages can be cancelled',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Scheduled message')],
+    responses: { 200: success('Cancelled message', ref('ScheduledMessage')) },
+    errors: { 404: 'Scheduled message not found', 409: 'Scheduled message is no longer pending' }
+  },
+  {
+    id: 'createBroadcast',
+    method: 'post',
+    path: '/broadcasts',
+    sessionScoped: true,
+    tag: 'Broadcasts',
+    summary: 'Create a broadcast',
+    description: 'Sends one message to many recipients in the background, with {{placeholders}} filled per recipient',
+    auth: 'apiKey',
+    scope: 'send',
+    body: {
+      type: 'object',
+      required: ['recipients'],
+      anyOf: CONTENT_REQUIRED,
+      properties: {
+        name: nullable({ type: 'string', maxLength: BROADCAST_LIMITS.name }),
+        recipients: arrayOf({
+          anyOf: [
+            STRING,
+            INTEGER,
+            { type: 'object', required: ['to'], properties: { to: PHONE_OR_JID, variables: VARIABLES } }
+          ]
+        }, { minItems: 1, maxItems: BROADCAST_LIMITS.recipients, description: 'Phone numbers / JIDs, or { to, variables } objects' }),
+        message: CONTENT_PROPERTIES.message,
+        image: CONTENT_PROPERTIES.image,
+        media: CONTENT_PROPERTIES.media,
+        templateId: CONTENT_PROPERTIES.templateId,
+        language: CONTENT_PROPERTIES.language,
+        ratePerMinute: nullable({ type: 'integer', minimum: 1, maximum: BROADCAST_LIMITS.ratePerMinute, description: 'Default: BROADCAST_RATE_PER_MINUTE' }),
+        jitterSeconds: nullable({ type: 'integer', minimum: 0, maximum: BROADCAST_LIMITS.jitterSeconds, description: 'Default: BROADCAST_JITTER_SECONDS' })
+      }
+    },
+    responses: { 201: success('Broadcast created', ref('Broadcast')) },
+    errors: { 404: 'Template not found' }
+  },
+  {
+    id: 'listBroadcasts',
+    method: 'get',
+    path: '/broadcasts',
+    sessionScoped: true,
+    tag: 'Broadcasts',
+    summary: 'List broadcasts',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [statusParameter(BROADCAST_STATUSES), ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Broadcasts, newest first', arrayOf(ref('Broadcast')), PAGING_FIELD) }
+  },
+  {
+    id: 'getBroadcast',
+    method: 'get',
+    path: '/broadcasts/{id}',
+    sessionScoped: true,
+    tag: 'Broadcasts',
+    summary: 'Get the progress of a broadcast',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Broadcast')],
+    responses: { 200: success('Broadcast', ref('Broadcast')) },
+    errors: { 404: 'Broadcast not found' }
+  },
+  {
+    id: 'listBroadcastRecipients',
+    method: 'get',
+    path: '/broadcasts/{id}/recipients',
+    sessionScoped: true,
+    tag: 'Broadcasts',
+    summary: 'List the recipients of a broadcast',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Broadcast'), statusParameter(BROADCAST_RECIPIENT_STATUSES), ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Recipients in sending order', arrayOf(ref('BroadcastRecipient')), PAGING_FIELD) },
+    errors: { 404: 'Broadcast not found' }
+  },
+  ...[['pause', 'Pause a broadcast'], ['resume', 'Resume a paused broadcast'], ['cancel', 'Cancel a broadcast']].map(([action, summary]) => ({
+    id: `${action}Broadcast`,
+    method: 'post',
+    path: `/broadcasts/{id}/${action}`,
+    sessionScoped: true,
+    tag: 'Broadcasts',
+    summary,
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [idParameter('Broadcast')],
+    responses: { 200: success('Broadcast', ref('Broadcast')) },
+    errors: { 404: 'Broadcast not found', 409: `The broadcast cannot ${action} in its current state` }
+  })),
+  {
+    id: 'listOutboundQueue',
+    method: 'get',
+    path: '/queue',
+    sessionScoped: true,
+    tag: 'Outbound queue',
+    summary: 'List the outbound queue',
+    auth: 'apiKey',
+    scope: 'send',
+    parameters: [statusParameter(OUTBOUND_QUEUE_STATUSES), ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Queue items, oldest first', arrayOf(ref('OutboundMessage')), PAGING_FIELD) }
+  },
+  {
+    id: 'listTemplates',
+    method: 'get',
+    path: '/templates',
+    tag: 'Templates',
+    summary: 'List templates',
+    auth: 'apiKey',
+    scope: 'templates',
+    parameters: [queryParameter('search', STRING, 'Part of the name'), ...PAGINATION_PARAMETERS],
+    responses: { 200: success('Templates', arrayOf(ref('Template')), PAGING_FIELD) }
+  },
+  {
+    id: 'createTemplate',
+    method: 'post',
+    path: '/templates',
+    tag: 'Templates',
+    summary: 'Create a template',
+    auth: 'apiKey',
+    scope: 'templates',
+    body: {
+      type: 'object',
+      required: ['name', 'variants'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: TEMPLATE_LIMITS.name },
+        defaultLanguage: { ...LANGUAGE, description: 'Default: the first variant' },
+        variants: arrayOf(ref('TemplateVariant'), { minItems: 1, maxItems: TEMPLATE_LIMITS.variants })
+      }
+    },
+    responses: { 201: success('Template created', ref('Template')) },
+    errors: { 409: 'A template with this name already exists' }
+  },
+  {
+    id: 'getTemplate',
+    method: 'get',
+    path: '/templates/{id}',
+    tag: 'Templates',
+    summary: 'Get a template',
+    auth: 'apiKey',
+    scope: 'templates',
+    parameters: [idParameter('Template')],
+    responses: { 200: success('Template', ref('Template')) },
+    errors: { 404: 'Template not found' }
+  },
+  {
+    id: 'updateTemplate',
+    method: 'patch',
+    path: '/templates/{id}',
+    tag: 'Templates',
+    summary: 'Update a template',
+    description: 'Only provided fields change; variants replaces all language variants',
+    auth: 'apiKey',
+    scope: 'templates',
+    parameters: [idParameter('Template')],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: TEMPLATE_LIMITS.name },
+        defaultLanguage: LANGUAGE,
+        variants: arrayOf(ref('TemplateVariant'), { minItems: 1, maxItems: TEMPLATE_LIMITS.variants })
+      }
+    },
+    responses: { 200: success('Template', ref('Template')) },
+    errors: { 404: 'Template not found', 409: 'A template with this name already exists' }
+  },
+  {
+    id: 'deleteTemplate',
+    method: 'delete',
+    path: '/templates/{id}',
+    tag: 'Templates',
+    summary: 'Delete a template',
+    auth: 'apiKey',
+    scope: 'templates',
+    parameters: [idParameter('Template')],
+    responses: { 200: success('Template deleted', null, MESSAGE_FIELD) },
+    errors: { 404: 'Template not found' }
+  },
+  {
+    id: 'listAutoReplyRules',
+    method: 'get',
+    path: '/rules',
+    tag: 'Auto-reply rules',
+    summary: 'List auto-reply rules',
+    auth: 'apiKey',
+    scope: 'rules',
+    responses: { 200: success('Rules in evaluation order', arrayOf(ref('AutoReplyRule'))) }
+  },
+  {
+    id: 'createAutoReplyRule',
+    method: 'post',
+    path: '/rules',
+    tag: 'Auto-reply rules',
+    summary: 'Create an auto-reply rule',
+    auth: 'apiKey',
+    scope: 'rules',
+    body: { allOf: [ref('AutoReplyRuleInput')], required: ['name', 'action'] },
+    responses: { 201: success('Rule created', ref('AutoReplyRule')) }
+  },
+  {
+    id: 'getAutoReplyRule',
+    method: 'get',
+    path: '/rules/{id}',
+    tag: 'Auto-reply rules',
+    summary: 'Get an auto-reply rule',
+    auth: 'apiKey',
+    scope: 'rules',
+    parameters: [idParameter('Rule')],
+    responses: { 200: success('Rule', ref('AutoReplyRule')) },
+    errors: { 404: 'Rule not found' }
+  },
+  {
+    id: 'updateAutoReplyRule',
+    method: 'patch',
+    path: '/rules/{id}',
+    tag: 'Auto-reply rules',
+    summary: 'Update an auto-reply rule',
+    description: 'Only provided fields change; match and action are replaced as a whole',
+    auth: 'apiKey',
+    scope: 'rules',
+    parameters: [idParameter('Rule')],
+    body: ref('AutoReplyRuleInput'),
+    responses: { 200: success('Rule', ref('AutoReplyRule')) },
+    errors: { 404: 'Rule not found' }
+  },
+  {
+    id: 'deleteAutoReplyRule',
+    method: 'delete',
+    path: '/rules/{id}',
+    tag: 'Auto-reply rules',
+    summary: 'Delete an auto-reply rule',
+    auth: 'apiKey',
+    scope: 'rules',
+    parameters: [idParameter('Rule')],
+    responses: { 200: success('Rule deleted', null, MESSAGE_FIELD) },
+    errors: { 404: 'Rule not found' }
+  },
+  {
+    id: 'testAutoReplyRules',
+    method: 'post',
+    path: '/rules/test',
+    tag: 'Auto-reply rules',
+    summary: 'Test auto-reply rules',
+    description: 'Dry run: shows which rule would handle a message and what it would do; nothing is sent or stored',
+    auth: 'apiKey',
+    scope: 'rules',
+    body: {
+      type: 'object',
+      properties: {
+        text: STRING,
+        from: PHONE_OR_JID,
+        name: nullable({ type: 'string', description: 'Sender name' }),
+        group: { anyOf: [STRING, INTEGER], description: 'Group JID when the message is from a group' },
+        mediaType: { type: 'string', enum: AUTO_REPLY_MEDIA_TYPES },
+        session: SESSION_ID,
+        rule: { allOf: [ref('AutoReplyRuleInput')], required: ['name', 'action'], description: 'Test this unsaved rule on its own' }
+      }
+    },
+    responses: {
+      200: success('Result', {
+        type: 'object',
+        properties: {
+          matched: nullable({ type: 'object', properties: { id: nullable(INTEGER), name: STRING } }),
+          action: nullable({ type: 'object', description: 'What the matched rule would do' }),
+          rules: arrayOf({
+            type: 'object',
+            properties: { id: nullable(INTEGER), name: STRING, matched: BOOLEAN, cooldown_until: nullable(TIMESTAMP) }
+          })
+        }
+      })
+    }
+  },
+  {
+    id: 'getRetentionRules',
+    method: 'get',
+    path: '/retention',
+    tag: 'Retention',
+    summary: 'Get the retention rules',
+    auth: 'basic',
+    responses: {
+      200: success('Rules', { type: 'object', properties: { rules: arrayOf(ref('RetentionRule')), intervalMinutes: INTEGER } })
+    }
+  },
+  {
+    id: 'setRetentionRules',
+    method: 'put',
+    path: '/retention',
+    tag: 'Retention',
+    summary: 'Replace the retention rules',
+    description: 'An empty list keeps everything',
+    auth: 'basic',
+    body: {
+      type: 'object',
+      required: ['rules'],
+      properties: { rules: arrayOf(ref('RetentionRule'), { maxItems: RETENTION_LIMITS.rules }) }
+    },
+    responses: { 200: success('Saved rules', { type: 'object', properties: { rules: arrayOf(ref('RetentionRule')) } }) }
+  },
+  {
+    id: 'previewRetention',
+    method: 'post',
+    path: '/retention/preview',
+    tag: 'Retention',
+    summary: 'Retention dry run',
+    description: 'Reports what the saved rules (or the rules in the body) would delete now; nothing is deleted',
+    auth: 'apiKey',
+    scope: 'inbox',
+    body: {
+      type: 'object',
+      properties: { rules: arrayOf(ref('RetentionRule'), { maxItems: RETENTION_LIMITS.rules }) }
+    },
+    responses: { 200: success('What would be deleted', ref('RetentionResult')) }
+  },
+  {
+    id: 'purgeRetention',
+    method: 'post',
+    path: '/retention/purge',
+    tag: 'Retention',
+    summary: 'Apply the retention rules now',
+    auth: 'basic',
+    responses: { 200: success('What was deleted', ref('RetentionResult')) }
+  },
+  {
+    id: 'exportMessages',
+    method: 'get',
+    path: '/export',
+    sessionScoped: true,
+    tag: 'Export and import',
+    summary: 'Export messages',
+    description: 'Streams messages oldest first; media=true bundles the messages and their media files into a ZIP archive',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [
+      ...MESSAGE_FILTER_PARAMETERS,
+      queryParameter('format', { type: 'string', enum: EXPORT_FORMATS }, 'Default ndjson'),
+      queryParameter('media', BOOLEAN, 'Include media files (ZIP archive)')
+    ],
+    responses: {
+      200: {
+        description: 'Export file',
+        content: {
+          'application/x-ndjson': { schema: { type: 'string', format: 'binary' } },
+          'text/csv': { schema: { type: 'string', format: 'binary' } },
+          'application/zip': { schema: { type: 'string', format: 'binary' } }
+        }
+      }
+    }
+  },
+  {
+    id: 'importMessages',
+    method: 'post',
+    path: '/import',
+    sessionScoped: true,
+    tag: 'Export and import',
+    summary: 'Import messages',
+    description: 'Imports an export file; messages already stored are skipped',
+    auth: 'basic',
+    requestBody: {
+      required: true,
+      content: {
+        'application/x-ndjson': { schema: { type: 'string', format: 'binary' } },
+        'text/csv': { schema: { type: 'string', format: 'binary' } },
+        'application/zip': { schema: { type: 'string', format: 'binary' } }
+      }
+    },
+    responses: {
+      200: success('Import result', {
+        type: 'object',
+        properties: { imported: INTEGER, duplicates: INTEGER, mediaFiles: INTEGER }
+      })
+    },
+    errors: { 400: 'Invalid or empty file', 413: 'File (or the files of a ZIP archive, extracted) larger than IMPORT_MAX_MB' }
+  },
+  {
+    id: 'streamEvents',
+    method: 'get',
+    path: '/events',
+    tag: 'Events',
+    summary: 'Stream live events',
+    description: 'Server-Sent Events, or WebSocket messages when the request is an upgrade. ' +
+      'Every event has an ID; reconnect with it as Last-Event-ID to receive the events missed in between.',
+    auth: 'apiKey',
+    scope: 'inbox',
+    parameters: [
+      queryParameter('session', SESSION_ID, 'Only events of this session'),
+      queryParameter('events', arrayOf({ type: 'string', enum: ['*', ...Object.keys(WEBHOOK_EVENTS)] }, { minItems: 1 }), 'Comma-separated event types (default: all)'),
+      queryParameter('lastEventId', { type: 'string', pattern: '^\\d{1,15}$', 'x-error': 'must be a non-negative integer' }, 'Same as the Last-Event-ID header'),
+      {
+        name: 'Last-Event-ID',
+        in: 'header',
+        description: 'ID of the last event received; the events after it are sent first',
+        schema: { type: 'string', pattern: '^\\d{1,15}$', 'x-error': 'must be a non-negative integer' }
+      }
+    ],
+    responses: {
+      200: {
+        description: 'Event stream (id, event and JSON data per event)',
+        content: { 'text/event-stream': { schema: STRING } }
+      },
+      101: { description: 'WebSocket connection; every message is a JSON event with its id' }
+    }
+  },
+  {
+    id: 'getOpenApiDocument',
+    method: 'get',
+    path: '/openapi.json',
+    tag: 'System',
+    summary: 'Get this OpenAPI document',
+    auth: 'public',
+    responses: { 200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+  }
+];
+
+const OPERATIONS_BY_ID = new Map(OPERATIONS.map((operation) => [operation.id, operation]));
+
+const SESSION_PARAMETER = pathParameter('sessionId', SESSION_ID, 'Session ID (the path without it acts on the default session)');
+
+/**
+ * Describe how an operation is authenticated
+ * @param {object} operation - Operation
+ * @returns {object} { security, description } for the OpenAPI operation
+ */
+function describeAuth(operation) {
+  if (operation.auth === 'public') {
+    return { security: [], description: 'No authentication.' };
+  }
+
+  if (operation.auth === 'basic') {
+    return { security: [{ BasicAuth: [] }], description: 'Requires the dashboard credentials.' };
+  }
+
+  return {
+    security: [{ ApiKey: [] }, { BasicAuth: [] }],
+    description: operation.scope
+      ? `Requires an API key with the \`${operation.scope}\` scope, or the dashboard credentials.`
+      : 'Requires any valid API key, or the dashboard credentials.'
+  };
+}
+
+/**
+ * Build the OpenAPI object of an operation
+ * @param {object} operation - Operation
+ * @param {string} operationId - Operation ID in the document
+ * @param {Array<object>} pathParameters - Parameters of the path prefix (sessionId)
+ * @returns {object} OpenAPI operation
+ */
+function toOperationObject(operation, operationId, pathParameters) {
+  const auth = describeAuth(operation);
+  const parameters = [...pathParameters, ...(operation.parameters || [])];
+  const responses = { ...operation.responses };
+
+  if (parameters.length > 0 || operation.body) {
+    responses[400] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (operation.auth !== 'public') {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (operation.auth === 'apiKey' && operation.scope) {
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+
+  const errors = { ...operation.errors };
+  if (operation.sessionScoped) {
+    errors[404] = errors[404] ? `Session or ${errors[404].charAt(0).toLowerCase()}${errors[404].slice(1)}` : 'Session not found';
+  }
+  for (const [status, description] of Object.entries(errors)) {
+    responses[status] = { description, content: { 'application/json': { schema: ref('Error') } } };
+  }
+
+  return {
+    operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    description: [operation.description, auth.description].filter(Boolean).join('\n\n'),
+    security: auth.security,
+    ...(operation.scope ? { 'x-required-scope': operation.scope } : {}),
+    parameters: [
+      ...parameters,
+      { $ref: '#/components/parameters/Timezone' },
+      { $ref: '#/components/parameters/XTimezone' }
+    ],
+    ...(operation.body ? {
+      requestBody: { required: true, content: { 'application/json': { schema: operation.body } } }
+    } : {}),
+    ...(operation.requestBody ? { requestBody: operation.requestBody } : {}),
+    responses
+  };
+}
+
+/**
+ * Build the OpenAPI document of the API
+ * @param {object} options - { version, serverUrl }
+ * @returns {object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument({ version = '1.0.0', serverUrl = '/api/v1' } = {}) {
+  const paths = {};
+
+  for (const operation of OPERATIONS) {
+    const variants = [[operation.path, operation.id, []]];
+    if (operation.sessionScoped) {
+      variants.push([`/sessions/{sessionId}${operation.path}`, `${operation.id}ForSession`, [SESSION_PARAMETER]]);
+    }
+
+    for (const [path, operationId, pathParameters] of variants) {
+      paths[path] = paths[path] || {};
+      paths[path][operation.method] = toOperationObject(operation, operationId, pathParameters);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'OpenWAPI',
+      version,
+      description: 'Self-hosted WhatsApp API: inbox, replies, templates, broadcasts, webhooks and live events. ' +
+        'Invalid requests are answered with 400 and an errors list naming every invalid field.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(OPERATIONS.map((operation) => operation.tag))].map((name) => ({ name })),
+    paths,
+    components: COMPONENTS
+  };
+}
+
+/**
+ * Format a validation error as a sentence
+ * @param {object} error - { in, field, message }
+ * @returns {string} e.g. "status must be one of: unread, replied"
+ */
+function formatValidationError(error) {
+  return `${error.field || error.in} ${error.message}`;
+}
+
+/**
+ * Collect the validation errors of a request
+ * Query values are converted to their schema types in req.query; empty query values count as absent
+ * @param {object} operation - Operation
+ * @param {object} req - Express request
+ * @returns {Array<object>} Errors: [{ in, field, message }]
+ */
+function collectRequestErrors(operation, req) {
+  const errors = [];
+
+  for (const parameter of operation.parameters || []) {
+    const source = { path: req.params, query: req.query, header: req.headers }[parameter.in];
+    const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+
+    if (parameter.in === 'query' && source[key] === '') {
+      delete source[key];
+    }
+
+    if (source[key] === undefined) {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const value = coerceParameter(parameter.schema, source[key]);
+    const found = validateSchema(parameter.schema, value, { components: COMPONENTS, field: parameter.name });
+    errors.push(...found.map((error) => ({ in: parameter.in, ...error })));
+
+    if (found.length === 0 && parameter.in === 'query') {
+      source[key] = value;
+    }
+  }
+
+  if (operation.body) {
+    const found = validateSchema(operation.body, req.body ?? {}, { components: COMPONENTS });
+    errors.push(...found.map((error) => ({ in: 'body', ...error })));
+  }
+
+  return errors;
+}
+
+/**
+ * Create middleware that validates a request against its operation
+ * Answers 400 with { success: false, error, errors: [{ in, field, message }] } when invalid
+ * @param {string} operationId - Operation ID (see OPERATIONS)
+ * @returns {Function} Express middleware (with its operationId)
+ * @throws {Error} When the operation does not exist
+ */
+function validateRequest(operationId) {
+  const operation = OPERATIONS_BY_ID.get(operationId);
+  if (!operation) {
+    throw new Error(`Unknown operation: ${operationId}`);
+  }
+
+  const middleware = (req, res, next) => {
+    const errors = collectRequestErrors(operation, req).map((error) => ({ ...error, message: formatValidationError(error) }));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0].message,
+        errors
+      });
+    }
+
+    next();
+  };
+  middleware.operationId = operationId;
+
+  return middleware;
+}
+
+module.exports = {
+  MESSAGE_DIRECTIONS,
+  MESSAGE_STATUSES,
+  CONTACT_DETAIL_LIMITS,
+  SCHEDULED_STATUSES,
+  BROADCAST_STATUSES,
+  BROADCAST_RECIPIENT_STATUSES,
+  BROADCAST_LIMITS,
+  OUTBOUND_QUEUE_STATUSES,
+  OPERATIONS,
+  COMPONENTS,
+  buildOpenApiDocument,
+  validateRequest
+};
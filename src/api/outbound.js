@@ -0,0 +1,142 @@
+const {
+  getNextOutboundMessage,
+  recordOutboundAttempt,
+  updateMessageStatus
+} = require('../database');
+const { sendQueuedMessage } = require('./sender');
+const { emitWebhookEvent } = require('./webhooks');
+
+// Queued messages are sent every second while connected; failed sends are retried
+// after 5s, 10s, 20s... (capped at 5 minutes) before the message is marked failed
+const DEFAULT_QUEUE_OPTIONS = {
+  intervalMs: 1000,
+  batchSize: 20,
+  maxAttempts: 5,
+  retryBaseSeconds: 5,
+  mediaPath: './media'
+};
+
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Calculate delay before the next attempt of a queued message
+ * @param {number} attempts - Attempts made so far
+ * @param {number} baseSeconds - Delay after the first attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getQueueRetryDelay(attempts, baseSeconds) {
+  return Math.min(baseSeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Send queued messages of one session in order
+ * Stops at the first message that has to wait for a retry, so later messages never overtake it
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {string} sessionId - Session to drain
+ * @param {object} logger - Logger instance
+ * @param {object} options - { batchSize, maxAttempts, retryBaseSeconds, mediaPath }
+ * @returns {Promise<number>} Messages sent
+ */
+async function drainOutboundQueue(database, sessionManager, sessionId, logger, options = {}) {
+  const { batchSize, maxAttempts, retryBaseSeconds, mediaPath } = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+  let sent = 0;
+
+  for (let i = 0; i < batchSize; i++) {
+    const state = sessionManager.get(sessionId);
+    if (!state || !state.connected || !state.sock) break;
+
+    const queued = getNextOutboundMessage(database, sessionId);
+    if (!queued || (queued.next_attempt_at && queued.next_attempt_at > new Date().toISOString())) break;
+
+    try {
+      // Verify the number is registered on WhatsApp (individual chats only)
+      if (queued.recipient.endsWith('@s.whatsapp.net')) {
+        const [result] = await state.sock.onWhatsApp(queued.recipient);
+        if (!result || !result.exists) {
+          const error = new Error('Number is not registered on WhatsApp');
+          error.status = 400;
+          throw error;
+        }
+      }
+
+      const { whatsappId } = await sendQueuedMessage(database, state.sock, queued, mediaPath);
+      recordOutboundAttempt(database, queued.id, { status: 'sent' });
+
+      if (queued.reply_to_id) {
+        updateMessageStatus(database, queued.reply_to_id, 'replied');
+      }
+
+      logger.info('Queued message sent', { id: queued.message_id, whatsappId, to: queued.recipient });
+      sent++;
+    } catch (error) {
+      const attempts = queued.attempts + 1;
+
+      // Errors with a status (unknown number, missing media) will not go away by retrying
+      if (!error.status && attempts < maxAttempts) {
+        const nextAttemptAt = new Date(Date.now() + getQueueRetryDelay(attempts, retryBaseSeconds)).toISOString();
+        recordOutboundAttempt(database, queued.id, { status: 'queued', error: error.message, nextAttemptAt });
+        logger.error('Queued message failed, will retry:', { id: queued.message_id, attempts, error: error.message });
+        break;
+      }
+
+      recordOutboundAttempt(database, queued.id, { status: 'failed', error: error.message });
+      emitWebhookEvent(database, 'message.failed', {
+        session: sessionId,
+        message: {
+          id: queued.message_id,
+          to: queued.recipient,
+          error: error.message,
+          attempts
+        }
+      });
+      logger.error('Queued message failed:', { id: queued.message_id, attempts, error: error.message });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Start background worker that drains the outbound queue of every connected session
+ * The queue lives in the database, so queued messages are sent after a reconnect or restart
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {object} logger - Logger instance
+ * @param {object} options - { intervalMs, batchSize, maxAttempts, retryBaseSeconds, mediaPath }
+ * @returns {Function} Stop function
+ */
+function startOutboundQueueWorker(database, sessionManager, logger, options = {}) {
+  const queueOptions = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+  const inFlight = new Set();
+
+  const tick = () => {
+    let connected;
+    try {
+      connected = sessionManager.list().filter((session) => session.connected).map((session) => session.id);
+    } catch (error) {
+      logger.error('Failed to list sessions for the outbound queue:', error);
+      return;
+    }
+
+    for (const sessionId of connected) {
+      if (inFlight.has(sessionId)) continue;
+
+      inFlight.add(sessionId);
+      drainOutboundQueue(database, sessionManager, sessionId, logger, queueOptions)
+        .catch((error) => logger.error('Outbound queue error:', error))
+        .finally(() => inFlight.delete(sessionId));
+    }
+  };
+
+  const timer = setInterval(tick, queueOptions.intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getQueueRetryDelay,
+  drainOutboundQueue,
+  startOutboundQueueWorker
+};
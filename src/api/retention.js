@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  getSetting,
+  setSetting,
+  getRetentionCandidates,
+  countRetentionCandidates,
+  getRetentionMediaFiles,
+  isMediaReferenced,
+  deleteMessages,
+  clearMessageMedia
+} = require('../database');
+const { validateSessionId } = require('./sessions');
+
+// Setting that holds the retention rules (JSON); without rules everything is kept
+const RETENTION_SETTING = 'retention_rules';
+
+// What a rule removes: media files of incoming messages (the messages stay) or whole messages
+const RETENTION_TARGETS = ['media', 'messages'];
+
+const RETENTION_STATUSES = ['unread', 'replied', 'ignored', 'sent'];
+const RETENTION_DIRECTIONS = ['incoming', 'outgoing'];
+
+const RETENTION_LIMITS = {
+  rules: 20,
+  days: 36500
+};
+
+// Messages are removed in batches, each in its own transaction, so one run never loads the whole table
+// or holds the database for long
+const RETENTION_BATCH_SIZE = 500;
+
+// Rules are applied once an hour
+const DEFAULT_RETENTION_OPTIONS = {
+  intervalMs: 60 * 60 * 1000,
+  mediaPath: './media'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate retention rules
+ * @param {*} rules - [{ target, olderThanDays, status, direction, session }]
+ * @returns {object} { rules } with every field set (null when not filtered) or { error }
+ */
+function parseRetentionRules(rules) {
+  if (!Array.isArray(rules) || rules.length > RETENTION_LIMITS.rules) {
+    return { error: `rules must be an array of at most ${RETENTION_LIMITS.rules} rules` };
+  }
+
+  const parsed = [];
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { error: `rules[${index}] must be an object` };
+    }
+
+    const { target, olderThanDays, status = null, direction = null, session = null } = rule;
+
+    if (!RETENTION_TARGETS.includes(target)) {
+      return { error: `rules[${index}].target must be one of: ${RETENTION_TARGETS.join(', ')}` };
+    }
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 1 || olderThanDays > RETENTION_LIMITS.days) {
+      return { error: `rules[${index}].olderThanDays must be an integer from 1 to ${RETENTION_LIMITS.days}` };
+    }
+
+    if (status !== null && (!Array.isArray(status) || status.length === 0 ||
+      status.some((value) => !RETENTION_STATUSES.includes(value)))) {
+      return { error: `rules[${index}].status must be a non-empty array of: ${RETENTION_STATUSES.join(', ')}` };
+    }
+
+    if (direction !== null && !RETENTION_DIRECTIONS.includes(direction)) {
+      return { error: `rules[${index}].direction must be one of: ${RETENTION_DIRECTIONS.join(', ')}` };
+    }
+
+    if (direction !== null && target === 'media') {
+      return { error: `rules[${index}].direction only applies to messages (media rules cover incoming media)` };
+    }
+
+    if (session !== null && validateSessionId(session)) {
+      return { error: `rules[${index}].session: ${validateSessionId(session)}` };
+    }
+
+    parsed.push({ target, olderThanDays, status: status ? [...new Set(status)] : null, direction, session });
+  }
+
+  return { rules: parsed };
+}
+
+/**
+ * Get the saved retention rules
+ * @param {object} database - Database instance
+ * @returns {Array<object>} Rules (empty when everything is kept)
+ */
+function getRetentionRules(database) {
+  const value = getSetting(database, RETENTION_SETTING);
+  return value ? JSON.parse(value) : [];
+}
+
+/**
+ * Save retention rules
+ * @param {object} database - Database instance
+ * @param {Array<object>} rules - Rules validated by parseRetentionRules
+ */
+function setRetentionRules(database, rules) {
+  setSetting(database, RETENTION_SETTING, JSON.stringify(rules));
+}
+
+/**
+ * Get the stored media file a message points to
+ * Files written for incoming media are named by message ID (see messages.upsert); outgoing messages
+ * that reused one store the same filename
+ * @param {object} message - { direction, media_url }
+ * @returns {string|null} Filename or null if the message has no file in MEDIA_PATH
+ */
+function getStoredMediaUrl(message) {
+  const url = message.media_url;
+  if (!url) {
+    return null;
+  }
+
+  if (message.direction === 'incoming' || (url !== 'base64' && !url.includes('/'))) {
+    return url;
+  }
+
+  return null;
+}
+
+/**
+ * Get a stored media file
+ * @param {string} mediaPath - Path to media storage
+ * @param {string} mediaUrl - Media URL (filename)
+ * @returns {object|null} { filepath, size } or null if the file does not exist
+ */
+function getMediaFile(mediaPath, mediaUrl) {
+  const filepath = path.join(mediaPath, path.basename(mediaUrl));
+  try {
+    return { filepath, size: fs.statSync(filepath).size };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Let other work run between batches
+ * @returns {Promise<void>}
+ */
+function yieldBatch() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Count what one rule would remove, without changing anything
+ * Messages matched by an earlier rule are counted there: earlier message rules delete them,
+ * and every earlier rule removes their files. A file is counted under the rule that removes
+ * the last message pointing to it
+ * @param {object} database - Database instance
+ * @param {object} filter - Retention filter of the rule
+ * @param {Array<object>} earlier - Filters of the rules applied before
+ * @param {string} mediaPath - Path to media storage
+ * @returns {Promise<object>} { messages, mediaFiles, bytes }
+ */
+async function previewRetentionRule(database, filter, earlier, mediaPath) {
+  const result = { messages: 0, mediaFiles: 0, bytes: 0 };
+
+  if (filter.target === 'messages') {
+    result.messages = countRetentionCandidates(database, filter, {
+      exclude: earlier.filter((rule) => rule.target === 'messages')
+    });
+  }
+
+  let afterUrl = '';
+  let batch;
+  do {
+    batch = getRetentionMediaFiles(database, filter, RETENTION_BATCH_SIZE, { afterUrl, exclude: earlier });
+
+    for (const mediaUrl of batch) {
+      const file = getMediaFile(mediaPath, mediaUrl);
+      if (!file) continue;
+
+      result.mediaFiles += 1;
+      result.bytes += file.size;
+    }
+
+    if (batch.length > 0) {
+      afterUrl = batch[batch.length - 1];
+      await yieldBatch();
+    }
+  } while (batch.length === RETENTION_BATCH_SIZE);
+
+  return result;
+}
+
+/**
+ * Remove what one rule applies to, one batch per transaction
+ * @param {object} database - Database instance
+ * @param {object} filter - Retention filter of the rule
+ * @param {string} mediaPath - Path to media storage
+ * @param {object|null} logger - Logger instance
+ * @returns {Promise<object>} { messages, mediaFiles, bytes }
+ */
+async function purgeRetentionRule(database, filter, mediaPath, logger) {
+  const result = { messages: 0, mediaFiles: 0, bytes: 0 };
+
+  const removeBatch = database.transaction(() => {
+    const batch = getRetentionCandidates(database, filter, RETENTION_BATCH_SIZE);
+    const ids = batch.map((message) => message.id);
+
+    if (filter.target === 'media') {
+      clearMessageMedia(database, ids);
+      return { batch, deleted: 0 };
+    }
+
+    return { batch, deleted: deleteMessages(database, ids) };
+  });
+
+  let batch;
+  do {
+    let deleted;
+    ({ batch, deleted } = removeBatch());
+    result.messages += deleted;
+
+    // Files are deleted once no committed row points to them (outgoing messages may reuse a file)
+    for (const message of batch) {
+      const mediaUrl = getStoredMediaUrl(message);
+      if (!mediaUrl || isMediaReferenced(database, mediaUrl)) continue;
+
+      const file = getMediaFile(mediaPath, mediaUrl);
+      if (!file) continue;
+
+      try {
+        fs.rmSync(file.filepath, { force: true });
+      } catch (error) {
+        if (logger) {
+          logger.error('Failed to delete media file:', { path: file.filepath, error: error.message });
+        }
+        continue;
+      }
+
+      result.mediaFiles += 1;
+      result.bytes += file.size;
+    }
+
+    if (batch.length > 0) {
+      await yieldBatch();
+    }
+  } while (batch.length === RETENTION_BATCH_SIZE);
+
+  return result;
+}
+
+/**
+ * Apply retention rules: delete old messages and media files
+ * Rules are applied in order. A purge commits each batch on its own; a dry run only reads,
+ * counting what a purge would delete now (messages matched by several rules are counted once)
+ * @param {object} database - Database instance
+ * @param {Array<object>} rules - Retention rules
+ * @param {object} options - { mediaPath, now, dryRun, logger }
+ * @returns {Promise<object>} { dryRun, totals: { messages, mediaFiles, bytes }, rules: [{ ...rule, cutoffAt, messages, mediaFiles, bytes }] }
+ */
+async function runRetention(database, rules, { mediaPath = DEFAULT_RETENTION_OPTIONS.mediaPath, now = new Date(), dryRun = false, logger = null } = {}) {
+  const resolvedMediaPath = path.resolve(mediaPath);
+  const filters = [];
+  const results = [];
+
+  for (const rule of rules) {
+    const cutoffAt = new Date(now.getTime() - rule.olderThanDays * DAY_MS).toISOString();
+    const filter = {
+      target: rule.target,
+      before: cutoffAt,
+      statuses: rule.status,
+      direction: rule.direction,
+      sessionId: rule.session
+    };
+
+    const result = dryRun
+      ? await previewRetentionRule(database, filter, filters, resolvedMediaPath)
+      : await purgeRetentionRule(database, filter, resolvedMediaPath, logger);
+
+    filters.push(filter);
+    results.push({ ...rule, cutoffAt, ...result });
+  }
+
+  const totals = { messages: 0, mediaFiles: 0, bytes: 0 };
+  for (const result of results) {
+    totals.messages += result.messages;
+    totals.mediaFiles += result.mediaFiles;
+    totals.bytes += result.bytes;
+  }
+
+  return { dryRun, totals, rules: results };
+}
+
+/**
+ * Start background job that applies the saved retention rules
+ * @param {object} database - Database instance
+ * @param {object} logger - Logger instance
+ * @param {object} options - { intervalMs, mediaPath }
+ * @returns {Function} Stop function
+ */
+function startRetentionWorker(database, logger, options = {}) {
+  const { intervalMs, mediaPath } = { ...DEFAULT_RETENTION_OPTIONS, ...options };
+  let running = false;
+
+  const tick = () => {
+    // A long purge is not started again while it is still running
+    if (running) return;
+
+    let rules;
+    try {
+      rules = getRetentionRules(database);
+    } catch (error) {
+      logger.error('Retention purge failed:', error);
+      return;
+    }
+    if (rules.length === 0) return;
+
+    running = true;
+    runRetention(database, rules, { mediaPath, logger })
+      .then(({ totals }) => {
+        if (totals.messages > 0 || totals.mediaFiles > 0) {
+          logger.info('Retention purge', totals);
+        }
+      })
+      .catch((error) => logger.error('Retention purge failed:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  RETENTION_TARGETS,
+  RETENTION_STATUSES,
+  RETENTION_DIRECTIONS,
+  RETENTION_LIMITS,
+  parseRetentionRules,
+  getRetentionRules,
+  setRetentionRules,
+  runRetention,
+  startRetentionWorker
+};
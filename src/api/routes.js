@@ -3,16 +3,90 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const {
-  getApiKey,
+  DEFAULT_SESSION_ID,
+  getApiKeys,
+  getApiKeyById,
+  findApiKey,
+  touchApiKey,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
   getMessages,
+  getConversations,
+  getConversationMessages,
+  listMessages,
+  countMessages,
+  searchMessages,
   getMessageById,
   getMessageCount,
   updateMessageStatus,
-  insertMessage,
   getWebhook,
   setWebhook,
-  deleteWebhook
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+  replayDeadWebhookDeliveries,
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecretById,
+  deleteWebhookById,
+  getContact,
+  getContacts,
+  updateContactDetails,
+  createScheduledMessage,
+  getScheduledMessage,
+  getScheduledMessages,
+  cancelScheduledMessage,
+  createBroadcast,
+  getBroadcast,
+  getBroadcasts,
+  getBroadcastProgress,
+  getBroadcastRecipients,
+  setBroadcastStatus,
+  cancelBroadcast,
+  getOutboundMessageByMessageId,
+  getOutboundMessages,
+  createTemplate,
+  getTemplate,
+  getTemplateByName,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  createAutoReplyRule,
+  getAutoReplyRule,
+  getAutoReplyRules,
+  updateAutoReplyRule,
+  deleteAutoReplyRule
 } = require('../database');
+const { WhatsAppState } = require('./state');
+const { validateOutgoingPayload, sendOutgoingMessage, queueOutgoingMessage } = require('./sender');
+const { WEBHOOK_EVENTS, emitWebhookEvent } = require('./webhooks');
+const { API_KEY_SCOPES, hasScope, getApiKeyStatus } = require('./apiKeys');
+const { toJid, getContactName, toWebhookContact } = require('./contacts');
+const { isIgnoringGroups, setIgnoringGroups } = require('./groups');
+const { isValidTimeZone, localizeTimestamps, localToUtc } = require('./time');
+const { parseRetentionRules, getRetentionRules, setRetentionRules, runRetention } = require('./retention');
+const { CONTENT_TYPES, writeExport, importMessages } = require('./archive');
+const { subscribeEvents, formatServerSentEvent } = require('./events');
+const { isWebSocketRequest, acceptWebSocket } = require('./websocket');
+const {
+  getPlaceholders,
+  isValidVariables,
+  parseTemplateInput,
+  getTemplateVariant,
+  findRequestTemplate,
+  resolveRequestContent
+} = require('./templates');
+const {
+  parseAutoReplyRuleInput,
+  findAutoReplyRule,
+  previewAutoReplyAction
+} = require('./autoReply');
+const { CONTACT_DETAIL_LIMITS, BROADCAST_LIMITS, buildOpenApiDocument, validateRequest } = require('./openapi');
 
 /**
  * Timing-safe string comparison to prevent timing attacks
@@ -31,15 +105,536 @@ function timingSafeCompare(a, b) {
   return crypto.timingSafeEqual(bufA, bufB);
 }
 
+/**
+ * Format webhook row for API responses
+ * @param {object} webhook - Webhook row
+ * @returns {object} Webhook with events as an array and active as a boolean
+ */
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.event.split(','),
+    secret: webhook.secret,
+    active: webhook.active === 1,
+    created_at: webhook.created_at
+  };
+}
+
+/**
+ * Read cursor pagination query parameters (validated and converted by validateRequest)
+ * @param {object} query - Request query ({ cursor, limit })
+ * @returns {object} { cursor, limit } (cursor is null for the first page)
+ */
+function parsePagination(query) {
+  return { cursor: query.cursor ?? null, limit: query.limit ?? 50 };
+}
+
+/**
+ * Split rows fetched with limit + 1 into a page and the cursor of the next page
+ * @param {Array<object>} rows - Rows in page order (limit + 1 requested)
+ * @param {number} limit - Page size
+ * @param {string} cursorField - Field used as cursor
+ * @returns {object} { items, paging: { limit, nextCursor } }
+ */
+function toPage(rows, limit, cursorField = 'id') {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    items,
+    paging: {
+      limit,
+      nextCursor: hasMore ? String(items[items.length - 1][cursorField]) : null
+    }
+  };
+}
+
+// Live event stream: keep-alive interval, reconnect delay for SSE clients and how far a client may fall
+// behind before it is disconnected (it can reconnect and resume with Last-Event-ID)
+const EVENT_STREAM_OPTIONS = {
+  heartbeatMs: 25 * 1000,
+  retryMs: 5 * 1000,
+  maxBufferedBytes: 1024 * 1024
+};
+
+/**
+ * Read the filters and resume point of an event stream request (validated by validateRequest)
+ * @param {object} req - Express request (?session=, ?events=, Last-Event-ID header or ?lastEventId=)
+ * @returns {object} { sessionId, events, lastEventId } (null = all sessions/events, no replay)
+ */
+function parseEventStreamOptions(req) {
+  const { session = null, events = null } = req.query;
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+
+  return {
+    sessionId: session,
+    events: events && !events.includes('*') ? events : null,
+    lastEventId: lastEventId !== undefined ? Number(lastEventId) : null
+  };
+}
+
+/**
+ * Parse a date filter into the stored created_at format
+ * A plain date covers the whole day; dates and date-times without a zone are read in the request's timezone
+ * @param {string} value - ISO 8601 date ('2024-05-01') or date-time ('2024-05-01T10:00:00Z')
+ * @param {boolean} endOfDay - Use the end of the day for plain dates (upper bounds)
+ * @param {string} timeZone - Timezone of the request
+ * @returns {string|null} UTC ISO-8601 timestamp or null if invalid
+ */
+function parseDateFilter(value, endOfDay = false, timeZone = 'UTC') {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return localToUtc(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`, timeZone);
+  }
+
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    return localToUtc(value, timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse message filters from query parameters
+ * @param {object} query - Query parameters (direction, status, phone, senderName, mediaType, from, to)
+ * @param {string} timeZone - Timezone of the request (for from/to without a zone)
+ * @returns {object} { filters } or { error } with a validation message
+ */
+function parseMessageFilters(query, timeZone = 'UTC') {
+  const filters = {};
+
+  if (query.direction !== undefined) {
+    filters.direction = query.direction;
+  }
+
+  if (query.status !== undefined) {
+    // Any of several statuses: ?status=unread,replied
+    filters.status = query.status;
+  }
+
+  if (query.phone !== undefined) {
+    filters.phone = toJid(query.phone);
+    if (!filters.phone) {
+      return { error: 'Invalid phone number or JID' };
+    }
+  }
+
+  if (query.senderName !== undefined) {
+    if (!query.senderName.trim()) {
+      return { error: 'Invalid sender name' };
+    }
+    filters.senderName = query.senderName.trim();
+  }
+
+  if (query.mediaType !== undefined) {
+    filters.mediaType = query.mediaType;
+  }
+
+  for (const [field, endOfDay] of [['from', false], ['to', true]]) {
+    if (query[field] === undefined) continue;
+
+    filters[field] = parseDateFilter(query[field], endOfDay, timeZone);
+    if (!filters[field]) {
+      return { error: `Invalid '${field}' date. Use ISO 8601 (e.g. 2024-05-01 or 2024-05-01T10:00:00Z)` };
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Format conversation row for API responses
+ * @param {object} row - Row from getConversations
+ * @returns {object} Conversation with the last message nested
+ */
+function formatConversation(row) {
+  return {
+    phone: row.phone,
+    sender_name: row.sender_name,
+    unread_count: row.unread_count,
+    message_count: row.message_count,
+    last_activity: row.last_activity,
+    last_message: {
+      id: row.last_message_id,
+      direction: row.last_message_direction,
+      message: row.last_message,
+      media_type: row.last_message_media_type,
+      status: row.last_message_status
+    }
+  };
+}
+
+/**
+ * Format API key row for API responses
+ * @param {object} apiKey - API key row (without hash)
+ * @returns {object} API key with scopes as an array and its current status
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes.split(','),
+    status: getApiKeyStatus(apiKey),
+    expires_at: apiKey.expires_at,
+    last_used_at: apiKey.last_used_at,
+    revoked_at: apiKey.revoked_at,
+    created_at: apiKey.created_at
+  };
+}
+
+/**
+ * Format contact row for API responses
+ * @param {object} contact - Contact row
+ * @returns {object} Contact with the resolved name
+ */
+function formatContact(contact) {
+  return {
+    id: contact.id,
+    jid: contact.jid,
+    lid: contact.lid,
+    phone: contact.jid.endsWith('@s.whatsapp.net') ? contact.jid.split('@')[0] : null,
+    name: getContactName(contact),
+    display_name: contact.display_name,
+    saved_name: contact.name,
+    push_name: contact.notify,
+    verified_name: contact.verified_name,
+    notes: contact.notes,
+    external_id: contact.external_id,
+    created_at: contact.created_at,
+    updated_at: contact.updated_at
+  };
+}
+
+/**
+ * Summarise the media of a stored outgoing payload
+ * Base64 media data is left out; the media type and its URL, stored media ID or filename are kept
+ * @param {object} payload - { image, media }
+ * @returns {object|null} Media summary or null for text
+ */
+function summarizeMedia({ image, media }) {
+  if (media) {
+    const { data, ...rest } = media;
+    return rest;
+  }
+
+  if (image) {
+    return /^https?:\/\//.test(image) ? { type: 'image', url: image } : { type: 'image' };
+  }
+
+  return null;
+}
+
+/**
+ * Format scheduled message row for API responses
+ * @param {object} scheduled - Scheduled message row
+ * @returns {object} Scheduled message
+ */
+function formatScheduledMessage(scheduled) {
+  const payload = JSON.parse(scheduled.payload);
+
+  return {
+    id: scheduled.id,
+    session: scheduled.session_id,
+    to: scheduled.recipient,
+    message: payload.message || null,
+    media: summarizeMedia(payload),
+    send_at: scheduled.send_at,
+    when_disconnected: scheduled.when_disconnected,
+    status: scheduled.status,
+    message_id: scheduled.message_id,
+    error: scheduled.error,
+    processed_at: scheduled.processed_at,
+    created_at: scheduled.created_at
+  };
+}
+
+/**
+ * Format broadcast row for API responses
+ * @param {object} broadcast - Broadcast row
+ * @param {object} progress - Recipient counts from getBroadcastProgress
+ * @returns {object} Broadcast job with its progress
+ */
+function formatBroadcast(broadcast, progress) {
+  const payload = JSON.parse(broadcast.payload);
+  const done = progress.sent + progress.failed + progress.cancelled;
+
+  return {
+    id: broadcast.id,
+    session: broadcast.session_id,
+    name: broadcast.name,
+    message: payload.message || null,
+    media: summarizeMedia(payload),
+    status: broadcast.status,
+    rate_per_minute: broadcast.rate_per_minute,
+    jitter_seconds: broadcast.jitter_seconds,
+    progress: {
+      total: broadcast.total,
+      ...progress,
+      percent: broadcast.total ? Math.floor((done / broadcast.total) * 100) : 100
+    },
+    next_send_at: broadcast.status === 'running' ? broadcast.next_send_at : null,
+    created_at: broadcast.created_at,
+    updated_at: broadcast.updated_at,
+    finished_at: broadcast.finished_at
+  };
+}
+
+/**
+ * Format broadcast recipient row for API responses
+ * @param {object} recipient - Recipient row
+ * @returns {object} Recipient with its result
+ */
+function formatBroadcastRecipient(recipient) {
+  return {
+    id: recipient.id,
+    to: recipient.recipient,
+    variables: recipient.variables ? JSON.parse(recipient.variables) : {},
+    status: recipient.status,
+    message_id: recipient.message_id,
+    error: recipient.error,
+    processed_at: recipient.processed_at
+  };
+}
+
+/**
+ * Validate broadcast recipients and fill in their JIDs
+ * Every recipient needs a value for each {{placeholder}} of the message;
+ * repeated recipients are sent to once (the first entry wins)
+ * @param {Array} recipients - Phone numbers / JIDs, or { to, variables } objects
+ * @param {Array<string>} placeholders - Placeholder names used in the message
+ * @returns {object} { recipients: [{ recipient, variables }] } or { error }
+ */
+function parseBroadcastRecipients(recipients, placeholders) {
+  const parsed = [];
+  const seen = new Set();
+
+  for (const [index, entry] of recipients.entries()) {
+    const { to, variables = {} } = typeof entry === 'object' && entry !== null ? entry : { to: entry };
+    const jid = typeof to === 'string' || typeof to === 'number' ? toJid(String(to)) : null;
+    if (!jid) {
+      return { error: `recipients[${index}]: Invalid phone number or JID` };
+    }
+
+    if (!isValidVariables(variables)) {
+      return { error: `recipients[${index}].variables must be an object of strings or numbers` };
+    }
+
+    const missing = placeholders.filter((name) => !Object.prototype.hasOwnProperty.call(variables, name));
+    if (missing.length > 0) {
+      return { error: `recipients[${index}] is missing variables: ${missing.join(', ')}` };
+    }
+
+    if (seen.has(jid)) continue;
+    seen.add(jid);
+    parsed.push({ recipient: jid, variables });
+  }
+
+  return { recipients: parsed };
+}
+
+/**
+ * Decide whether a send or reply request goes through the outbound queue
+ * @param {object} body - Request body (optional boolean "queue")
+ * @param {object} config - Configuration (OUTBOUND_QUEUE is the default)
+ * @returns {boolean} True to queue the message
+ */
+function shouldQueue(body, config) {
+  return body.queue ?? Boolean(config.OUTBOUND_QUEUE);
+}
+
+/**
+ * Format outbound queue row for API responses
+ * @param {object} queued - Queue row
+ * @returns {object} Queue item
+ */
+function formatOutboundMessage(queued) {
+  const payload = JSON.parse(queued.payload);
+
+  return {
+    id: queued.id,
+    message_id: queued.message_id,
+    session: queued.session_id,
+    to: queued.recipient,
+    message: payload.message || null,
+    media: summarizeMedia(payload),
+    reply_to: queued.reply_to_id,
+    status: queued.status,
+    attempts: queued.attempts,
+    next_attempt_at: queued.status === 'queued' ? queued.next_attempt_at : null,
+    error: queued.error,
+    created_at: queued.created_at,
+    processed_at: queued.processed_at
+  };
+}
+
+/**
+ * Build the delivery timeline of an outgoing message
+ * @param {object} message - Message row
+ * @returns {Array<object>} Steps reached so far ({ status, at }) in order
+ */
+function getDeliveryTimeline(message, queued = null) {
+  const steps = [
+    ['queued', queued ? queued.created_at : null],
+    ['sent', queued ? (queued.status === 'sent' ? queued.processed_at : null) : message.created_at],
+    ['server_ack', message.server_ack_at],
+    ['delivered', message.delivered_at],
+    ['read', message.read_at],
+    ['failed', message.failed_at]
+  ];
+
+  return steps
+    .filter(([, at]) => at)
+    .map(([status, at]) => ({ status, at }));
+}
+
+/**
+ * Build the paths of a session-scoped route
+ * Unscoped paths act on the default session
+ * @param {string} route - Route path (e.g. '/inbox')
+ * @returns {Array<string>} [route, '/sessions/:sessionId' + route]
+ */
+function sessionScoped(route) {
+  return [route, `/sessions/:sessionId${route}`];
+}
+
+/**
+ * Resolve the WhatsApp session of a request into req.sessionId and req.whatsappState
+ * @param {SessionManager} sessionManager - Session manager
+ * @returns {Function} Express middleware
+ */
+function resolveSession(sessionManager) {
+  return (req, res, next) => {
+    const sessionId = req.params.sessionId || DEFAULT_SESSION_ID;
+
+    if (!sessionManager.has(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    req.sessionId = sessionId;
+    // Stopped sessions have no running state; treat them as disconnected
+    req.whatsappState = sessionManager.get(sessionId) || new WhatsAppState(sessionId);
+    next();
+  };
+}
+
+/**
+ * Create middleware that resolves the timezone of a request
+ * Sets req.timezone from ?timezone= or the X-Timezone header (default: the TIMEZONE setting)
+ * and shows every timestamp of the JSON response in it
+ * @param {object} config - Configuration object
+ * @returns {Function} Express middleware
+ */
+function resolveTimezone(config) {
+  return (req, res, next) => {
+    const timeZone = req.query.timezone || req.headers['x-timezone'] || config.TIMEZONE || 'UTC';
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${timeZone}. Use an IANA name such as UTC or Asia/Kolkata`
+      });
+    }
+
+    req.timezone = timeZone;
+    if (timeZone !== 'UTC') {
+      const json = res.json.bind(res);
+      res.json = (body) => json(localizeTimestamps(body, timeZone));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create middleware that resolves the content of a send request
+ * Sets req.content to { message, image, media }, filled from the template when templateId is given
+ * @param {object} database - Database instance
+ * @returns {Function} Express middleware
+ */
+function resolveContent(database) {
+  return (req, res, next) => {
+    try {
+      req.content = resolveRequestContent(database, req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to load template'
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Format template for API responses
+ * @param {object} template - Template
+ * @returns {object} Template with its variants as a list
+ */
+function formatTemplate(template) {
+  const variants = Object.entries(template.variants).map(([language, { text, media }]) => ({
+    language,
+    text,
+    media: media ? summarizeMedia({ media }) : null,
+    placeholders: getPlaceholders(text)
+  }));
+
+  return {
+    id: template.id,
+    name: template.name,
+    default_language: template.default_language,
+    languages: variants.map((variant) => variant.language),
+    placeholders: [...new Set(variants.flatMap((variant) => variant.placeholders))],
+    variants,
+    created_at: template.created_at,
+    updated_at: template.updated_at
+  };
+}
+
+/**
+ * Format auto-reply rule for API responses
+ * @param {object} rule - Rule
+ * @returns {object} Rule with its conditions as match
+ */
+function formatAutoReplyRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    priority: rule.priority,
+    session: rule.session_id,
+    match: rule.conditions,
+    action: rule.action,
+    cooldown_seconds: rule.cooldown_seconds,
+    trigger_count: rule.trigger_count,
+    last_triggered_at: rule.last_triggered_at,
+    created_at: rule.created_at,
+    updated_at: rule.updated_at
+  };
+}
+
 /**
  * API Key authentication middleware
+ * Accepts an active key with the required scope, or dashboard credentials (full access)
  * @param {object} database - Database instance
+ * @param {string|null} scope - Required scope (see API_KEY_SCOPES); null allows any valid key
+ * @param {object|null} config - Configuration object; enables dashboard Basic Auth when given
  * @returns {Function} Express middleware
  */
-function authenticateApiKey(database) {
+function authenticateApiKey(database, scope = null, config = null) {
   return (req, res, next) => {
     const apiKey = req.headers['x-api-key'];
 
+    // Dashboard requests authenticate with the dashboard credentials instead of a key
+    if (!apiKey && config && req.headers.authorization) {
+      return authenticateBasicAuth(config)(req, res, next);
+    }
+
     if (!apiKey) {
       return res.status(401).json({
         success: false,
@@ -47,26 +642,26 @@ function authenticateApiKey(database) {
       });
     }
 
-    // Get API key from database
-    const storedKey = getApiKey(database);
+    // Keys are stored hashed; look up by hash
+    const storedKey = findApiKey(database, apiKey);
+    const status = storedKey ? getApiKeyStatus(storedKey) : null;
 
-    if (!storedKey) {
-      return res.status(500).json({
+    if (status !== 'active') {
+      return res.status(401).json({
         success: false,
-        error: 'API key not configured'
+        error: status ? `API key ${status}` : 'Invalid API key'
       });
     }
 
-    // Timing-safe comparison
-    const isValid = timingSafeCompare(apiKey, storedKey.key);
-
-    if (!isValid) {
-      return res.status(401).json({
+    if (!hasScope(storedKey, scope)) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid API key'
+        error: `API key lacks the '${scope}' scope`
       });
     }
 
+    touchApiKey(database, storedKey.id);
+    req.apiKey = storedKey;
     next();
   };
 }
@@ -112,13 +707,24 @@ function authenticateBasicAuth(config) {
 /**
  * Create Express router with all API endpoints
  * @param {object} database - Database instance
- * @param {object} whatsappState - WhatsApp state instance
+ * @param {SessionManager} sessionManager - WhatsApp session manager
  * @param {object} config - Configuration object
  * @param {object} logger - Logger instance
  * @returns {express.Router} Express router
  */
-function createRoutes(database, whatsappState, config, logger) {
+function createRoutes(database, sessionManager, config, logger) {
   const router = express.Router();
+  const withSession = resolveSession(sessionManager);
+  const withContent = resolveContent(database);
+
+  // API key with the given scope, or dashboard credentials
+  const requireScope = (scope) => authenticateApiKey(database, scope, config);
+
+  // Request parameters and bodies are checked against the OpenAPI document (see openapi.js)
+  const validate = validateRequest;
+
+  // Timestamps are stored in UTC; responses show them in the requested timezone
+  router.use(resolveTimezone(config));
 
   // 1. Health Check (Public)
   router.get('/health', (req, res) => {
@@ -130,7 +736,8 @@ function createRoutes(database, whatsappState, config, logger) {
   });
 
   // 2. Get QR Code (Public)
-  router.get('/qr', (req, res) => {
+  router.get(sessionScoped('/qr'), withSession, (req, res) => {
+    const { whatsappState } = req;
     const status = whatsappState.getStatus();
 
     // Already connected
@@ -161,29 +768,32 @@ function createRoutes(database, whatsappState, config, logger) {
 
   // 3. Get Configuration (Basic Auth)
   router.get('/config', authenticateBasicAuth(config), (req, res) => {
-    const apiKey = getApiKey(database);
-    const status = whatsappState.getStatus();
+    const activeKeys = getApiKeys(database).filter((key) => getApiKeyStatus(key) === 'active');
+    const status = sessionManager.getStatus(DEFAULT_SESSION_ID);
     const messageCount = getMessageCount(database);
 
     res.json({
       success: true,
       data: {
-        apiKey: apiKey ? apiKey.key : null,
+        activeApiKeys: activeKeys.length,
         connected: status.connected,
         phone: status.phone,
-        messageCount: messageCount
+        messageCount: messageCount,
+        ignoreGroups: isIgnoringGroups(database),
+        timezone: config.TIMEZONE || 'UTC'
       }
     });
   });
 
   // 4. Get Status (API Key)
-  router.get('/status', authenticateApiKey(database), (req, res) => {
-    const status = whatsappState.getStatus();
-    const messageCount = getMessageCount(database);
+  router.get(sessionScoped('/status'), requireScope(null), withSession, (req, res) => {
+    const status = req.whatsappState.getStatus();
+    const messageCount = getMessageCount(database, req.sessionId);
 
     res.json({
       success: true,
       data: {
+        session: req.sessionId,
         connected: status.connected,
         phone: status.phone,
         messageCount: messageCount
@@ -191,8 +801,10 @@ function createRoutes(database, whatsappState, config, logger) {
     });
   });
 
-  // 5. Logout (API Key)
-  router.post('/logout', authenticateApiKey(database), async (req, res) => {
+  // 5. Logout (API Key: logout)
+  router.post(sessionScoped('/logout'), requireScope('logout'), withSession, async (req, res) => {
+    const { whatsappState } = req;
+
     if (!whatsappState.sock) {
       return res.status(400).json({
         success: false,
@@ -209,7 +821,7 @@ function createRoutes(database, whatsappState, config, logger) {
       whatsappState.setSock(null);
 
       // Delete session folder to ensure clean logout
-      const sessionPath = path.resolve(config.SESSION_PATH);
+      const sessionPath = path.resolve(sessionManager.getAuthPath(req.sessionId));
       if (fs.existsSync(sessionPath)) {
         fs.rmSync(sessionPath, { recursive: true, force: true });
         logger.info('Session folder deleted');
@@ -236,26 +848,40 @@ function createRoutes(database, whatsappState, config, logger) {
     }
   });
 
-  // 6. Get Inbox (API Key)
-  router.get('/inbox', authenticateApiKey(database), (req, res) => {
+  // 6. Get Inbox (API Key: inbox)
+  router.get(sessionScoped('/inbox'), requireScope('inbox'), withSession, (req, res) => {
     try {
-      // Get all unread incoming messages
+      // Get all unread incoming messages (with the sender's contact name, CRM ID and group when known)
       const stmt = database.prepare(`
         SELECT
-          id,
-          direction as type,
-          phone,
-          sender_name,
-          message,
-          reply_status as status,
-          media_type,
-          media_url,
-          created_at as timestamp
-        FROM messages
-        WHERE direction = 'incoming' AND reply_status = 'unread'
-        ORDER BY created_at DESC
+          m.id,
+          m.direction as type,
+          m.phone,
+          m.chat_jid,
+          m.sender_jid,
+          m.sender_name,
+          m.message,
+          m.reply_status as status,
+          m.media_type,
+          m.media_url,
+          m.media_mimetype,
+          m.media_filename,
+          m.media_size,
+          m.media_duration,
+          COALESCE(c.display_name, c.name, c.verified_name, c.notify) as contact_name,
+          c.external_id,
+          CASE WHEN m.chat_jid LIKE '%@g.us' THEN 1 ELSE 0 END as is_group,
+          g.subject as group_subject,
+          m.created_at as timestamp
+        FROM messages m
+        LEFT JOIN contacts c ON c.id = (
+          SELECT id FROM contacts WHERE jid = m.sender_jid OR lid = m.sender_jid LIMIT 1
+        )
+        LEFT JOIN chat_groups g ON g.jid = m.chat_jid
+        WHERE m.direction = 'incoming' AND m.reply_status = 'unread' AND m.session_id = ?
+        ORDER BY m.created_at DESC
       `);
-      const messages = stmt.all();
+      const messages = stmt.all(req.sessionId).map((message) => ({ ...message, is_group: message.is_group === 1 }));
 
       res.json({
         success: true,
@@ -270,80 +896,86 @@ function createRoutes(database, whatsappState, config, logger) {
     }
   });
 
-  // 7. Reply to Message (API Key)
-  // Supports text-only, image-only, or text+image
-  // Image can be base64 string or URL
-  router.post('/messages/:id/reply', authenticateApiKey(database), async (req, res) => {
-    const { message, image } = req.body;
+  // 7. Reply to Message (API Key: send)
+  // Supports text, image (base64 string or URL) or a media object
+  // (document/audio/voice/video/sticker from URL, base64 or stored media id)
+  router.post(sessionScoped('/messages/:id/reply'), requireScope('send'), withSession, validate('replyToMessage'), withContent, async (req, res) => {
+    const { whatsappState } = req;
+    const { message, image, media } = req.content;
     const messageId = req.params.id;
 
-    // Validation - at least message or image required
-    if (!message && !image) {
+    // Validation - media must be complete and of a supported type
+    const queue = shouldQueue(req.body, config);
+    const validationError = validateOutgoingPayload({ message, image, media });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Message or image is required'
+        error: validationError
       });
     }
 
-    // Check connection
-    if (!whatsappState.connected || !whatsappState.sock) {
+    // Check connection (queued replies wait for the connection instead)
+    if (!queue && (!whatsappState.connected || !whatsappState.sock)) {
       return res.status(400).json({
         success: false,
         error: 'WhatsApp not connected'
       });
     }
 
-    // Get original message
+    // Get original message (replies go out through the session that received it)
     const originalMessage = getMessageById(database, messageId);
 
-    if (!originalMessage) {
+    if (!originalMessage || originalMessage.session_id !== req.sessionId) {
       return res.status(404).json({
         success: false,
         error: 'Message not found'
       });
     }
 
-    try {
-      let mediaType = 'text';
-      let mediaUrl = null;
-
-      if (image) {
-        // Determine if image is URL or base64
-        let imageContent;
-        if (image.startsWith('http://') || image.startsWith('https://')) {
-          imageContent = { url: image };
-          mediaUrl = image;
-        } else {
-          // Assume base64
-          imageContent = Buffer.from(image, 'base64');
-          mediaUrl = 'base64';
-        }
+    if (queue) {
+      try {
+        const chatJid = originalMessage.chat_jid || originalMessage.phone;
+        const { id, queueId } = queueOutgoingMessage(
+          database,
+          chatJid,
+          { message, image, media },
+          config.MEDIA_PATH,
+          req.sessionId,
+          originalMessage.id
+        );
 
-        mediaType = 'image';
+        logger.info('Reply queued', { messageId, queueId, to: chatJid });
 
-        // Send image reply via Baileys
-        await whatsappState.sock.sendMessage(
-          originalMessage.phone,
-          {
-            image: imageContent,
-            caption: message || ''
-          }
-        );
-      } else {
-        // Send text-only reply via Baileys
-        await whatsappState.sock.sendMessage(
-          originalMessage.phone,
-          { text: message }
-        );
+        return res.status(202).json({
+          success: true,
+          message: 'Reply queued',
+          data: { id, queueId, to: chatJid, status: 'queued' }
+        });
+      } catch (error) {
+        logger.error('Reply queue error:', error);
+        return res.status(error.status || 500).json({
+          success: false,
+          error: error.status ? error.message : 'Failed to queue reply'
+        });
       }
+    }
 
-      // Store outgoing message
-      insertMessage(database, 'outgoing', originalMessage.phone, message || '', 'sent', mediaType, mediaUrl);
+    try {
+      // Send reply via Baileys and store outgoing message (group messages are answered in the group)
+      const chatJid = originalMessage.chat_jid || originalMessage.phone;
+      const { mediaType } = await sendOutgoingMessage(
+        database,
+        whatsappState.sock,
+        chatJid,
+        { message, image, media },
+        config.MEDIA_PATH,
+        req.sessionId
+      );
 
       // Update original message status
       updateMessageStatus(database, messageId, 'replied');
 
-      logger.info('Reply sent', { messageId, to: originalMessage.phone, type: mediaType || 'text' });
+      logger.info('Reply sent', { messageId, to: chatJid, type: mediaType });
 
       res.json({
         success: true,
@@ -351,47 +983,143 @@ function createRoutes(database, whatsappState, config, logger) {
       });
     } catch (error) {
       logger.error('Reply error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to send reply'
+        error: error.status ? error.message : 'Failed to send reply'
       });
     }
   });
 
-  // 8. Update Message Status (API Key)
-  router.patch('/messages/:id/status', authenticateApiKey(database), (req, res) => {
-    const { status } = req.body;
-    const messageId = req.params.id;
+  // 8. Send Message to any number (API Key: send)
+  // Starts a new conversation - no prior incoming message required
+  router.post(sessionScoped('/messages/send'), requireScope('send'), withSession, validate('sendMessage'), withContent, async (req, res) => {
+    const { whatsappState } = req;
+    const { to } = req.body;
+    const { message, image, media } = req.content;
+
+    // Validation - media must be complete and of a supported type
+    const queue = shouldQueue(req.body, config);
+    const validationError = validateOutgoingPayload({ message, image, media });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
-    // Validation
-    if (!status) {
+    let jid = toJid(to);
+    if (!jid) {
       return res.status(400).json({
         success: false,
-        error: 'Status is required'
+        error: 'Invalid phone number or JID'
       });
     }
 
-    const validStatuses = ['unread', 'replied', 'ignored', 'sent'];
-    if (!validStatuses.includes(status)) {
+    // Queued messages are checked and sent by the outbound queue worker once connected
+    if (queue) {
+      try {
+        const { id, queueId } = queueOutgoingMessage(database, jid, { message, image, media }, config.MEDIA_PATH, req.sessionId);
+
+        logger.info('Message queued', { session: req.sessionId, queueId, to: jid });
+
+        return res.status(202).json({
+          success: true,
+          message: 'Message queued',
+          data: { id, queueId, to: jid, status: 'queued' }
+        });
+      } catch (error) {
+        logger.error('Send queue error:', error);
+        return res.status(error.status || 500).json({
+          success: false,
+          error: error.status ? error.message : 'Failed to queue message'
+        });
+      }
+    }
+
+    // Check connection
+    if (!whatsappState.connected || !whatsappState.sock) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be one of: unread, replied, ignored, sent'
+        error: 'WhatsApp not connected'
       });
     }
 
     try {
-      // Update status
-      const result = updateMessageStatus(database, messageId, status);
+      // Verify the number is registered on WhatsApp (individual chats only)
+      if (jid.endsWith('@s.whatsapp.net')) {
+        const [result] = await whatsappState.sock.onWhatsApp(jid);
+
+        if (!result || !result.exists) {
+          return res.status(400).json({
+            success: false,
+            error: 'Number is not registered on WhatsApp'
+          });
+        }
 
-      if (result.changes === 0) {
+        jid = result.jid || jid;
+      }
+
+      // Send message via Baileys and store outgoing message
+      const { id, whatsappId, mediaType } = await sendOutgoingMessage(
+        database,
+        whatsappState.sock,
+        jid,
+        { message, image, media },
+        config.MEDIA_PATH,
+        req.sessionId
+      );
+
+      logger.info('Message sent', { session: req.sessionId, to: jid, type: mediaType });
+
+      res.json({
+        success: true,
+        message: 'Message sent successfully',
+        data: {
+          id,
+          whatsappId,
+          to: jid
+        }
+      });
+    } catch (error) {
+      logger.error('Send error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to send message'
+      });
+    }
+  });
+
+  // 9. Update Message Status (API Key: inbox)
+  router.patch(sessionScoped('/messages/:id/status'), requireScope('inbox'), withSession, validate('updateMessageStatus'), (req, res) => {
+    const { status } = req.body;
+    const messageId = req.params.id;
+
+    try {
+      const existing = getMessageById(database, messageId);
+
+      if (!existing || existing.session_id !== req.sessionId) {
         return res.status(404).json({
           success: false,
           error: 'Message not found'
         });
       }
 
+      // Update status
+      updateMessageStatus(database, messageId, status);
+
       logger.info('Message status updated', { messageId, status });
 
+      emitWebhookEvent(database, 'message.status_changed', {
+        session: req.sessionId,
+        message: {
+          id: existing.id,
+          phone: existing.phone,
+          status,
+          previousStatus: existing.reply_status
+        },
+        contact: toWebhookContact(getContact(database, existing.sender_jid || existing.phone))
+      });
+
       res.json({
         success: true,
         message: 'Status updated successfully'
@@ -405,8 +1133,8 @@ function createRoutes(database, whatsappState, config, logger) {
     }
   });
 
-  // 9. Get Webhook (Basic Auth)
-  router.get('/webhook', authenticateBasicAuth(config), (req, res) => {
+  // 10. Get Webhook (API Key: webhooks)
+  router.get('/webhook', requireScope('webhooks'), (req, res) => {
     try {
       const webhook = getWebhook(database, 'message.received');
 
@@ -423,46 +1151,63 @@ function createRoutes(database, whatsappState, config, logger) {
     }
   });
 
-  // 10. Set Webhook (Basic Auth)
-  router.post('/webhook', authenticateBasicAuth(config), (req, res) => {
+  // 11. Set Webhook (API Key: webhooks)
+  router.post('/webhook', requireScope('webhooks'), validate('setWebhook'), (req, res) => {
     const { url } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        error: 'Webhook URL is required'
-      });
-    }
-
-    // Validate URL format
     try {
-      new URL(url);
-    } catch (e) {
-      return res.status(400).json({
+      const secret = setWebhook(database, url, 'message.received');
+      logger.info('Webhook configured', { url });
+
+      res.json({
+        success: true,
+        message: 'Webhook configured successfully',
+        data: {
+          url,
+          secret
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to set webhook:', error);
+      res.status(500).json({
         success: false,
-        error: 'Invalid URL format'
+        error: 'Failed to configure webhook'
       });
     }
+  });
 
+  // 12. Rotate Webhook Secret (API Key: webhooks)
+  router.post('/webhook/secret', requireScope('webhooks'), (req, res) => {
     try {
-      setWebhook(database, url, 'message.received');
-      logger.info('Webhook configured', { url });
+      const secret = rotateWebhookSecret(database, 'message.received');
+
+      if (!secret) {
+        return res.status(404).json({
+          success: false,
+          error: 'No webhook configured'
+        });
+      }
+
+      logger.info('Webhook secret rotated');
 
       res.json({
         success: true,
-        message: 'Webhook configured successfully'
+        message: 'Webhook secret rotated successfully',
+        data: {
+          secret
+        }
       });
     } catch (error) {
-      logger.error('Failed to set webhook:', error);
+      logger.error('Failed to rotate webhook secret:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to configure webhook'
+        error: 'Failed to rotate webhook secret'
       });
     }
   });
 
-  // 11. Delete Webhook (Basic Auth)
-  router.delete('/webhook', authenticateBasicAuth(config), (req, res) => {
+  // 13. Delete Webhook (API Key: webhooks)
+  router.delete('/webhook', requireScope('webhooks'), (req, res) => {
     try {
       deleteWebhook(database, 'message.received');
       logger.info('Webhook deleted');
@@ -480,6 +1225,1873 @@ function createRoutes(database, whatsappState, config, logger) {
     }
   });
 
+  // 14. List Webhook Deliveries (API Key: webhooks)
+  // Filter by status: pending, delivered, dead
+  router.get('/webhook/deliveries', requireScope('webhooks'), validate('listWebhookDeliveries'), (req, res) => {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const deliveries = getWebhookDeliveries(database, { status: status || null, limit, offset })
+        .map((delivery) => ({ ...delivery, payload: JSON.parse(delivery.payload) }));
+
+      res.json({
+        success: true,
+        data: deliveries
+      });
+    } catch (error) {
+      logger.error('Failed to get webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve webhook deliveries'
+      });
+    }
+  });
+
+  // 15. Replay All Dead Webhook Deliveries (API Key: webhooks)
+  router.post('/webhook/deliveries/replay', requireScope('webhooks'), (req, res) => {
+    try {
+      const result = replayDeadWebhookDeliveries(database);
+      logger.info('Dead webhook deliveries replayed', { count: result.changes });
+
+      res.json({
+        success: true,
+        message: 'Dead deliveries queued for replay',
+        data: {
+          replayed: result.changes
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to replay webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay webhook deliveries'
+      });
+    }
+  });
+
+  // 16. Replay Webhook Delivery (API Key: webhooks)
+  router.post('/webhook/deliveries/:id/replay', requireScope('webhooks'), validate('replayWebhookDelivery'), (req, res) => {
+    try {
+      const delivery = getWebhookDelivery(database, req.params.id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      if (delivery.status !== 'dead') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only dead deliveries can be replayed'
+        });
+      }
+
+      replayWebhookDelivery(database, delivery.id);
+      logger.info('Webhook delivery replayed', { id: delivery.id });
+
+      res.json({
+        success: true,
+        message: 'Delivery queued for replay'
+      });
+    } catch (error) {
+      logger.error('Failed to replay webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay webhook delivery'
+      });
+    }
+  });
+
+  // 17. List Webhook Event Types (API Key: webhooks)
+  router.get('/webhooks/events', requireScope('webhooks'), (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }))
+    });
+  });
+
+  // 18. List Webhook Subscriptions (API Key: webhooks)
+  router.get('/webhooks', requireScope('webhooks'), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: getWebhooks(database).map(formatWebhook)
+      });
+    } catch (error) {
+      logger.error('Failed to get webhooks:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve webhooks'
+      });
+    }
+  });
+
+  // 19. Create Webhook Subscription (API Key: webhooks)
+  router.post('/webhooks', requireScope('webhooks'), validate('createWebhook'), (req, res) => {
+    const { url, events } = req.body;
+
+    try {
+      const { id } = createWebhook(database, url, events);
+      logger.info('Webhook subscription created', { id, url, events });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully',
+        data: formatWebhook(getWebhookById(database, id))
+      });
+    } catch (error) {
+      logger.error('Failed to create webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook'
+      });
+    }
+  });
+
+  // 20. Update Webhook Subscription (API Key: webhooks)
+  router.patch('/webhooks/:id', requireScope('webhooks'), validate('updateWebhook'), (req, res) => {
+    const { url, events, active } = req.body;
+
+    try {
+      const result = updateWebhook(database, req.params.id, { url, events, active });
+
+      if (result.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      logger.info('Webhook subscription updated', { id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: formatWebhook(getWebhookById(database, req.params.id))
+      });
+    } catch (error) {
+      logger.error('Failed to update webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook'
+      });
+    }
+  });
+
+  // 21. Rotate Webhook Subscription Secret (API Key: webhooks)
+  router.post('/webhooks/:id/secret', requireScope('webhooks'), validate('rotateWebhookSubscriptionSecret'), (req, res) => {
+    try {
+      const secret = rotateWebhookSecretById(database, req.params.id);
+
+      if (!secret) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      logger.info('Webhook secret rotated', { id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Webhook secret rotated successfully',
+        data: {
+          secret
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to rotate webhook secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate webhook secret'
+      });
+    }
+  });
+
+  // 22. Delete Webhook Subscription (API Key: webhooks)
+  router.delete('/webhooks/:id', requireScope('webhooks'), validate('deleteWebhookSubscription'), (req, res) => {
+    try {
+      const result = deleteWebhookById(database, req.params.id);
+
+      if (result.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      logger.info('Webhook subscription deleted', { id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook'
+      });
+    }
+  });
+
+  // 23. Get Message with Delivery Timeline (API Key: inbox)
+  router.get(sessionScoped('/messages/:id(\\d+)'), requireScope('inbox'), withSession, validate('getMessage'), (req, res) => {
+    try {
+      const message = getMessageById(database, req.params.id);
+
+      if (!message || message.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...message,
+          timeline: message.direction === 'outgoing'
+            ? getDeliveryTimeline(message, getOutboundMessageByMessageId(database, message.id))
+            : []
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve message'
+      });
+    }
+  });
+
+  // 24. List Sessions (Basic Auth)
+  router.get('/sessions', authenticateBasicAuth(config), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: sessionManager.list()
+      });
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve sessions'
+      });
+    }
+  });
+
+  // 25. Create Session (Basic Auth)
+  // Starts the session right away; scan its QR code at /sessions/:sessionId/qr
+  router.post('/sessions', authenticateBasicAuth(config), validate('createSession'), async (req, res) => {
+    const { id } = req.body;
+
+    if (sessionManager.has(id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session already exists'
+      });
+    }
+
+    try {
+      await sessionManager.create(id);
+
+      logger.info('Session created', { session: id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Session created successfully',
+        data: sessionManager.getStatus(id)
+      });
+    } catch (error) {
+      logger.error('Failed to create session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create session'
+      });
+    }
+  });
+
+  // 26. Get Session (Basic Auth)
+  router.get('/sessions/:sessionId', authenticateBasicAuth(config), validate('getSession'), (req, res) => {
+    const status = sessionManager.getStatus(req.params.sessionId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  });
+
+  // 27. Start Session (Basic Auth)
+  router.post('/sessions/:sessionId/start', authenticateBasicAuth(config), validate('startSession'), async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!sessionManager.has(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    try {
+      await sessionManager.start(sessionId);
+
+      res.json({
+        success: true,
+        message: 'Session started',
+        data: sessionManager.getStatus(sessionId)
+      });
+    } catch (error) {
+      logger.error('Failed to start session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start session'
+      });
+    }
+  });
+
+  // 28. Stop Session (Basic Auth)
+  // Disconnects without logging out; the session can be started again without a QR scan
+  router.post('/sessions/:sessionId/stop', authenticateBasicAuth(config), validate('stopSession'), async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!sessionManager.has(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    try {
+      await sessionManager.stop(sessionId);
+
+      res.json({
+        success: true,
+        message: 'Session stopped',
+        data: sessionManager.getStatus(sessionId)
+      });
+    } catch (error) {
+      logger.error('Failed to stop session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop session'
+      });
+    }
+  });
+
+  // 29. Delete Session (Basic Auth)
+  // Logs out, removes the auth directory and the session; stored messages are kept
+  router.delete('/sessions/:sessionId', authenticateBasicAuth(config), validate('deleteSession'), async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (sessionId === DEFAULT_SESSION_ID) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default session cannot be deleted'
+      });
+    }
+
+    if (!sessionManager.has(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    try {
+      await sessionManager.delete(sessionId);
+
+      res.json({
+        success: true,
+        message: 'Session deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete session'
+      });
+    }
+  });
+
+  // 30. List API Key Scopes (Basic Auth)
+  router.get('/keys/scopes', authenticateBasicAuth(config), (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description }))
+    });
+  });
+
+  // 31. List API Keys (Basic Auth)
+  // Keys are stored hashed; only their prefix is shown
+  router.get('/keys', authenticateBasicAuth(config), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: getApiKeys(database).map(formatApiKey)
+      });
+    } catch (error) {
+      logger.error('Failed to list API keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve API keys'
+      });
+    }
+  });
+
+  // 32. Create API Key (Basic Auth)
+  // The plaintext key is only returned in this response
+  router.post('/keys', authenticateBasicAuth(config), validate('createApiKey'), (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const parsed = new Date(expiresAt);
+
+      if (Number.isNaN(parsed.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'expiresAt must be an ISO 8601 date'
+        });
+      }
+
+      if (parsed <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'expiresAt must be in the future'
+        });
+      }
+
+      expiry = parsed.toISOString();
+    }
+
+    try {
+      const { id, key } = createApiKey(database, { name: name.trim(), scopes, expiresAt: expiry });
+
+      logger.info('API key created', { id, name: name.trim(), scopes });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now; it cannot be shown again.',
+        data: {
+          ...formatApiKey(getApiKeyById(database, id)),
+          key
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to create API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  });
+
+  // 33. Rotate API Key (Basic Auth)
+  // Issues a new key with the same name, scopes and expiry; the old key keeps
+  // working for graceHours (default API_KEY_ROTATION_GRACE_HOURS, 0 revokes it now)
+  router.post('/keys/:id/rotate', authenticateBasicAuth(config), validate('rotateApiKey'), (req, res) => {
+    const { graceHours } = req.body;
+
+    try {
+      const existing = getApiKeyById(database, req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      if (getApiKeyStatus(existing) !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only active API keys can be rotated'
+        });
+      }
+
+      const hours = graceHours !== undefined ? graceHours : config.API_KEY_ROTATION_GRACE_HOURS;
+      const { id, key, previousExpiresAt } = rotateApiKey(database, existing.id, hours * 60 * 60 * 1000);
+
+      logger.info('API key rotated', { id: existing.id, newId: id, graceHours: hours });
+
+      res.json({
+        success: true,
+        message: 'API key rotated. Store the new key now; it cannot be shown again.',
+        data: {
+          ...formatApiKey(getApiKeyById(database, id)),
+          key,
+          previous: formatApiKey(getApiKeyById(database, existing.id)),
+          previousExpiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to rotate API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+  });
+
+  // 34. Revoke API Key (Basic Auth)
+  router.delete('/keys/:id', authenticateBasicAuth(config), validate('revokeApiKey'), (req, res) => {
+    try {
+      const existing = getApiKeyById(database, req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      revokeApiKey(database, existing.id);
+
+      logger.info('API key revoked', { id: existing.id, name: existing.name });
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to revoke API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  });
+
+  // 35. List Conversations (API Key: inbox)
+  // One row per phone, most recent activity first; paginate with ?cursor=<nextCursor>
+  router.get(sessionScoped('/conversations'), requireScope('inbox'), withSession, validate('listConversations'), (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getConversations(database, {
+        sessionId: req.sessionId,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit, 'last_message_id');
+
+      res.json({
+        success: true,
+        data: items.map(formatConversation),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get conversations:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve conversations'
+      });
+    }
+  });
+
+  // 36. Get Conversation Messages (API Key: inbox)
+  // Both directions, oldest to newest within a page; ?cursor=<nextCursor> loads older messages
+  router.get(sessionScoped('/conversations/:phone/messages'), requireScope('inbox'), withSession, validate('getConversationMessages'), (req, res) => {
+    const jid = toJid(req.params.phone);
+    if (!jid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number or JID'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getConversationMessages(database, jid, {
+        sessionId: req.sessionId,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.reverse(),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get conversation messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve messages'
+      });
+    }
+  });
+
+  // 37. Search Messages (API Key: inbox)
+  // Full-text search, newest first; ?q=<text> plus optional filters, paginate with ?cursor=<nextCursor>
+  router.get(sessionScoped('/messages/search'), requireScope('inbox'), withSession, validate('searchMessages'), (req, res) => {
+    const text = req.query.q.trim();
+
+    const { filters, error } = parseMessageFilters(req.query, req.timezone);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = searchMessages(database, text, {
+        ...filters,
+        sessionId: req.sessionId,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items,
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to search messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search messages'
+      });
+    }
+  });
+
+  // 38. List Messages (API Key: inbox)
+  // Both directions with optional filters; stable ID cursor (?order=asc to replay oldest first) and total count
+  router.get(sessionScoped('/messages'), requireScope('inbox'), withSession, validate('listMessages'), (req, res) => {
+    const { filters, error } = parseMessageFilters(req.query, req.timezone);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const order = req.query.order || 'desc';
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const sessionFilters = { ...filters, sessionId: req.sessionId };
+      const rows = listMessages(database, {
+        ...sessionFilters,
+        order,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items,
+        paging: {
+          ...paging,
+          total: countMessages(database, sessionFilters)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to list messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve messages'
+      });
+    }
+  });
+
+  // 39. List Contacts (API Key: contacts)
+  // Most recently added first; ?search=<text> matches names, JIDs and external IDs
+  router.get('/contacts', requireScope('contacts'), validate('listContacts'), (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getContacts(database, {
+        search: req.query.search?.trim() || null,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map(formatContact),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve contacts'
+      });
+    }
+  });
+
+  // 40. Get Contact (API Key: contacts)
+  router.get('/contacts/:jid', requireScope('contacts'), validate('getContact'), (req, res) => {
+    const jid = toJid(req.params.jid);
+    if (!jid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number or JID'
+      });
+    }
+
+    try {
+      const contact = getContact(database, jid);
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contact not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatContact(contact)
+      });
+    } catch (error) {
+      logger.error('Failed to get contact:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve contact'
+      });
+    }
+  });
+
+  // 41. Update Contact (API Key: contacts)
+  // Sets our own display name, notes and external CRM ID (null clears); creates the contact if needed
+  router.patch('/contacts/:jid', requireScope('contacts'), validate('updateContact'), (req, res) => {
+    const jid = toJid(req.params.jid);
+    if (!jid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number or JID'
+      });
+    }
+
+    const details = {};
+    for (const field of Object.keys(CONTACT_DETAIL_LIMITS)) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      // Empty strings clear the field like null
+      details[field] = value === null || !value.trim() ? null : value.trim();
+    }
+
+    try {
+      // Details of a LID contact already linked to a phone number go to the phone contact
+      const existing = getContact(database, jid);
+      const contact = updateContactDetails(database, existing ? existing.jid : jid, details);
+
+      logger.info('Contact updated', { jid: contact.jid });
+
+      res.json({
+        success: true,
+        data: formatContact(contact)
+      });
+    } catch (error) {
+      logger.error('Failed to update contact:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update contact'
+      });
+    }
+  });
+
+  // 42. Update Configuration (Basic Auth)
+  // ignoreGroups: drop incoming group messages (not stored, no webhooks)
+  router.patch('/config', authenticateBasicAuth(config), validate('updateConfig'), (req, res) => {
+    const { ignoreGroups } = req.body;
+
+    try {
+      setIgnoringGroups(database, ignoreGroups);
+      logger.info('Configuration updated', { ignoreGroups });
+
+      res.json({
+        success: true,
+        data: {
+          ignoreGroups: isIgnoringGroups(database)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to update configuration:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update configuration'
+      });
+    }
+  });
+
+  // 43. Schedule Message (API Key: send)
+  // Same payload as /messages/send plus sendAt; the scheduler sends it when due
+  router.post(sessionScoped('/scheduled'), requireScope('send'), withSession, validate('scheduleMessage'), withContent, (req, res) => {
+    const { to, sendAt } = req.body;
+    const { message, image, media } = req.content;
+    const whenDisconnected = req.body.whenDisconnected || config.SCHEDULED_WHEN_DISCONNECTED || 'send';
+
+    const jid = toJid(to);
+    if (!jid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number or JID'
+      });
+    }
+
+    const validationError = validateOutgoingPayload({ message, image, media });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // A date-time without a zone is read in the request's timezone
+    const sendAtDate = new Date(localToUtc(sendAt, req.timezone) || sendAt);
+    if (isNaN(sendAtDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'sendAt must be an ISO 8601 date-time (e.g. 2024-05-01T09:00:00+05:30)'
+      });
+    }
+
+    if (sendAtDate.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'sendAt must be in the future'
+      });
+    }
+
+    try {
+      const scheduled = createScheduledMessage(database, {
+        sessionId: req.sessionId,
+        recipient: jid,
+        payload: { message, image, media },
+        sendAt: sendAtDate.toISOString(),
+        whenDisconnected
+      });
+
+      logger.info('Message scheduled', { id: scheduled.id, to: jid, sendAt: scheduled.send_at });
+
+      res.status(201).json({
+        success: true,
+        data: formatScheduledMessage(scheduled)
+      });
+    } catch (error) {
+      logger.error('Failed to schedule message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to schedule message'
+      });
+    }
+  });
+
+  // 44. List Scheduled Messages (API Key: send)
+  // Newest first; ?status=pending|sent|failed|missed|cancelled, paginate with ?cursor=<nextCursor>
+  router.get(sessionScoped('/scheduled'), requireScope('send'), withSession, validate('listScheduledMessages'), (req, res) => {
+    const status = req.query.status || null;
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getScheduledMessages(database, {
+        sessionId: req.sessionId,
+        status,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map(formatScheduledMessage),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get scheduled messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve scheduled messages'
+      });
+    }
+  });
+
+  // 45. Get Scheduled Message (API Key: send)
+  router.get(sessionScoped('/scheduled/:id(\\d+)'), requireScope('send'), withSession, validate('getScheduledMessage'), (req, res) => {
+    try {
+      const scheduled = getScheduledMessage(database, req.params.id);
+
+      if (!scheduled || scheduled.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheduled message not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatScheduledMessage(scheduled)
+      });
+    } catch (error) {
+      logger.error('Failed to get scheduled message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve scheduled message'
+      });
+    }
+  });
+
+  // 46. Cancel Scheduled Message (API Key: send)
+  // Only pending messages can be cancelled; the row is kept with status 'cancelled'
+  router.delete(sessionScoped('/scheduled/:id(\\d+)'), requireScope('send'), withSession, validate('cancelScheduledMessage'), (req, res) => {
+    try {
+      const scheduled = getScheduledMessage(database, req.params.id);
+
+      if (!scheduled || scheduled.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheduled message not found'
+        });
+      }
+
+      if (!cancelScheduledMessage(database, scheduled.id)) {
+        return res.status(409).json({
+          success: false,
+          error: `Scheduled message is already ${getScheduledMessage(database, scheduled.id).status}`
+        });
+      }
+
+      logger.info('Scheduled message cancelled', { id: scheduled.id });
+
+      res.json({
+        success: true,
+        data: formatScheduledMessage(getScheduledMessage(database, scheduled.id))
+      });
+    } catch (error) {
+      logger.error('Failed to cancel scheduled message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel scheduled message'
+      });
+    }
+  });
+
+  // 47. Create Broadcast (API Key: send)
+  // Sends one message to many recipients in the background, with {{placeholders}} filled per recipient
+  router.post(sessionScoped('/broadcasts'), requireScope('send'), withSession, validate('createBroadcast'), (req, res) => {
+    const { name, recipients } = req.body;
+    let { message, image, media } = req.body;
+
+    // A template's placeholders are filled per recipient, so its text is stored unfilled
+    if (req.body.templateId !== undefined) {
+      try {
+        const variant = getTemplateVariant(findRequestTemplate(database, req.body), req.body.language);
+        message = variant.text || undefined;
+        media = variant.media || undefined;
+      } catch (error) {
+        return res.status(error.status || 500).json({
+          success: false,
+          error: error.status ? error.message : 'Failed to load template'
+        });
+      }
+    }
+
+    const validationError = validateOutgoingPayload({ message, image, media });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const ratePerMinute = req.body.ratePerMinute ??
+      Math.min(config.BROADCAST_RATE_PER_MINUTE || 20, BROADCAST_LIMITS.ratePerMinute);
+    const jitterSeconds = req.body.jitterSeconds ??
+      Math.min(config.BROADCAST_JITTER_SECONDS ?? 5, BROADCAST_LIMITS.jitterSeconds);
+
+    const parsed = parseBroadcastRecipients(recipients, getPlaceholders(message));
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    try {
+      const broadcast = createBroadcast(database, {
+        sessionId: req.sessionId,
+        name: name || null,
+        payload: { message, image, media },
+        recipients: parsed.recipients,
+        ratePerMinute,
+        jitterSeconds
+      });
+
+      logger.info('Broadcast created', { id: broadcast.id, recipients: broadcast.total });
+
+      res.status(201).json({
+        success: true,
+        data: formatBroadcast(broadcast, getBroadcastProgress(database, broadcast.id))
+      });
+    } catch (error) {
+      logger.error('Failed to create broadcast:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create broadcast'
+      });
+    }
+  });
+
+  // 48. List Broadcasts (API Key: send)
+  // Newest first; ?status=running|paused|completed|cancelled, paginate with ?cursor=<nextCursor>
+  router.get(sessionScoped('/broadcasts'), requireScope('send'), withSession, validate('listBroadcasts'), (req, res) => {
+    const status = req.query.status || null;
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getBroadcasts(database, {
+        sessionId: req.sessionId,
+        status,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map((broadcast) => formatBroadcast(broadcast, getBroadcastProgress(database, broadcast.id))),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get broadcasts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve broadcasts'
+      });
+    }
+  });
+
+  // 49. Get Broadcast Progress (API Key: send)
+  router.get(sessionScoped('/broadcasts/:id(\\d+)'), requireScope('send'), withSession, validate('getBroadcast'), (req, res) => {
+    try {
+      const broadcast = getBroadcast(database, req.params.id);
+
+      if (!broadcast || broadcast.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Broadcast not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatBroadcast(broadcast, getBroadcastProgress(database, broadcast.id))
+      });
+    } catch (error) {
+      logger.error('Failed to get broadcast:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve broadcast'
+      });
+    }
+  });
+
+  // 50. List Broadcast Recipients (API Key: send)
+  // Per-recipient results in sending order; ?status=pending|sent|failed|cancelled
+  router.get(sessionScoped('/broadcasts/:id(\\d+)/recipients'), requireScope('send'), withSession, validate('listBroadcastRecipients'), (req, res) => {
+    const status = req.query.status || null;
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const broadcast = getBroadcast(database, req.params.id);
+
+      if (!broadcast || broadcast.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Broadcast not found'
+        });
+      }
+
+      const rows = getBroadcastRecipients(database, broadcast.id, {
+        status,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map(formatBroadcastRecipient),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get broadcast recipients:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve broadcast recipients'
+      });
+    }
+  });
+
+  /**
+   * Apply a pause, resume or cancel action to a broadcast of the request's session
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   * @param {Function} change - Returns true if the broadcast changed state
+   */
+  const changeBroadcast = (req, res, action, change) => {
+    try {
+      const broadcast = getBroadcast(database, req.params.id);
+
+      if (!broadcast || broadcast.session_id !== req.sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Broadcast not found'
+        });
+      }
+
+      if (!change(broadcast.id)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot ${action} a broadcast that is ${getBroadcast(database, broadcast.id).status}`
+        });
+      }
+
+      logger.info(`Broadcast ${action}`, { id: broadcast.id });
+
+      res.json({
+        success: true,
+        data: formatBroadcast(getBroadcast(database, broadcast.id), getBroadcastProgress(database, broadcast.id))
+      });
+    } catch (error) {
+      logger.error(`Failed to ${action} broadcast:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} broadcast`
+      });
+    }
+  };
+
+  // 51. Pause Broadcast (API Key: send)
+  router.post(sessionScoped('/broadcasts/:id(\\d+)/pause'), requireScope('send'), withSession, validate('pauseBroadcast'), (req, res) => {
+    changeBroadcast(req, res, 'pause', (id) => setBroadcastStatus(database, id, 'paused', ['running']));
+  });
+
+  // 52. Resume Broadcast (API Key: send)
+  router.post(sessionScoped('/broadcasts/:id(\\d+)/resume'), requireScope('send'), withSession, validate('resumeBroadcast'), (req, res) => {
+    changeBroadcast(req, res, 'resume', (id) => setBroadcastStatus(database, id, 'running', ['paused']));
+  });
+
+  // 53. Cancel Broadcast (API Key: send)
+  // Recipients not sent to yet are marked cancelled
+  router.post(sessionScoped('/broadcasts/:id(\\d+)/cancel'), requireScope('send'), withSession, validate('cancelBroadcast'), (req, res) => {
+    changeBroadcast(req, res, 'cancel', (id) => cancelBroadcast(database, id));
+  });
+
+  // 54. List Outbound Queue (API Key: send)
+  // Oldest first; ?status=queued|sent|failed, paginate with ?cursor=<nextCursor>
+  router.get(sessionScoped('/queue'), requireScope('send'), withSession, validate('listOutboundQueue'), (req, res) => {
+    const status = req.query.status || null;
+
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getOutboundMessages(database, {
+        sessionId: req.sessionId,
+        status,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map(formatOutboundMessage),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get outbound queue:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve outbound queue'
+      });
+    }
+  });
+
+  // 55. List Templates (API Key: templates)
+  // Ordered by ID; ?search=<name>, paginate with ?cursor=<nextCursor>
+  router.get('/templates', requireScope('templates'), validate('listTemplates'), (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    try {
+      const rows = getTemplates(database, {
+        search: req.query.search || null,
+        cursor: pagination.cursor,
+        limit: pagination.limit + 1
+      });
+      const { items, paging } = toPage(rows, pagination.limit);
+
+      res.json({
+        success: true,
+        data: items.map(formatTemplate),
+        paging
+      });
+    } catch (error) {
+      logger.error('Failed to get templates:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve templates'
+      });
+    }
+  });
+
+  // 56. Create Template (API Key: templates)
+  // Body: { name, defaultLanguage?, variants: [{ language, text?, media? }] }
+  router.post('/templates', requireScope('templates'), validate('createTemplate'), (req, res) => {
+    const { fields, error: validationError } = parseTemplateInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      if (getTemplateByName(database, fields.name)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A template with this name already exists'
+        });
+      }
+
+      const template = createTemplate(database, fields);
+
+      logger.info('Template created', { id: template.id, name: template.name });
+
+      res.status(201).json({
+        success: true,
+        data: formatTemplate(template)
+      });
+    } catch (error) {
+      logger.error('Failed to create template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template'
+      });
+    }
+  });
+
+  // 57. Get Template (API Key: templates)
+  router.get('/templates/:id(\\d+)', requireScope('templates'), validate('getTemplate'), (req, res) => {
+    try {
+      const template = getTemplate(database, req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatTemplate(template)
+      });
+    } catch (error) {
+      logger.error('Failed to get template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve template'
+      });
+    }
+  });
+
+  // 58. Update Template (API Key: templates)
+  // Only provided fields change; variants replaces all language variants
+  router.patch('/templates/:id(\\d+)', requireScope('templates'), validate('updateTemplate'), (req, res) => {
+    try {
+      const template = getTemplate(database, req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      const { fields, error: validationError } = parseTemplateInput(req.body, template);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const sameName = fields.name ? getTemplateByName(database, fields.name) : null;
+      if (sameName && sameName.id !== template.id) {
+        return res.status(409).json({
+          success: false,
+          error: 'A template with this name already exists'
+        });
+      }
+
+      const updated = updateTemplate(database, template.id, fields);
+
+      logger.info('Template updated', { id: template.id });
+
+      res.json({
+        success: true,
+        data: formatTemplate(updated)
+      });
+    } catch (error) {
+      logger.error('Failed to update template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update template'
+      });
+    }
+  });
+
+  // 59. Delete Template (API Key: templates)
+  router.delete('/templates/:id(\\d+)', requireScope('templates'), validate('deleteTemplate'), (req, res) => {
+    try {
+      if (!deleteTemplate(database, req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      logger.info('Template deleted', { id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete template'
+      });
+    }
+  });
+
+  // 60. List Auto-Reply Rules (API Key: rules)
+  // In evaluation order: highest priority first, then oldest first
+  router.get('/rules', requireScope('rules'), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: getAutoReplyRules(database).map(formatAutoReplyRule)
+      });
+    } catch (error) {
+      logger.error('Failed to get auto-reply rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve auto-reply rules'
+      });
+    }
+  });
+
+  // 61. Create Auto-Reply Rule (API Key: rules)
+  // Body: { name, enabled?, priority?, session?, cooldownSeconds?,
+  //         match: { keywords?, pattern?, senders?, mediaTypes?, groups? }, action: { type, ... } }
+  router.post('/rules', requireScope('rules'), validate('createAutoReplyRule'), (req, res) => {
+    try {
+      const { fields, error: validationError } = parseAutoReplyRuleInput(database, req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const rule = createAutoReplyRule(database, fields);
+
+      logger.info('Auto-reply rule created', { id: rule.id, name: rule.name });
+
+      res.status(201).json({
+        success: true,
+        data: formatAutoReplyRule(rule)
+      });
+    } catch (error) {
+      logger.error('Failed to create auto-reply rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create auto-reply rule'
+      });
+    }
+  });
+
+  // 62. Get Auto-Reply Rule (API Key: rules)
+  router.get('/rules/:id(\\d+)', requireScope('rules'), validate('getAutoReplyRule'), (req, res) => {
+    try {
+      const rule = getAutoReplyRule(database, req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatAutoReplyRule(rule)
+      });
+    } catch (error) {
+      logger.error('Failed to get auto-reply rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve auto-reply rule'
+      });
+    }
+  });
+
+  // 63. Update Auto-Reply Rule (API Key: rules)
+  // Only provided fields change; match and action are replaced as a whole
+  router.patch('/rules/:id(\\d+)', requireScope('rules'), validate('updateAutoReplyRule'), (req, res) => {
+    try {
+      const rule = getAutoReplyRule(database, req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rule not found'
+        });
+      }
+
+      const { fields, error: validationError } = parseAutoReplyRuleInput(database, req.body, rule);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const updated = updateAutoReplyRule(database, rule.id, fields);
+
+      logger.info('Auto-reply rule updated', { id: rule.id });
+
+      res.json({
+        success: true,
+        data: formatAutoReplyRule(updated)
+      });
+    } catch (error) {
+      logger.error('Failed to update auto-reply rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update auto-reply rule'
+      });
+    }
+  });
+
+  // 64. Delete Auto-Reply Rule (API Key: rules)
+  router.delete('/rules/:id(\\d+)', requireScope('rules'), validate('deleteAutoReplyRule'), (req, res) => {
+    try {
+      if (!deleteAutoReplyRule(database, req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rule not found'
+        });
+      }
+
+      logger.info('Auto-reply rule deleted', { id: req.params.id });
+
+      res.json({
+        success: true,
+        message: 'Rule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete auto-reply rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete auto-reply rule'
+      });
+    }
+  });
+
+  // 65. Test Auto-Reply Rules (API Key: rules)
+  // Dry run: shows which rule would handle a message and what it would do; nothing is sent or stored
+  // Body: { text?, from?, name?, group?, mediaType?, session?, rule? } (rule tests an unsaved rule on its own)
+  router.post('/rules/test', requireScope('rules'), validate('testAutoReplyRules'), (req, res) => {
+    const { text = '', from, name = null, group, mediaType = 'text', session = DEFAULT_SESSION_ID, rule: draft } = req.body;
+
+    const senderJid = from === undefined ? null : toJid(String(from));
+    if (from !== undefined && !senderJid) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be a phone number or JID'
+      });
+    }
+
+    const groupJid = group === undefined ? null : toJid(String(group));
+    if (group !== undefined && (!groupJid || !groupJid.endsWith('@g.us'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'group must be a group JID'
+      });
+    }
+
+    try {
+      let rules = null;
+      if (draft !== undefined) {
+        const { fields, error: validationError } = parseAutoReplyRuleInput(database, draft);
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: `rule: ${validationError}`
+          });
+        }
+
+        rules = [{
+          id: null,
+          name: fields.name,
+          conditions: fields.conditions,
+          action: fields.action,
+          cooldown_seconds: 0
+        }];
+      }
+
+      const chatJid = groupJid || senderJid || '';
+      const message = {
+        id: null,
+        session_id: session,
+        phone: chatJid,
+        chat_jid: chatJid,
+        sender_jid: senderJid,
+        sender_name: name,
+        message: text,
+        media_type: mediaType
+      };
+      const { rule, results } = findAutoReplyRule(database, message, { rules });
+
+      res.json({
+        success: true,
+        data: {
+          matched: rule ? { id: rule.id, name: rule.name } : null,
+          action: rule ? previewAutoReplyAction(database, rule, message) : null,
+          rules: results.map((result) => ({
+            id: result.rule.id,
+            name: result.rule.name,
+            matched: result.matched,
+            cooldown_until: result.cooldownUntil
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to test auto-reply rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test auto-reply rules'
+      });
+    }
+  });
+
+  // 66. Get Retention Rules (Basic Auth)
+  router.get('/retention', authenticateBasicAuth(config), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          rules: getRetentionRules(database),
+          intervalMinutes: config.RETENTION_INTERVAL_MINUTES || 60
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get retention rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get retention rules'
+      });
+    }
+  });
+
+  // 67. Replace Retention Rules (Basic Auth)
+  // An empty list keeps everything
+  router.put('/retention', authenticateBasicAuth(config), validate('setRetentionRules'), (req, res) => {
+    const { rules, error: validationError } = parseRetentionRules(req.body.rules);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      setRetentionRules(database, rules);
+      logger.info('Retention rules updated', { rules: rules.length });
+
+      res.json({
+        success: true,
+        data: { rules }
+      });
+    } catch (error) {
+      logger.error('Failed to update retention rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update retention rules'
+      });
+    }
+  });
+
+  // 68. Retention Dry Run (API Key: inbox)
+  // Reports what the saved rules (or the rules in the body) would delete now; nothing is deleted
+  router.post('/retention/preview', requireScope('inbox'), validate('previewRetention'), async (req, res) => {
+    let rules;
+    if (req.body.rules !== undefined) {
+      const parsed = parseRetentionRules(req.body.rules);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      rules = parsed.rules;
+    }
+
+    try {
+      res.json({
+        success: true,
+        data: await runRetention(database, rules || getRetentionRules(database), {
+          mediaPath: config.MEDIA_PATH,
+          dryRun: true
+        })
+      });
+    } catch (error) {
+      logger.error('Failed to preview retention:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview retention'
+      });
+    }
+  });
+
+  // 69. Purge Now (Basic Auth)
+  // Applies the saved rules without waiting for the periodic job
+  router.post('/retention/purge', authenticateBasicAuth(config), async (req, res) => {
+    try {
+      const result = await runRetention(database, getRetentionRules(database), {
+        mediaPath: config.MEDIA_PATH,
+        logger
+      });
+      logger.info('Manual retention purge', result.totals);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to purge messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to purge messages'
+      });
+    }
+  });
+
+  // 70. Export Messages (API Key: inbox)
+  // Streams messages oldest first as NDJSON or CSV (same filters as /messages); ?media=true bundles media into a ZIP
+  router.get(sessionScoped('/export'), requireScope('inbox'), withSession, validate('exportMessages'), async (req, res) => {
+    const { filters, error } = parseMessageFilters(req.query, req.timezone);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const format = req.query.format || 'ndjson';
+    const media = req.query.media === true;
+
+    const extension = media ? 'zip' : format;
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', CONTENT_TYPES[extension]);
+    res.setHeader('Content-Disposition', `attachment; filename="messages-${req.sessionId}-${date}.${extension}"`);
+
+    try {
+      await writeExport(database, res, {
+        filters: { ...filters, sessionId: req.sessionId },
+        format,
+        media,
+        mediaPath: config.MEDIA_PATH
+      });
+      res.end();
+      logger.info('Messages exported', { session: req.sessionId, format, media });
+    } catch (exportError) {
+      if (res.destroyed) {
+        // The client went away; the export stopped reading messages
+        logger.info('Export cancelled', { session: req.sessionId, format, media });
+        return;
+      }
+
+      logger.error('Failed to export messages:', exportError);
+      if (res.headersSent) {
+        // Part of the file is already sent: abort so the client sees an incomplete download
+        return res.destroy(exportError);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export messages'
+      });
+    }
+  });
+
+  // 71. Import Messages (Basic Auth)
+  // Body: an export as NDJSON, CSV or ZIP (Content-Type application/x-ndjson, text/csv or application/zip)
+  const importMaxMb = config.IMPORT_MAX_MB || 100;
+  const parseImportBody = express.raw({
+    type: ['application/x-ndjson', 'application/jsonl', 'text/csv', 'application/zip', 'application/x-zip-compressed'],
+    limit: `${importMaxMb}mb`
+  });
+  const importBody = (req, res, next) => parseImportBody(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.type === 'entity.too.large' ? `Import is larger than ${importMaxMb} MB (IMPORT_MAX_MB)` : 'Invalid request body'
+      });
+    }
+    next();
+  });
+  router.post(sessionScoped('/import'), authenticateBasicAuth(config), withSession, importBody, (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send an export as the body with Content-Type application/x-ndjson, text/csv or application/zip'
+      });
+    }
+
+    const type = req.get('Content-Type') || '';
+    const format = type.includes('zip') ? 'zip' : type.startsWith('text/csv') ? 'csv' : 'ndjson';
+
+    try {
+      const result = importMessages(database, req.body, {
+        format,
+        sessionId: req.sessionId,
+        mediaPath: config.MEDIA_PATH,
+        maxSize: importMaxMb * 1024 * 1024
+      });
+      logger.info('Messages imported', { session: req.sessionId, format, ...result });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Failed to import messages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import messages'
+      });
+    }
+  });
+
+  // 72. Event Stream (API Key: inbox)
+  // Server-Sent Events, or WebSocket messages when the request is an upgrade; ?session= and ?events= filter,
+  // Last-Event-ID (header or ?lastEventId=) first replays the events after it
+  router.get('/events', requireScope('inbox'), validate('streamEvents'), (req, res) => {
+    const options = parseEventStreamOptions(req);
+
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+    const cleanup = () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    };
+
+    let client;
+    if (isWebSocketRequest(req)) {
+      let socket;
+      try {
+        socket = acceptWebSocket(req, res);
+      } catch (handshakeError) {
+        return res.status(handshakeError.status || 400).json({
+          success: false,
+          error: handshakeError.message
+        });
+      }
+
+      socket.on('close', cleanup);
+      client = {
+        send: (entry) => socket.send(JSON.stringify({ id: entry.id, ...entry.data })),
+        ping: () => socket.ping(),
+        buffered: () => socket.bufferedAmount,
+        close: () => socket.close(1008, 'Client is too slow')
+      };
+    } else {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${EVENT_STREAM_OPTIONS.retryMs}\n\n`);
+
+      res.on('close', cleanup);
+      client = {
+        send: (entry) => res.write(formatServerSentEvent(entry)),
+        ping: () => res.write(': ping\n\n'),
+        buffered: () => res.writableLength,
+        close: () => res.destroy()
+      };
+    }
+
+    const disconnect = () => {
+      logger.warn('Event stream client fell behind; disconnecting', { session: options.sessionId });
+      cleanup();
+      client.close();
+    };
+
+    unsubscribe = subscribeEvents(database, options, (entry) => {
+      if (closed) return;
+      if (client.buffered() > EVENT_STREAM_OPTIONS.maxBufferedBytes) {
+        return disconnect();
+      }
+      client.send(entry);
+    });
+
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+    heartbeat = setInterval(client.ping, EVENT_STREAM_OPTIONS.heartbeatMs);
+  });
+
+  // 73. OpenAPI Document (Public)
+  // Describes every endpoint; requests are validated against the same document
+  const openApiDocument = buildOpenApiDocument();
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
   return router;
 }
 
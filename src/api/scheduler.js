@@ -0,0 +1,151 @@
+const {
+  getDueScheduledMessages,
+  claimScheduledMessage,
+  finishScheduledMessage,
+  failInterruptedScheduledMessages
+} = require('../database');
+const { sendOutgoingMessage } = require('./sender');
+const { emitWebhookEvent } = require('./webhooks');
+
+// What happens to a message that comes due while its session is disconnected
+const WHEN_DISCONNECTED_POLICIES = {
+  send: 'Send it as soon as the session is connected again',
+  miss: 'Mark it as missed and do not send it'
+};
+
+// Due messages are checked every 5 seconds
+const DEFAULT_SCHEDULER_OPTIONS = {
+  intervalMs: 5000,
+  batchSize: 20,
+  mediaPath: './media'
+};
+
+/**
+ * Notify webhooks that a scheduled message was not sent
+ * @param {object} database - Database instance
+ * @param {string} event - 'scheduled.missed' or 'scheduled.failed'
+ * @param {object} scheduled - Scheduled message row
+ * @param {string} error - Reason
+ */
+function emitScheduledEvent(database, event, scheduled, error) {
+  emitWebhookEvent(database, event, {
+    session: scheduled.session_id,
+    scheduled: {
+      id: scheduled.id,
+      to: scheduled.recipient,
+      sendAt: scheduled.send_at,
+      error
+    }
+  });
+}
+
+/**
+ * Send one due scheduled message, or mark it missed if its session is disconnected
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {object} scheduled - Scheduled message row
+ * @param {object} logger - Logger instance
+ * @param {object} options - { mediaPath }
+ * @returns {Promise<string>} 'sent', 'failed', 'missed', 'pending' (waiting for reconnect)
+ *   or 'cancelled' (cancelled before it was sent)
+ */
+async function processScheduledMessage(database, sessionManager, scheduled, logger, options = {}) {
+  const { mediaPath } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+
+  if (!sessionManager.has(scheduled.session_id)) {
+    const error = 'Session not found';
+    finishScheduledMessage(database, scheduled.id, { status: 'failed', error });
+    emitScheduledEvent(database, 'scheduled.failed', scheduled, error);
+    return 'failed';
+  }
+
+  const state = sessionManager.get(scheduled.session_id);
+  if (!state || !state.connected || !state.sock) {
+    if (scheduled.when_disconnected !== 'miss') {
+      return 'pending';
+    }
+
+    const error = 'WhatsApp not connected when the message was due';
+    finishScheduledMessage(database, scheduled.id, { status: 'missed', error });
+    emitScheduledEvent(database, 'scheduled.missed', scheduled, error);
+    logger.info('Scheduled message missed', { id: scheduled.id, session: scheduled.session_id });
+    return 'missed';
+  }
+
+  // A cancel that arrives from here on gets 409 instead of silently losing the race with the send
+  if (!claimScheduledMessage(database, scheduled.id)) {
+    return 'cancelled';
+  }
+
+  try {
+    const { id } = await sendOutgoingMessage(
+      database,
+      state.sock,
+      scheduled.recipient,
+      JSON.parse(scheduled.payload),
+      mediaPath,
+      scheduled.session_id
+    );
+
+    finishScheduledMessage(database, scheduled.id, { status: 'sent', messageId: id });
+    logger.info('Scheduled message sent', { id: scheduled.id, messageId: id, to: scheduled.recipient });
+    return 'sent';
+  } catch (error) {
+    finishScheduledMessage(database, scheduled.id, { status: 'failed', error: error.message });
+    emitScheduledEvent(database, 'scheduled.failed', scheduled, error.message);
+    logger.error('Scheduled message failed:', { id: scheduled.id, error: error.message });
+    return 'failed';
+  }
+}
+
+/**
+ * Start background scheduler that sends due scheduled messages
+ * Scheduled messages live in the database, so pending ones are picked up again after a restart
+ * @param {object} database - Database instance
+ * @param {SessionManager} sessionManager - Running sessions
+ * @param {object} logger - Logger instance
+ * @param {object} options - { intervalMs, batchSize, mediaPath }
+ * @returns {Function} Stop function
+ */
+function startScheduler(database, sessionManager, logger, options = {}) {
+  const schedulerOptions = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  const inFlight = new Set();
+
+  const interruptedError = 'Server stopped while the message was being sent';
+  for (const scheduled of failInterruptedScheduledMessages(database, interruptedError)) {
+    emitScheduledEvent(database, 'scheduled.failed', scheduled, interruptedError);
+    logger.error('Scheduled message interrupted:', { id: scheduled.id });
+  }
+
+  const tick = () => {
+    let due;
+    try {
+      // Messages waiting for a disconnected session to come back are skipped so they don't fill the batch
+      const connected = sessionManager.list().filter((session) => session.connected).map((session) => session.id);
+      due = getDueScheduledMessages(database, new Date().toISOString(), schedulerOptions.batchSize, connected);
+    } catch (error) {
+      logger.error('Failed to load scheduled messages:', error);
+      return;
+    }
+
+    for (const scheduled of due) {
+      if (inFlight.has(scheduled.id)) continue;
+
+      inFlight.add(scheduled.id);
+      processScheduledMessage(database, sessionManager, scheduled, logger, schedulerOptions)
+        .catch((error) => logger.error('Scheduled message error:', error))
+        .finally(() => inFlight.delete(scheduled.id));
+    }
+  };
+
+  const timer = setInterval(tick, schedulerOptions.intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WHEN_DISCONNECTED_POLICIES,
+  processScheduledMessage,
+  startScheduler
+};
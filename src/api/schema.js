@@ -0,0 +1,266 @@
+/**
+ * Request validation against the JSON Schemas of the OpenAPI document
+ * Covers the keywords the document uses: type, nullable, enum, required, properties, items,
+ * minLength/maxLength, pattern, format (uri), minimum/maximum, minItems/maxItems, allOf, anyOf and $ref.
+ * A schema's x-error replaces the messages of its own keywords.
+ */
+
+/**
+ * Describe a JSON type for error messages
+ * @param {string} type - Schema type
+ * @returns {string} Type with its article
+ */
+function describeType(type) {
+  return {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array'
+  }[type];
+}
+
+/**
+ * Check the JSON type of a value
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value - URL to check
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a $ref to a component schema
+ * @param {object} schema - Schema (may be a { $ref })
+ * @param {object} components - OpenAPI components
+ * @returns {object} Referenced schema
+ */
+function resolveSchema(schema, components) {
+  if (!schema.$ref) {
+    return schema;
+  }
+
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  if (!components.schemas[name]) {
+    throw new Error(`Unknown schema: ${schema.$ref}`);
+  }
+  return components.schemas[name];
+}
+
+/**
+ * Describe the range of a number schema
+ * @param {object} schema - Number or integer schema
+ * @returns {string} Error message
+ */
+function describeRange(schema) {
+  const type = describeType(schema.type);
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `must be ${type} from ${schema.minimum} to ${schema.maximum}`;
+  }
+  return schema.minimum !== undefined ? `must be at least ${schema.minimum}` : `must be at most ${schema.maximum}`;
+}
+
+/**
+ * Describe the size limits of an array schema
+ * @param {object} schema - Array schema
+ * @returns {string} Error message
+ */
+function describeItemCount(schema) {
+  if (schema.minItems !== undefined && schema.maxItems !== undefined) {
+    return `must have ${schema.minItems} to ${schema.maxItems} items`;
+  }
+  return schema.minItems !== undefined
+    ? (schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`)
+    : `must have at most ${schema.maxItems} items`;
+}
+
+/**
+ * Check a value against the keywords of one schema (not its properties or items)
+ * @param {object} schema - Schema
+ * @param {*} value - Value (not undefined)
+ * @returns {string|null} Error message or null if valid
+ */
+function checkKeywords(schema, value) {
+  if (value === null) {
+    return schema.nullable || !schema.type ? null : `must be ${describeType(schema.type)}`;
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return `must be ${describeType(schema.type)}${schema.nullable ? ' or null' : ''}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      return `must match ${schema.pattern}`;
+    }
+    if (schema.format === 'uri' && !isHttpUrl(value)) {
+      return 'must be an http or https URL';
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      return describeRange(schema);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+        (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+      return describeItemCount(schema);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe the options of an anyOf that no option matched
+ * @param {Array<object>} options - anyOf schemas
+ * @param {object} components - OpenAPI components
+ * @returns {string} Error message
+ */
+function describeAnyOf(options, components) {
+  const resolved = options.map((option) => resolveSchema(option, components));
+
+  // Options that only require a field: "one of these fields must be present"
+  if (resolved.every((option) => option.required && !option.type)) {
+    return `must include one of: ${resolved.map((option) => option.required.join(' and ')).join(', ')}`;
+  }
+
+  const types = [...new Set(resolved.map((option) => describeType(option.type)))];
+  return types.length === 1
+    ? `must be ${types[0]}`
+    : `must be ${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`;
+}
+
+/**
+ * Join a field path and a property name or index
+ * @param {string} field - Path of the parent ('' for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path such as rules[0].olderThanDays
+ */
+function joinField(field, key) {
+  if (typeof key === 'number') {
+    return `${field}[${key}]`;
+  }
+  return field ? `${field}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema (OpenAPI 3.0 dialect)
+ * @param {*} value - Value to check (undefined is treated as absent and passes)
+ * @param {object} options - { components, field } (field = path of the value for messages)
+ * @returns {Array<object>} Errors: [{ field, message }] (empty when valid)
+ */
+function validateSchema(schema, value, { components = { schemas: {} }, field = '' } = {}) {
+  const resolved = resolveSchema(schema, components);
+  if (value === undefined) {
+    return [];
+  }
+
+  const error = checkKeywords(resolved, value);
+  if (error) {
+    return [{ field, message: resolved['x-error'] || error }];
+  }
+
+  const errors = [];
+  if (hasType(value, 'object')) {
+    for (const name of resolved.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinField(field, name), message: 'is required' });
+      }
+    }
+  }
+
+  for (const part of resolved.allOf || []) {
+    errors.push(...validateSchema(part, value, { components, field }));
+  }
+
+  if (resolved.anyOf && !resolved.anyOf.some((option) => validateSchema(option, value, { components, field }).length === 0)) {
+    errors.push({ field, message: resolved['x-error'] || describeAnyOf(resolved.anyOf, components) });
+  }
+
+  if (hasType(value, 'object')) {
+    for (const [name, property] of Object.entries(resolved.properties || {})) {
+      errors.push(...validateSchema(property, value[name], { components, field: joinField(field, name) }));
+    }
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(resolved.items, item, { components, field: joinField(field, index) }));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query, path or header parameter to the type of its schema
+ * Arrays are comma-separated (?status=unread,replied); values that cannot be converted are
+ * returned unchanged so validation reports them
+ * @param {object} schema - Parameter schema (no $ref)
+ * @param {*} value - Raw value (string, or array/object from the query string parser)
+ * @returns {*} Converted value
+ */
+function coerceParameter(schema, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').map((item) => item.trim()).filter(Boolean)
+        .map((item) => coerceParameter(schema.items || {}, item));
+    default:
+      return value;
+  }
+}
+
+module.exports = {
+  validateSchema,
+  coerceParameter
+};
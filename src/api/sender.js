@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { validateOutgoingMedia, buildMediaContent } = require('./media');
+const { emitWebhookEvent } = require('./webhooks');
+const { toWebhookContact } = require('./contacts');
+const {
+  DEFAULT_SESSION_ID,
+  insertMessage,
+  updateMessageMedia,
+  setMessageWhatsAppId,
+  getMessageById,
+  getContact,
+  createOutboundMessage
+} = require('../database');
+
+/**
+ * Validate the body of an outgoing message request
+ * @param {object} payload - { message, image, media }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOutgoingPayload({ message, image, media }) {
+  if (!message && !image && !media) {
+    return 'Message, image or media is required';
+  }
+
+  if (image && media) {
+    return 'Use either image or media, not both';
+  }
+
+  if (media) {
+    return validateOutgoingMedia(media, message);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve where outgoing media comes from
+ * @param {object} database - Database instance
+ * @param {string} mediaPath - Path to media storage
+ * @param {object} media - Validated media object
+ * @returns {object} { source, mediaUrl, mimetype, filename }
+ * @throws {Error} With status 404 when a stored media id does not exist
+ */
+function resolveMediaSource(database, mediaPath, media) {
+  if (media.url) {
+    return { source: { url: media.url }, mediaUrl: media.url, mimetype: media.mimetype, filename: media.filename };
+  }
+
+  if (media.data) {
+    return { source: Buffer.from(media.data, 'base64'), mediaUrl: 'base64', mimetype: media.mimetype, filename: media.filename };
+  }
+
+  // Reuse media previously stored in MEDIA_PATH (referenced by message ID)
+  const stored = getMessageById(database, media.mediaId);
+  const filepath = stored && stored.media_url ? path.join(path.resolve(mediaPath), path.basename(stored.media_url)) : null;
+
+  if (!filepath || !fs.existsSync(filepath)) {
+    const error = new Error('Stored media not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return {
+    source: { url: filepath },
+    mediaUrl: stored.media_url,
+    mimetype: media.mimetype || stored.media_mimetype,
+    filename: media.filename || stored.media_filename
+  };
+}
+
+/**
+ * Build Baileys message content from text, legacy image field or media object
+ * @param {object} database - Database instance
+ * @param {string} mediaPath - Path to media storage
+ * @param {object} payload - { message, image, media }
+ * @returns {object} { content, mediaType, mediaUrl, mimetype, filename }
+ */
+function buildOutgoingContent(database, mediaPath, { message, image, media }) {
+  // Legacy image field: base64 string or URL
+  if (image) {
+    media = image.startsWith('http://') || image.startsWith('https://')
+      ? { type: 'image', url: image }
+      : { type: 'image', data: image };
+  }
+
+  if (!media) {
+    return { content: { text: message }, mediaType: 'text', mediaUrl: null, mimetype: null, filename: null };
+  }
+
+  const { source, mediaUrl, mimetype, filename } = resolveMediaSource(database, mediaPath, media);
+  const content = buildMediaContent(media.type, source, { caption: message || '', mimetype, filename });
+
+  return { content, mediaType: media.type, mediaUrl, mimetype: mimetype || null, filename: filename || null };
+}
+
+/**
+ * Notify webhooks that an outgoing message was sent
+ * @param {object} database - Database instance
+ * @param {string} sessionId - Session the message was sent from
+ * @param {object} message - { id, whatsappId, jid, text, mediaType, mediaUrl }
+ */
+function emitMessageSent(database, sessionId, { id, whatsappId, jid, text, mediaType, mediaUrl }) {
+  emitWebhookEvent(database, 'message.sent', {
+    session: sessionId,
+    message: {
+      id,
+      whatsappId,
+      to: jid,
+      text,
+      mediaType,
+      mediaUrl,
+      timestamp: new Date().toISOString()
+    },
+    contact: toWebhookContact(getContact(database, jid))
+  });
+}
+
+/**
+ * Send a message through Baileys and store it as an outgoing row
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {string} jid - Recipient JID
+ * @param {object} payload - { message, image, media }
+ * @param {string} mediaPath - Path to media storage
+ * @param {string} sessionId - Session the message is sent from
+ * @returns {Promise<object>} { id, whatsappId, mediaType }
+ */
+async function sendOutgoingMessage(database, sock, jid, payload, mediaPath = './media', sessionId = DEFAULT_SESSION_ID) {
+  const { content, mediaType, mediaUrl, mimetype, filename } = buildOutgoingContent(database, mediaPath, payload);
+
+  const sent = await sock.sendMessage(jid, content);
+
+  const result = insertMessage(database, 'outgoing', jid, payload.message || '', 'sent', mediaType, mediaUrl, null, sessionId);
+  const id = result.lastInsertRowid;
+
+  // Keep the WhatsApp message ID so delivery/read receipts can be matched later
+  const whatsappId = sent?.key?.id || null;
+  setMessageWhatsAppId(database, id, whatsappId);
+
+  if (mimetype || filename) {
+    updateMessageMedia(database, id, { url: mediaUrl, mimetype, filename });
+  }
+
+  emitMessageSent(database, sessionId, { id, whatsappId, jid, text: payload.message || '', mediaType, mediaUrl });
+
+  return { id, whatsappId, mediaType };
+}
+
+/**
+ * Store an outgoing message and add it to the outbound queue instead of sending it now
+ * Stored media is resolved here, so a missing media id is reported right away
+ * @param {object} database - Database instance
+ * @param {string} jid - Recipient JID
+ * @param {object} payload - { message, image, media }
+ * @param {string} mediaPath - Path to media storage
+ * @param {string} sessionId - Session the message is sent from
+ * @param {number|null} replyToId - Incoming message to mark replied once sent
+ * @returns {object} { id, queueId, mediaType }
+ */
+function queueOutgoingMessage(database, jid, payload, mediaPath = './media', sessionId = DEFAULT_SESSION_ID, replyToId = null) {
+  const { mediaType, mediaUrl, mimetype, filename } = buildOutgoingContent(database, mediaPath, payload);
+
+  const id = insertMessage(database, 'outgoing', jid, payload.message || '', 'sent', mediaType, mediaUrl, null, sessionId).lastInsertRowid;
+  if (mimetype || filename) {
+    updateMessageMedia(database, id, { url: mediaUrl, mimetype, filename });
+  }
+
+  const queued = createOutboundMessage(database, { sessionId, messageId: id, recipient: jid, payload, replyToId });
+
+  return { id, queueId: queued.id, mediaType };
+}
+
+/**
+ * Send a message of the outbound queue through Baileys
+ * @param {object} database - Database instance
+ * @param {object} sock - Baileys socket
+ * @param {object} queued - Outbound queue row
+ * @param {string} mediaPath - Path to media storage
+ * @returns {Promise<object>} { id, whatsappId }
+ */
+async function sendQueuedMessage(database, sock, queued, mediaPath = './media') {
+  const payload = JSON.parse(queued.payload);
+  const { content, mediaType, mediaUrl } = buildOutgoingContent(database, mediaPath, payload);
+
+  const sent = await sock.sendMessage(queued.recipient, content);
+
+  const whatsappId = sent?.key?.id || null;
+  setMessageWhatsAppId(database, queued.message_id, whatsappId);
+
+  emitMessageSent(database, queued.session_id, {
+    id: queued.message_id,
+    whatsappId,
+    jid: queued.recipient,
+    text: payload.message || '',
+    mediaType,
+    mediaUrl
+  });
+
+  return { id: queued.message_id, whatsappId };
+}
+
+module.exports = {
+  validateOutgoingPayload,
+  buildOutgoingContent,
+  sendOutgoingMessage,
+  queueOutgoingMessage,
+  sendQueuedMessage
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_SESSION_ID,
+  getSessions,
+  getSession,
+  createSession,
+  setSessionAutoStart,
+  deleteSession
+} = require('../database');
+
+// Session IDs are used in URLs and directory names
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Validate a session ID
+ * @param {string} id - Session ID
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSessionId(id) {
+  if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+    return 'Session ID must be 1-32 letters, digits, dashes or underscores';
+  }
+
+  return null;
+}
+
+/**
+ * Runs several WhatsApp sessions (numbers) in one process
+ * Sessions are stored in the database; each has its own auth directory and connection state
+ */
+class SessionManager {
+  /**
+   * @param {object} database - Database instance
+   * @param {object} logger - Logger instance
+   * @param {object} options - { sessionPath, sessionsPath, mediaPath }
+   * @param {Function} connect - Starts a connection and resolves to its WhatsAppState
+   *   (initializeWhatsApp in the app; tests pass a stub)
+   */
+  constructor(database, logger, options, connect) {
+    this.database = database;
+    this.logger = logger;
+    this.sessionPath = options.sessionPath || './session';
+    this.sessionsPath = options.sessionsPath || './sessions';
+    this.mediaPath = options.mediaPath || './media';
+    this.connect = connect;
+    this.states = new Map();     // Running sessions: id -> WhatsAppState
+    this.starting = new Map();   // Starts in progress: id -> Promise<WhatsAppState>
+  }
+
+  /**
+   * Get auth directory of a session
+   * The default session keeps using SESSION_PATH so existing logins survive the upgrade
+   * @param {string} id - Session ID
+   * @returns {string} Auth directory path
+   */
+  getAuthPath(id) {
+    if (id === DEFAULT_SESSION_ID) {
+      return this.sessionPath;
+    }
+
+    return path.join(this.sessionsPath, id);
+  }
+
+  /**
+   * Check whether a session exists
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session exists
+   */
+  has(id) {
+    return getSession(this.database, id) !== null;
+  }
+
+  /**
+   * Get connection state of a running session
+   * @param {string} id - Session ID
+   * @returns {WhatsAppState|null} State or null if not running
+   */
+  get(id) {
+    return this.states.get(id) || null;
+  }
+
+  /**
+   * Get status of a session
+   * @param {string} id - Session ID
+   * @returns {object|null} Status or null if the session does not exist
+   */
+  getStatus(id) {
+    const session = getSession(this.database, id);
+    if (!session) {
+      return null;
+    }
+
+    const state = this.get(id);
+    const status = state ? state.getStatus() : { connected: false, phone: null, hasQrCode: false };
+
+    return {
+      id: session.id,
+      running: state !== null,
+      autoStart: session.auto_start === 1,
+      ...status,
+      createdAt: session.created_at
+    };
+  }
+
+  /**
+   * List all sessions with their status
+   * @returns {Array<object>} Session statuses
+   */
+  list() {
+    return getSessions(this.database).map((session) => this.getStatus(session.id));
+  }
+
+  /**
+   * Create and start a new session
+   * The session is removed again if it cannot be started, so the ID can be reused
+   * @param {string} id - Session ID
+   * @returns {Promise<WhatsAppState>} State of the started session
+   */
+  async create(id) {
+    createSession(this.database, id);
+
+    try {
+      return await this.start(id);
+    } catch (error) {
+      fs.rmSync(path.resolve(this.getAuthPath(id)), { recursive: true, force: true });
+      deleteSession(this.database, id);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a session (no-op if already running)
+   * @param {string} id - Session ID
+   * @returns {Promise<WhatsAppState>} Session state
+   */
+  async start(id) {
+    if (this.states.has(id)) {
+      return this.states.get(id);
+    }
+
+    // Concurrent starts share one connection instead of opening a second socket
+    if (this.starting.has(id)) {
+      return this.starting.get(id);
+    }
+
+    const starting = (async () => {
+      const logger = this.logger.child ? this.logger.child({ session: id }) : this.logger;
+      const state = await this.connect(this.database, logger, this.getAuthPath(id), this.mediaPath, id);
+
+      this.states.set(id, state);
+      setSessionAutoStart(this.database, id, true);
+      this.logger.info('Session started', { session: id });
+
+      return state;
+    })();
+
+    this.starting.set(id, starting);
+    try {
+      return await starting;
+    } finally {
+      this.starting.delete(id);
+    }
+  }
+
+  /**
+   * Wait for a start in progress, so a stop or delete is not undone when it finishes
+   * @param {string} id - Session ID
+   */
+  async waitForStart(id) {
+    const starting = this.starting.get(id);
+    if (!starting) return;
+
+    try {
+      await starting;
+    } catch (error) {
+      // A failed start leaves nothing to stop
+    }
+  }
+
+  /**
+   * Stop a running session without logging out
+   * The session stays stopped after a server restart until started again
+   * @param {string} id - Session ID
+   */
+  async stop(id) {
+    await this.waitForStart(id);
+
+    const state = this.states.get(id);
+    setSessionAutoStart(this.database, id, false);
+
+    if (!state) return;
+
+    state.setStopped(true);
+    if (state.sock) {
+      try {
+        state.sock.end(undefined);
+      } catch (error) {
+        this.logger.error('Failed to close session socket:', error);
+      }
+    }
+
+    state.setSock(null);
+    state.setConnected(false, null);
+    state.setQrCode(null);
+    this.states.delete(id);
+    this.logger.info('Session stopped', { session: id });
+  }
+
+  /**
+   * Delete a session: log out if connected, remove its auth directory and database row
+   * Messages of the session are kept
+   * @param {string} id - Session ID
+   */
+  async delete(id) {
+    await this.waitForStart(id);
+
+    const state = this.states.get(id);
+
+    if (state && state.connected && state.sock) {
+      // Stop first so the logout close event does not trigger a reconnect
+      state.setStopped(true);
+      try {
+        await state.sock.logout();
+      } catch (error) {
+        this.logger.error('Failed to log out session:', error);
+      }
+    }
+
+    await this.stop(id);
+
+    const authPath = path.resolve(this.getAuthPath(id));
+    if (fs.existsSync(authPath)) {
+      fs.rmSync(authPath, { recursive: true, force: true });
+    }
+
+    deleteSession(this.database, id);
+    this.logger.info('Session deleted', { session: id });
+  }
+
+  /**
+   * Start every session that was running when the server stopped
+   */
+  async startAll() {
+    for (const session of getSessions(this.database)) {
+      if (session.auto_start !== 1) continue;
+
+      try {
+        await this.start(session.id);
+      } catch (error) {
+        this.logger.error('Failed to start session:', { session: session.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Close all running sessions (server shutdown); keeps auto-start flags
+   */
+  closeAll() {
+    for (const state of this.states.values()) {
+      state.setStopped(true);
+      if (state.sock) {
+        try {
+          state.sock.end(undefined);
+        } catch (error) {
+          // Socket already closed
+        }
+      }
+    }
+
+    this.states.clear();
+  }
+}
+
+module.exports = {
+  SESSION_ID_PATTERN,
+  validateSessionId,
+  SessionManager
+};
@@ -1,13 +1,18 @@
 /**
- * Global state management for WhatsApp connection
+ * State of one WhatsApp session (connection)
  */
 class WhatsAppState {
-  constructor() {
+  /**
+   * @param {string} sessionId - Session ID
+   */
+  constructor(sessionId = 'default') {
+    this.sessionId = sessionId;  // Session this connection belongs to
     this.sock = null;           // Baileys socket instance
     this.qrCode = null;          // Current QR code (base64)
     this.connected = false;      // Connection status
     this.phone = null;           // Connected phone number
     this.reconnectFn = null;     // Function to reconnect WhatsApp
+    this.stopped = false;        // Stopped on request (no automatic reconnection)
   }
 
   /**
@@ -44,6 +49,14 @@ class WhatsAppState {
     this.phone = phone;
   }
 
+  /**
+   * Mark session as stopped so connection loss does not trigger a reconnect
+   * @param {boolean} stopped - Stopped flag
+   */
+  setStopped(stopped) {
+    this.stopped = stopped;
+  }
+
   /**
    * Get current status
    * @returns {object} Status object
@@ -0,0 +1,223 @@
+const { getTemplate } = require('../database');
+const { validateOutgoingPayload } = require('./sender');
+
+// {{name}} placeholders in message text, filled from variables
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Language codes such as 'en', 'hi' or 'pt-BR'
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+// Limits of one template
+const TEMPLATE_LIMITS = {
+  name: 100,
+  text: 4096,
+  variants: 20
+};
+
+/**
+ * Create an error that routes answer with its status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function requestError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the placeholder names used in a text
+ * @param {string} text - Text with {{placeholders}}
+ * @returns {Array<string>} Unique placeholder names in order of appearance
+ */
+function getPlaceholders(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Replace {{placeholders}} with variable values
+ * @param {string} text - Text with {{placeholders}}
+ * @param {object} variables - Values by placeholder name
+ * @returns {string} Filled text (unknown placeholders are left as they are)
+ */
+function fillPlaceholders(text, variables = {}) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder
+  ));
+}
+
+/**
+ * Check that variables are an object of strings or numbers
+ * @param {*} variables - Variables from a request
+ * @returns {boolean} True if valid
+ */
+function isValidVariables(variables) {
+  return typeof variables === 'object' && variables !== null && !Array.isArray(variables) &&
+    Object.values(variables).every((value) => typeof value === 'string' || typeof value === 'number');
+}
+
+/**
+ * Validate the body of a template create or update request
+ * @param {object} body - { name, defaultLanguage, variants: [{ language, text, media }] }
+ * @param {object|null} existing - Template being updated (null when creating)
+ * @returns {object} { fields: { name, defaultLanguage, variants } } or { error }
+ */
+function parseTemplateInput(body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > TEMPLATE_LIMITS.name) {
+      return { error: `name must be a non-empty string of at most ${TEMPLATE_LIMITS.name} characters` };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.variants !== undefined || !existing) {
+    if (!Array.isArray(body.variants) || body.variants.length === 0 || body.variants.length > TEMPLATE_LIMITS.variants) {
+      return { error: `variants must be an array of 1 to ${TEMPLATE_LIMITS.variants} language variants` };
+    }
+
+    fields.variants = {};
+    for (const [index, variant] of body.variants.entries()) {
+      const { language, text = null, media = null } = variant || {};
+
+      if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+        return { error: `variants[${index}].language must be a language code such as en, hi or pt-BR` };
+      }
+
+      if (fields.variants[language]) {
+        return { error: `variants[${index}]: language ${language} is listed twice` };
+      }
+
+      if (text !== null && (typeof text !== 'string' || text.length > TEMPLATE_LIMITS.text)) {
+        return { error: `variants[${index}].text must be a string of at most ${TEMPLATE_LIMITS.text} characters` };
+      }
+
+      if (!text && !media) {
+        return { error: `variants[${index}]: Text or media is required` };
+      }
+
+      const contentError = validateOutgoingPayload({ message: text, media });
+      if (contentError) {
+        return { error: `variants[${index}]: ${contentError}` };
+      }
+
+      fields.variants[language] = { text, media };
+    }
+  }
+
+  const languages = Object.keys(fields.variants || existing.variants);
+  if (body.defaultLanguage !== undefined) {
+    if (!languages.includes(body.defaultLanguage)) {
+      return { error: 'defaultLanguage must be one of the template languages' };
+    }
+    fields.defaultLanguage = body.defaultLanguage;
+  } else if (!existing || !languages.includes(existing.default_language)) {
+    fields.defaultLanguage = languages[0];
+  }
+
+  return { fields };
+}
+
+/**
+ * Get the variant of a template to send
+ * @param {object} template - Template
+ * @param {string|null} language - Requested language
+ * @returns {object} { language, text, media } (the default language when the requested one is missing)
+ */
+function getTemplateVariant(template, language = null) {
+  const chosen = language && template.variants[language] ? language : template.default_language;
+  return { language: chosen, ...template.variants[chosen] };
+}
+
+/**
+ * Fill a template with variables
+ * @param {object} template - Template
+ * @param {object} options - { language, variables }
+ * @returns {object} { language, payload: { message, media } }
+ * @throws {Error} With status 400 when variables are invalid or missing
+ */
+function renderTemplate(template, { language = null, variables = {} } = {}) {
+  if (!isValidVariables(variables)) {
+    throw requestError('variables must be an object of strings or numbers');
+  }
+
+  const variant = getTemplateVariant(template, language);
+  const missing = getPlaceholders(variant.text).filter((name) => !Object.prototype.hasOwnProperty.call(variables, name));
+  if (missing.length > 0) {
+    throw requestError(`Missing template variables: ${missing.join(', ')}`);
+  }
+
+  return {
+    language: variant.language,
+    payload: {
+      message: variant.text ? fillPlaceholders(variant.text, variables) : undefined,
+      media: variant.media || undefined
+    }
+  };
+}
+
+/**
+ * Look up the template a send request refers to
+ * @param {object} database - Database instance
+ * @param {object} body - Request body ({ templateId } instead of message, image and media)
+ * @returns {object} Template
+ * @throws {Error} With status 400 for invalid requests, 404 when the template does not exist
+ */
+function findRequestTemplate(database, body) {
+  if (body.message !== undefined || body.image !== undefined || body.media !== undefined) {
+    throw requestError('Use either templateId or message/image/media, not both');
+  }
+
+  if (!Number.isInteger(body.templateId) || body.templateId < 1) {
+    throw requestError('templateId must be a positive integer');
+  }
+
+  if (body.language !== undefined && (typeof body.language !== 'string' || !LANGUAGE_PATTERN.test(body.language))) {
+    throw requestError('language must be a language code such as en, hi or pt-BR');
+  }
+
+  const template = getTemplate(database, body.templateId);
+  if (!template) {
+    throw requestError('Template not found', 404);
+  }
+
+  return template;
+}
+
+/**
+ * Get the content of a send request: its own message, image and media,
+ * or the filled template when it has a templateId
+ * @param {object} database - Database instance
+ * @param {object} body - Request body
+ * @returns {object} { message, image, media }
+ * @throws {Error} With status 400/404 for invalid templates or missing variables
+ */
+function resolveRequestContent(database, body) {
+  const { message, image, media, templateId, language, variables } = body;
+
+  if (templateId === undefined) {
+    return { message, image, media };
+  }
+
+  const template = findRequestTemplate(database, body);
+  return renderTemplate(template, { language, variables: variables ?? {} }).payload;
+}
+
+module.exports = {
+  LANGUAGE_PATTERN,
+  TEMPLATE_LIMITS,
+  getPlaceholders,
+  fillPlaceholders,
+  isValidVariables,
+  parseTemplateInput,
+  getTemplateVariant,
+  renderTemplate,
+  findRequestTemplate,
+  resolveRequestContent
+};
@@ -0,0 +1,136 @@
+/**
+ * Timestamp helpers: everything is stored as UTC ISO-8601 and shown in a configurable timezone
+ */
+
+// Timestamps as stored ('2024-05-01T10:00:00.000Z')
+const UTC_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+// Date-times without a zone ('2024-05-01T10:00' or '2024-05-01T10:00:00.000')
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/;
+
+// Response fields that hold timestamps: created_at, sendAt, cooldown_until, last_activity, timestamp...
+const TIMESTAMP_KEY_PATTERN = /(_at|At|_until|^last_activity|^timestamp)$/;
+
+/**
+ * Check that a timezone is a known IANA name (e.g. 'UTC', 'Asia/Kolkata', 'America/New_York')
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset of a timezone at a moment
+ * @param {string} timeZone - Timezone name
+ * @param {Date} date - Moment (offsets change with daylight saving time)
+ * @returns {number} Offset in minutes (330 for Asia/Kolkata)
+ */
+function getTimeZoneOffset(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  const localAsUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+
+  return Math.round((localAsUtc - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+}
+
+/**
+ * Show a stored timestamp in a timezone
+ * @param {string} value - UTC ISO-8601 timestamp
+ * @param {string} timeZone - Timezone name
+ * @returns {string} ISO-8601 timestamp with the zone's offset ('2024-05-01T15:30:00.000+05:30');
+ *   values that are not UTC timestamps are returned unchanged
+ */
+function formatTimestamp(value, timeZone) {
+  if (typeof value !== 'string' || !UTC_TIMESTAMP_PATTERN.test(value) || timeZone === 'UTC') {
+    return value;
+  }
+
+  const date = new Date(value);
+  const offset = getTimeZoneOffset(timeZone, date);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 23);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${local}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Show every timestamp field of a response body in a timezone
+ * @param {*} value - Response body (objects and arrays are copied, not changed)
+ * @param {string} timeZone - Timezone name
+ * @param {string|null} key - Field name of the value
+ * @returns {*} Body with timestamps in the timezone
+ */
+function localizeTimestamps(value, timeZone, key = null) {
+  if (Array.isArray(value)) {
+    return value.map((item) => localizeTimestamps(item, timeZone, key));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, localizeTimestamps(item, timeZone, field)]));
+  }
+
+  return key && TIMESTAMP_KEY_PATTERN.test(key) ? formatTimestamp(value, timeZone) : value;
+}
+
+/**
+ * Convert a date-time without a zone, read in a timezone, to UTC
+ * @param {string} value - 'YYYY-MM-DDTHH:MM[:SS[.sss]]'
+ * @param {string} timeZone - Timezone the value is in
+ * @returns {string|null} UTC ISO-8601 timestamp or null if invalid
+ */
+function localToUtc(value, timeZone) {
+  if (!LOCAL_DATE_TIME_PATTERN.test(value)) {
+    return null;
+  }
+
+  const asUtc = new Date(`${value}Z`);
+  if (isNaN(asUtc.getTime())) {
+    return null;
+  }
+
+  // Check the offset again at the result in case it crosses a daylight saving change
+  let utc = asUtc.getTime() - getTimeZoneOffset(timeZone, asUtc) * 60000;
+  utc = asUtc.getTime() - getTimeZoneOffset(timeZone, new Date(utc)) * 60000;
+
+  return new Date(utc).toISOString();
+}
+
+/**
+ * Convert a WhatsApp messageTimestamp to a stored timestamp
+ * @param {number|string|object} value - Unix seconds (a number, numeric string or Long)
+ * @returns {string|null} UTC ISO-8601 timestamp or null if missing
+ */
+function fromUnixSeconds(value) {
+  const seconds = value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  formatTimestamp,
+  localizeTimestamps,
+  localToUtc,
+  fromUnixSeconds
+};
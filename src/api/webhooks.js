@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const {
+  getWebhookById,
+  getWebhooksForEvent,
+  createWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  deadLetterWebhookDelivery
+} = require('../database');
+const { publishEvent } = require('./events');
+
+// Events that webhooks can subscribe to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = {
+  'message.received': 'Incoming message stored (text or media)',
+  'message.sent': 'Outgoing message sent through the API',
+  'message.status': 'Delivery/read receipt for an outgoing message',
+  'message.failed': 'Queued outgoing message could not be sent',
+  'message.status_changed': 'Message status updated through PATCH /messages/:id/status',
+  'connection.open': 'WhatsApp connection established',
+  'connection.close': 'WhatsApp connection closed',
+  'qr.updated': 'New QR code available for login',
+  'logged_out': 'WhatsApp session logged out; QR scan required',
+  'scheduled.missed': 'Scheduled message not sent because WhatsApp was disconnected when it was due',
+  'scheduled.failed': 'Scheduled message could not be sent',
+  'broadcast.completed': 'Broadcast job finished sending to all recipients'
+};
+
+// Default retry policy: 8 attempts, 10s doubling delay, capped at 1 hour
+const DEFAULT_WORKER_OPTIONS = {
+  maxAttempts: 8,
+  retryBaseMs: 10 * 1000,
+  retryMaxMs: 60 * 60 * 1000,
+  intervalMs: 1000,
+  batchSize: 20
+};
+
+/**
+ * Sign a webhook payload with HMAC-SHA256
+ * Signature covers "{timestamp}.{body}" so receivers can reject replayed requests
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in format 'sha256=<hex>'
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Call webhook with message data
+ * @param {string} url - Webhook URL
+ * @param {object} data - Data to send
+ * @param {object} logger - Logger instance
+ * @param {string|null} secret - Webhook secret used to sign the request
+ * @param {object} extraHeaders - Additional request headers
+ * @returns {Promise<object>} { ok, status, error }
+ */
+async function callWebhook(url, data, logger, secret = null, extraHeaders = {}) {
+  try {
+    const body = JSON.stringify(data);
+    const headers = {
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    };
+
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-OpenWAPI-Timestamp'] = timestamp;
+      headers['X-OpenWAPI-Signature'] = signWebhookPayload(secret, timestamp, body);
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(5000) // 5 second timeout
+    });
+
+    if (!response.ok) {
+      logger.warn('Webhook call failed', { url, status: response.status });
+      return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+    }
+
+    logger.info('Webhook called successfully', { url });
+    return { ok: true, status: response.status, error: null };
+  } catch (error) {
+    logger.error('Webhook error', { url, error: error.message });
+    return { ok: false, status: null, error: error.message };
+  }
+}
+
+/**
+ * Calculate exponential backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseMs - Delay after the first failure
+ * @param {number} maxMs - Maximum delay
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, baseMs = DEFAULT_WORKER_OPTIONS.retryBaseMs, maxMs = DEFAULT_WORKER_OPTIONS.retryMaxMs) {
+  return Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+}
+
+/**
+ * Queue an event for delivery to a webhook
+ * The worker started by startWebhookWorker sends it and handles retries
+ * @param {object} database - Database instance
+ * @param {object} webhook - Webhook row ({ id, url, event })
+ * @param {object} data - Payload to send
+ * @returns {number} Delivery ID
+ */
+function enqueueWebhook(database, webhook, data) {
+  return createWebhookDelivery(database, {
+    webhookId: webhook.id,
+    url: webhook.url,
+    event: data.event || webhook.event,
+    payload: data
+  });
+}
+
+/**
+ * Validate a list of webhook event names
+ * @param {Array<string>} events - Event names
+ * @returns {string|null} Error message or null if valid
+ */
+function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Events must be a non-empty array';
+  }
+
+  const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS[event]);
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it and push it to the live event stream
+ * @param {object} database - Database instance
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {object} data - Event-specific payload fields
+ * @returns {number} Number of deliveries queued
+ */
+function emitWebhookEvent(database, event, data = {}) {
+  const webhooks = getWebhooksForEvent(database, event);
+  const payload = { event, timestamp: new Date().toISOString(), ...data };
+  publishEvent(database, event, payload);
+
+  for (const webhook of webhooks) {
+    enqueueWebhook(database, webhook, payload);
+  }
+
+  return webhooks.length;
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ * @param {object} database - Database instance
+ * @param {object} delivery - Delivery row
+ * @param {object} logger - Logger instance
+ * @param {object} options - Retry policy ({ maxAttempts, retryBaseMs, retryMaxMs })
+ * @returns {Promise<string>} New delivery status ('delivered', 'pending' or 'dead')
+ */
+async function processWebhookDelivery(database, delivery, logger, options = {}) {
+  const { maxAttempts, retryBaseMs, retryMaxMs } = { ...DEFAULT_WORKER_OPTIONS, ...options };
+
+  // Never send unsigned to a webhook that was deleted or switched off since the event was queued
+  const webhook = delivery.webhook_id ? getWebhookById(database, delivery.webhook_id) : null;
+  if (!webhook || !webhook.active) {
+    const reason = webhook ? 'Webhook is inactive' : 'Webhook was deleted';
+    deadLetterWebhookDelivery(database, delivery.id, reason);
+    logger.warn('Webhook delivery dropped', { id: delivery.id, url: delivery.url, reason });
+    return 'dead';
+  }
+
+  // Sign with the webhook's current secret so rotation applies to retries too
+  const result = await callWebhook(
+    delivery.url,
+    JSON.parse(delivery.payload),
+    logger,
+    webhook.secret,
+    { 'X-OpenWAPI-Delivery': String(delivery.id) }
+  );
+
+  if (result.ok) {
+    recordWebhookAttempt(database, delivery.id, { status: 'delivered', statusCode: result.status });
+    return 'delivered';
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  if (attempts >= maxAttempts) {
+    recordWebhookAttempt(database, delivery.id, { status: 'dead', statusCode: result.status, error: result.error });
+    logger.warn('Webhook delivery moved to dead-letter', { id: delivery.id, url: delivery.url, attempts });
+    return 'dead';
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts, retryBaseMs, retryMaxMs)).toISOString();
+  recordWebhookAttempt(database, delivery.id, {
+    status: 'pending',
+    statusCode: result.status,
+    error: result.error,
+    nextAttemptAt
+  });
+  return 'pending';
+}
+
+/**
+ * Start background worker that sends queued deliveries and retries failures
+ * @param {object} database - Database instance
+ * @param {object} logger - Logger instance
+ * @param {object} options - { maxAttempts, retryBaseMs, retryMaxMs, intervalMs, batchSize }
+ * @returns {Function} Stop function
+ */
+function startWebhookWorker(database, logger, options = {}) {
+  const workerOptions = { ...DEFAULT_WORKER_OPTIONS, ...options };
+  const inFlight = new Set();
+
+  const tick = () => {
+    let due;
+    try {
+      due = getDueWebhookDeliveries(database, new Date().toISOString(), workerOptions.batchSize);
+    } catch (error) {
+      logger.error('Failed to load webhook deliveries:', error);
+      return;
+    }
+
+    for (const delivery of due) {
+      if (inFlight.has(delivery.id)) continue;
+
+      inFlight.add(delivery.id);
+      processWebhookDelivery(database, delivery, logger, workerOptions)
+        .catch((error) => logger.error('Webhook delivery error:', error))
+        .finally(() => inFlight.delete(delivery.id));
+    }
+  };
+
+  const timer = setInterval(tick, workerOptions.intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signWebhookPayload,
+  callWebhook,
+  getRetryDelay,
+  enqueueWebhook,
+  validateWebhookEvents,
+  emitWebhookEvent,
+  processWebhookDelivery,
+  startWebhookWorker
+};
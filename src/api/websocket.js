@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+/**
+ * Minimal server side of the WebSocket protocol (RFC 6455) for pushing JSON to clients
+ * Covers what the event stream needs: text frames to the client, ping/pong and close.
+ * Data frames from clients are ignored; fragmented or oversized frames close the connection.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+// Messages from clients are ignored, so there is no need to accept large ones
+const MAX_CLIENT_FRAME = 64 * 1024;
+
+/**
+ * Encode a frame
+ * @param {number} opcode - Frame type (see OPCODES)
+ * @param {Buffer|string} payload - Payload
+ * @param {Buffer|null} mask - 4-byte mask (clients mask their frames, servers do not)
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  const lengthBytes = data.length < 126 ? 0 : data.length <= 0xffff ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+  header[0] = 0x80 | opcode;
+  if (lengthBytes === 0) {
+    header[1] = data.length;
+  } else if (lengthBytes === 2) {
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+
+  header[1] |= 0x80;
+  mask.copy(header, 2 + lengthBytes);
+  const masked = Buffer.from(data);
+  for (let index = 0; index < masked.length; index++) {
+    masked[index] ^= mask[index % 4];
+  }
+  return Buffer.concat([header, masked]);
+}
+
+/**
+ * Decode the first frame of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} maxLength - Largest payload accepted
+ * @returns {object|null} { fin, opcode, payload, length } (length = bytes used) or null until the frame is complete
+ * @throws {Error} When the frame is larger than maxLength
+ */
+function decodeFrame(buffer, maxLength = Infinity) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (length > maxLength) {
+    throw new Error(`Frame larger than ${maxLength} bytes`);
+  }
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let index = 0; index < payload.length; index++) {
+      payload[index] ^= mask[index % 4];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * An accepted WebSocket connection
+ * Emits 'close' once when the connection ends, whichever side closes it
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Socket after the handshake
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', (data) => this.receive(data));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Bytes written but not yet sent to the client
+   * @returns {number} Byte count
+   */
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  /**
+   * Handle bytes from the client
+   * @param {Buffer} data - Received bytes
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let frame;
+    try {
+      while ((frame = decodeFrame(this.buffer, MAX_CLIENT_FRAME))) {
+        this.buffer = this.buffer.subarray(frame.length);
+
+        if (!frame.fin) {
+          this.close(1009, 'Fragmented messages are not supported');
+          return;
+        }
+
+        if (frame.opcode === OPCODES.ping) {
+          this.write(OPCODES.pong, frame.payload);
+        } else if (frame.opcode === OPCODES.close) {
+          this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+          return;
+        }
+      }
+    } catch (error) {
+      this.close(1009, error.message);
+    }
+  }
+
+  /**
+   * Write a frame unless the connection is closed
+   * @param {number} opcode - Frame type
+   * @param {Buffer|string} payload - Payload
+   * @returns {boolean} True if the frame was written
+   */
+  write(opcode, payload) {
+    if (this.closed) return false;
+    this.socket.write(encodeFrame(opcode, payload));
+    return true;
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - Message
+   * @returns {boolean} True if sent
+   */
+  send(text) {
+    return this.write(OPCODES.text, text);
+  }
+
+  /**
+   * Send a ping (clients answer with a pong; keeps proxies from closing idle connections)
+   */
+  ping() {
+    this.write(OPCODES.ping);
+  }
+
+  /**
+   * Close the connection
+   * @param {number} code - Close code (1000 = normal)
+   * @param {string} reason - Reason for the client
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.write(OPCODES.close, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  /**
+   * Mark the connection closed and notify listeners
+   */
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Check whether a request is a WebSocket upgrade (see handleUpgrade)
+ * @param {object} req - Express request
+ * @returns {boolean} True for upgrade requests
+ */
+function isWebSocketRequest(req) {
+  return req.webSocketHead !== undefined;
+}
+
+/**
+ * Complete the WebSocket handshake of an upgrade request
+ * @param {object} req - Express request (see handleUpgrade)
+ * @param {object} res - Express response; not usable afterwards
+ * @returns {WebSocketConnection} Connection
+ * @throws {Error} With status 400 when the request is not a valid handshake
+ */
+function acceptWebSocket(req, res) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers['sec-websocket-version'] !== '13') {
+    const error = new Error('Invalid WebSocket handshake (Sec-WebSocket-Key and Sec-WebSocket-Version: 13 required)');
+    error.status = 400;
+    throw error;
+  }
+
+  const { socket } = req;
+  const accept = crypto.createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+
+  // The response object never writes to this socket again
+  res.detachSocket(socket);
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const connection = new WebSocketConnection(socket);
+  if (req.webSocketHead.length > 0) {
+    connection.receive(req.webSocketHead);
+  }
+  return connection;
+}
+
+/**
+ * Create a listener for the HTTP server's 'upgrade' event
+ * Upgrade requests go through the Express app like any other request, so they are authenticated
+ * and validated by the usual middleware. A route takes over the socket with acceptWebSocket;
+ * every other response is sent as plain HTTP and ends the connection.
+ * @param {Function} app - Express app
+ * @returns {Function} Listener (req, socket, head)
+ */
+function handleUpgrade(app) {
+  return (req, socket, head) => {
+    req.webSocketHead = head;
+
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    socket.on('error', () => socket.destroy());
+
+    app(req, res);
+  };
+}
+
+module.exports = {
+  OPCODES,
+  encodeFrame,
+  decodeFrame,
+  WebSocketConnection,
+  isWebSocketRequest,
+  acceptWebSocket,
+  handleUpgrade
+};
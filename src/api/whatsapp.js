@@ -4,32 +4,72 @@ const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const { WhatsAppState } = require('./state');
-const { insertMessage, getWebhook } = require('../database');
+const { getMediaInfo, getExtension } = require('./media');
+const { emitWebhookEvent } = require('./webhooks');
+const {
+  applyContactUpdates,
+  applyLidMappings,
+  resolveSenderJid,
+  recordPushName,
+  toWebhookContact
+} = require('./contacts');
+const {
+  isGroupJid,
+  isIgnoringGroups,
+  getGroupMetadata,
+  applyGroupUpdates,
+  applyParticipantsUpdate,
+  toWebhookGroup
+} = require('./groups');
+const { claimAutoReplyRule, toAutoReplyResult, runAutoReply } = require('./autoReply');
+const { fromUnixSeconds } = require('./time');
+const {
+  DEFAULT_SESSION_ID,
+  insertMessage,
+  updateMessageMedia,
+  updateMessageDelivery,
+  getMessageById,
+  getContact
+} = require('../database');
+
+// Baileys message status codes (proto.WebMessageInfo.Status) mapped to delivery statuses
+// PLAYED (voice notes listened to) counts as read
+const MESSAGE_STATUS_NAMES = {
+  0: 'failed',
+  2: 'server_ack',
+  3: 'delivered',
+  4: 'read',
+  5: 'read'
+};
 
 /**
- * Call webhook with message data
- * @param {string} url - Webhook URL
- * @param {object} data - Data to send
+ * Apply a receipt to the stored outgoing message and notify webhooks
+ * @param {object} database - Database instance
  * @param {object} logger - Logger instance
+ * @param {string} sessionId - Session that received the receipt
+ * @param {object} key - Baileys message key
+ * @param {string} status - Delivery status
  */
-async function callWebhook(url, data, logger) {
+function handleDeliveryReceipt(database, logger, sessionId, key, status) {
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(data),
-      signal: AbortSignal.timeout(5000) // 5 second timeout
-    });
+    const message = updateMessageDelivery(database, key.id, status);
+
+    // Unknown message (not sent through the API) or no change
+    if (!message) return;
 
-    if (!response.ok) {
-      logger.warn('Webhook call failed', { url, status: response.status });
-    } else {
-      logger.info('Webhook called successfully', { url });
-    }
+    logger.debug('Message delivery updated', { id: message.id, status });
+
+    emitWebhookEvent(database, 'message.status', {
+      session: sessionId,
+      message: {
+        id: message.id,
+        whatsappId: key.id,
+        to: key.remoteJid,
+        status
+      }
+    });
   } catch (error) {
-    logger.error('Webhook error', { url, error: error.message });
+    logger.error('Failed to apply delivery receipt:', error);
   }
 }
 
@@ -39,10 +79,11 @@ async function callWebhook(url, data, logger) {
  * @param {object} logger - Logger instance
  * @param {string} sessionPath - Path to session storage
  * @param {string} mediaPath - Path to media storage
+ * @param {string} sessionId - Session ID used to tag messages and webhook events
  * @returns {Promise<WhatsAppState>} WhatsApp state instance
  */
-async function initializeWhatsApp(database, logger, sessionPath = './session', mediaPath = './media') {
-  const whatsappState = new WhatsAppState();
+async function initializeWhatsApp(database, logger, sessionPath = './session', mediaPath = './media', sessionId = DEFAULT_SESSION_ID) {
+  const whatsappState = new WhatsAppState(sessionId);
 
   // Ensure media directory exists
   const resolvedMediaPath = path.resolve(mediaPath);
@@ -55,6 +96,9 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
   let authState = await useMultiFileAuthState(sessionPath);
 
   async function connectToWhatsApp() {
+    // Session was stopped while a reconnect was pending
+    if (whatsappState.stopped) return;
+
     // Reload auth state to pick up any changes (e.g., after logout/session deletion)
     authState = await useMultiFileAuthState(sessionPath);
     // Create a silent logger for Baileys to prevent noise
@@ -87,16 +131,29 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
           const qrDataUrl = await QRCode.toDataURL(qr);
           whatsappState.setQrCode(qrDataUrl);
           logger.info('QR code generated');
+          emitWebhookEvent(database, 'qr.updated', { session: sessionId, qr: qrDataUrl });
         } catch (error) {
           logger.error('Failed to generate QR code:', error);
         }
       }
 
       if (connection === 'close') {
-        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+
+        // Closed on request (session stopped or deleted)
+        if (whatsappState.stopped) {
+          logger.info('Connection closed, session stopped');
+          whatsappState.setConnected(false, null);
+          return;
+        }
 
         logger.info('Connection closed', { shouldReconnect });
         whatsappState.setConnected(false, null);
+        emitWebhookEvent(database, 'connection.close', {
+          session: sessionId,
+          connection: { statusCode: statusCode ?? null, reconnecting: shouldReconnect }
+        });
 
         if (shouldReconnect) {
           logger.info('Reconnecting in 5 seconds...');
@@ -104,6 +161,7 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
         } else {
           logger.info('Logged out. QR scan required.');
           whatsappState.setQrCode(null);
+          emitWebhookEvent(database, 'logged_out', { session: sessionId });
           // Allow manual reconnection after logout
           setTimeout(() => {
             logger.info('Reconnecting to generate QR code...');
@@ -116,12 +174,76 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
         whatsappState.setConnected(true, phone);
         whatsappState.setQrCode(null);
         logger.info('Connected phone:', phone);
+        emitWebhookEvent(database, 'connection.open', { session: sessionId, connection: { phone } });
       }
     });
 
     // Save credentials on update
     sock.ev.on('creds.update', authState.saveCreds);
 
+    // Contacts directory (address book names, business names, LID to phone mappings)
+    const handleContacts = (contacts) => {
+      try {
+        applyContactUpdates(database, contacts);
+      } catch (error) {
+        logger.error('Failed to store contacts:', error);
+      }
+    };
+    sock.ev.on('contacts.upsert', handleContacts);
+    sock.ev.on('contacts.update', handleContacts);
+
+    sock.ev.on('lid-mapping.update', (mappings) => {
+      try {
+        applyLidMappings(database, mappings);
+      } catch (error) {
+        logger.error('Failed to store LID mapping:', error);
+      }
+    });
+
+    // Group metadata cache (subject changes, joined groups, participant changes)
+    const handleGroups = (groups) => {
+      try {
+        applyGroupUpdates(database, groups);
+      } catch (error) {
+        logger.error('Failed to store group metadata:', error);
+      }
+    };
+    sock.ev.on('groups.upsert', handleGroups);
+    sock.ev.on('groups.update', handleGroups);
+
+    sock.ev.on('group-participants.update', (update) => {
+      try {
+        applyParticipantsUpdate(database, update);
+      } catch (error) {
+        logger.error('Failed to update group participants:', error);
+      }
+    });
+
+    // Delivery/read receipts for messages we sent
+    sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+        const status = MESSAGE_STATUS_NAMES[update.status];
+        if (status) {
+          handleDeliveryReceipt(database, logger, sessionId, key, status);
+        }
+      }
+    });
+
+    // Per-recipient receipts (sent for group messages and some 1:1 chats)
+    sock.ev.on('message-receipt.update', (updates) => {
+      for (const { key, receipt } of updates) {
+        if (!key.fromMe) continue;
+
+        if (receipt.readTimestamp || receipt.playedTimestamp) {
+          handleDeliveryReceipt(database, logger, sessionId, key, 'read');
+        } else if (receipt.receiptTimestamp) {
+          handleDeliveryReceipt(database, logger, sessionId, key, 'delivered');
+        }
+      }
+    });
+
     // Message received event
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type !== 'notify') return;
@@ -129,43 +251,42 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
       for (const msg of messages) {
         if (!msg.message) continue;
 
-        // Try to get the real phone number from various sources
-        let from = msg.key.remoteJid;
-
-        // If remoteJid is a LID, try to get real number from participant
-        if (from && from.endsWith('@lid')) {
-          logger.info('LID message detected', {
-            remoteJid: from,
+        // Group messages are stored under the group (chat) with the participant as sender
+        const chatJid = msg.key.remoteJid;
+        const fromGroup = isGroupJid(chatJid);
+        if (fromGroup && isIgnoringGroups(database)) continue;
+
+        // LID senders are stored under their phone number when the mapping is known
+        const senderJid = resolveSenderJid(database, msg.key);
+        const from = fromGroup ? chatJid : senderJid;
+        if (senderJid && senderJid.endsWith('@lid')) {
+          logger.info('LID message without known phone number', {
+            remoteJid: chatJid,
             participant: msg.key.participant,
             pushName: msg.pushName
           });
-
-          // Check participant (used in groups, sometimes has real number)
-          if (msg.key.participant && msg.key.participant.includes('@s.whatsapp.net')) {
-            from = msg.key.participant;
-          }
         }
 
-        // Check for image message
-        const imageMessage = msg.message.imageMessage;
+        // Check for any downloadable media (image, video, audio, voice, document, sticker)
+        const media = getMediaInfo(msg.message);
 
-        // Extract text from various message types (including image caption)
+        // Extract text from various message types (including media captions)
         const text = msg.message.conversation ||
                     msg.message.extendedTextMessage?.text ||
-                    imageMessage?.caption ||
+                    media?.caption ||
                     '';
 
         // Only store incoming messages (not from us)
-        if (!msg.key.fromMe && (text || imageMessage)) {
+        if (!msg.key.fromMe && (text || media)) {
           try {
             let mediaType = 'text';
             let mediaUrl = null;
-            let imageBuffer = null;
+            let mediaBuffer = null;
 
-            // Download image first if present
-            if (imageMessage) {
+            // Download media first if present
+            if (media) {
               try {
-                imageBuffer = await downloadMediaMessage(
+                mediaBuffer = await downloadMediaMessage(
                   msg,
                   'buffer',
                   {},
@@ -174,31 +295,41 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
                     reuploadRequest: sock.updateMediaMessage
                   }
                 );
-                mediaType = 'image';
+                mediaType = media.type;
               } catch (downloadError) {
-                logger.error('Failed to download image:', downloadError);
+                logger.error('Failed to download media:', downloadError);
               }
             }
 
             // Insert message to get the ID (include sender's display name)
             const senderName = msg.pushName || null;
-            const result = insertMessage(database, 'incoming', from, text, 'unread', mediaType, null, senderName);
+            recordPushName(database, senderJid, senderName);
+            // Use the time WhatsApp says it was sent (messages delivered after a reconnect arrive late)
+            const sentAt = fromUnixSeconds(msg.messageTimestamp) || new Date().toISOString();
+            const result = insertMessage(database, 'incoming', from, text, 'unread', mediaType, null, senderName, sessionId, senderJid, sentAt);
             const messageId = result.lastInsertRowid;
 
-            // Save image using message ID as filename
-            if (imageBuffer) {
-              const filename = `${messageId}.jpg`;
+            // Save media using message ID as filename
+            if (mediaBuffer) {
+              const filename = `${messageId}.${getExtension(media.mimetype, media.fileName)}`;
               const filepath = path.join(resolvedMediaPath, filename);
-              fs.writeFileSync(filepath, imageBuffer);
+              fs.writeFileSync(filepath, mediaBuffer);
               mediaUrl = filename;  // Store only filename, not full path
 
-              // Update message with media URL
-              database.prepare('UPDATE messages SET media_url = ? WHERE id = ?').run(mediaUrl, messageId);
+              // Update message with media details
+              updateMessageMedia(database, messageId, {
+                url: mediaUrl,
+                mimetype: media.mimetype,
+                filename: media.fileName,
+                size: mediaBuffer.length,
+                duration: media.seconds
+              });
 
-              logger.info('Image downloaded', {
+              logger.info('Media downloaded', {
                 from,
                 messageId,
-                size: imageBuffer.length,
+                type: mediaType,
+                size: mediaBuffer.length,
                 path: filepath
               });
             }
@@ -209,20 +340,39 @@ async function initializeWhatsApp(database, logger, sessionPath = './session', m
               preview: text.substring(0, 50) + (text.length > 50 ? '...' : '')
             });
 
-            // Call webhook if configured
-            const webhook = getWebhook(database, 'message.received');
-            if (webhook && webhook.url) {
-              callWebhook(webhook.url, {
-                event: 'message.received',
-                message: {
-                  id: messageId,
-                  from: from,
-                  text: text,
-                  mediaType: mediaType,
-                  mediaUrl: mediaUrl,
-                  timestamp: new Date().toISOString()
-                }
-              }, logger);
+            // Group details are only needed for the webhook, so the message is already stored if this is slow
+            const group = fromGroup ? await getGroupMetadata(database, sock, chatJid, logger) : null;
+
+            // Pick the auto-reply rule now so webhooks are told which rule handles the message
+            const stored = getMessageById(database, messageId);
+            const autoReply = claimAutoReplyRule(database, stored, logger);
+
+            // Queue webhook deliveries (sent and retried by the webhook worker)
+            emitWebhookEvent(database, 'message.received', {
+              session: sessionId,
+              message: {
+                id: messageId,
+                from: from,
+                text: text,
+                mediaType: mediaType,
+                mediaUrl: mediaUrl,
+                mediaMimetype: mediaBuffer ? media.mimetype : null,
+                mediaFilename: mediaBuffer ? media.fileName : null,
+                mediaSize: mediaBuffer ? mediaBuffer.length : null,
+                mediaDuration: mediaBuffer ? media.seconds : null,
+                senderJid,
+                senderName,
+                timestamp: sentAt
+              },
+              contact: senderJid ? toWebhookContact(getContact(database, senderJid)) : null,
+              group: toWebhookGroup(group),
+              autoReply: autoReply ? toAutoReplyResult(autoReply.rule, 'running') : null
+            });
+
+            // The action may send a message; it runs in the background so a slow send never delays the webhook
+            if (autoReply) {
+              runAutoReply(database, sock, autoReply, stored, logger, { mediaPath: resolvedMediaPath })
+                .catch((error) => logger.error('Auto-reply rule failed:', error));
             }
           } catch (error) {
             logger.error('Failed to store message:', error);
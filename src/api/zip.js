@@ -0,0 +1,298 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP archives for exports and imports
+ * Entries are written uncompressed (media is compressed already) and streamed, so an export never
+ * has to fit in memory. No ZIP64: archives are limited to 4 GB and 65,535 entries.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// General purpose flags: sizes and CRC follow the data (bit 3), names are UTF-8 (bit 11)
+const ENTRY_FLAGS = 0x0808;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+// Most an archive may hold once extracted, unless the caller sets a limit (the default IMPORT_MAX_MB)
+const DEFAULT_MAX_EXTRACTED_SIZE = 100 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Update a CRC-32 with more data
+ * @param {number} crc - CRC so far (0 to start)
+ * @param {Buffer} data - Data
+ * @returns {number} Updated CRC
+ */
+function crc32(crc, data) {
+  let value = crc ^ 0xffffffff;
+  for (const byte of data) {
+    value = CRC_TABLE[(value ^ byte) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date
+ * @returns {object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write to a stream, waiting when it is full
+ * Fails instead of waiting forever when the stream is closed first (an HTTP client that went away
+ * never drains the response)
+ * @param {stream.Writable} output - Stream
+ * @param {Buffer|string} data - Data
+ * @throws {Error} When the stream is closed or fails
+ */
+async function writeToStream(output, data) {
+  if (output.destroyed) {
+    throw new Error('Stream was closed');
+  }
+
+  if (output.write(data)) {
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Stream was closed'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+}
+
+/**
+ * Writes a ZIP archive to a stream, one entry at a time
+ */
+class ZipWriter {
+  /**
+   * @param {stream.Writable} output - Stream that receives the archive
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  /**
+   * Write bytes, waiting when the stream is full
+   * @param {Buffer} data - Bytes
+   * @throws {Error} When the archive gets too large or the stream is closed
+   */
+  async write(data) {
+    this.offset += data.length;
+    if (this.offset > MAX_SIZE) {
+      throw new Error('Archive is larger than 4 GB');
+    }
+
+    await writeToStream(this.output, data);
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path in the archive ('media/42.jpg')
+   * @param {AsyncIterable<Buffer|string>|Iterable<Buffer|string>} chunks - File content
+   * @param {Date} modifiedAt - Modification time
+   */
+  async addEntry(name, chunks, modifiedAt = new Date()) {
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`Archive has more than ${MAX_ENTRIES} files`);
+    }
+
+    const nameBytes = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(modifiedAt);
+    const entry = { nameBytes, time, date, offset: this.offset, crc: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ENTRY_FLAGS, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    await this.write(Buffer.concat([header, nameBytes]));
+
+    for await (const chunk of chunks) {
+      const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+      entry.crc = crc32(entry.crc, data);
+      entry.size += data.length;
+      await this.write(data);
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory; the archive is complete afterwards
+   */
+  async finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(ENTRY_FLAGS, 8);
+      header.writeUInt16LE(0, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.size, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBytes]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+/**
+ * Read the files of a ZIP archive (stored or deflated entries)
+ * Entries are extracted no larger than the size the archive declares for them, so a small archive
+ * cannot expand into more than maxSize bytes, and checked against their CRC-32
+ * @param {Buffer} buffer - Archive
+ * @param {object} options - { maxSize: most bytes all files may hold once extracted }
+ * @returns {Map<string, Buffer>} File contents by path (directories are skipped)
+ * @throws {Error} With status 400 when the archive is invalid or uses unsupported features,
+ *   413 when it is larger than maxSize once extracted
+ */
+function readZip(buffer, { maxSize = DEFAULT_MAX_EXTRACTED_SIZE } = {}) {
+  const invalid = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+
+  // The end of central directory record is at the end, after an optional comment
+  let end = -1;
+  for (let position = buffer.length - 22; position >= Math.max(0, buffer.length - 22 - 0xffff); position--) {
+    if (buffer.readUInt32LE(position) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      end = position;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw invalid('Not a ZIP archive');
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  let extractedSize = 0;
+
+  for (let index = 0; index < count; index++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw invalid('Invalid ZIP archive');
+    }
+
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw invalid('Invalid ZIP archive');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (data.length !== compressedSize) {
+      throw invalid('Invalid ZIP archive');
+    }
+
+    extractedSize += size;
+    if (extractedSize > maxSize) {
+      throw invalid(`Archive is larger than ${maxSize} bytes when extracted`, 413);
+    }
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        // maxOutputLength must be at least 1; an empty file still inflates to nothing
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw invalid(`Invalid compressed data (${name})`);
+      }
+    } else {
+      throw invalid(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+
+    if (content.length !== size) {
+      throw invalid(`Size of ${name} does not match the archive`);
+    }
+    if (crc32(0, content) !== crc) {
+      throw invalid(`CRC mismatch (${name})`);
+    }
+    files.set(name, content);
+  }
+
+  return files;
+}
+
+module.exports = {
+  crc32,
+  writeToStream,
+  ZipWriter,
+  readZip
+};
@@ -1,5 +1,9 @@
 const Database = require('better-sqlite3');
 const crypto = require('crypto');
+const { runMigrations } = require('./migrations');
+
+// Session used by the unscoped API routes and by databases created before multi-session support
+const DEFAULT_SESSION_ID = 'default';
 
 /**
  * Initialize SQLite database with WAL mode
@@ -10,72 +14,18 @@ function initializeDatabase(dbPath = './messages.db') {
   const db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
 
-  // Create tables
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      direction TEXT NOT NULL,
-      phone TEXT NOT NULL,
-      sender_name TEXT,
-      message TEXT NOT NULL,
-      reply_status TEXT DEFAULT 'unread',
-      media_type TEXT,
-      media_url TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(reply_status);
-    CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone);
-    CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at DESC);
-
-    CREATE TABLE IF NOT EXISTS api_keys (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      key TEXT UNIQUE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS settings (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS webhooks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      url TEXT NOT NULL,
-      event TEXT NOT NULL,
-      active INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  // Migration: Add sender_name column if it doesn't exist
+  // Bring the schema up to date (refuses databases migrated by a newer version)
   try {
-    db.exec(`ALTER TABLE messages ADD COLUMN sender_name TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
+    runMigrations(db);
+  } catch (error) {
+    db.close();
+    throw error;
   }
 
-  return db;
-}
-
-/**
- * Get current timestamp in IST (24-hour format)
- * @returns {string} Timestamp in format 'YYYY-MM-DD HH:MM:SS'
- */
-function getISTTimestamp() {
-  const now = new Date();
-  // Convert to IST (UTC+5:30)
-  const istOffset = 5.5 * 60 * 60 * 1000;
-  const istTime = new Date(now.getTime() + istOffset);
-
-  const year = istTime.getUTCFullYear();
-  const month = String(istTime.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(istTime.getUTCDate()).padStart(2, '0');
-  const hours = String(istTime.getUTCHours()).padStart(2, '0');
-  const minutes = String(istTime.getUTCMinutes()).padStart(2, '0');
-  const seconds = String(istTime.getUTCSeconds()).padStart(2, '0');
+  // The default session always exists (it uses SESSION_PATH for auth)
+  db.prepare(`INSERT OR IGNORE INTO sessions (id, created_at) VALUES (?, ?)`).run(DEFAULT_SESSION_ID, new Date().toISOString());
 
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  return db;
 }
 
 /**
@@ -88,15 +38,158 @@ function getISTTimestamp() {
  * @param {string|null} mediaType - Type of media ('image', etc.) or null
  * @param {string|null} mediaUrl - Path to media file or URL, or null
  * @param {string|null} senderName - Sender's display name (pushName)
+ * @param {string} sessionId - WhatsApp session the message belongs to
+ * @param {string|null} senderJid - Who wrote an incoming message (group participant); defaults to the chat
+ *   for incoming one-to-one messages and to null for outgoing ones
+ * @param {string|null} createdAt - When WhatsApp says the message was sent (UTC ISO-8601); defaults to now
  * @returns {object} Insert result
  */
-function insertMessage(db, direction, phone, message, status = 'unread', mediaType = null, mediaUrl = null, senderName = null) {
-  const timestamp = getISTTimestamp();
+function insertMessage(db, direction, phone, message, status = 'unread', mediaType = null, mediaUrl = null, senderName = null, sessionId = DEFAULT_SESSION_ID, senderJid = null, createdAt = null) {
+  const timestamp = createdAt || new Date().toISOString();
+  const sender = senderJid || (direction === 'incoming' && !phone.endsWith('@g.us') ? phone : null);
+  const stmt = db.prepare(`
+    INSERT INTO messages (session_id, direction, phone, chat_jid, sender_jid, sender_name, message, reply_status, media_type, media_url, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  return stmt.run(sessionId, direction, phone, phone, sender, senderName, message, status, mediaType, mediaUrl, timestamp);
+}
+
+// Columns an import restores (everything but the ID)
+const IMPORTED_MESSAGE_COLUMNS = [
+  'session_id', 'direction', 'phone', 'chat_jid', 'sender_jid', 'sender_name', 'message', 'reply_status',
+  'media_type', 'media_url', 'media_mimetype', 'media_filename', 'media_size', 'media_duration',
+  'whatsapp_id', 'delivery_status', 'server_ack_at', 'delivered_at', 'read_at', 'failed_at', 'created_at'
+];
+
+/**
+ * Find a stored message that an imported message duplicates
+ * Messages are the same when session, chat, direction, time, text and media type match
+ * (and WhatsApp message IDs, when both have one)
+ * @param {Database} db - Database instance
+ * @param {object} message - Imported message (message columns)
+ * @returns {number|null} ID of the stored message or null
+ */
+function findDuplicateMessage(db, message) {
+  const stmt = db.prepare(`
+    SELECT id FROM messages
+    WHERE session_id = ? AND phone = ? AND direction = ? AND created_at = ? AND message = ?
+      AND COALESCE(media_type, '') = COALESCE(?, '')
+      AND (whatsapp_id IS NULL OR ? IS NULL OR whatsapp_id = ?)
+    LIMIT 1
+  `);
+  const row = stmt.get(
+    message.session_id, message.phone, message.direction, message.created_at, message.message,
+    message.media_type, message.whatsapp_id, message.whatsapp_id
+  );
+  return row ? row.id : null;
+}
+
+/**
+ * Insert an imported message with its original timestamps and delivery details
+ * @param {Database} db - Database instance
+ * @param {object} message - Message columns (see IMPORTED_MESSAGE_COLUMNS; missing ones are null)
+ * @returns {number} New message ID
+ */
+function importMessage(db, message) {
+  const stmt = db.prepare(`
+    INSERT INTO messages (${IMPORTED_MESSAGE_COLUMNS.join(', ')})
+    VALUES (${IMPORTED_MESSAGE_COLUMNS.map(() => '?').join(', ')})
+  `);
+  return stmt.run(...IMPORTED_MESSAGE_COLUMNS.map((column) => message[column] ?? null)).lastInsertRowid;
+}
+
+/**
+ * Update stored media details for a message
+ * @param {Database} db - Database instance
+ * @param {number} id - Message ID
+ * @param {object} media - Media details
+ * @param {string} media.url - Stored file name or URL
+ * @param {string|null} media.mimetype - Media mimetype
+ * @param {string|null} media.filename - Original file name
+ * @param {number|null} media.size - Size in bytes
+ * @param {number|null} media.duration - Duration in seconds (audio/video)
+ * @returns {object} Update result
+ */
+function updateMessageMedia(db, id, { url, mimetype = null, filename = null, size = null, duration = null }) {
+  const stmt = db.prepare(`
+    UPDATE messages
+    SET media_url = ?, media_mimetype = ?, media_filename = ?, media_size = ?, media_duration = ?
+    WHERE id = ?
+  `);
+  return stmt.run(url, mimetype, filename, size, duration, id);
+}
+
+/**
+ * Store the WhatsApp message ID returned by sendMessage for an outgoing message
+ * @param {Database} db - Database instance
+ * @param {number} id - Message ID
+ * @param {string|null} whatsappId - WhatsApp message key ID
+ * @returns {object} Update result
+ */
+function setMessageWhatsAppId(db, id, whatsappId) {
   const stmt = db.prepare(`
-    INSERT INTO messages (direction, phone, sender_name, message, reply_status, media_type, media_url, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    UPDATE messages
+    SET whatsapp_id = ?, delivery_status = 'sent'
+    WHERE id = ?
   `);
-  return stmt.run(direction, phone, senderName, message, status, mediaType, mediaUrl, timestamp);
+  return stmt.run(whatsappId, id);
+}
+
+// Delivery statuses in the order receipts arrive; a message never moves backwards
+const DELIVERY_STATUS_RANK = {
+  sent: 0,
+  server_ack: 1,
+  delivered: 2,
+  read: 3
+};
+
+/**
+ * Apply a delivery receipt to an outgoing message
+ * Records the timestamp of each step and ignores receipts that would move the status backwards
+ * @param {Database} db - Database instance
+ * @param {string} whatsappId - WhatsApp message key ID
+ * @param {string} status - 'server_ack', 'delivered', 'read' or 'failed'
+ * @returns {object|null} Updated message or null if unknown/unchanged
+ */
+function updateMessageDelivery(db, whatsappId, status) {
+  const message = db.prepare(`
+    SELECT * FROM messages WHERE whatsapp_id = ? AND direction = 'outgoing'
+  `).get(whatsappId);
+
+  if (!message || message.delivery_status === status || message.delivery_status === 'failed') {
+    return null;
+  }
+
+  const timestamp = new Date().toISOString();
+
+  if (status === 'failed') {
+    db.prepare(`
+      UPDATE messages SET delivery_status = 'failed', failed_at = ? WHERE id = ?
+    `).run(timestamp, message.id);
+  } else {
+    const currentRank = DELIVERY_STATUS_RANK[message.delivery_status] ?? -1;
+    if (DELIVERY_STATUS_RANK[status] <= currentRank) {
+      return null;
+    }
+
+    // Fill in skipped steps too (a read receipt implies delivery)
+    db.prepare(`
+      UPDATE messages
+      SET delivery_status = ?,
+          server_ack_at = CASE WHEN ? >= 1 THEN COALESCE(server_ack_at, ?) ELSE server_ack_at END,
+          delivered_at = CASE WHEN ? >= 2 THEN COALESCE(delivered_at, ?) ELSE delivered_at END,
+          read_at = CASE WHEN ? >= 3 THEN COALESCE(read_at, ?) ELSE read_at END
+      WHERE id = ?
+    `).run(
+      status,
+      DELIVERY_STATUS_RANK[status], timestamp,
+      DELIVERY_STATUS_RANK[status], timestamp,
+      DELIVERY_STATUS_RANK[status], timestamp,
+      message.id
+    );
+  }
+
+  return getMessageById(db, message.id);
 }
 
 /**
@@ -116,6 +209,242 @@ function getMessages(db, page = 1, limit = 50) {
   return stmt.all(limit, offset);
 }
 
+/**
+ * Get conversations (one row per phone) ordered by last activity
+ * @param {Database} db - Database instance
+ * @param {object} options - { sessionId, cursor, limit }
+ * @param {string} options.sessionId - Session to list conversations of
+ * @param {number|null} options.cursor - Only conversations whose last message ID is lower (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Rows with phone, sender_name, unread_count, message_count and last message columns
+ */
+function getConversations(db, { sessionId = DEFAULT_SESSION_ID, cursor = null, limit = 50 } = {}) {
+  const stmt = db.prepare(`
+    SELECT
+      c.phone,
+      (
+        SELECT s.sender_name FROM messages s
+        WHERE s.session_id = c.session_id AND s.phone = c.phone AND s.sender_name IS NOT NULL
+        ORDER BY s.id DESC LIMIT 1
+      ) as sender_name,
+      c.unread_count,
+      c.message_count,
+      m.id as last_message_id,
+      m.direction as last_message_direction,
+      m.message as last_message,
+      m.media_type as last_message_media_type,
+      m.reply_status as last_message_status,
+      m.created_at as last_activity
+    FROM (
+      SELECT
+        session_id,
+        phone,
+        MAX(id) as last_id,
+        SUM(CASE WHEN direction = 'incoming' AND reply_status = 'unread' THEN 1 ELSE 0 END) as unread_count,
+        COUNT(*) as message_count
+      FROM messages
+      WHERE session_id = ?
+      GROUP BY phone
+    ) c
+    JOIN messages m ON m.id = c.last_id
+    WHERE (? IS NULL OR c.last_id < ?)
+    ORDER BY c.last_id DESC
+    LIMIT ?
+  `);
+  return stmt.all(sessionId, cursor, cursor, limit);
+}
+
+/**
+ * Get messages exchanged with one phone, newest page first
+ * @param {Database} db - Database instance
+ * @param {string} phone - WhatsApp JID
+ * @param {object} options - { sessionId, cursor, limit }
+ * @param {string} options.sessionId - Session the conversation belongs to
+ * @param {number|null} options.cursor - Only messages with a lower ID (older page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Messages in both directions, newest first
+ */
+function getConversationMessages(db, phone, { sessionId = DEFAULT_SESSION_ID, cursor = null, limit = 50 } = {}) {
+  const stmt = db.prepare(`
+    SELECT * FROM messages
+    WHERE session_id = ? AND phone = ? AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `);
+  return stmt.all(sessionId, phone, cursor, cursor, limit);
+}
+
+/**
+ * Build WHERE conditions for message filters
+ * @param {object} filters - { sessionId, direction, status, phone, senderName, mediaType, from, to }
+ * @param {string|Array<string>} filters.status - One status or any of several
+ * @param {string} filters.senderName - Part of the sender name (case-insensitive)
+ * @param {string} filters.mediaType - Media type ('text' also matches messages without media)
+ * @param {string} filters.from - Earliest created_at (inclusive, UTC ISO-8601)
+ * @param {string} filters.to - Latest created_at (inclusive, UTC ISO-8601)
+ * @param {string} alias - Alias of the messages table in the query
+ * @returns {object} { conditions, params }
+ */
+function buildMessageFilters(filters, alias = 'messages') {
+  const conditions = [];
+  const params = [];
+
+  if (filters.sessionId) {
+    conditions.push(`${alias}.session_id = ?`);
+    params.push(filters.sessionId);
+  }
+
+  if (filters.direction) {
+    conditions.push(`${alias}.direction = ?`);
+    params.push(filters.direction);
+  }
+
+  if (filters.status && filters.status.length > 0) {
+    const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+    conditions.push(`${alias}.reply_status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (filters.phone) {
+    conditions.push(`${alias}.phone = ?`);
+    params.push(filters.phone);
+  }
+
+  if (filters.senderName) {
+    conditions.push(`${alias}.sender_name LIKE ? ESCAPE '\\'`);
+    params.push(`%${filters.senderName.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  if (filters.mediaType === 'text') {
+    conditions.push(`(${alias}.media_type IS NULL OR ${alias}.media_type = 'text')`);
+  } else if (filters.mediaType) {
+    conditions.push(`${alias}.media_type = ?`);
+    params.push(filters.mediaType);
+  }
+
+  if (filters.from) {
+    conditions.push(`${alias}.created_at >= ?`);
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    conditions.push(`${alias}.created_at <= ?`);
+    params.push(filters.to);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * List messages matching filters
+ * @param {Database} db - Database instance
+ * @param {object} options - Message filters (see buildMessageFilters) plus { order, cursor, limit }
+ * @param {string} options.order - 'desc' (newest first) or 'asc' (oldest first)
+ * @param {number|null} options.cursor - Only messages after this ID in the chosen order (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Message rows
+ */
+function listMessages(db, { order = 'desc', cursor = null, limit = 50, ...filters } = {}) {
+  const { conditions, params } = buildMessageFilters(filters);
+  if (cursor !== null) {
+    conditions.push(order === 'asc' ? 'messages.id > ?' : 'messages.id < ?');
+    params.push(cursor);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`
+    SELECT * FROM messages
+    ${where}
+    ORDER BY id ${order === 'asc' ? 'ASC' : 'DESC'}
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+/**
+ * Count messages matching filters
+ * @param {Database} db - Database instance
+ * @param {object} filters - Message filters (see buildMessageFilters)
+ * @returns {number} Number of matching messages
+ */
+function countMessages(db, filters = {}) {
+  const { conditions, params } = buildMessageFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return db.prepare(`SELECT COUNT(*) as count FROM messages ${where}`).get(...params).count;
+}
+
+// Snippet highlight markers (control characters never present in escaped HTML)
+const SNIPPET_MATCH_START = '\u0002';
+const SNIPPET_MATCH_END = '\u0003';
+
+/**
+ * Turn free text into an FTS5 query
+ * Every word must match (as a prefix); FTS5 operators in the input are treated as text
+ * @param {string} text - Search text
+ * @returns {string|null} FTS5 query or null if the text has no searchable words
+ */
+function toSearchQuery(text) {
+  const terms = String(text).split(/\s+/).filter((term) => /[\p{L}\p{N}]/u.test(term));
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map((term) => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * Escape a snippet for HTML and wrap matches in <mark> tags
+ * @param {string|null} snippet - Snippet with match markers
+ * @returns {string|null} HTML snippet
+ */
+function highlightSnippet(snippet) {
+  if (snippet === null || snippet === undefined) {
+    return null;
+  }
+
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(SNIPPET_MATCH_START).join('<mark>')
+    .split(SNIPPET_MATCH_END).join('</mark>');
+}
+
+/**
+ * Full-text search over message text and sender names, newest first
+ * @param {Database} db - Database instance
+ * @param {string} text - Search text
+ * @param {object} options - Message filters (see buildMessageFilters) plus { cursor, limit }
+ * @param {number|null} options.cursor - Only messages with a lower ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Message rows with a `snippet` (HTML-escaped, matches wrapped in <mark>)
+ */
+function searchMessages(db, text, { cursor = null, limit = 50, ...filters } = {}) {
+  const query = toSearchQuery(text);
+  if (!query) {
+    return [];
+  }
+
+  const { conditions, params } = buildMessageFilters(filters, 'm');
+  if (cursor !== null) {
+    conditions.push('m.id < ?');
+    params.push(cursor);
+  }
+
+  const rows = db.prepare(`
+    SELECT m.*, snippet(messages_fts, 0, ?, ?, '…', 16) as snippet
+    FROM messages_fts
+    JOIN messages m ON m.id = messages_fts.rowid
+    WHERE messages_fts MATCH ?${conditions.map((condition) => ` AND ${condition}`).join('')}
+    ORDER BY m.id DESC
+    LIMIT ?
+  `).all(SNIPPET_MATCH_START, SNIPPET_MATCH_END, query, ...params, limit);
+
+  return rows.map((row) => ({ ...row, snippet: highlightSnippet(row.snippet) }));
+}
+
 /**
  * Get a single message by ID
  * @param {Database} db - Database instance
@@ -146,135 +475,1844 @@ function updateMessageStatus(db, id, status) {
 }
 
 /**
- * Get total message count
+ * Build the WHERE conditions of a retention rule
+ * @param {object} rule - { target: 'media' | 'messages', before, statuses, direction, sessionId }
+ * @returns {object} { sql, params }
+ */
+function buildRetentionConditions({ target, before, statuses = null, direction = null, sessionId = null }) {
+  const conditions = ['created_at < ?'];
+  const params = [before];
+
+  if (target === 'media') {
+    // Only files saved for incoming messages (outgoing media is the sender's URL or a reused file)
+    conditions.push(`direction = 'incoming'`, 'media_url IS NOT NULL');
+  } else {
+    // Messages waiting in the outbound queue are kept until they are sent
+    conditions.push(`(delivery_status IS NULL OR delivery_status != 'queued')`);
+  }
+
+  if (statuses) {
+    conditions.push(`reply_status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (direction) {
+    conditions.push('direction = ?');
+    params.push(direction);
+  }
+
+  if (sessionId) {
+    conditions.push('session_id = ?');
+    params.push(sessionId);
+  }
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+// Messages that point to a file in MEDIA_PATH: incoming media, and outgoing messages that reused it
+// (they store the bare filename; other outgoing media is the sender's URL or 'base64')
+const STORED_MEDIA_CONDITION = `media_url IS NOT NULL AND (direction = 'incoming' OR (media_url != 'base64' AND instr(media_url, '/') = 0))`;
+
+/**
+ * Build conditions that leave out messages matched by retention rules
+ * @param {Array<object>} rules - Rules whose messages are left out
+ * @returns {object} { conditions, params }
+ */
+function buildRetentionExclusions(rules) {
+  const conditions = [];
+  const params = [];
+
+  for (const rule of rules) {
+    const { sql, params: ruleParams } = buildRetentionConditions(rule);
+    // IS NOT 1 also keeps messages the rule does not match because a column is NULL
+    conditions.push(`(${sql}) IS NOT 1`);
+    params.push(...ruleParams);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Build the WHERE clause of a retention query
+ * @param {object} rule - Rule the messages match
+ * @param {object} options - { afterId, exclude: rules whose messages are left out }
+ * @returns {object} { sql, params }
+ */
+function buildRetentionWhere(rule, { afterId = 0, exclude = [] } = {}) {
+  const included = buildRetentionConditions(rule);
+  const conditions = [included.sql, 'id > ?'];
+  const params = [...included.params, afterId];
+
+  const excluded = buildRetentionExclusions(exclude);
+  conditions.push(...excluded.conditions);
+  params.push(...excluded.params);
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Get messages a retention rule applies to
  * @param {Database} db - Database instance
- * @returns {number} Total message count
+ * @param {object} rule - { target: 'media' | 'messages', before, statuses, direction, sessionId }
+ * @param {number} limit - Maximum number of messages
+ * @param {object} options - { afterId, exclude: rules whose messages are left out }
+ * @returns {Array<object>} Messages ({ id, direction, media_url }), oldest first
  */
-function getMessageCount(db) {
+function getRetentionCandidates(db, rule, limit, options = {}) {
+  const { sql, params } = buildRetentionWhere(rule, options);
   const stmt = db.prepare(`
-    SELECT COUNT(*) as count FROM messages WHERE direction = 'incoming'
+    SELECT id, direction, media_url FROM messages
+    WHERE ${sql}
+    ORDER BY id
+    LIMIT ?
   `);
-  return stmt.get().count;
+  return stmt.all(...params, limit);
+}
+
+/**
+ * Count messages a retention rule applies to
+ * @param {Database} db - Database instance
+ * @param {object} rule - { target: 'media' | 'messages', before, statuses, direction, sessionId }
+ * @param {object} options - { exclude: rules whose messages are left out }
+ * @returns {number} Number of messages
+ */
+function countRetentionCandidates(db, rule, options = {}) {
+  const { sql, params } = buildRetentionWhere(rule, options);
+  return db.prepare(`SELECT COUNT(*) AS count FROM messages WHERE ${sql}`).get(...params).count;
 }
 
 /**
- * Get API key from database
+ * Get the media files a retention rule removes: files whose last remaining message it removes
  * @param {Database} db - Database instance
- * @returns {object|null} API key object or null
+ * @param {object} rule - { target: 'media' | 'messages', before, statuses, direction, sessionId }
+ * @param {number} limit - Maximum number of files
+ * @param {object} options - { afterUrl, exclude: rules applied before, whose messages are already removed }
+ * @returns {Array<string>} Media URLs (filenames), in order
  */
-function getApiKey(db) {
+function getRetentionMediaFiles(db, rule, limit, { afterUrl = '', exclude = [] } = {}) {
+  const { sql, params } = buildRetentionWhere(rule, { exclude });
+  const kept = buildRetentionExclusions([...exclude, rule]);
+
   const stmt = db.prepare(`
-    SELECT key FROM api_keys
-    ORDER BY created_at DESC
-    LIMIT 1
+    SELECT DISTINCT media_url FROM messages
+    WHERE ${sql} AND ${STORED_MEDIA_CONDITION} AND media_url > ?
+      AND NOT EXISTS (
+        SELECT 1 FROM messages AS kept
+        WHERE kept.media_url = messages.media_url AND ${kept.conditions.join(' AND ')}
+      )
+    ORDER BY media_url
+    LIMIT ?
   `);
-  return stmt.get();
+  return stmt.all(...params, afterUrl, ...kept.params, limit).map((row) => row.media_url);
 }
 
 /**
- * Ensure API key exists, generate if not
+ * Check whether any message points to a media file
  * @param {Database} db - Database instance
- * @returns {string} API key
+ * @param {string} mediaUrl - Media URL (filename)
+ * @returns {boolean} True if the file is still used
  */
-function ensureApiKey(db) {
-  const existingKey = getApiKey(db);
-
-  if (existingKey) {
-    return existingKey.key;
-  }
+function isMediaReferenced(db, mediaUrl) {
+  return Boolean(db.prepare(`SELECT 1 FROM messages WHERE media_url = ? LIMIT 1`).get(mediaUrl));
+}
 
-  // Generate new 32-byte random key
-  const randomBytes = crypto.randomBytes(32);
-  const apiKey = randomBytes.toString('base64');
+/**
+ * Delete messages
+ * Scheduled messages, broadcast recipients and auto-reply runs that point to them keep their row
+ * with message_id cleared; finished outbound queue entries are deleted with their message
+ * @param {Database} db - Database instance
+ * @param {Array<number>} ids - Message IDs
+ * @returns {number} Number of deleted messages
+ */
+function deleteMessages(db, ids) {
+  const json = JSON.stringify(ids);
 
-  // Store in database
-  const stmt = db.prepare(`
-    INSERT INTO api_keys (key) VALUES (?)
-  `);
-  stmt.run(apiKey);
+  return db.transaction(() => {
+    for (const table of ['scheduled_messages', 'broadcast_recipients', 'auto_reply_runs']) {
+      db.prepare(`UPDATE ${table} SET message_id = NULL WHERE message_id IN (SELECT value FROM json_each(?))`).run(json);
+    }
+    db.prepare(`UPDATE outbound_queue SET reply_to_id = NULL WHERE reply_to_id IN (SELECT value FROM json_each(?))`).run(json);
+    db.prepare(`DELETE FROM outbound_queue WHERE message_id IN (SELECT value FROM json_each(?))`).run(json);
 
-  return apiKey;
+    return db.prepare(`DELETE FROM messages WHERE id IN (SELECT value FROM json_each(?))`).run(json).changes;
+  })();
 }
 
 /**
- * Get setting value by key
+ * Forget the media files of messages (the messages are kept)
  * @param {Database} db - Database instance
- * @param {string} key - Setting key
- * @returns {string|null} Setting value or null
+ * @param {Array<number>} ids - Message IDs
+ * @returns {number} Number of updated messages
  */
-function getSetting(db, key) {
+function clearMessageMedia(db, ids) {
   const stmt = db.prepare(`
-    SELECT value FROM settings WHERE key = ?
+    UPDATE messages SET media_url = NULL WHERE id IN (SELECT value FROM json_each(?))
   `);
-  const result = stmt.get(key);
-  return result ? result.value : null;
+  return stmt.run(JSON.stringify(ids)).changes;
 }
 
 /**
- * Set setting value
+ * Get total message count
  * @param {Database} db - Database instance
- * @param {string} key - Setting key
- * @param {string} value - Setting value
+ * @param {string|null} sessionId - Only count messages of this session (all sessions if null)
+ * @returns {number} Total message count
  */
-function setSetting(db, key, value) {
+function getMessageCount(db, sessionId = null) {
+  if (sessionId) {
+    return db.prepare(`
+      SELECT COUNT(*) as count FROM messages WHERE direction = 'incoming' AND session_id = ?
+    `).get(sessionId).count;
+  }
+
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)
+    SELECT COUNT(*) as count FROM messages WHERE direction = 'incoming'
   `);
-  stmt.run(key, value);
+  return stmt.get().count;
 }
 
 /**
- * Get webhook by event
+ * Get all WhatsApp sessions
  * @param {Database} db - Database instance
- * @param {string} event - Event name
- * @returns {object|null} Webhook object or null
+ * @returns {Array} Session rows ordered by creation
  */
-function getWebhook(db, event = 'message.received') {
-  const stmt = db.prepare(`
-    SELECT * FROM webhooks WHERE event = ? AND active = 1 LIMIT 1
-  `);
-  return stmt.get(event);
+function getSessions(db) {
+  return db.prepare(`SELECT * FROM sessions ORDER BY created_at ASC, id ASC`).all();
 }
 
 /**
- * Set webhook URL
+ * Get a WhatsApp session by ID
  * @param {Database} db - Database instance
- * @param {string} url - Webhook URL
- * @param {string} event - Event name
+ * @param {string} id - Session ID
+ * @returns {object|null} Session row or null
  */
-function setWebhook(db, url, event = 'message.received') {
-  // Delete existing webhook for this event
-  db.prepare(`DELETE FROM webhooks WHERE event = ?`).run(event);
+function getSession(db, id) {
+  return db.prepare(`SELECT * FROM sessions WHERE id = ?`).get(id) || null;
+}
 
-  // Insert new webhook
-  const stmt = db.prepare(`
-    INSERT INTO webhooks (url, event) VALUES (?, ?)
-  `);
-  stmt.run(url, event);
+/**
+ * Create a WhatsApp session
+ * @param {Database} db - Database instance
+ * @param {string} id - Session ID
+ * @returns {object} Insert result
+ */
+function createSession(db, id) {
+  return db.prepare(`INSERT INTO sessions (id, created_at) VALUES (?, ?)`).run(id, new Date().toISOString());
 }
 
 /**
- * Delete webhook
+ * Set whether a session is started when the server starts
+ * Stopped sessions stay stopped across restarts
  * @param {Database} db - Database instance
- * @param {string} event - Event name
+ * @param {string} id - Session ID
+ * @param {boolean} autoStart - Start on server start
+ * @returns {object} Update result
  */
-function deleteWebhook(db, event = 'message.received') {
-  const stmt = db.prepare(`DELETE FROM webhooks WHERE event = ?`);
-  stmt.run(event);
+function setSessionAutoStart(db, id, autoStart) {
+  return db.prepare(`UPDATE sessions SET auto_start = ? WHERE id = ?`).run(autoStart ? 1 : 0, id);
+}
+
+/**
+ * Delete a WhatsApp session (its messages are kept)
+ * @param {Database} db - Database instance
+ * @param {string} id - Session ID
+ * @returns {object} Delete result
+ */
+function deleteSession(db, id) {
+  return db.prepare(`DELETE FROM sessions WHERE id = ?`).run(id);
+}
+
+// Number of leading key characters stored in plaintext to identify a key in listings
+const API_KEY_PREFIX_LENGTH = 12;
+
+// Columns returned for API keys (never the hash)
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a new API key
+ * Only the hash is stored; the plaintext key is returned once
+ * @param {Database} db - Database instance
+ * @param {object} options - { name, scopes, expiresAt }
+ * @param {string} options.name - Key name
+ * @param {Array<string>} options.scopes - Granted scopes ('*' for all)
+ * @param {string|null} options.expiresAt - ISO expiry or null for no expiry
+ * @returns {object} { id, key }
+ */
+function createApiKey(db, { name, scopes = ['*'], expiresAt = null }) {
+  // Generate new 32-byte random key
+  const key = `owk_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, key_hash, key_prefix, scopes, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(name, hashApiKey(key), key.slice(0, API_KEY_PREFIX_LENGTH), scopes.join(','), expiresAt, new Date().toISOString());
+
+  return { id: result.lastInsertRowid, key };
+}
+
+/**
+ * Get all API keys (without hashes)
+ * @param {Database} db - Database instance
+ * @returns {Array} API key rows, newest first
+ */
+function getApiKeys(db) {
+  return db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id DESC`).all();
+}
+
+/**
+ * Get an API key by ID (without hash)
+ * @param {Database} db - Database instance
+ * @param {number} id - API key ID
+ * @returns {object|null} API key row or null
+ */
+function getApiKeyById(db, id) {
+  return db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`).get(id) || null;
+}
+
+/**
+ * Find the stored row of a plaintext API key
+ * @param {Database} db - Database instance
+ * @param {string} key - Plaintext API key from a request
+ * @returns {object|null} API key row or null if unknown
+ */
+function findApiKey(db, key) {
+  return db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = ?`).get(hashApiKey(key)) || null;
+}
+
+/**
+ * Record that an API key was used
+ * @param {Database} db - Database instance
+ * @param {number} id - API key ID
+ * @returns {object} Update result
+ */
+function touchApiKey(db, id) {
+  return db.prepare(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`).run(new Date().toISOString(), id);
+}
+
+/**
+ * Revoke an API key
+ * @param {Database} db - Database instance
+ * @param {number} id - API key ID
+ * @returns {object} Update result (0 changes if unknown or already revoked)
+ */
+function revokeApiKey(db, id) {
+  return db.prepare(`
+    UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+  `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Rotate an API key: issue a new key with the same name, scopes and expiry
+ * The old key keeps working until the grace period ends
+ * @param {Database} db - Database instance
+ * @param {number} id - API key ID
+ * @param {number} graceMs - How long the old key stays valid (0 revokes it now)
+ * @returns {object} { id, key, previousExpiresAt }
+ */
+function rotateApiKey(db, id, graceMs) {
+  const rotate = db.transaction(() => {
+    const existing = getApiKeyById(db, id);
+    const created = createApiKey(db, {
+      name: existing.name,
+      scopes: existing.scopes.split(','),
+      expiresAt: existing.expires_at
+    });
+
+    if (graceMs > 0) {
+      const graceEnd = new Date(Date.now() + graceMs).toISOString();
+      const expiresAt = existing.expires_at && existing.expires_at < graceEnd ? existing.expires_at : graceEnd;
+      db.prepare(`UPDATE api_keys SET expires_at = ? WHERE id = ?`).run(expiresAt, id);
+      return { ...created, previousExpiresAt: expiresAt };
+    }
+
+    revokeApiKey(db, id);
+    return { ...created, previousExpiresAt: null };
+  });
+
+  return rotate();
+}
+
+/**
+ * Ensure at least one API key exists, generate a full-access key if not
+ * @param {Database} db - Database instance
+ * @returns {string|null} New plaintext API key, or null if keys already exist
+ */
+function ensureApiKey(db) {
+  const { count } = db.prepare(`SELECT COUNT(*) as count FROM api_keys`).get();
+
+  if (count > 0) {
+    return null;
+  }
+
+  return createApiKey(db, { name: 'default', scopes: ['*'] }).key;
+}
+
+// Contact columns that can be set from WhatsApp data and from the API
+const CONTACT_WHATSAPP_FIELDS = { name: 'name', notify: 'notify', verifiedName: 'verified_name', lid: 'lid' };
+const CONTACT_DETAIL_FIELDS = { displayName: 'display_name', notes: 'notes', externalId: 'external_id' };
+
+/**
+ * Get a contact by JID, also matching the LID of a phone contact
+ * @param {Database} db - Database instance
+ * @param {string} jid - Phone JID or LID
+ * @returns {object|null} Contact row or null
+ */
+function getContact(db, jid) {
+  return db.prepare(`
+    SELECT * FROM contacts WHERE jid = @jid OR lid = @jid
+    ORDER BY jid = @jid DESC
+    LIMIT 1
+  `).get({ jid }) || null;
+}
+
+/**
+ * List contacts, most recently added first
+ * @param {Database} db - Database instance
+ * @param {object} options - { search, cursor, limit }
+ * @param {string|null} options.search - Part of a name, JID or external ID (case-insensitive)
+ * @param {number|null} options.cursor - Only contacts with a lower ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Contact rows
+ */
+function getContacts(db, { search = null, cursor = null, limit = 50 } = {}) {
+  const pattern = search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null;
+
+  return db.prepare(`
+    SELECT * FROM contacts
+    WHERE (@cursor IS NULL OR id < @cursor)
+      AND (@pattern IS NULL
+        OR jid LIKE @pattern ESCAPE '\\'
+        OR lid LIKE @pattern ESCAPE '\\'
+        OR display_name LIKE @pattern ESCAPE '\\'
+        OR name LIKE @pattern ESCAPE '\\'
+        OR notify LIKE @pattern ESCAPE '\\'
+        OR external_id LIKE @pattern ESCAPE '\\')
+    ORDER BY id DESC
+    LIMIT @limit
+  `).all({ cursor, pattern, limit });
+}
+
+/**
+ * Set columns of a contact, creating it if needed (undefined fields are left unchanged)
+ * @param {Database} db - Database instance
+ * @param {string} jid - Contact JID
+ * @param {object} fields - Values keyed by API field name
+ * @param {object} columns - API field name -> column name
+ * @returns {object} Updated contact row
+ */
+function setContactFields(db, jid, fields, columns) {
+  const now = new Date().toISOString();
+  if (!db.prepare(`SELECT id FROM contacts WHERE jid = ?`).get(jid)) {
+    db.prepare(`INSERT INTO contacts (jid, created_at, updated_at) VALUES (?, ?, ?)`).run(jid, now, now);
+  }
+
+  const updates = Object.keys(columns).filter((field) => fields[field] !== undefined);
+  if (updates.length > 0) {
+    db.prepare(`
+      UPDATE contacts SET ${updates.map((field) => `${columns[field]} = ?`).join(', ')}, updated_at = ?
+      WHERE jid = ?
+    `).run(...updates.map((field) => fields[field]), now, jid);
+  }
+
+  return db.prepare(`SELECT * FROM contacts WHERE jid = ?`).get(jid);
+}
+
+/**
+ * Store what WhatsApp knows about a contact
+ * @param {Database} db - Database instance
+ * @param {string} jid - Contact JID
+ * @param {object} fields - { name, notify, verifiedName, lid } (undefined fields are left unchanged)
+ * @returns {object} Contact row
+ */
+function upsertContact(db, jid, fields) {
+  return setContactFields(db, jid, fields, CONTACT_WHATSAPP_FIELDS);
+}
+
+/**
+ * Update our own details of a contact, creating it if needed
+ * @param {Database} db - Database instance
+ * @param {string} jid - Contact JID
+ * @param {object} details - { displayName, notes, externalId } (null clears, undefined leaves unchanged)
+ * @returns {object} Contact row
+ */
+function updateContactDetails(db, jid, details) {
+  return setContactFields(db, jid, details, CONTACT_DETAIL_FIELDS);
+}
+
+/**
+ * Record that a LID belongs to a phone JID
+ * A contact stored under the LID alone is merged into the phone contact (phone values win)
+ * @param {Database} db - Database instance
+ * @param {string} lid - LID JID (...@lid)
+ * @param {string} phoneJid - Phone JID (...@s.whatsapp.net)
+ * @returns {object} Phone contact row
+ */
+function linkContactLid(db, lid, phoneJid) {
+  const link = db.transaction(() => {
+    const lidContact = db.prepare(`SELECT * FROM contacts WHERE jid = ?`).get(lid);
+    if (lidContact) {
+      db.prepare(`DELETE FROM contacts WHERE id = ?`).run(lidContact.id);
+    }
+
+    const contact = upsertContact(db, phoneJid, { lid });
+    if (!lidContact) {
+      return contact;
+    }
+
+    // Keep values only known under the LID
+    const merged = {};
+    for (const columns of [CONTACT_WHATSAPP_FIELDS, CONTACT_DETAIL_FIELDS]) {
+      for (const [field, column] of Object.entries(columns)) {
+        if (contact[column] === null && lidContact[column] !== null) {
+          merged[field] = lidContact[column];
+        }
+      }
+    }
+    upsertContact(db, phoneJid, merged);
+    return updateContactDetails(db, phoneJid, merged);
+  });
+
+  return link();
+}
+
+/**
+ * Get cached group metadata
+ * @param {Database} db - Database instance
+ * @param {string} jid - Group JID (...@g.us)
+ * @returns {object|null} Group row with participants parsed, or null
+ */
+function getGroup(db, jid) {
+  const group = db.prepare(`SELECT * FROM chat_groups WHERE jid = ?`).get(jid);
+  if (!group) {
+    return null;
+  }
+
+  return { ...group, participants: group.participants ? JSON.parse(group.participants) : [] };
+}
+
+/**
+ * Store group metadata, creating the group if needed (undefined fields are left unchanged)
+ * @param {Database} db - Database instance
+ * @param {string} jid - Group JID
+ * @param {object} fields - { subject, description, owner, participants, size, fetchedAt }
+ * @param {Array<object>} fields.participants - Participants ({ jid, admin })
+ * @returns {object} Group row
+ */
+function saveGroup(db, jid, { subject, description, owner, participants, size, fetchedAt }) {
+  const now = new Date().toISOString();
+  const fields = {
+    subject,
+    description,
+    owner,
+    participants: participants === undefined ? undefined : JSON.stringify(participants),
+    size: size === undefined && participants !== undefined ? participants.length : size,
+    fetched_at: fetchedAt
+  };
+  const columns = Object.keys(fields).filter((column) => fields[column] !== undefined);
+
+  db.prepare(`INSERT OR IGNORE INTO chat_groups (jid, updated_at) VALUES (?, ?)`).run(jid, now);
+  db.prepare(`
+    UPDATE chat_groups SET ${columns.map((column) => `${column} = ?, `).join('')}updated_at = ?
+    WHERE jid = ?
+  `).run(...columns.map((column) => fields[column]), now, jid);
+
+  return getGroup(db, jid);
+}
+
+/**
+ * Mark cached group metadata as outdated so it is fetched again
+ * @param {Database} db - Database instance
+ * @param {string} jid - Group JID
+ */
+function markGroupStale(db, jid) {
+  db.prepare(`UPDATE chat_groups SET fetched_at = NULL WHERE jid = ?`).run(jid);
+}
+
+/**
+ * Schedule a message
+ * @param {Database} db - Database instance
+ * @param {object} scheduled - Scheduled message
+ * @param {string} scheduled.sessionId - Session to send from
+ * @param {string} scheduled.recipient - Recipient JID
+ * @param {object} scheduled.payload - { message, image, media } as accepted by the send endpoint
+ * @param {string} scheduled.sendAt - When to send (ISO-8601)
+ * @param {string} scheduled.whenDisconnected - 'send' (on reconnect) or 'miss' (mark missed)
+ * @returns {object} Scheduled message row
+ */
+function createScheduledMessage(db, { sessionId = DEFAULT_SESSION_ID, recipient, payload, sendAt, whenDisconnected = 'send' }) {
+  const id = db.prepare(`
+    INSERT INTO scheduled_messages (session_id, recipient, payload, send_at, when_disconnected, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(sessionId, recipient, JSON.stringify(payload), sendAt, whenDisconnected, new Date().toISOString()).lastInsertRowid;
+
+  return getScheduledMessage(db, id);
+}
+
+/**
+ * Get a scheduled message by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Scheduled message ID
+ * @returns {object|undefined} Scheduled message row
+ */
+function getScheduledMessage(db, id) {
+  return db.prepare(`SELECT * FROM scheduled_messages WHERE id = ?`).get(id);
+}
+
+/**
+ * List scheduled messages of a session, newest first
+ * @param {Database} db - Database instance
+ * @param {object} options - { sessionId, status, cursor, limit }
+ * @param {string|null} options.status - Only messages in this state
+ * @param {number|null} options.cursor - Only messages with a lower ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Scheduled message rows
+ */
+function getScheduledMessages(db, { sessionId = DEFAULT_SESSION_ID, status = null, cursor = null, limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT * FROM scheduled_messages
+    WHERE session_id = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(sessionId, status, status, cursor, cursor, limit);
+}
+
+/**
+ * Get pending scheduled messages that are due
+ * @param {Database} db - Database instance
+ * @param {string} now - Current time (ISO-8601)
+ * @param {number} limit - Maximum rows to return
+ * @param {Array<string>|null} connectedSessionIds - Skip messages that wait for another session
+ *   to reconnect (null returns every due message)
+ * @returns {Array} Scheduled message rows, earliest first
+ */
+function getDueScheduledMessages(db, now = new Date().toISOString(), limit = 20, connectedSessionIds = null) {
+  if (connectedSessionIds === null) {
+    return db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE status = 'pending' AND send_at <= ?
+      ORDER BY send_at ASC, id ASC
+      LIMIT ?
+    `).all(now, limit);
+  }
+
+  // Still returned: messages of connected sessions, messages to mark missed and messages of deleted sessions
+  return db.prepare(`
+    SELECT * FROM scheduled_messages
+    WHERE status = 'pending' AND send_at <= ?
+      AND (
+        session_id IN (SELECT value FROM json_each(?))
+        OR when_disconnected = 'miss'
+        OR session_id NOT IN (SELECT id FROM sessions)
+      )
+    ORDER BY send_at ASC, id ASC
+    LIMIT ?
+  `).all(now, JSON.stringify(connectedSessionIds), limit);
+}
+
+/**
+ * Claim a pending scheduled message for sending so it can no longer be cancelled
+ * @param {Database} db - Database instance
+ * @param {number} id - Scheduled message ID
+ * @returns {boolean} True if claimed (false if it was cancelled or already processed)
+ */
+function claimScheduledMessage(db, id) {
+  return db.prepare(`
+    UPDATE scheduled_messages SET status = 'sending'
+    WHERE id = ? AND status = 'pending'
+  `).run(id).changes > 0;
+}
+
+/**
+ * Record the outcome of a scheduled message
+ * @param {Database} db - Database instance
+ * @param {number} id - Scheduled message ID
+ * @param {object} outcome - { status, messageId, error }
+ * @param {string} outcome.status - 'sent', 'failed' or 'missed'
+ * @returns {object} Update result
+ */
+function finishScheduledMessage(db, id, { status, messageId = null, error = null }) {
+  return db.prepare(`
+    UPDATE scheduled_messages
+    SET status = ?, message_id = ?, error = ?, processed_at = ?
+    WHERE id = ? AND status IN ('pending', 'sending')
+  `).run(status, messageId, error, new Date().toISOString(), id);
+}
+
+/**
+ * Fail scheduled messages that were being sent when the server stopped
+ * They are not sent again because WhatsApp may already have delivered them
+ * @param {Database} db - Database instance
+ * @param {string} error - Reason recorded on the messages
+ * @returns {Array} Failed scheduled message rows
+ */
+function failInterruptedScheduledMessages(db, error) {
+  return db.prepare(`
+    UPDATE scheduled_messages SET status = 'failed', error = ?, processed_at = ?
+    WHERE status = 'sending'
+    RETURNING *
+  `).all(error, new Date().toISOString());
+}
+
+/**
+ * Cancel a pending scheduled message
+ * @param {Database} db - Database instance
+ * @param {number} id - Scheduled message ID
+ * @returns {boolean} True if cancelled (false if it was no longer pending)
+ */
+function cancelScheduledMessage(db, id) {
+  return db.prepare(`
+    UPDATE scheduled_messages SET status = 'cancelled', processed_at = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(new Date().toISOString(), id).changes > 0;
+}
+
+/**
+ * Create a broadcast job with its recipients
+ * @param {Database} db - Database instance
+ * @param {object} broadcast - Broadcast job
+ * @param {string} broadcast.sessionId - Session to send from
+ * @param {string|null} broadcast.name - Label for the job
+ * @param {object} broadcast.payload - { message, image, media }; message may contain {{placeholders}}
+ * @param {Array<object>} broadcast.recipients - { recipient, variables } in sending order
+ * @param {number} broadcast.ratePerMinute - Messages per minute
+ * @param {number} broadcast.jitterSeconds - Random extra delay between messages
+ * @returns {object} Broadcast row
+ */
+function createBroadcast(db, { sessionId = DEFAULT_SESSION_ID, name = null, payload, recipients, ratePerMinute, jitterSeconds = 0 }) {
+  const create = db.transaction(() => {
+    const now = new Date().toISOString();
+    const id = db.prepare(`
+      INSERT INTO broadcasts (session_id, name, payload, rate_per_minute, jitter_seconds, total, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, name, JSON.stringify(payload), ratePerMinute, jitterSeconds, recipients.length, now, now).lastInsertRowid;
+
+    const insertRecipient = db.prepare(`
+      INSERT INTO broadcast_recipients (broadcast_id, recipient, variables) VALUES (?, ?, ?)
+    `);
+    for (const { recipient, variables } of recipients) {
+      insertRecipient.run(id, recipient, variables ? JSON.stringify(variables) : null);
+    }
+
+    return id;
+  });
+
+  return getBroadcast(db, create());
+}
+
+/**
+ * Get a broadcast job by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @returns {object|undefined} Broadcast row
+ */
+function getBroadcast(db, id) {
+  return db.prepare(`SELECT * FROM broadcasts WHERE id = ?`).get(id);
+}
+
+/**
+ * List broadcast jobs of a session, newest first
+ * @param {Database} db - Database instance
+ * @param {object} options - { sessionId, status, cursor, limit }
+ * @param {string|null} options.status - Only jobs in this state
+ * @param {number|null} options.cursor - Only jobs with a lower ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Broadcast rows
+ */
+function getBroadcasts(db, { sessionId = DEFAULT_SESSION_ID, status = null, cursor = null, limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT * FROM broadcasts
+    WHERE session_id = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(sessionId, status, status, cursor, cursor, limit);
+}
+
+/**
+ * Count the recipients of a broadcast job by result
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @returns {object} { pending, sent, failed, cancelled }
+ */
+function getBroadcastProgress(db, id) {
+  const progress = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+  const rows = db.prepare(`
+    SELECT status, COUNT(*) as count FROM broadcast_recipients
+    WHERE broadcast_id = ?
+    GROUP BY status
+  `).all(id);
+
+  for (const row of rows) {
+    progress[row.status] = row.count;
+  }
+  return progress;
+}
+
+/**
+ * List the recipients of a broadcast job in sending order
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @param {object} options - { status, cursor, limit }
+ * @param {string|null} options.status - Only recipients with this result
+ * @param {number|null} options.cursor - Only recipients with a higher ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Recipient rows
+ */
+function getBroadcastRecipients(db, id, { status = null, cursor = null, limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT * FROM broadcast_recipients
+    WHERE broadcast_id = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR id > ?)
+    ORDER BY id ASC
+    LIMIT ?
+  `).all(id, status, status, cursor, cursor, limit);
+}
+
+/**
+ * Get the next recipient a broadcast job sends to
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @returns {object|undefined} Recipient row, undefined when none is pending
+ */
+function getNextBroadcastRecipient(db, id) {
+  return db.prepare(`
+    SELECT * FROM broadcast_recipients
+    WHERE broadcast_id = ? AND status = 'pending'
+    ORDER BY id ASC
+    LIMIT 1
+  `).get(id);
+}
+
+/**
+ * Get running broadcast jobs that may send their next message
+ * Only the oldest running job of each session is returned, so jobs of one number
+ * run one after another and share its rate limit
+ * @param {Database} db - Database instance
+ * @param {string} now - Current time (ISO-8601)
+ * @returns {Array} Broadcast rows
+ */
+function getRunnableBroadcasts(db, now = new Date().toISOString()) {
+  return db.prepare(`
+    SELECT * FROM broadcasts b
+    WHERE b.status = 'running'
+      AND b.id = (SELECT MIN(id) FROM broadcasts WHERE session_id = b.session_id AND status = 'running')
+      AND (b.next_send_at IS NULL OR b.next_send_at <= ?)
+    ORDER BY b.id ASC
+  `).all(now);
+}
+
+/**
+ * Record the result of sending to one broadcast recipient
+ * @param {Database} db - Database instance
+ * @param {number} id - Recipient row ID
+ * @param {object} outcome - { status, messageId, error }
+ * @param {string} outcome.status - 'sent' or 'failed'
+ * @returns {object} Update result
+ */
+function finishBroadcastRecipient(db, id, { status, messageId = null, error = null }) {
+  return db.prepare(`
+    UPDATE broadcast_recipients
+    SET status = ?, message_id = ?, error = ?, processed_at = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(status, messageId, error, new Date().toISOString(), id);
+}
+
+/**
+ * Set when a broadcast job may send its next message
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @param {string} nextSendAt - ISO-8601 timestamp
+ */
+function setBroadcastNextSendAt(db, id, nextSendAt) {
+  db.prepare(`UPDATE broadcasts SET next_send_at = ? WHERE id = ?`).run(nextSendAt, id);
+}
+
+/**
+ * Move a broadcast job to another state
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @param {string} status - 'running', 'paused' or 'completed'
+ * @param {Array<string>} fromStatuses - States the job may be in
+ * @returns {boolean} True if changed (false if the job was in another state)
+ */
+function setBroadcastStatus(db, id, status, fromStatuses) {
+  const now = new Date().toISOString();
+
+  return db.prepare(`
+    UPDATE broadcasts
+    SET status = ?, updated_at = ?, finished_at = CASE WHEN ? = 'completed' THEN ? ELSE finished_at END
+    WHERE id = ? AND status IN (SELECT value FROM json_each(?))
+  `).run(status, now, status, now, id, JSON.stringify(fromStatuses)).changes > 0;
+}
+
+/**
+ * Cancel a running or paused broadcast job; its pending recipients are cancelled too
+ * @param {Database} db - Database instance
+ * @param {number} id - Broadcast ID
+ * @returns {boolean} True if cancelled (false if the job had already finished)
+ */
+function cancelBroadcast(db, id) {
+  const cancel = db.transaction(() => {
+    const now = new Date().toISOString();
+    const changed = db.prepare(`
+      UPDATE broadcasts SET status = 'cancelled', updated_at = ?, finished_at = ?
+      WHERE id = ? AND status IN ('running', 'paused')
+    `).run(now, now, id).changes > 0;
+
+    if (changed) {
+      db.prepare(`
+        UPDATE broadcast_recipients SET status = 'cancelled', processed_at = ?
+        WHERE broadcast_id = ? AND status = 'pending'
+      `).run(now, id);
+    }
+
+    return changed;
+  });
+
+  return cancel();
+}
+
+/**
+ * Count broadcast messages a session sent since a point in time (daily cap)
+ * @param {Database} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} since - ISO-8601 timestamp
+ * @returns {number} Sent broadcast messages
+ */
+function countBroadcastSentSince(db, sessionId, since) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM broadcast_recipients r
+    JOIN broadcasts b ON b.id = r.broadcast_id
+    WHERE b.session_id = ? AND r.status = 'sent' AND r.processed_at >= ?
+  `).get(sessionId, since).count;
+}
+
+/**
+ * Parse the variants of a template row
+ * @param {object|undefined} row - Template row
+ * @returns {object|null} Template with variants as an object keyed by language
+ */
+function parseTemplate(row) {
+  return row ? { ...row, variants: JSON.parse(row.variants) } : null;
+}
+
+/**
+ * Create a message template
+ * @param {Database} db - Database instance
+ * @param {object} template - { name, defaultLanguage, variants }
+ * @param {object} template.variants - { [language]: { text, media } }
+ * @returns {object} Template
+ */
+function createTemplate(db, { name, defaultLanguage, variants }) {
+  const now = new Date().toISOString();
+  const id = db.prepare(`
+    INSERT INTO templates (name, default_language, variants, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(name, defaultLanguage, JSON.stringify(variants), now, now).lastInsertRowid;
+
+  return getTemplate(db, id);
+}
+
+/**
+ * Get a message template by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Template ID
+ * @returns {object|null} Template or null if not found
+ */
+function getTemplate(db, id) {
+  return parseTemplate(db.prepare(`SELECT * FROM templates WHERE id = ?`).get(id));
+}
+
+/**
+ * Get a message template by name
+ * @param {Database} db - Database instance
+ * @param {string} name - Template name
+ * @returns {object|null} Template or null if not found
+ */
+function getTemplateByName(db, name) {
+  return parseTemplate(db.prepare(`SELECT * FROM templates WHERE name = ?`).get(name));
+}
+
+/**
+ * List message templates by name
+ * @param {Database} db - Database instance
+ * @param {object} options - { search, cursor, limit }
+ * @param {string|null} options.search - Only templates whose name contains this text
+ * @param {number|null} options.cursor - Only templates with a higher ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Templates
+ */
+function getTemplates(db, { search = null, cursor = null, limit = 50 } = {}) {
+  const pattern = search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null;
+
+  return db.prepare(`
+    SELECT * FROM templates
+    WHERE (@pattern IS NULL OR name LIKE @pattern ESCAPE '\\') AND (@cursor IS NULL OR id > @cursor)
+    ORDER BY id ASC
+    LIMIT @limit
+  `).all({ pattern, cursor, limit }).map(parseTemplate);
+}
+
+/**
+ * Update a message template (only provided fields change)
+ * @param {Database} db - Database instance
+ * @param {number} id - Template ID
+ * @param {object} fields - { name, defaultLanguage, variants }
+ * @returns {object|null} Updated template or null if not found
+ */
+function updateTemplate(db, id, { name, defaultLanguage, variants }) {
+  db.prepare(`
+    UPDATE templates
+    SET name = COALESCE(?, name),
+        default_language = COALESCE(?, default_language),
+        variants = COALESCE(?, variants),
+        updated_at = ?
+    WHERE id = ?
+  `).run(name ?? null, defaultLanguage ?? null, variants ? JSON.stringify(variants) : null, new Date().toISOString(), id);
+
+  return getTemplate(db, id);
+}
+
+/**
+ * Delete a message template
+ * @param {Database} db - Database instance
+ * @param {number} id - Template ID
+ * @returns {boolean} True if deleted
+ */
+function deleteTemplate(db, id) {
+  return db.prepare(`DELETE FROM templates WHERE id = ?`).run(id).changes > 0;
+}
+
+// Rule columns plus how often the rule ran its action and when it last did
+const AUTO_REPLY_RULE_COLUMNS = `
+  r.*,
+  (SELECT COUNT(*) FROM auto_reply_runs WHERE rule_id = r.id AND status = 'done') AS trigger_count,
+  (SELECT MAX(created_at) FROM auto_reply_runs WHERE rule_id = r.id AND status = 'done') AS last_triggered_at
+`;
+
+/**
+ * Parse the conditions and action of an auto-reply rule row
+ * @param {object|undefined} row - Rule row
+ * @returns {object|null} Rule with conditions and action as objects and enabled as a boolean
+ */
+function parseAutoReplyRule(row) {
+  return row
+    ? { ...row, enabled: row.enabled === 1, conditions: JSON.parse(row.conditions), action: JSON.parse(row.action) }
+    : null;
+}
+
+/**
+ * Create an auto-reply rule
+ * @param {Database} db - Database instance
+ * @param {object} rule - Rule
+ * @param {string} rule.name - Rule name
+ * @param {boolean} rule.enabled - Whether the rule is evaluated
+ * @param {number} rule.priority - Rules with a higher priority are evaluated first
+ * @param {string|null} rule.sessionId - Only messages of this session (null for all sessions)
+ * @param {object} rule.conditions - { keywords, pattern, senders, mediaTypes, groups }
+ * @param {object} rule.action - { type, ... } (see AUTO_REPLY_ACTIONS)
+ * @param {number} rule.cooldownSeconds - Minimum time between two runs for the same contact
+ * @returns {object} Rule
+ */
+function createAutoReplyRule(db, { name, enabled = true, priority = 0, sessionId = null, conditions, action, cooldownSeconds = 0 }) {
+  const now = new Date().toISOString();
+  const id = db.prepare(`
+    INSERT INTO auto_reply_rules (name, enabled, priority, session_id, conditions, action, cooldown_seconds, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, enabled ? 1 : 0, priority, sessionId, JSON.stringify(conditions), JSON.stringify(action), cooldownSeconds, now, now).lastInsertRowid;
+
+  return getAutoReplyRule(db, id);
+}
+
+/**
+ * Get an auto-reply rule by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Rule ID
+ * @returns {object|null} Rule or null if not found
+ */
+function getAutoReplyRule(db, id) {
+  return parseAutoReplyRule(db.prepare(`SELECT ${AUTO_REPLY_RULE_COLUMNS} FROM auto_reply_rules r WHERE r.id = ?`).get(id));
+}
+
+/**
+ * List auto-reply rules in evaluation order (highest priority first, then oldest first)
+ * @param {Database} db - Database instance
+ * @param {object} options - { sessionId, enabledOnly }
+ * @param {string|null} options.sessionId - Only rules that apply to this session (null for all rules)
+ * @param {boolean} options.enabledOnly - Skip disabled rules
+ * @returns {Array} Rules
+ */
+function getAutoReplyRules(db, { sessionId = null, enabledOnly = false } = {}) {
+  return db.prepare(`
+    SELECT ${AUTO_REPLY_RULE_COLUMNS} FROM auto_reply_rules r
+    WHERE (@sessionId IS NULL OR r.session_id IS NULL OR r.session_id = @sessionId)
+      AND (@enabledOnly = 0 OR r.enabled = 1)
+    ORDER BY r.priority DESC, r.id ASC
+  `).all({ sessionId, enabledOnly: enabledOnly ? 1 : 0 }).map(parseAutoReplyRule);
+}
+
+/**
+ * Update an auto-reply rule (only provided fields change)
+ * @param {Database} db - Database instance
+ * @param {number} id - Rule ID
+ * @param {object} fields - { name, enabled, priority, sessionId, conditions, action, cooldownSeconds }
+ * @returns {object|null} Updated rule or null if not found
+ */
+function updateAutoReplyRule(db, id, { name, enabled, priority, sessionId, conditions, action, cooldownSeconds }) {
+  db.prepare(`
+    UPDATE auto_reply_rules
+    SET name = COALESCE(@name, name),
+        enabled = COALESCE(@enabled, enabled),
+        priority = COALESCE(@priority, priority),
+        session_id = CASE WHEN @setSession = 1 THEN @sessionId ELSE session_id END,
+        conditions = COALESCE(@conditions, conditions),
+        action = COALESCE(@action, action),
+        cooldown_seconds = COALESCE(@cooldownSeconds, cooldown_seconds),
+        updated_at = @now
+    WHERE id = @id
+  `).run({
+    id,
+    name: name ?? null,
+    enabled: enabled === undefined ? null : (enabled ? 1 : 0),
+    priority: priority ?? null,
+    setSession: sessionId === undefined ? 0 : 1,
+    sessionId: sessionId ?? null,
+    conditions: conditions ? JSON.stringify(conditions) : null,
+    action: action ? JSON.stringify(action) : null,
+    cooldownSeconds: cooldownSeconds ?? null,
+    now: new Date().toISOString()
+  });
+
+  return getAutoReplyRule(db, id);
+}
+
+/**
+ * Delete an auto-reply rule and its run history
+ * @param {Database} db - Database instance
+ * @param {number} id - Rule ID
+ * @returns {boolean} True if deleted
+ */
+function deleteAutoReplyRule(db, id) {
+  return db.transaction(() => {
+    db.prepare(`DELETE FROM auto_reply_runs WHERE rule_id = ?`).run(id);
+    return db.prepare(`DELETE FROM auto_reply_rules WHERE id = ?`).run(id).changes > 0;
+  })();
+}
+
+/**
+ * Record that an auto-reply rule ran its action for a message
+ * @param {Database} db - Database instance
+ * @param {object} run - Run
+ * @param {number} run.ruleId - Rule that matched
+ * @param {string} run.sessionId - Session that received the message
+ * @param {number} run.messageId - Incoming message
+ * @param {string} run.contact - Contact the cooldown applies to
+ * @param {string} run.status - 'running' (action started), 'done' or 'failed'
+ * @param {string|null} run.error - Failure reason
+ * @returns {number} Run ID
+ */
+function recordAutoReplyRun(db, { ruleId, sessionId = DEFAULT_SESSION_ID, messageId, contact, status, error = null }) {
+  return db.prepare(`
+    INSERT INTO auto_reply_runs (rule_id, session_id, message_id, contact, status, error, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(ruleId, sessionId, messageId, contact, status, error, new Date().toISOString()).lastInsertRowid;
+}
+
+/**
+ * Record the outcome of a running auto-reply action
+ * @param {Database} db - Database instance
+ * @param {number} id - Run ID
+ * @param {object} outcome - { status, error }
+ * @param {string} outcome.status - 'done' or 'failed'
+ * @returns {object} Update result
+ */
+function finishAutoReplyRun(db, id, { status, error = null }) {
+  return db.prepare(`
+    UPDATE auto_reply_runs SET status = ?, error = ? WHERE id = ?
+  `).run(status, error, id);
+}
+
+/**
+ * Get when an auto-reply rule last ran its action for a contact
+ * Running actions count so a second message cannot pass the cooldown while the first reply is sent;
+ * failed runs are ignored so they do not start a cooldown
+ * @param {Database} db - Database instance
+ * @param {number} ruleId - Rule ID
+ * @param {string} contact - Contact JID
+ * @returns {string|null} ISO timestamp or null if the rule never ran for the contact
+ */
+function getLastAutoReplyRun(db, ruleId, contact) {
+  const row = db.prepare(`
+    SELECT MAX(created_at) AS last_run FROM auto_reply_runs
+    WHERE rule_id = ? AND contact = ? AND status IN ('running', 'done')
+  `).get(ruleId, contact);
+
+  return row.last_run;
+}
+
+/**
+ * Add an outgoing message to the outbound queue
+ * The message row must already exist; it is marked 'queued' until the queue sends it
+ * @param {Database} db - Database instance
+ * @param {object} item - Queue item
+ * @param {string} item.sessionId - Session to send from
+ * @param {number} item.messageId - Outgoing message row
+ * @param {string} item.recipient - Recipient JID
+ * @param {object} item.payload - { message, image, media } as accepted by the send endpoint
+ * @param {number|null} item.replyToId - Incoming message to mark replied once sent
+ * @returns {object} Queue row
+ */
+function createOutboundMessage(db, { sessionId = DEFAULT_SESSION_ID, messageId, recipient, payload, replyToId = null }) {
+  const create = db.transaction(() => {
+    db.prepare(`UPDATE messages SET delivery_status = 'queued' WHERE id = ?`).run(messageId);
+
+    return db.prepare(`
+      INSERT INTO outbound_queue (session_id, message_id, recipient, payload, reply_to_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, messageId, recipient, JSON.stringify(payload), replyToId, new Date().toISOString()).lastInsertRowid;
+  });
+
+  return getOutboundMessage(db, create());
+}
+
+/**
+ * Get an outbound queue item by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Queue item ID
+ * @returns {object|undefined} Queue row
+ */
+function getOutboundMessage(db, id) {
+  return db.prepare(`SELECT * FROM outbound_queue WHERE id = ?`).get(id);
+}
+
+/**
+ * Get the outbound queue item of a message
+ * @param {Database} db - Database instance
+ * @param {number} messageId - Outgoing message ID
+ * @returns {object|undefined} Queue row, undefined if the message was sent directly
+ */
+function getOutboundMessageByMessageId(db, messageId) {
+  return db.prepare(`SELECT * FROM outbound_queue WHERE message_id = ?`).get(messageId);
+}
+
+/**
+ * List outbound queue items of a session, oldest first
+ * @param {Database} db - Database instance
+ * @param {object} options - { sessionId, status, cursor, limit }
+ * @param {string|null} options.status - Only items in this state
+ * @param {number|null} options.cursor - Only items with a higher ID (next page)
+ * @param {number} options.limit - Maximum rows
+ * @returns {Array} Queue rows
+ */
+function getOutboundMessages(db, { sessionId = DEFAULT_SESSION_ID, status = null, cursor = null, limit = 50 } = {}) {
+  return db.prepare(`
+    SELECT * FROM outbound_queue
+    WHERE session_id = ? AND (? IS NULL OR status = ?) AND (? IS NULL OR id > ?)
+    ORDER BY id ASC
+    LIMIT ?
+  `).all(sessionId, status, status, cursor, cursor, limit);
+}
+
+/**
+ * Get the oldest queued item of a session (the queue is sent in order)
+ * @param {Database} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {object|undefined} Queue row, undefined when the queue is empty
+ */
+function getNextOutboundMessage(db, sessionId) {
+  return db.prepare(`
+    SELECT * FROM outbound_queue
+    WHERE session_id = ? AND status = 'queued'
+    ORDER BY id ASC
+    LIMIT 1
+  `).get(sessionId);
+}
+
+/**
+ * Record a send attempt of an outbound queue item
+ * Failed attempts with a retry time keep the item queued; 'sent' and 'failed' are final
+ * @param {Database} db - Database instance
+ * @param {number} id - Queue item ID
+ * @param {object} attempt - { status, error, nextAttemptAt }
+ * @param {string} attempt.status - 'queued' (retry later), 'sent' or 'failed'
+ * @returns {object} Update result
+ */
+function recordOutboundAttempt(db, id, { status, error = null, nextAttemptAt = null }) {
+  const now = new Date().toISOString();
+  const update = db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE outbound_queue
+      SET status = ?, attempts = attempts + 1, error = ?, next_attempt_at = ?,
+          processed_at = CASE WHEN ? = 'queued' THEN NULL ELSE ? END
+      WHERE id = ? AND status = 'queued'
+    `).run(status, error, nextAttemptAt, status, now, id);
+
+    if (result.changes > 0 && status === 'failed') {
+      db.prepare(`
+        UPDATE messages SET delivery_status = 'failed', failed_at = ?
+        WHERE id = (SELECT message_id FROM outbound_queue WHERE id = ?)
+      `).run(new Date().toISOString(), id);
+    }
+
+    return result;
+  });
+
+  return update();
+}
+
+/**
+ * Get setting value by key
+ * @param {Database} db - Database instance
+ * @param {string} key - Setting key
+ * @returns {string|null} Setting value or null
+ */
+function getSetting(db, key) {
+  const stmt = db.prepare(`
+    SELECT value FROM settings WHERE key = ?
+  `);
+  const result = stmt.get(key);
+  return result ? result.value : null;
+}
+
+/**
+ * Set setting value
+ * @param {Database} db - Database instance
+ * @param {string} key - Setting key
+ * @param {string} value - Setting value
+ */
+function setSetting(db, key, value) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)
+  `);
+  stmt.run(key, value);
+}
+
+/**
+ * Get webhook by event
+ * @param {Database} db - Database instance
+ * @param {string} event - Event name
+ * @returns {object|null} Webhook object or null
+ */
+function getWebhook(db, event = 'message.received') {
+  const stmt = db.prepare(`
+    SELECT * FROM webhooks WHERE event = ? AND active = 1 LIMIT 1
+  `);
+  return stmt.get(event);
+}
+
+/**
+ * Get webhook by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Webhook ID
+ * @returns {object|undefined} Webhook object
+ */
+function getWebhookById(db, id) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhooks WHERE id = ?
+  `);
+  return stmt.get(id);
+}
+
+/**
+ * Generate a random webhook signing secret
+ * @returns {string} Secret in format 'whsec_<hex>'
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Set webhook URL
+ * @param {Database} db - Database instance
+ * @param {string} url - Webhook URL
+ * @param {string} event - Event name
+ * @returns {string} Newly generated signing secret
+ */
+function setWebhook(db, url, event = 'message.received') {
+  const replace = db.transaction(() => {
+    // Delete existing webhook for this event; its queued deliveries must not reach the old URL
+    removeWebhooks(db, db.prepare(`SELECT id FROM webhooks WHERE event = ?`).all(event), 'Webhook was replaced');
+
+    // Insert new webhook with a fresh signing secret
+    const secret = generateWebhookSecret();
+    const stmt = db.prepare(`
+      INSERT INTO webhooks (url, event, secret, created_at) VALUES (?, ?, ?, ?)
+    `);
+    stmt.run(url, event, secret, new Date().toISOString());
+
+    return secret;
+  });
+
+  return replace();
+}
+
+/**
+ * Replace the signing secret of a webhook
+ * @param {Database} db - Database instance
+ * @param {string} event - Event name
+ * @returns {string|null} New secret or null if no webhook is configured
+ */
+function rotateWebhookSecret(db, event = 'message.received') {
+  const secret = generateWebhookSecret();
+  const stmt = db.prepare(`
+    UPDATE webhooks SET secret = ? WHERE event = ?
+  `);
+  const result = stmt.run(secret, event);
+
+  return result.changes > 0 ? secret : null;
+}
+
+/**
+ * Delete webhook
+ * @param {Database} db - Database instance
+ * @param {string} event - Event name
+ */
+function deleteWebhook(db, event = 'message.received') {
+  const remove = db.transaction(() => {
+    removeWebhooks(db, db.prepare(`SELECT id FROM webhooks WHERE event = ?`).all(event), 'Webhook was deleted');
+  });
+
+  remove();
+}
+
+/**
+ * Delete webhooks and dead-letter their pending deliveries
+ * Must run inside a transaction so no delivery is left pointing at a removed webhook
+ * @param {Database} db - Database instance
+ * @param {Array<object>} webhooks - Webhook rows ({ id })
+ * @param {string} reason - Error recorded on the cancelled deliveries
+ * @returns {number} Number of webhooks deleted
+ */
+function removeWebhooks(db, webhooks, reason) {
+  let deleted = 0;
+
+  for (const { id } of webhooks) {
+    deadLetterWebhookDeliveries(db, id, reason);
+    deleted += db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(id).changes;
+  }
+
+  return deleted;
+}
+
+/**
+ * Create a webhook subscription for one or more events
+ * Events are stored comma-separated in the event column ('*' subscribes to all)
+ * @param {Database} db - Database instance
+ * @param {string} url - Webhook URL
+ * @param {Array<string>} events - Event names
+ * @returns {object} { id, secret }
+ */
+function createWebhook(db, url, events) {
+  const secret = generateWebhookSecret();
+  const stmt = db.prepare(`
+    INSERT INTO webhooks (url, event, secret, created_at) VALUES (?, ?, ?, ?)
+  `);
+  const result = stmt.run(url, events.join(','), secret, new Date().toISOString());
+
+  return { id: result.lastInsertRowid, secret };
+}
+
+/**
+ * Get all webhook subscriptions
+ * @param {Database} db - Database instance
+ * @returns {Array} Webhook rows
+ */
+function getWebhooks(db) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhooks ORDER BY id ASC
+  `);
+  return stmt.all();
+}
+
+/**
+ * Get active webhooks subscribed to an event
+ * @param {Database} db - Database instance
+ * @param {string} event - Event name
+ * @returns {Array} Webhook rows
+ */
+function getWebhooksForEvent(db, event) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhooks WHERE active = 1 ORDER BY id ASC
+  `);
+  return stmt.all().filter((webhook) => {
+    const events = webhook.event.split(',');
+    return events.includes('*') || events.includes(event);
+  });
+}
+
+/**
+ * Update a webhook subscription
+ * @param {Database} db - Database instance
+ * @param {number} id - Webhook ID
+ * @param {object} changes - { url, events, active } (omitted fields are unchanged)
+ * @returns {object} Update result
+ */
+function updateWebhook(db, id, { url, events, active }) {
+  const stmt = db.prepare(`
+    UPDATE webhooks
+    SET url = COALESCE(?, url),
+        event = COALESCE(?, event),
+        active = COALESCE(?, active)
+    WHERE id = ?
+  `);
+  return stmt.run(
+    url ?? null,
+    events ? events.join(',') : null,
+    active === undefined ? null : (active ? 1 : 0),
+    id
+  );
+}
+
+/**
+ * Replace the signing secret of a webhook by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Webhook ID
+ * @returns {string|null} New secret or null if the webhook does not exist
+ */
+function rotateWebhookSecretById(db, id) {
+  const secret = generateWebhookSecret();
+  const result = db.prepare(`UPDATE webhooks SET secret = ? WHERE id = ?`).run(secret, id);
+
+  return result.changes > 0 ? secret : null;
+}
+
+/**
+ * Delete webhook by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Webhook ID
+ * @returns {object} Delete result
+ */
+function deleteWebhookById(db, id) {
+  const remove = db.transaction(() => ({ changes: removeWebhooks(db, [{ id }], 'Webhook was deleted') }));
+  return remove();
+}
+
+/**
+ * Queue a webhook delivery
+ * @param {Database} db - Database instance
+ * @param {object} delivery - Delivery details
+ * @param {number|null} delivery.webhookId - Webhook ID
+ * @param {string} delivery.url - Target URL
+ * @param {string} delivery.event - Event name
+ * @param {object} delivery.payload - JSON payload
+ * @returns {number} Delivery ID
+ */
+function createWebhookDelivery(db, { webhookId = null, url, event, payload }) {
+  const now = new Date().toISOString();
+  const stmt = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, url, event, payload, status, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, 'pending', ?, ?)
+  `);
+  return stmt.run(webhookId, url, event, JSON.stringify(payload), now, now).lastInsertRowid;
+}
+
+/**
+ * Get a webhook delivery by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Delivery ID
+ * @returns {object|undefined} Delivery row
+ */
+function getWebhookDelivery(db, id) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE id = ?
+  `);
+  return stmt.get(id);
+}
+
+/**
+ * Get pending deliveries whose next attempt is due
+ * @param {Database} db - Database instance
+ * @param {string} now - Current time (ISO-8601)
+ * @param {number} limit - Maximum rows to return
+ * @returns {Array} Delivery rows, oldest first
+ */
+function getDueWebhookDeliveries(db, now = new Date().toISOString(), limit = 20) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY id ASC
+    LIMIT ?
+  `);
+  return stmt.all(now, limit);
+}
+
+/**
+ * List webhook deliveries, newest first
+ * @param {Database} db - Database instance
+ * @param {object} filters - { status, limit, offset }
+ * @returns {Array} Delivery rows
+ */
+function getWebhookDeliveries(db, { status = null, limit = 50, offset = 0 } = {}) {
+  const stmt = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `);
+  return stmt.all(status, status, limit, offset);
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {Database} db - Database instance
+ * @param {number} id - Delivery ID
+ * @param {object} attempt - Attempt outcome
+ * @param {string} attempt.status - 'delivered', 'pending' (retry scheduled) or 'dead'
+ * @param {number|null} attempt.statusCode - HTTP status code from the receiver
+ * @param {string|null} attempt.error - Error message
+ * @param {string|null} attempt.nextAttemptAt - Next retry time (ISO-8601)
+ * @returns {object} Update result
+ */
+function recordWebhookAttempt(db, id, { status, statusCode = null, error = null, nextAttemptAt = null }) {
+  const now = new Date().toISOString();
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?,
+        attempts = attempts + 1,
+        last_status_code = ?,
+        last_error = ?,
+        next_attempt_at = ?,
+        last_attempt_at = ?,
+        delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+    WHERE id = ?
+  `);
+  return stmt.run(status, statusCode, error, nextAttemptAt, now, status, now, id);
+}
+
+/**
+ * Move the pending deliveries of a webhook to the dead-letter state without sending them
+ * @param {Database} db - Database instance
+ * @param {number} webhookId - Webhook ID
+ * @param {string} reason - Error recorded on the deliveries
+ * @returns {object} Update result
+ */
+function deadLetterWebhookDeliveries(db, webhookId, reason) {
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'dead', last_error = ?, next_attempt_at = NULL
+    WHERE webhook_id = ? AND status = 'pending'
+  `);
+  return stmt.run(reason, webhookId);
+}
+
+/**
+ * Move one pending delivery to the dead-letter state without sending it
+ * @param {Database} db - Database instance
+ * @param {number} id - Delivery ID
+ * @param {string} reason - Error recorded on the delivery
+ * @returns {object} Update result
+ */
+function deadLetterWebhookDelivery(db, id, reason) {
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'dead', last_error = ?, next_attempt_at = NULL
+    WHERE id = ? AND status = 'pending'
+  `);
+  return stmt.run(reason, id);
+}
+
+/**
+ * Reset a dead delivery so the worker sends it again
+ * @param {Database} db - Database instance
+ * @param {number} id - Delivery ID
+ * @returns {object} Update result
+ */
+function replayWebhookDelivery(db, id) {
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = ?
+    WHERE id = ? AND status = 'dead'
+  `);
+  return stmt.run(new Date().toISOString(), id);
+}
+
+/**
+ * Reset all dead deliveries so the worker sends them again
+ * @param {Database} db - Database instance
+ * @returns {object} Update result
+ */
+function replayDeadWebhookDeliveries(db) {
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = ?
+    WHERE status = 'dead'
+  `);
+  return stmt.run(new Date().toISOString());
+}
+
+/**
+ * Record an event for the live event stream
+ * @param {Database} db - Database instance
+ * @param {object} entry - { event, sessionId, payload }
+ * @returns {number} Event ID
+ */
+function insertEvent(db, { event, sessionId = null, payload }) {
+  const stmt = db.prepare(`
+    INSERT INTO events (event, session_id, payload, created_at)
+    VALUES (?, ?, ?, ?)
+  `);
+  return stmt.run(event, sessionId, JSON.stringify(payload), new Date().toISOString()).lastInsertRowid;
+}
+
+/**
+ * Get recorded events after an event ID, oldest first
+ * @param {Database} db - Database instance
+ * @param {number} afterId - Last event ID the client has seen
+ * @param {object} filters - { sessionId, events }
+ * @param {number} limit - Maximum number of events
+ * @returns {Array} Event rows
+ */
+function getEventsAfter(db, afterId, { sessionId = null, events = null } = {}, limit = 500) {
+  const conditions = ['id > ?'];
+  const params = [afterId];
+
+  if (sessionId) {
+    conditions.push('session_id = ?');
+    params.push(sessionId);
+  }
+
+  if (events && events.length > 0) {
+    conditions.push(`event IN (${events.map(() => '?').join(', ')})`);
+    params.push(...events);
+  }
+
+  const stmt = db.prepare(`
+    SELECT * FROM events
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id ASC
+    LIMIT ?
+  `);
+  return stmt.all(...params, limit);
+}
+
+/**
+ * Delete all but the most recent events
+ * @param {Database} db - Database instance
+ * @param {number} keep - Number of events to keep
+ * @returns {number} Number of events deleted
+ */
+function pruneEvents(db, keep) {
+  const stmt = db.prepare(`
+    DELETE FROM events
+    WHERE id <= (SELECT MAX(id) FROM events) - ?
+  `);
+  return stmt.run(keep).changes;
 }
 
 module.exports = {
+  DEFAULT_SESSION_ID,
   initializeDatabase,
   insertMessage,
+  findDuplicateMessage,
+  importMessage,
+  updateMessageMedia,
+  setMessageWhatsAppId,
+  updateMessageDelivery,
   getMessages,
+  getConversations,
+  getConversationMessages,
+  listMessages,
+  countMessages,
+  searchMessages,
   getMessageById,
   updateMessageStatus,
+  getRetentionCandidates,
+  countRetentionCandidates,
+  getRetentionMediaFiles,
+  isMediaReferenced,
+  deleteMessages,
+  clearMessageMedia,
   getMessageCount,
-  getApiKey,
+  getSessions,
+  getSession,
+  createSession,
+  setSessionAutoStart,
+  deleteSession,
+  createApiKey,
+  getApiKeys,
+  getApiKeyById,
+  findApiKey,
+  touchApiKey,
+  revokeApiKey,
+  rotateApiKey,
   ensureApiKey,
+  getContact,
+  getContacts,
+  upsertContact,
+  updateContactDetails,
+  linkContactLid,
+  getGroup,
+  saveGroup,
+  markGroupStale,
+  createScheduledMessage,
+  getScheduledMessage,
+  getScheduledMessages,
+  getDueScheduledMessages,
+  claimScheduledMessage,
+  finishScheduledMessage,
+  failInterruptedScheduledMessages,
+  cancelScheduledMessage,
+  createBroadcast,
+  getBroadcast,
+  getBroadcasts,
+  getBroadcastProgress,
+  getBroadcastRecipients,
+  getNextBroadcastRecipient,
+  getRunnableBroadcasts,
+  finishBroadcastRecipient,
+  setBroadcastNextSendAt,
+  setBroadcastStatus,
+  cancelBroadcast,
+  countBroadcastSentSince,
+  createTemplate,
+  getTemplate,
+  getTemplateByName,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  createAutoReplyRule,
+  getAutoReplyRule,
+  getAutoReplyRules,
+  updateAutoReplyRule,
+  deleteAutoReplyRule,
+  recordAutoReplyRun,
+  finishAutoReplyRun,
+  getLastAutoReplyRun,
+  createOutboundMessage,
+  getOutboundMessage,
+  getOutboundMessageByMessageId,
+  getOutboundMessages,
+  getNextOutboundMessage,
+  recordOutboundAttempt,
   getSetting,
   setSetting,
   getWebhook,
+  getWebhookById,
   setWebhook,
-  deleteWebhook
+  rotateWebhookSecret,
+  deleteWebhook,
+  createWebhook,
+  getWebhooks,
+  getWebhooksForEvent,
+  updateWebhook,
+  rotateWebhookSecretById,
+  deleteWebhookById,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  getDueWebhookDeliveries,
+  getWebhookDeliveries,
+  recordWebhookAttempt,
+  deadLetterWebhookDeliveries,
+  deadLetterWebhookDelivery,
+  replayWebhookDelivery,
+  replayDeadWebhookDeliveries,
+  insertEvent,
+  getEventsAfter,
+  pruneEvents
 };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Database migrations command
+ *
+ * Usage:
+ *   npm run db:status     Show the schema version and pending migrations
+ *   npm run db:migrate    Apply pending migrations
+ *
+ * Uses DB_PATH from the environment or .env (default ./messages.db).
+ * The server also applies pending migrations when it starts.
+ */
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const { loadConfig } = require('../api/config');
+const { getMigrationStatus, runMigrations } = require('./migrations');
+
+const COMMANDS = ['status', 'up'];
+
+/**
+ * Print the schema version with applied and pending migrations
+ * @param {Database} db - Database instance
+ * @param {string} dbPath - Database file path
+ * @returns {boolean} True if the database is newer than this version of OpenWAPI
+ */
+function printStatus(db, dbPath) {
+  const { version, latest, applied, pending } = getMigrationStatus(db);
+
+  console.log(`Database: ${dbPath}`);
+  console.log(`Schema version: ${version} (latest: ${latest})`);
+  for (const migration of applied) {
+    console.log(`  [x] ${migration.version} ${migration.name} (applied ${migration.applied_at})`);
+  }
+  for (const migration of pending) {
+    console.log(`  [ ] ${migration.version} ${migration.name}`);
+  }
+
+  if (version > latest) {
+    console.log('The database is newer than this version of OpenWAPI');
+  } else if (pending.length === 0) {
+    console.log('Up to date');
+  } else {
+    console.log(`${pending.length} pending migration(s); run npm run db:migrate to apply them`);
+  }
+
+  return version > latest;
+}
+
+/**
+ * Run a migrations command
+ * @param {string} command - 'status' or 'up'
+ * @param {string} dbPath - Database file path
+ * @returns {number} Exit code
+ */
+function main(command, dbPath) {
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node src/database/migrate.js <${COMMANDS.join('|')}>`);
+    return 1;
+  }
+
+  if (command === 'status' && !fs.existsSync(dbPath)) {
+    console.log(`Database: ${dbPath}`);
+    console.log('Database file does not exist yet; it is created on the first start or by npm run db:migrate');
+    return 0;
+  }
+
+  const db = new Database(dbPath);
+  try {
+    if (command === 'up') {
+      db.pragma('journal_mode = WAL');
+      const applied = runMigrations(db);
+      for (const migration of applied) {
+        console.log(`Applied ${migration.version} ${migration.name}`);
+      }
+    }
+
+    return printStatus(db, dbPath) ? 1 : 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv[2] || 'status', loadConfig().DB_PATH);
+}
+
+module.exports = { main };
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+
+/**
+ * Versioned schema migrations
+ *
+ * Each migration runs once, in a transaction, and is recorded in the schema_version table.
+ * Add new migrations at the end with the next version number; never change one that was released.
+ * Databases created before versioning have no schema_version table: migrations 1-4 bring any of
+ * them up to date, so they only change what is missing.
+ */
+
+/**
+ * Add a column unless the table already has it
+ * @param {Database} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} definition - Column definition ('name TYPE ...')
+ */
+function addColumn(db, table, definition) {
+  const name = definition.split(' ')[0];
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+  if (!columns.includes(name)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL DEFAULT 'default',
+          direction TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          chat_jid TEXT,
+          sender_jid TEXT,
+          sender_name TEXT,
+          message TEXT NOT NULL,
+          reply_status TEXT DEFAULT 'unread',
+          media_type TEXT,
+          media_url TEXT,
+          media_mimetype TEXT,
+          media_filename TEXT,
+          media_size INTEGER,
+          media_duration INTEGER,
+          whatsapp_id TEXT,
+          delivery_status TEXT,
+          server_ack_at DATETIME,
+          delivered_at DATETIME,
+          read_at DATETIME,
+          failed_at DATETIME,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(reply_status);
+        CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone);
+        CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          auto_start INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL DEFAULT 'default',
+          key_hash TEXT UNIQUE NOT NULL,
+          key_prefix TEXT,
+          scopes TEXT NOT NULL DEFAULT '*',
+          expires_at TEXT,
+          last_used_at TEXT,
+          revoked_at TEXT,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS contacts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid TEXT UNIQUE NOT NULL,
+          lid TEXT,
+          name TEXT,
+          notify TEXT,
+          verified_name TEXT,
+          display_name TEXT,
+          notes TEXT,
+          external_id TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_contacts_lid ON contacts(lid);
+        CREATE INDEX IF NOT EXISTS idx_contacts_external_id ON contacts(external_id);
+
+        CREATE TABLE IF NOT EXISTS chat_groups (
+          jid TEXT PRIMARY KEY,
+          subject TEXT,
+          description TEXT,
+          owner TEXT,
+          participants TEXT,
+          size INTEGER,
+          fetched_at TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS scheduled_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL DEFAULT 'default',
+          recipient TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          send_at TEXT NOT NULL,
+          when_disconnected TEXT NOT NULL DEFAULT 'send',
+          status TEXT NOT NULL DEFAULT 'pending',
+          message_id INTEGER,
+          error TEXT,
+          processed_at TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, send_at);
+
+        CREATE TABLE IF NOT EXISTS broadcasts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL DEFAULT 'default',
+          name TEXT,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'running',
+          rate_per_minute INTEGER NOT NULL,
+          jitter_seconds INTEGER NOT NULL DEFAULT 0,
+          total INTEGER NOT NULL,
+          next_send_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          finished_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS broadcast_recipients (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          broadcast_id INTEGER NOT NULL,
+          recipient TEXT NOT NULL,
+          variables TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          message_id INTEGER,
+          error TEXT,
+          processed_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          default_language TEXT NOT NULL,
+          variants TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS auto_reply_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          priority INTEGER NOT NULL DEFAULT 0,
+          session_id TEXT,
+          conditions TEXT NOT NULL,
+          action TEXT NOT NULL,
+          cooldown_seconds INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS auto_reply_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id INTEGER NOT NULL,
+          session_id TEXT NOT NULL,
+          message_id INTEGER NOT NULL,
+          contact TEXT NOT NULL,
+          status TEXT NOT NULL,
+          error TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_auto_reply_runs_contact ON auto_reply_runs(rule_id, contact, created_at);
+
+        CREATE TABLE IF NOT EXISTS outbound_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL DEFAULT 'default',
+          message_id INTEGER NOT NULL,
+          recipient TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          reply_to_id INTEGER,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          processed_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_outbound_queue_session ON outbound_queue(session_id, status);
+
+        CREATE INDEX IF NOT EXISTS idx_broadcasts_status ON broadcasts(status, session_id);
+        CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_broadcast ON broadcast_recipients(broadcast_id, status);
+        CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_processed ON broadcast_recipients(status, processed_at);
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          event TEXT NOT NULL,
+          secret TEXT,
+          active INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER,
+          url TEXT NOT NULL,
+          event TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_status_code INTEGER,
+          last_error TEXT,
+          next_attempt_at TEXT,
+          last_attempt_at TEXT,
+          delivered_at TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      `);
+
+      // API keys used to be stored in plaintext in a `key` column
+      const apiKeyColumns = db.prepare(`PRAGMA table_info(api_keys)`).all().map((column) => column.name);
+      if (apiKeyColumns.includes('key')) {
+        db.exec(`ALTER TABLE api_keys RENAME COLUMN key TO key_hash`);
+      }
+
+      // Columns introduced after the first release
+      const addedColumns = [
+        ['messages', 'sender_name TEXT'],
+        ['messages', "session_id TEXT NOT NULL DEFAULT 'default'"],
+        ['messages', 'media_mimetype TEXT'],
+        ['messages', 'media_filename TEXT'],
+        ['messages', 'media_size INTEGER'],
+        ['messages', 'media_duration INTEGER'],
+        ['messages', 'whatsapp_id TEXT'],
+        ['messages', 'delivery_status TEXT'],
+        ['messages', 'server_ack_at DATETIME'],
+        ['messages', 'delivered_at DATETIME'],
+        ['messages', 'read_at DATETIME'],
+        ['messages', 'failed_at DATETIME'],
+        ['messages', 'chat_jid TEXT'],
+        ['messages', 'sender_jid TEXT'],
+        ['webhooks', 'secret TEXT'],
+        ['api_keys', "name TEXT NOT NULL DEFAULT 'default'"],
+        ['api_keys', 'key_prefix TEXT'],
+        ['api_keys', "scopes TEXT NOT NULL DEFAULT '*'"],
+        ['api_keys', 'expires_at TEXT'],
+        ['api_keys', 'last_used_at TEXT'],
+        ['api_keys', 'revoked_at TEXT']
+      ];
+      for (const [table, column] of addedColumns) {
+        addColumn(db, table, column);
+      }
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_messages_whatsapp_id ON messages(whatsapp_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(session_id, phone, id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'message_search',
+    up(db) {
+      // Full-text search index over message text and sender names, kept in sync by triggers
+      const hasSearchIndex = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'`).get();
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          message,
+          sender_name,
+          content = 'messages',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts (rowid, message, sender_name) VALUES (new.id, new.message, new.sender_name);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          INSERT INTO messages_fts (messages_fts, rowid, message, sender_name) VALUES ('delete', old.id, old.message, old.sender_name);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF message, sender_name ON messages BEGIN
+          INSERT INTO messages_fts (messages_fts, rowid, message, sender_name) VALUES ('delete', old.id, old.message, old.sender_name);
+          INSERT INTO messages_fts (rowid, message, sender_name) VALUES (new.id, new.message, new.sender_name);
+        END;
+      `);
+      if (!hasSearchIndex) {
+        // Index messages stored before search was introduced
+        db.exec(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'legacy_rows',
+    up(db) {
+      // Messages stored before chat/sender were split: the chat is the phone, 1:1 senders are the chat
+      db.exec(`
+        UPDATE messages SET chat_jid = phone WHERE chat_jid IS NULL;
+        UPDATE messages SET sender_jid = phone
+        WHERE sender_jid IS NULL AND direction = 'incoming' AND phone NOT LIKE '%@g.us';
+      `);
+
+      // Hash keys stored before hashing was introduced (they have no prefix yet). Same hash and prefix
+      // length as hashApiKey, copied so this migration keeps doing what it did when it was released
+      const plaintextKeys = db.prepare(`SELECT id, key_hash FROM api_keys WHERE key_prefix IS NULL`).all();
+      for (const row of plaintextKeys) {
+        const hash = crypto.createHash('sha256').update(row.key_hash).digest('hex');
+        db.prepare(`UPDATE api_keys SET key_hash = ?, key_prefix = ? WHERE id = ?`).run(hash, row.key_hash.slice(0, 12), row.id);
+      }
+
+      // Backfill secrets for webhooks created before signing was introduced
+      const unsigned = db.prepare(`SELECT id FROM webhooks WHERE secret IS NULL`).all();
+      for (const webhook of unsigned) {
+        const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+        db.prepare(`UPDATE webhooks SET secret = ? WHERE id = ?`).run(secret, webhook.id);
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'utc_timestamps',
+    up(db) {
+      // Timestamps used to be stored without a zone: message times in IST (UTC+5:30), created_at of
+      // sessions, API keys and webhooks in UTC (CURRENT_TIMESTAMP). Convert them to UTC ISO-8601
+      for (const column of ['created_at', 'server_ack_at', 'delivered_at', 'read_at', 'failed_at']) {
+        db.exec(`
+          UPDATE messages SET ${column} = strftime('%Y-%m-%dT%H:%M:%fZ', ${column}, '-330 minutes')
+          WHERE ${column} NOT LIKE '%T%'
+        `);
+      }
+      for (const table of ['sessions', 'api_keys', 'webhooks']) {
+        db.exec(`
+          UPDATE ${table} SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at)
+          WHERE created_at NOT LIKE '%T%'
+        `);
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'event_log',
+    up(db) {
+      // Recent events for the live stream (/events), so clients can resume after a reconnect
+      db.exec(`
+        CREATE TABLE events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event TEXT NOT NULL,
+          session_id TEXT,
+          payload TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'auto_reply_run_message_nullable',
+    up(db) {
+      // Runs outlive the messages that triggered them (retention deletes messages, the cooldown and the
+      // rule statistics still need the run), so message_id becomes nullable. SQLite cannot drop NOT NULL
+      // from a column, so the table is rebuilt
+      db.exec(`
+        CREATE TABLE auto_reply_runs_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id INTEGER NOT NULL,
+          session_id TEXT NOT NULL,
+          message_id INTEGER,
+          contact TEXT NOT NULL,
+          status TEXT NOT NULL,
+          error TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        INSERT INTO auto_reply_runs_new (id, rule_id, session_id, message_id, contact, status, error, created_at)
+        SELECT id, rule_id, session_id, message_id, contact, status, error, created_at FROM auto_reply_runs;
+
+        DROP TABLE auto_reply_runs;
+        ALTER TABLE auto_reply_runs_new RENAME TO auto_reply_runs;
+
+        CREATE INDEX idx_auto_reply_runs_contact ON auto_reply_runs(rule_id, contact, created_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'message_media_index',
+    up(db) {
+      // Retention checks whether other messages still use a media file before deleting it
+      db.exec(`CREATE INDEX idx_messages_media_url ON messages(media_url)`);
+    }
+  }
+];
+
+/**
+ * Get the schema version of a database
+ * @param {Database} db - Database instance
+ * @returns {number} Highest applied migration (0 for new databases and databases created before versioning)
+ */
+function getSchemaVersion(db) {
+  const table = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`).get();
+  if (!table) {
+    return 0;
+  }
+
+  return db.prepare(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_version`).get().version;
+}
+
+/**
+ * Get applied and pending migrations
+ * @param {Database} db - Database instance
+ * @param {Array<object>} migrations - Known migrations
+ * @returns {object} { version, latest, applied: [{ version, name, applied_at }], pending: [{ version, name }] }
+ */
+function getMigrationStatus(db, migrations = MIGRATIONS) {
+  const version = getSchemaVersion(db);
+  const applied = version > 0
+    ? db.prepare(`SELECT version, name, applied_at FROM schema_version ORDER BY version`).all()
+    : [];
+
+  return {
+    version,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter((migration) => migration.version > version)
+      .map(({ version: pendingVersion, name }) => ({ version: pendingVersion, name }))
+  };
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Database} db - Database instance
+ * @param {Array<object>} migrations - Known migrations
+ * @returns {Array<object>} Applied migrations ({ version, name })
+ * @throws {Error} When the database was migrated by a newer version of OpenWAPI, or a migration fails
+ *   (the failed migration is rolled back; earlier ones stay applied)
+ */
+function runMigrations(db, migrations = MIGRATIONS) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const { version, latest, pending } = getMigrationStatus(db, migrations);
+  if (version > latest) {
+    throw new Error(
+      `Database schema version ${version} is newer than this version of OpenWAPI supports (${latest}). ` +
+      'Upgrade OpenWAPI or restore a backup of the database'
+    );
+  }
+
+  const record = db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`);
+  for (const { version: pendingVersion, name } of pending) {
+    const migration = migrations.find((candidate) => candidate.version === pendingVersion);
+
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(pendingVersion, name, new Date().toISOString());
+      })();
+    } catch (error) {
+      error.message = `Migration ${pendingVersion} (${name}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return pending;
+}
+
+module.exports = {
+  MIGRATIONS,
+  addColumn,
+  getSchemaVersion,
+  getMigrationStatus,
+  runMigrations
+};
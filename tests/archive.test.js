@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { toCsvLine, parseCsv, writeExport, importMessages } = require('../src/api/archive');
+const { crc32, readZip } = require('../src/api/zip');
+const {
+  initializeDatabase,
+  insertMessage,
+  updateMessageMedia,
+  listMessages,
+  searchMessages
+} = require('../src/database');
+
+describe('Export and import', () => {
+  let db;
+  let mediaPath;
+
+  const PHONE = '919876543210@s.whatsapp.net';
+
+  // Collect everything writeExport writes
+  const exportToBuffer = async (database, options) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', (chunk) => chunks.push(chunk));
+    await writeExport(database, output, { mediaPath, ...options });
+    output.end();
+    return Buffer.concat(chunks);
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    mediaPath = fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-archive-'));
+
+    insertMessage(db, 'incoming', PHONE, 'Where is order 4417?', 'replied', 'text', null, 'Asha', 'default', null, '2024-05-01T10:00:00.000Z');
+    insertMessage(db, 'outgoing', PHONE, 'It ships today, "express"', 'sent', 'text', null, null, 'default', null, '2024-05-01T10:05:00.000Z');
+    insertMessage(db, 'incoming', '911111111111@s.whatsapp.net', 'Hi', 'unread', 'text', null, null, 'default', null, '2024-05-02T09:00:00.000Z');
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(mediaPath, { recursive: true, force: true });
+  });
+
+  describe('CSV', () => {
+    test('should quote cells that need it', () => {
+      expect(toCsvLine(['a', null, 'b,c', 'say "hi"', 'two\nlines', 3])).toBe('a,,"b,c","say ""hi""","two\nlines",3\r\n');
+    });
+
+    test('should parse quoted cells, line breaks and a byte order mark', () => {
+      expect(parseCsv('\uFEFFa,b\r\n"x,1","say ""hi""\nthere"\r\n,\n')).toEqual([
+        ['a', 'b'],
+        ['x,1', 'say "hi"\nthere'],
+        ['', '']
+      ]);
+    });
+  });
+
+  describe('writeExport', () => {
+    test('should write NDJSON oldest first with filters', async () => {
+      const output = await exportToBuffer(db, { filters: { phone: PHONE } });
+      const rows = output.toString().trim().split('\n').map((line) => JSON.parse(line));
+
+      expect(rows.map((row) => row.message)).toEqual(['Where is order 4417?', 'It ships today, "express"']);
+      expect(rows[0]).toMatchObject({ direction: 'incoming', reply_status: 'replied', sender_name: 'Asha', created_at: '2024-05-01T10:00:00.000Z' });
+    });
+
+    test('should write CSV with a header', async () => {
+      const rows = parseCsv((await exportToBuffer(db, { format: 'csv', filters: { from: '2024-05-02T00:00:00.000Z' } })).toString());
+
+      expect(rows[0]).toContain('created_at');
+      expect(rows).toHaveLength(2);
+      expect(rows[1][rows[0].indexOf('message')]).toBe('Hi');
+    });
+
+    test('should stop when the stream is closed while it is full', async () => {
+      for (const media of [false, true]) {
+        // Nothing reads the stream, so the first write fills it
+        const output = new PassThrough({ highWaterMark: 1 });
+        const exported = writeExport(db, output, { mediaPath, media });
+        setImmediate(() => output.destroy());
+
+        await expect(exported).rejects.toThrow('Stream was closed');
+        await expect(writeExport(db, output, { mediaPath, media })).rejects.toThrow('Stream was closed');
+      }
+    });
+
+    test('should bundle stored media into a ZIP archive', async () => {
+      const id = insertMessage(db, 'incoming', PHONE, '', 'unread', 'image', null, null, 'default', null, '2024-05-03T00:00:00.000Z').lastInsertRowid;
+      fs.writeFileSync(path.join(mediaPath, `${id}.jpg`), 'jpeg bytes');
+      updateMessageMedia(db, id, { url: `${id}.jpg`, mimetype: 'image/jpeg', size: 10 });
+
+      const files = readZip(await exportToBuffer(db, { media: true, filters: { phone: PHONE } }));
+
+      expect([...files.keys()]).toEqual(['messages.ndjson', `media/${id}.jpg`]);
+      expect(files.get(`media/${id}.jpg`).toString()).toBe('jpeg bytes');
+      expect(files.get('messages.ndjson').toString().trim().split('\n')).toHaveLength(3);
+    });
+  });
+
+  describe('readZip', () => {
+    // An archive with one deflated file; size is what the archive declares for it
+    const deflatedZip = (name, content, size = content.length) => {
+      const nameBytes = Buffer.from(name);
+      const data = zlib.deflateRawSync(content);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(8, 8);
+      local.writeUInt32LE(data.length, 18);
+      local.writeUInt32LE(size, 22);
+      local.writeUInt16LE(nameBytes.length, 26);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(crc32(0, content), 16);
+      central.writeUInt32LE(data.length, 20);
+      central.writeUInt32LE(size, 24);
+      central.writeUInt16LE(nameBytes.length, 28);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(1, 8);
+      end.writeUInt16LE(1, 10);
+      end.writeUInt32LE(central.length + nameBytes.length, 12);
+      end.writeUInt32LE(local.length + nameBytes.length + data.length, 16);
+
+      return Buffer.concat([local, nameBytes, data, central, nameBytes, end]);
+    };
+
+    test('should read deflated files', () => {
+      expect(readZip(deflatedZip('messages.ndjson', Buffer.from('{"a":1}\n'))).get('messages.ndjson').toString()).toBe('{"a":1}\n');
+    });
+
+    test('should not inflate a file beyond its declared size', () => {
+      const bomb = deflatedZip('messages.ndjson', Buffer.alloc(1024 * 1024), 100);
+
+      expect(() => readZip(bomb)).toThrow('Invalid compressed data (messages.ndjson)');
+      expect(() => readZip(deflatedZip('messages.ndjson', Buffer.from('short'), 0))).toThrow('Invalid compressed data');
+      expect(() => readZip(deflatedZip('messages.ndjson', Buffer.from('short'), 50))).toThrow('Size of messages.ndjson does not match the archive');
+    });
+
+    test('should reject files that do not match their CRC', async () => {
+      const id = insertMessage(db, 'incoming', PHONE, '', 'unread', 'image', null, null, 'default', null, '2024-05-03T00:00:00.000Z').lastInsertRowid;
+      fs.writeFileSync(path.join(mediaPath, `${id}.jpg`), 'jpeg bytes');
+      updateMessageMedia(db, id, { url: `${id}.jpg`, mimetype: 'image/jpeg', size: 10 });
+      const zip = await exportToBuffer(db, { media: true, filters: { phone: PHONE } });
+
+      const corrupted = Buffer.from(zip);
+      const position = corrupted.indexOf('jpeg bytes');
+      corrupted[position] ^= 0xff;
+
+      expect(readZip(zip).get(`media/${id}.jpg`).toString()).toBe('jpeg bytes');
+      expect(() => readZip(corrupted)).toThrow(`CRC mismatch (media/${id}.jpg)`);
+    });
+
+    test('should reject archives larger than the limit once extracted', () => {
+      const zip = deflatedZip('messages.ndjson', Buffer.alloc(1000));
+
+      expect(() => readZip(zip, { maxSize: 999 })).toThrow(expect.objectContaining({
+        status: 413,
+        message: 'Archive is larger than 999 bytes when extracted'
+      }));
+      expect(readZip(zip, { maxSize: 1000 }).get('messages.ndjson')).toHaveLength(1000);
+    });
+  });
+
+  describe('importMessages', () => {
+    let target;
+
+    beforeEach(() => {
+      target = initializeDatabase(':memory:');
+    });
+
+    afterEach(() => {
+      target.close();
+    });
+
+    test('should keep timestamps, directions and statuses and skip duplicates', async () => {
+      const ndjson = await exportToBuffer(db, {});
+
+      expect(importMessages(target, ndjson, { format: 'ndjson', sessionId: 'default', mediaPath }))
+        .toEqual({ imported: 3, duplicates: 0, mediaFiles: 0 });
+      expect(importMessages(target, ndjson, { format: 'ndjson', sessionId: 'default', mediaPath }))
+        .toEqual({ imported: 0, duplicates: 3, mediaFiles: 0 });
+
+      const imported = listMessages(target, { order: 'asc', limit: 10 });
+      expect(imported.map((message) => [message.direction, message.reply_status, message.created_at])).toEqual([
+        ['incoming', 'replied', '2024-05-01T10:00:00.000Z'],
+        ['outgoing', 'sent', '2024-05-01T10:05:00.000Z'],
+        ['incoming', 'unread', '2024-05-02T09:00:00.000Z']
+      ]);
+      expect(searchMessages(target, 'order')).toHaveLength(1);
+    });
+
+    test('should import CSV exports', async () => {
+      const csv = await exportToBuffer(db, { format: 'csv' });
+
+      expect(importMessages(target, csv, { format: 'csv', sessionId: 'default', mediaPath }).imported).toBe(3);
+      expect(listMessages(target, { order: 'asc', limit: 10 })[1].message).toBe('It ships today, "express"');
+    });
+
+    test('should restore media files from an archive under new names', async () => {
+      insertMessage(target, 'incoming', PHONE, 'Existing', 'unread');
+      const id = insertMessage(db, 'incoming', PHONE, '', 'unread', 'image', null, null, 'default', null, '2024-05-03T00:00:00.000Z').lastInsertRowid;
+      fs.writeFileSync(path.join(mediaPath, `${id}.jpg`), 'jpeg bytes');
+      updateMessageMedia(db, id, { url: `${id}.jpg`, mimetype: 'image/jpeg', size: 10 });
+      const zip = await exportToBuffer(db, { media: true });
+
+      const targetMedia = path.join(mediaPath, 'target');
+      const result = importMessages(target, zip, { format: 'zip', sessionId: 'default', mediaPath: targetMedia });
+
+      expect(result).toEqual({ imported: 4, duplicates: 0, mediaFiles: 1 });
+      const image = listMessages(target, { mediaType: 'image', limit: 1 })[0];
+      expect(image).toMatchObject({ media_url: `${image.id}.jpg`, media_mimetype: 'image/jpeg' });
+      expect(fs.readFileSync(path.join(targetMedia, `${image.id}.jpg`), 'utf8')).toBe('jpeg bytes');
+    });
+
+    test('should reject invalid files without importing anything', () => {
+      const lines = [
+        JSON.stringify({ direction: 'incoming', phone: PHONE, message: 'ok', created_at: '2024-05-01T10:00:00Z' }),
+        JSON.stringify({ direction: 'incoming', phone: PHONE, message: 'no zone', created_at: '2024-05-01 10:00:00' })
+      ].join('\n');
+
+      expect(() => importMessages(target, Buffer.from(lines), { format: 'ndjson', sessionId: 'default' }))
+        .toThrow('line 2: created_at must be an ISO 8601 date-time with a zone (e.g. 2024-05-01T10:00:00Z)');
+      expect(() => importMessages(target, Buffer.from('{"direction": "sideways"}'), { format: 'ndjson', sessionId: 'default' }))
+        .toThrow('line 1: direction must be one of: incoming, outgoing');
+      expect(() => importMessages(target, Buffer.from('not json'), { format: 'ndjson', sessionId: 'default' }))
+        .toThrow('line 1: invalid JSON');
+      expect(() => importMessages(target, Buffer.from('a,b\n1,2'), { format: 'csv', sessionId: 'default' }))
+        .toThrow('CSV header must include direction, phone and created_at');
+      expect(() => importMessages(target, Buffer.from('nope'), { format: 'zip', sessionId: 'default' }))
+        .toThrow('Not a ZIP archive');
+      expect(listMessages(target, { limit: 10 })).toEqual([]);
+    });
+
+    test('should import into the given session', () => {
+      const line = JSON.stringify({ session_id: 'sales', direction: 'outgoing', phone: '919876543210', created_at: '2024-05-01T15:30:00+05:30' });
+      importMessages(target, Buffer.from(line), { format: 'ndjson', sessionId: 'support' });
+
+      const [message] = listMessages(target, { limit: 1 });
+      expect(message).toMatchObject({ session_id: 'support', phone: PHONE, reply_status: 'sent', created_at: '2024-05-01T10:00:00.000Z' });
+    });
+  });
+});
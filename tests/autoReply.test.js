@@ -0,0 +1,283 @@
+const {
+  parseAutoReplyRuleInput,
+  matchAutoReplyRule,
+  findAutoReplyRule,
+  previewAutoReplyAction,
+  applyAutoReplyRules
+} = require('../src/api/autoReply');
+const {
+  initializeDatabase,
+  insertMessage,
+  getMessageById,
+  createAutoReplyRule,
+  getAutoReplyRule,
+  createTemplate,
+  createWebhook,
+  getDueWebhookDeliveries
+} = require('../src/database');
+
+describe('Auto-reply rules', () => {
+  let db;
+  let logger;
+  let sock;
+
+  const receive = (text, { from = '919876543210@s.whatsapp.net', mediaType = 'text', senderName = 'Asha', chat = from } = {}) => {
+    const id = insertMessage(db, 'incoming', chat, text, 'unread', mediaType, null, senderName, 'default', from).lastInsertRowid;
+    return getMessageById(db, id);
+  };
+
+  const rule = (fields) => {
+    const { fields: parsed, error } = parseAutoReplyRuleInput(db, { name: 'Rule', action: { type: 'set_status', status: 'ignored' }, ...fields });
+    if (error) throw new Error(error);
+    return createAutoReplyRule(db, parsed);
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    logger = { info: jest.fn(), error: jest.fn() };
+    sock = { sendMessage: jest.fn(async () => ({ key: { id: 'WAID1' } })) };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    db.close();
+  });
+
+  describe('parseAutoReplyRuleInput', () => {
+    const parse = (body) => parseAutoReplyRuleInput(db, { name: 'Hours', action: { type: 'reply', text: 'We are open 9-5' }, ...body });
+
+    test('should normalize conditions and default to one-to-one chats', () => {
+      const { fields } = parse({ match: { keywords: [' hours ', 'hours', 'open'], senders: ['+91 98765 43210'], mediaTypes: ['text'] } });
+
+      expect(fields.conditions).toEqual({
+        keywords: ['hours', 'open'],
+        senders: ['919876543210@s.whatsapp.net'],
+        mediaTypes: ['text'],
+        groups: false
+      });
+      expect(fields.action).toEqual({ type: 'reply', text: 'We are open 9-5' });
+    });
+
+    test('should reject invalid conditions', () => {
+      expect(parse({ match: { keywords: [] } }).error).toContain('match.keywords');
+      expect(parse({ match: { pattern: '(' } }).error).toContain('match.pattern is not a valid regular expression');
+      expect(parse({ match: { senders: ['abc'] } }).error).toBe('match.senders[0] must be a phone number or JID');
+      expect(parse({ match: { mediaTypes: ['gif'] } }).error).toContain('match.mediaTypes');
+      expect(parse({ match: 'menu' }).error).toBe('match must be an object');
+    });
+
+    test('should reject patterns with nested quantifiers', () => {
+      const nested = 'match.pattern must not repeat a group that contains a quantifier or alternative';
+
+      expect(parse({ match: { pattern: '(a+)+$' } }).error).toBe(`${nested}: (a+)+`);
+      expect(parse({ match: { pattern: '^(\\w+\\s?)*$' } }).error).toBe(`${nested}: (\\w+\\s?)*`);
+      expect(parse({ match: { pattern: '(a|ab){2,}' } }).error).toBe(`${nested}: (a|ab){2,}`);
+      expect(parse({ match: { pattern: '((ab)*c)+' } }).error).toBe(`${nested}: ((ab)*c)+`);
+
+      expect(parse({ match: { pattern: '^(menu|price)\\b' } }).error).toBeUndefined();
+      expect(parse({ match: { pattern: '(\\d{3}-)+[+*]' } }).error).toBeUndefined();
+      expect(parse({ match: { pattern: '\\(a+\\)+' } }).error).toBeUndefined();
+    });
+
+    test('should validate actions', () => {
+      expect(parse({ action: { type: 'delete' } }).error).toContain('action.type must be one of');
+      expect(parse({ action: { type: 'reply' } }).error).toBe('action requires either text or templateId');
+      expect(parse({ action: { type: 'reply', text: 'Hi {{order}}' } }).error).toContain('unknown placeholders: order');
+      expect(parse({ action: { type: 'reply', templateId: 99 } }).error).toBe('action.templateId: Template not found');
+      expect(parse({ action: { type: 'set_status', status: 'unread' } }).error).toContain('action.status');
+      expect(parse({ action: { type: 'forward', webhookId: 5 } }).error).toBe('action.webhookId: Webhook not found');
+      expect(parse({ cooldownSeconds: -1 }).error).toContain('cooldownSeconds');
+      expect(parse({ priority: 1.5 }).error).toContain('priority');
+    });
+
+    test('should reject templates with placeholders rules cannot fill', () => {
+      const template = createTemplate(db, {
+        name: 'invoice',
+        defaultLanguage: 'en',
+        variants: { en: { text: 'Hi {{name}}, invoice {{number}}', media: null } }
+      });
+
+      expect(parse({ action: { type: 'reply', templateId: template.id } }).error)
+        .toBe('Template uses placeholders auto-replies cannot fill: number (available: name, phone)');
+    });
+
+    test('should only change provided fields on update', () => {
+      const existing = rule({ match: { keywords: ['menu'] } });
+
+      const { fields } = parseAutoReplyRuleInput(db, { enabled: false }, existing);
+
+      expect(fields).toEqual({ enabled: false });
+    });
+
+    test('should default to a cooldown of one minute', () => {
+      expect(parse({}).fields.cooldownSeconds).toBe(60);
+      expect(parse({ cooldownSeconds: 0 }).fields.cooldownSeconds).toBe(0);
+    });
+  });
+
+  describe('matchAutoReplyRule', () => {
+    const matches = (conditions, message) => matchAutoReplyRule({ conditions: { groups: false, ...conditions } }, message);
+
+    test('should match keywords as whole words, ignoring case', () => {
+      expect(matches({ keywords: ['hours'] }, receive('What are your HOURS?'))).toBe(true);
+      expect(matches({ keywords: ['price list'] }, receive('send the price list please'))).toBe(true);
+      expect(matches({ keywords: ['menu'] }, receive('menus are great'))).toBe(false);
+    });
+
+    test('should require every condition to match', () => {
+      const message = receive('Menu please');
+
+      expect(matches({ keywords: ['menu'], pattern: '^menu' }, message)).toBe(true);
+      expect(matches({ keywords: ['menu'], mediaTypes: ['image'] }, message)).toBe(false);
+      expect(matches({ keywords: ['menu'], senders: ['911111111111@s.whatsapp.net'] }, message)).toBe(false);
+      expect(matches({ senders: ['919876543210@s.whatsapp.net'] }, message)).toBe(true);
+    });
+
+    test('should not match when a pattern runs too long', () => {
+      const message = receive(`${'a'.repeat(40)}!`);
+
+      const started = Date.now();
+      expect(matches({ pattern: '(a+)+$' }, message)).toBe(false);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('should skip group messages unless the rule allows them', () => {
+      const message = receive('menu', { chat: '120363025246125486@g.us' });
+
+      expect(matches({ keywords: ['menu'] }, message)).toBe(false);
+      expect(matches({ keywords: ['menu'], groups: true }, message)).toBe(true);
+    });
+  });
+
+  describe('findAutoReplyRule', () => {
+    test('should pick the highest priority match', () => {
+      rule({ name: 'Low', priority: 1, match: { keywords: ['menu'] } });
+      const high = rule({ name: 'High', priority: 5, match: { pattern: 'menu|price' } });
+      rule({ name: 'Other', priority: 10, match: { keywords: ['hours'] } });
+
+      const { rule: chosen, results } = findAutoReplyRule(db, receive('menu?'));
+
+      expect(chosen.id).toBe(high.id);
+      expect(results.map((result) => [result.rule.name, result.matched])).toEqual([
+        ['Other', false],
+        ['High', true],
+        ['Low', true]
+      ]);
+    });
+
+    test('should ignore disabled rules and rules of other sessions', () => {
+      rule({ enabled: false, match: { keywords: ['menu'] } });
+      rule({ session: 'sales', match: { keywords: ['menu'] } });
+
+      expect(findAutoReplyRule(db, receive('menu')).rule).toBeNull();
+    });
+  });
+
+  describe('applyAutoReplyRules', () => {
+    test('should reply with text and mark the message replied', async () => {
+      rule({ match: { keywords: ['hours'] }, action: { type: 'reply', text: 'Hi {{name}}, we are open 9-5' } });
+      const message = receive('hours?');
+
+      const result = await applyAutoReplyRules(db, sock, message, logger);
+
+      expect(result).toMatchObject({ action: 'reply', status: 'done' });
+      expect(sock.sendMessage).toHaveBeenCalledWith('919876543210@s.whatsapp.net', { text: 'Hi Asha, we are open 9-5' });
+      expect(getMessageById(db, message.id).reply_status).toBe('replied');
+    });
+
+    test('should reply with a template', async () => {
+      const template = createTemplate(db, {
+        name: 'menu',
+        defaultLanguage: 'en',
+        variants: { en: { text: 'Menu for {{phone}}', media: null } }
+      });
+      rule({ match: { keywords: ['menu'] }, action: { type: 'reply', templateId: template.id } });
+
+      await applyAutoReplyRules(db, sock, receive('menu'), logger);
+
+      expect(sock.sendMessage).toHaveBeenCalledWith('919876543210@s.whatsapp.net', { text: 'Menu for 919876543210' });
+    });
+
+    test('should set the message status', async () => {
+      rule({ match: { mediaTypes: ['sticker'] }, action: { type: 'set_status', status: 'ignored' } });
+      const message = receive('', { mediaType: 'sticker' });
+
+      await applyAutoReplyRules(db, sock, message, logger);
+
+      expect(getMessageById(db, message.id).reply_status).toBe('ignored');
+      expect(sock.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should forward the message to one webhook', async () => {
+      createWebhook(db, 'https://example.com/all', ['*']);
+      const sales = createWebhook(db, 'https://example.com/sales', ['message.status']);
+      const created = rule({ name: 'Sales', match: { keywords: ['price list'] }, action: { type: 'forward', webhookId: sales.id } });
+
+      const message = receive('price list please');
+      await applyAutoReplyRules(db, sock, message, logger);
+
+      const deliveries = getDueWebhookDeliveries(db, new Date(Date.now() + 60000).toISOString(), 100);
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ url: 'https://example.com/sales', event: 'autoreply.forwarded' });
+      expect(JSON.parse(deliveries[0].payload)).toMatchObject({
+        rule: { id: created.id, name: 'Sales' },
+        message: { id: message.id, text: 'price list please' }
+      });
+    });
+
+    test('should not run a rule again for the same contact during its cooldown', async () => {
+      jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z') });
+      const created = rule({ match: { keywords: ['hours'] }, cooldownSeconds: 3600, action: { type: 'reply', text: 'Open 9-5' } });
+      const fallback = rule({ name: 'Fallback', priority: -1, match: { keywords: ['hours'] } });
+
+      await applyAutoReplyRules(db, sock, receive('hours'), logger);
+      const second = await applyAutoReplyRules(db, sock, receive('hours'), logger);
+      const otherContact = await applyAutoReplyRules(db, sock, receive('hours', { from: '911111111111@s.whatsapp.net' }), logger);
+
+      expect(second.ruleId).toBe(fallback.id);
+      expect(otherContact.ruleId).toBe(created.id);
+
+      jest.setSystemTime(new Date('2024-05-01T11:00:01Z'));
+      expect((await applyAutoReplyRules(db, sock, receive('hours'), logger)).ruleId).toBe(created.id);
+      expect(getAutoReplyRule(db, created.id).trigger_count).toBe(3);
+    });
+
+    test('should start the cooldown before the reply is sent', async () => {
+      let finishSend;
+      sock.sendMessage.mockReturnValueOnce(new Promise((resolve) => { finishSend = resolve; }));
+      const created = rule({ match: { keywords: ['hours'] }, cooldownSeconds: 3600, action: { type: 'reply', text: 'Open 9-5' } });
+
+      const first = applyAutoReplyRules(db, sock, receive('hours'), logger);
+      const second = await applyAutoReplyRules(db, sock, receive('hours'), logger);
+      expect(second).toBeNull();
+
+      finishSend({ key: { id: 'WAID1' } });
+      expect(await first).toMatchObject({ ruleId: created.id, status: 'done' });
+      expect(sock.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should record failures without throwing', async () => {
+      rule({ match: { keywords: ['hours'] }, action: { type: 'reply', text: 'Open 9-5' } });
+      sock.sendMessage.mockRejectedValue(new Error('Connection closed'));
+
+      const result = await applyAutoReplyRules(db, sock, receive('hours'), logger);
+
+      expect(result).toMatchObject({ status: 'failed', error: 'Connection closed' });
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should do nothing when no rule matches', async () => {
+      rule({ match: { keywords: ['hours'] } });
+
+      await expect(applyAutoReplyRules(db, sock, receive('hello'), logger)).resolves.toBeNull();
+    });
+  });
+
+  test('should preview actions without running them', () => {
+    const created = rule({ action: { type: 'reply', text: 'Hi {{name}}' } });
+    const message = receive('hello');
+
+    expect(previewAutoReplyAction(db, created, message)).toEqual({ type: 'reply', text: 'Hi {{name}}', content: { message: 'Hi Asha' } });
+    expect(sock.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  getSendDelay,
+  processBroadcast,
+  startBroadcastWorker
+} = require('../src/api/broadcasts');
+const {
+  initializeDatabase,
+  createBroadcast,
+  getBroadcast,
+  getBroadcastProgress,
+  getBroadcastRecipients,
+  getMessageById,
+  getDueWebhookDeliveries,
+  createWebhook
+} = require('../src/database');
+
+describe('Broadcasts', () => {
+  let db;
+  let logger;
+  let state;
+  let sessionManager;
+
+  const broadcast = (options = {}) => createBroadcast(db, {
+    payload: { message: 'Hi {{name}}, your code is {{ code }}' },
+    recipients: [
+      { recipient: '919800000001@s.whatsapp.net', variables: { name: 'Asha', code: 'A1' } },
+      { recipient: '919800000002@s.whatsapp.net', variables: { name: 'Ravi', code: 'B2' } }
+    ],
+    ratePerMinute: 30,
+    jitterSeconds: 0,
+    ...options
+  });
+
+  const webhookEvents = () => getDueWebhookDeliveries(db, new Date(Date.now() + 60000).toISOString(), 100)
+    .map((delivery) => delivery.event);
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    createWebhook(db, 'https://example.com/hook', ['*']);
+    logger = { info: jest.fn(), error: jest.fn() };
+    state = {
+      connected: true,
+      sock: {
+        sendMessage: jest.fn().mockResolvedValue({ key: { id: 'WAID1' } }),
+        onWhatsApp: jest.fn(async (jid) => [{ exists: true, jid }])
+      }
+    };
+    sessionManager = {
+      has: (id) => id === 'default',
+      get: (id) => (id === 'default' ? state : null)
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    db.close();
+  });
+
+  test('should space messages by rate plus jitter', () => {
+    expect(getSendDelay(20, 0)).toBe(3000);
+    expect(getSendDelay(20, 5, () => 0.5)).toBe(5500);
+  });
+
+  test('should send to the next recipient with its variables', async () => {
+    const job = broadcast();
+
+    await expect(processBroadcast(db, sessionManager, job, logger)).resolves.toBe('sent');
+
+    expect(state.sock.sendMessage).toHaveBeenCalledWith('919800000001@s.whatsapp.net', { text: 'Hi Asha, your code is A1' });
+    const [first] = getBroadcastRecipients(db, job.id, { status: 'sent' });
+    expect(getMessageById(db, first.message_id).message).toBe('Hi Asha, your code is A1');
+
+    const nextSendAt = new Date(getBroadcast(db, job.id).next_send_at).getTime();
+    expect(nextSendAt).toBeGreaterThanOrEqual(Date.now() + 1000);
+  });
+
+  test('should complete after the last recipient and notify webhooks', async () => {
+    const job = broadcast();
+
+    await processBroadcast(db, sessionManager, job, logger);
+    await processBroadcast(db, sessionManager, getBroadcast(db, job.id), logger);
+
+    expect(getBroadcast(db, job.id).status).toBe('completed');
+    expect(getBroadcastProgress(db, job.id).sent).toBe(2);
+    expect(webhookEvents()).toContain('broadcast.completed');
+  });
+
+  test('should record failures and continue with the next recipient', async () => {
+    state.sock.onWhatsApp.mockResolvedValueOnce([]);
+    const job = broadcast();
+
+    await expect(processBroadcast(db, sessionManager, job, logger)).resolves.toBe('failed');
+
+    const [failed] = getBroadcastRecipients(db, job.id, { status: 'failed' });
+    expect(failed.error).toBe('Number is not registered on WhatsApp');
+    expect(getBroadcastProgress(db, job.id).pending).toBe(1);
+    expect(getBroadcast(db, job.id).status).toBe('running');
+  });
+
+  test('should wait while disconnected', async () => {
+    state.connected = false;
+    const job = broadcast();
+
+    await expect(processBroadcast(db, sessionManager, job, logger)).resolves.toBe('waiting');
+    expect(getBroadcastProgress(db, job.id).pending).toBe(2);
+  });
+
+  test('should stop at the daily cap', async () => {
+    const job = broadcast();
+
+    await processBroadcast(db, sessionManager, job, logger, { dailyCap: 1 });
+    await expect(processBroadcast(db, sessionManager, getBroadcast(db, job.id), logger, { dailyCap: 1 }))
+      .resolves.toBe('capped');
+
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail remaining recipients of deleted sessions', async () => {
+    const job = broadcast({ sessionId: 'deleted' });
+
+    await expect(processBroadcast(db, sessionManager, job, logger)).resolves.toBe('completed');
+
+    expect(getBroadcastProgress(db, job.id).failed).toBe(2);
+    expect(getBroadcast(db, job.id).status).toBe('completed');
+  });
+
+  test('should send one message per job each time it is due', async () => {
+    jest.useFakeTimers();
+    const job = broadcast();
+
+    const stop = startBroadcastWorker(db, sessionManager, logger, { intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+
+    // 30 per minute: the next message is due 2 seconds later
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    stop();
+
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(2);
+    expect(getBroadcast(db, job.id).status).toBe('completed');
+  });
+});
@@ -0,0 +1,33 @@
+const { loadConfig } = require('../src/api/config');
+
+describe('Config', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('should keep an explicit 0 for numeric settings', () => {
+    process.env.BROADCAST_JITTER_SECONDS = '0';
+    process.env.API_KEY_ROTATION_GRACE_HOURS = '0';
+
+    const config = loadConfig();
+    expect(config.BROADCAST_JITTER_SECONDS).toBe(0);
+    expect(config.API_KEY_ROTATION_GRACE_HOURS).toBe(0);
+  });
+
+  test('should use defaults for invalid or too small values', () => {
+    delete process.env.BROADCAST_JITTER_SECONDS;
+    process.env.WEBHOOK_MAX_ATTEMPTS = '0';
+    process.env.RETENTION_INTERVAL_MINUTES = 'hourly';
+
+    const config = loadConfig();
+    expect(config.BROADCAST_JITTER_SECONDS).toBe(5);
+    expect(config.WEBHOOK_MAX_ATTEMPTS).toBe(8);
+    expect(config.RETENTION_INTERVAL_MINUTES).toBe(60);
+  });
+});
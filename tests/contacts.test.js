@@ -0,0 +1,97 @@
+const {
+  getContactName,
+  toWebhookContact,
+  applyContactUpdates,
+  applyLidMappings,
+  recordPushName,
+  resolveSenderJid
+} = require('../src/api/contacts');
+const { initializeDatabase, getContact, getContacts, updateContactDetails } = require('../src/database');
+
+describe('Contacts', () => {
+  let db;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('getContactName', () => {
+    test('should prefer our display name, then saved, business and push names', () => {
+      const contact = { display_name: null, name: null, verified_name: 'Acme Ltd', notify: 'acme' };
+      expect(getContactName(contact)).toBe('Acme Ltd');
+      expect(getContactName({ ...contact, name: 'Acme' })).toBe('Acme');
+      expect(getContactName({ ...contact, display_name: 'Acme (supplier)' })).toBe('Acme (supplier)');
+      expect(getContactName(null)).toBeNull();
+    });
+
+    test('should format contacts for webhooks', () => {
+      updateContactDetails(db, '91@s.whatsapp.net', { displayName: 'Asha', externalId: 'crm-7' });
+
+      expect(toWebhookContact(getContact(db, '91@s.whatsapp.net'))).toEqual({
+        jid: '91@s.whatsapp.net',
+        name: 'Asha',
+        externalId: 'crm-7'
+      });
+      expect(toWebhookContact(null)).toBeNull();
+    });
+  });
+
+  describe('applyContactUpdates', () => {
+    test('should store address book and business names', () => {
+      applyContactUpdates(db, [
+        { id: '91@s.whatsapp.net', name: 'Asha K', notify: 'Asha' },
+        { id: '92@s.whatsapp.net', verifiedName: 'Acme Ltd' },
+        { id: '123@g.us', name: 'Team' }
+      ]);
+
+      expect(getContact(db, '91@s.whatsapp.net')).toMatchObject({ name: 'Asha K', notify: 'Asha' });
+      expect(getContact(db, '92@s.whatsapp.net').verified_name).toBe('Acme Ltd');
+      expect(getContact(db, '123@g.us')).toBeNull();
+    });
+
+    test('should link LIDs and apply partial updates to the phone contact', () => {
+      applyContactUpdates(db, [{ id: '1@lid', phoneNumber: '91@s.whatsapp.net', notify: 'Asha' }]);
+      applyContactUpdates(db, [{ id: '1@lid', notify: 'Asha K' }]);
+
+      expect(getContacts(db)).toHaveLength(1);
+      expect(getContact(db, '91@s.whatsapp.net')).toMatchObject({ lid: '1@lid', notify: 'Asha K' });
+    });
+  });
+
+  describe('LID mappings', () => {
+    test('should merge a LID-only contact into the phone contact', () => {
+      recordPushName(db, '1@lid', 'Asha');
+      applyLidMappings(db, { lid: '1@lid', pn: '91@s.whatsapp.net' });
+
+      expect(getContacts(db)).toHaveLength(1);
+      expect(getContact(db, '91@s.whatsapp.net')).toMatchObject({ lid: '1@lid', notify: 'Asha' });
+    });
+
+    test('should resolve LID senders to phone numbers', () => {
+      expect(resolveSenderJid(db, { remoteJid: '91@s.whatsapp.net' })).toBe('91@s.whatsapp.net');
+      expect(resolveSenderJid(db, { remoteJid: '1@lid' })).toBe('1@lid');
+
+      expect(resolveSenderJid(db, { remoteJid: '1@lid', remoteJidAlt: '91@s.whatsapp.net' })).toBe('91@s.whatsapp.net');
+      // Mapping is remembered for messages that arrive without it
+      expect(resolveSenderJid(db, { remoteJid: '1@lid' })).toBe('91@s.whatsapp.net');
+    });
+
+    test('should resolve group senders from the participant', () => {
+      const key = { remoteJid: '1203@g.us', participant: '2@lid', participantAlt: '92@s.whatsapp.net' };
+
+      expect(resolveSenderJid(db, key)).toBe('92@s.whatsapp.net');
+      expect(resolveSenderJid(db, { remoteJid: '1203@g.us', participant: '93@s.whatsapp.net' })).toBe('93@s.whatsapp.net');
+    });
+
+    test('should only record push names of people', () => {
+      recordPushName(db, '123@g.us', 'Asha');
+      recordPushName(db, '91@s.whatsapp.net', null);
+
+      expect(getContacts(db)).toEqual([]);
+    });
+  });
+});
@@ -1,53 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Database = require('better-sqlite3');
 const {
   initializeDatabase,
   insertMessage,
+  updateMessageMedia,
+  setMessageWhatsAppId,
+  updateMessageDelivery,
   getMessages,
+  getConversations,
+  getConversationMessages,
+  listMessages,
+  countMessages,
+  searchMessages,
   getMessageById,
   updateMessageStatus,
   getMessageCount,
-  getApiKey,
+  getSessions,
+  createSession,
+  setSessionAutoStart,
+  deleteSession,
+  createApiKey,
+  getApiKeys,
+  getApiKeyById,
+  findApiKey,
+  touchApiKey,
+  revokeApiKey,
+  rotateApiKey,
   ensureApiKey,
+  getContact,
+  getContacts,
+  upsertContact,
+  updateContactDetails,
+  linkContactLid,
   getSetting,
-  setSetting
+  setSetting,
+  getWebhook,
+  setWebhook,
+  rotateWebhookSecret,
+  createWebhook,
+  getWebhooksForEvent,
+  updateWebhook,
+  createScheduledMessage,
+  getScheduledMessage,
+  getScheduledMessages,
+  getDueScheduledMessages,
+  finishScheduledMessage,
+  cancelScheduledMessage,
+  createBroadcast,
+  getBroadcast,
+  getBroadcastProgress,
+  getBroadcastRecipients,
+  getNextBroadcastRecipient,
+  getRunnableBroadcasts,
+  finishBroadcastRecipient,
+  setBroadcastNextSendAt,
+  setBroadcastStatus,
+  cancelBroadcast,
+  countBroadcastSentSince,
+  createOutboundMessage,
+  getOutboundMessage,
+  getOutboundMessageByMessageId,
+  getOutboundMessages,
+  getNextOutboundMessage,
+  recordOutboundAttempt,
+  createTemplate,
+  getTemplate,
+  getTemplateByName,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  createAutoReplyRule,
+  getAutoReplyRule,
+  getAutoReplyRules,
+  updateAutoReplyRule,
+  deleteAutoReplyRule,
+  recordAutoReplyRun,
+  getLastAutoReplyRun
 } = require('../src/database');
 
 describe('Database Operations', () => {
   let db;
 
   beforeEach(() => {
-    // Create in-memory database for each test
-    db = new Database(':memory:');
-    db.pragma('journal_mode = WAL');
-
-    // Initialize schema
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        direction TEXT NOT NULL,
-        phone TEXT NOT NULL,
-        message TEXT NOT NULL,
-        reply_status TEXT DEFAULT 'unread',
-        media_type TEXT,
-        media_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(reply_status);
-      CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone);
-      CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at DESC);
-
-      CREATE TABLE IF NOT EXISTS api_keys (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        key TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL
-      );
-    `);
+    // Create in-memory database with the application schema
+    db = initializeDatabase(':memory:');
   });
 
   afterEach(() => {
@@ -85,6 +123,58 @@ describe('Database Operations', () => {
       expect(message.media_url).toBe('/path/to/image.jpg');
     });
 
+    test('should store UTC timestamps', () => {
+      const now = insertMessage(db, 'incoming', '1234567890@s.whatsapp.net', 'Hello', 'unread').lastInsertRowid;
+      const sent = insertMessage(
+        db, 'incoming', '1234567890@s.whatsapp.net', 'Earlier', 'unread',
+        'text', null, null, 'default', null, '2024-05-01T10:00:00.000Z'
+      ).lastInsertRowid;
+
+      expect(getMessageById(db, now).created_at).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+      expect(getMessageById(db, sent).created_at).toBe('2024-05-01T10:00:00.000Z');
+    });
+
+    test('should convert IST timestamps of older databases to UTC', () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-db-')), 'legacy.db');
+
+      const legacy = new Database(file);
+      legacy.exec(`
+        CREATE TABLE messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          direction TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          message TEXT NOT NULL,
+          reply_status TEXT DEFAULT 'unread',
+          media_type TEXT,
+          media_url TEXT,
+          read_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO messages (direction, phone, message, read_at, created_at)
+        VALUES ('incoming', '1@s.whatsapp.net', 'Old', '2024-05-01 15:45:00', '2024-05-01 15:30:00');
+        INSERT INTO api_keys (key, created_at) VALUES ('legacy-key', '2024-05-01 10:00:00');
+      `);
+      legacy.close();
+
+      initializeDatabase(file).close();
+      const migrated = initializeDatabase(file);
+      try {
+        expect(migrated.prepare('SELECT created_at, read_at FROM messages').get()).toEqual({
+          created_at: '2024-05-01T10:00:00.000Z',
+          read_at: '2024-05-01T10:15:00.000Z'
+        });
+        expect(migrated.prepare('SELECT created_at FROM api_keys').get().created_at).toBe('2024-05-01T10:00:00.000Z');
+      } finally {
+        migrated.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      }
+    });
+
     test('should insert message with null media fields', () => {
       const result = insertMessage(db, 'incoming', '1234567890@s.whatsapp.net', 'Text only', 'unread', null, null);
       expect(result.changes).toBe(1);
@@ -95,6 +185,38 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('chat and sender', () => {
+    test('should store the chat and the sender of a message', () => {
+      const direct = insertMessage(db, 'incoming', '1@s.whatsapp.net', 'Hi', 'unread');
+      const group = insertMessage(db, 'incoming', '1203@g.us', 'Hi all', 'unread', 'text', null, 'Asha', 'default', '1@s.whatsapp.net');
+      const sent = insertMessage(db, 'outgoing', '1203@g.us', 'Hello', 'sent');
+
+      expect(getMessageById(db, direct.lastInsertRowid)).toMatchObject({ chat_jid: '1@s.whatsapp.net', sender_jid: '1@s.whatsapp.net' });
+      expect(getMessageById(db, group.lastInsertRowid)).toMatchObject({ chat_jid: '1203@g.us', sender_jid: '1@s.whatsapp.net' });
+      expect(getMessageById(db, sent.lastInsertRowid)).toMatchObject({ chat_jid: '1203@g.us', sender_jid: null });
+    });
+  });
+
+  describe('updateMessageMedia', () => {
+    test('should store media details', () => {
+      const insert = insertMessage(db, 'incoming', '123@s.whatsapp.net', '', 'unread', 'document');
+      const result = updateMessageMedia(db, insert.lastInsertRowid, {
+        url: `${insert.lastInsertRowid}.pdf`,
+        mimetype: 'application/pdf',
+        filename: 'invoice.pdf',
+        size: 51200
+      });
+      expect(result.changes).toBe(1);
+
+      const message = getMessageById(db, insert.lastInsertRowid);
+      expect(message.media_url).toBe(`${insert.lastInsertRowid}.pdf`);
+      expect(message.media_mimetype).toBe('application/pdf');
+      expect(message.media_filename).toBe('invoice.pdf');
+      expect(message.media_size).toBe(51200);
+      expect(message.media_duration).toBeNull();
+    });
+  });
+
   describe('getMessages', () => {
     beforeEach(() => {
       // Insert test messages
@@ -120,6 +242,136 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('Conversations', () => {
+    test('should group messages by phone within a session', () => {
+      createSession(db, 'sales');
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'A', 'unread');
+      insertMessage(db, 'outgoing', '1@s.whatsapp.net', 'B', 'sent');
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'C', 'unread', 'text', null, null, 'sales');
+
+      const conversations = getConversations(db, { sessionId: 'default' });
+      expect(conversations).toHaveLength(1);
+      expect(conversations[0]).toMatchObject({ phone: '1@s.whatsapp.net', unread_count: 1, message_count: 2, last_message: 'B' });
+
+      expect(getConversations(db, { sessionId: 'sales' })[0].message_count).toBe(1);
+    });
+
+    test('should return conversation messages newest first before the cursor', () => {
+      const ids = ['A', 'B', 'C'].map((text) => insertMessage(db, 'incoming', '1@s.whatsapp.net', text, 'unread').lastInsertRowid);
+
+      const messages = getConversationMessages(db, '1@s.whatsapp.net', { cursor: ids[2], limit: 10 });
+      expect(messages.map((m) => m.message)).toEqual(['B', 'A']);
+    });
+  });
+
+  describe('listMessages', () => {
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'A', 'unread', 'text', null, 'Asha K');
+      insertMessage(db, 'outgoing', '1@s.whatsapp.net', 'B', 'sent', 'image');
+      insertMessage(db, 'incoming', '2@s.whatsapp.net', 'C', 'replied', 'text', null, '50%_off');
+      insertMessage(db, 'incoming', '2@s.whatsapp.net', 'D', 'ignored', 'text', null, 'Ravi');
+    });
+
+    test('should list newest first and page with a cursor', () => {
+      const first = listMessages(db, { limit: 2 });
+      expect(first.map((m) => m.message)).toEqual(['D', 'C']);
+
+      expect(listMessages(db, { cursor: first[1].id, limit: 10 }).map((m) => m.message)).toEqual(['B', 'A']);
+    });
+
+    test('should list oldest first after the cursor', () => {
+      const first = listMessages(db, { order: 'asc', limit: 1 });
+      expect(first.map((m) => m.message)).toEqual(['A']);
+
+      expect(listMessages(db, { order: 'asc', cursor: first[0].id, limit: 10 }).map((m) => m.message)).toEqual(['B', 'C', 'D']);
+    });
+
+    test('should filter and count', () => {
+      expect(listMessages(db, { status: ['replied', 'ignored'] }).map((m) => m.message)).toEqual(['D', 'C']);
+      expect(listMessages(db, { senderName: 'asha' }).map((m) => m.message)).toEqual(['A']);
+      expect(listMessages(db, { senderName: '%_' }).map((m) => m.message)).toEqual(['C']);
+      expect(listMessages(db, { mediaType: 'image' }).map((m) => m.message)).toEqual(['B']);
+
+      expect(countMessages(db)).toBe(4);
+      expect(countMessages(db, { direction: 'incoming', phone: '2@s.whatsapp.net' })).toBe(2);
+      expect(countMessages(db, { sessionId: 'sales' })).toBe(0);
+    });
+  });
+
+  describe('searchMessages', () => {
+    test('should find messages by word prefix and highlight matches', () => {
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'Where is my <b>order</b> 4417?', 'unread');
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'Hello there', 'unread');
+
+      const results = searchMessages(db, 'ord 4417');
+      expect(results).toHaveLength(1);
+      expect(results[0].snippet).toBe('Where is my &lt;b&gt;<mark>order</mark>&lt;/b&gt; <mark>4417</mark>?');
+    });
+
+    test('should treat search operators as plain text', () => {
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'Refund NOT received', 'unread');
+
+      expect(searchMessages(db, 'NOT "received')).toHaveLength(1);
+      expect(searchMessages(db, '*** ---')).toEqual([]);
+    });
+
+    test('should match sender names and apply filters', () => {
+      createSession(db, 'sales');
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'Invoice please', 'unread', 'text', null, 'Asha');
+      insertMessage(db, 'outgoing', '1@s.whatsapp.net', 'Invoice attached', 'sent', 'document');
+      insertMessage(db, 'incoming', '2@s.whatsapp.net', 'Invoice?', 'replied', 'text', null, null, 'sales');
+
+      expect(searchMessages(db, 'asha').map((m) => m.message)).toEqual(['Invoice please']);
+      expect(searchMessages(db, 'invoice', { sessionId: 'default' })).toHaveLength(2);
+      expect(searchMessages(db, 'invoice', { direction: 'outgoing' })[0].media_type).toBe('document');
+      expect(searchMessages(db, 'invoice', { status: ['replied', 'sent'] })).toHaveLength(2);
+      expect(searchMessages(db, 'invoice', { phone: '2@s.whatsapp.net' })[0].session_id).toBe('sales');
+      expect(searchMessages(db, 'invoice', { mediaType: 'text' })).toHaveLength(2);
+      expect(searchMessages(db, 'invoice', { from: '2000-01-01 00:00:00', to: '2000-12-31 23:59:59' })).toEqual([]);
+    });
+
+    test('should keep the index in sync with updates and deletes', () => {
+      const id = insertMessage(db, 'incoming', '1@s.whatsapp.net', 'first draft', 'unread').lastInsertRowid;
+
+      db.prepare('UPDATE messages SET message = ? WHERE id = ?').run('final version', id);
+      expect(searchMessages(db, 'draft')).toEqual([]);
+      expect(searchMessages(db, 'final')).toHaveLength(1);
+
+      db.prepare('DELETE FROM messages WHERE id = ?').run(id);
+      expect(searchMessages(db, 'final')).toEqual([]);
+    });
+
+    test('should index messages stored before search existed', () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-db-')), 'legacy.db');
+
+      const legacy = new Database(file);
+      legacy.exec(`
+        CREATE TABLE messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          direction TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          message TEXT NOT NULL,
+          reply_status TEXT DEFAULT 'unread',
+          media_type TEXT,
+          media_url TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO messages (direction, phone, message) VALUES ('incoming', '1@s.whatsapp.net', 'Old tracking number');
+      `);
+      legacy.close();
+
+      const migrated = initializeDatabase(file);
+      try {
+        expect(searchMessages(migrated, 'tracking')).toHaveLength(1);
+        expect(migrated.prepare('SELECT chat_jid, sender_jid FROM messages').get())
+          .toEqual({ chat_jid: '1@s.whatsapp.net', sender_jid: '1@s.whatsapp.net' });
+      } finally {
+        migrated.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('getMessageById', () => {
     test('should return message by ID', () => {
       const insert = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Test message', 'unread');
@@ -135,6 +387,59 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('updateMessageDelivery', () => {
+    let id;
+
+    beforeEach(() => {
+      id = insertMessage(db, 'outgoing', '123@s.whatsapp.net', 'Hi', 'sent').lastInsertRowid;
+      setMessageWhatsAppId(db, id, 'WAID1');
+    });
+
+    test('should mark message as sent when WhatsApp ID is stored', () => {
+      const message = getMessageById(db, id);
+      expect(message.whatsapp_id).toBe('WAID1');
+      expect(message.delivery_status).toBe('sent');
+    });
+
+    test('should record each step timestamp', () => {
+      updateMessageDelivery(db, 'WAID1', 'server_ack');
+      const message = updateMessageDelivery(db, 'WAID1', 'delivered');
+
+      expect(message.delivery_status).toBe('delivered');
+      expect(message.server_ack_at).toBeTruthy();
+      expect(message.delivered_at).toBeTruthy();
+      expect(message.read_at).toBeNull();
+    });
+
+    test('should fill skipped steps when a read receipt arrives first', () => {
+      const message = updateMessageDelivery(db, 'WAID1', 'read');
+
+      expect(message.delivery_status).toBe('read');
+      expect(message.server_ack_at).toBeTruthy();
+      expect(message.delivered_at).toBeTruthy();
+      expect(message.read_at).toBeTruthy();
+    });
+
+    test('should ignore receipts that move the status backwards', () => {
+      updateMessageDelivery(db, 'WAID1', 'read');
+
+      expect(updateMessageDelivery(db, 'WAID1', 'delivered')).toBeNull();
+      expect(updateMessageDelivery(db, 'WAID1', 'read')).toBeNull();
+      expect(getMessageById(db, id).delivery_status).toBe('read');
+    });
+
+    test('should record failures', () => {
+      const message = updateMessageDelivery(db, 'WAID1', 'failed');
+
+      expect(message.delivery_status).toBe('failed');
+      expect(message.failed_at).toBeTruthy();
+    });
+
+    test('should return null for unknown WhatsApp IDs', () => {
+      expect(updateMessageDelivery(db, 'UNKNOWN', 'read')).toBeNull();
+    });
+  });
+
   describe('updateMessageStatus', () => {
     test('should update message status', () => {
       const insert = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Test', 'unread');
@@ -167,25 +472,168 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('Sessions', () => {
+    test('should create the default session on initialization', () => {
+      const sessions = getSessions(db);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].id).toBe('default');
+      expect(sessions[0].auto_start).toBe(1);
+    });
+
+    test('should tag messages with the default session', () => {
+      const insert = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Hi', 'unread');
+      expect(getMessageById(db, insert.lastInsertRowid).session_id).toBe('default');
+    });
+
+    test('should count messages per session', () => {
+      createSession(db, 'sales');
+      insertMessage(db, 'incoming', '1@s.whatsapp.net', 'A', 'unread');
+      insertMessage(db, 'incoming', '2@s.whatsapp.net', 'B', 'unread', 'text', null, null, 'sales');
+      insertMessage(db, 'incoming', '3@s.whatsapp.net', 'C', 'unread', 'text', null, null, 'sales');
+
+      expect(getMessageCount(db)).toBe(3);
+      expect(getMessageCount(db, 'sales')).toBe(2);
+      expect(getMessageCount(db, 'default')).toBe(1);
+    });
+
+    test('should update auto start and delete sessions', () => {
+      createSession(db, 'sales');
+      setSessionAutoStart(db, 'sales', false);
+      expect(getSessions(db).find((session) => session.id === 'sales').auto_start).toBe(0);
+
+      deleteSession(db, 'sales');
+      expect(getSessions(db).map((session) => session.id)).toEqual(['default']);
+    });
+  });
+
   describe('API Key Management', () => {
-    test('should return undefined when no API key exists', () => {
-      const key = getApiKey(db);
-      expect(key).toBeUndefined();
+    test('should return empty list when no API key exists', () => {
+      expect(getApiKeys(db)).toEqual([]);
     });
 
-    test('should generate and store API key', () => {
+    test('should generate a full-access key once', () => {
       const key = ensureApiKey(db);
-      expect(key).toBeDefined();
-      expect(key.length).toBeGreaterThan(0);
+      expect(key).toMatch(/^owk_/);
+      expect(ensureApiKey(db)).toBeNull();
 
-      const stored = getApiKey(db);
-      expect(stored.key).toBe(key);
+      const [stored] = getApiKeys(db);
+      expect(stored.name).toBe('default');
+      expect(stored.scopes).toBe('*');
+      expect(stored.key_prefix).toBe(key.slice(0, 12));
     });
 
-    test('should return existing API key', () => {
-      const key1 = ensureApiKey(db);
-      const key2 = ensureApiKey(db);
-      expect(key1).toBe(key2);
+    test('should store keys hashed', () => {
+      const { id, key } = createApiKey(db, { name: 'CRM', scopes: ['inbox', 'send'] });
+
+      const row = db.prepare('SELECT key_hash FROM api_keys WHERE id = ?').get(id);
+      expect(row.key_hash).not.toBe(key);
+      expect(row.key_hash).toHaveLength(64);
+
+      expect(findApiKey(db, key).id).toBe(id);
+      expect(findApiKey(db, 'owk_wrong')).toBeNull();
+      expect(getApiKeyById(db, id).key_hash).toBeUndefined();
+    });
+
+    test('should record last use', () => {
+      const { id } = createApiKey(db, { name: 'CRM' });
+      expect(getApiKeyById(db, id).last_used_at).toBeNull();
+
+      touchApiKey(db, id);
+      expect(getApiKeyById(db, id).last_used_at).toBeTruthy();
+    });
+
+    test('should revoke a key once', () => {
+      const { id } = createApiKey(db, { name: 'CRM' });
+
+      expect(revokeApiKey(db, id).changes).toBe(1);
+      expect(revokeApiKey(db, id).changes).toBe(0);
+      expect(getApiKeyById(db, id).revoked_at).toBeTruthy();
+    });
+
+    test('should rotate with a grace period', () => {
+      const { id, key } = createApiKey(db, { name: 'CRM', scopes: ['send'] });
+      const rotated = rotateApiKey(db, id, 60 * 60 * 1000);
+
+      expect(rotated.key).not.toBe(key);
+      expect(getApiKeyById(db, rotated.id)).toMatchObject({ name: 'CRM', scopes: 'send', expires_at: null });
+
+      const old = getApiKeyById(db, id);
+      expect(old.revoked_at).toBeNull();
+      expect(old.expires_at).toBe(rotated.previousExpiresAt);
+      expect(new Date(old.expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should revoke immediately when rotating without grace period', () => {
+      const { id } = createApiKey(db, { name: 'CRM' });
+      rotateApiKey(db, id, 0);
+
+      expect(getApiKeyById(db, id).revoked_at).toBeTruthy();
+    });
+
+    test('should hash plaintext keys from older databases', () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-db-')), 'legacy.db');
+
+      const legacy = new Database(file);
+      legacy.exec(`
+        CREATE TABLE api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO api_keys (key) VALUES ('legacy-plaintext-key');
+      `);
+      legacy.close();
+
+      const migrated = initializeDatabase(file);
+      try {
+        const stored = findApiKey(migrated, 'legacy-plaintext-key');
+        expect(stored).toMatchObject({ name: 'default', scopes: '*', key_prefix: 'legacy-plain' });
+        expect(migrated.prepare('SELECT key_hash FROM api_keys').get().key_hash).not.toContain('legacy');
+      } finally {
+        migrated.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Contacts', () => {
+    test('should create a contact and only change given fields', () => {
+      upsertContact(db, '91@s.whatsapp.net', { name: 'Asha K', notify: 'Asha' });
+      const contact = upsertContact(db, '91@s.whatsapp.net', { notify: 'Asha 2', name: undefined });
+
+      expect(contact).toMatchObject({ jid: '91@s.whatsapp.net', name: 'Asha K', notify: 'Asha 2' });
+      expect(getContacts(db)).toHaveLength(1);
+    });
+
+    test('should keep our details separate from WhatsApp data', () => {
+      updateContactDetails(db, '91@s.whatsapp.net', { displayName: 'Asha (VIP)', externalId: 'crm-7' });
+      upsertContact(db, '91@s.whatsapp.net', { notify: 'Asha' });
+
+      const contact = updateContactDetails(db, '91@s.whatsapp.net', { notes: 'Prefers mornings', externalId: null });
+      expect(contact).toMatchObject({ display_name: 'Asha (VIP)', notify: 'Asha', notes: 'Prefers mornings', external_id: null });
+    });
+
+    test('should find contacts by LID once linked', () => {
+      upsertContact(db, '1@lid', { notify: 'Asha' });
+      updateContactDetails(db, '1@lid', { notes: 'vip' });
+      upsertContact(db, '91@s.whatsapp.net', { name: 'Asha K' });
+
+      const linked = linkContactLid(db, '1@lid', '91@s.whatsapp.net');
+      expect(linked).toMatchObject({ jid: '91@s.whatsapp.net', lid: '1@lid', name: 'Asha K', notify: 'Asha', notes: 'vip' });
+      expect(getContact(db, '1@lid').jid).toBe('91@s.whatsapp.net');
+      expect(getContacts(db)).toHaveLength(1);
+    });
+
+    test('should search and page contacts', () => {
+      upsertContact(db, '91@s.whatsapp.net', { notify: 'Asha' });
+      upsertContact(db, '92@s.whatsapp.net', { notify: 'Ravi' });
+      updateContactDetails(db, '93@s.whatsapp.net', { externalId: '100%_real' });
+
+      expect(getContacts(db, { search: 'RAV' }).map((c) => c.jid)).toEqual(['92@s.whatsapp.net']);
+      expect(getContacts(db, { search: '%_' }).map((c) => c.jid)).toEqual(['93@s.whatsapp.net']);
+
+      const first = getContacts(db, { limit: 1 });
+      expect(getContacts(db, { cursor: first[0].id }).map((c) => c.jid)).toEqual(['92@s.whatsapp.net', '91@s.whatsapp.net']);
     });
   });
 
@@ -208,4 +656,389 @@ describe('Database Operations', () => {
       expect(value).toBe('1.0.1');
     });
   });
+
+  describe('Webhooks', () => {
+    test('should generate a secret when setting webhook', () => {
+      const secret = setWebhook(db, 'https://example.com/hook');
+      expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+
+      const webhook = getWebhook(db);
+      expect(webhook.url).toBe('https://example.com/hook');
+      expect(webhook.secret).toBe(secret);
+    });
+
+    test('should rotate webhook secret', () => {
+      const original = setWebhook(db, 'https://example.com/hook');
+      const rotated = rotateWebhookSecret(db);
+
+      expect(rotated).not.toBe(original);
+      expect(getWebhook(db).secret).toBe(rotated);
+    });
+
+    test('should return null when rotating without a webhook', () => {
+      expect(rotateWebhookSecret(db)).toBeNull();
+    });
+
+    test('should match subscriptions by event', () => {
+      createWebhook(db, 'https://a.example.com', ['message.received', 'message.sent']);
+      createWebhook(db, 'https://b.example.com', ['connection.open']);
+      createWebhook(db, 'https://c.example.com', ['*']);
+
+      const urls = getWebhooksForEvent(db, 'message.sent').map((webhook) => webhook.url);
+      expect(urls).toEqual(['https://a.example.com', 'https://c.example.com']);
+    });
+
+    test('should skip inactive subscriptions', () => {
+      const { id } = createWebhook(db, 'https://a.example.com', ['message.received']);
+      updateWebhook(db, id, { active: false });
+
+      expect(getWebhooksForEvent(db, 'message.received')).toHaveLength(0);
+    });
+
+    test('should update only provided webhook fields', () => {
+      const { id } = createWebhook(db, 'https://a.example.com', ['message.received']);
+      updateWebhook(db, id, { events: ['qr.updated', 'logged_out'] });
+
+      const webhook = getWebhooksForEvent(db, 'logged_out')[0];
+      expect(webhook.url).toBe('https://a.example.com');
+      expect(webhook.event).toBe('qr.updated,logged_out');
+    });
+  });
+
+  describe('Scheduled messages', () => {
+    const schedule = (sendAt, options = {}) => createScheduledMessage(db, {
+      recipient: '919876543210@s.whatsapp.net',
+      payload: { message: 'Reminder' },
+      sendAt,
+      ...options
+    });
+
+    test('should create pending scheduled message', () => {
+      const scheduled = schedule('2030-01-01T09:00:00.000Z');
+
+      expect(scheduled.status).toBe('pending');
+      expect(scheduled.session_id).toBe('default');
+      expect(scheduled.when_disconnected).toBe('send');
+      expect(JSON.parse(scheduled.payload)).toEqual({ message: 'Reminder' });
+      expect(getScheduledMessage(db, scheduled.id)).toEqual(scheduled);
+    });
+
+    test('should return due messages earliest first', () => {
+      const later = schedule('2024-01-01T10:00:00.000Z');
+      const earlier = schedule('2024-01-01T09:00:00.000Z');
+      schedule('2024-01-02T09:00:00.000Z');
+
+      const due = getDueScheduledMessages(db, '2024-01-01T12:00:00.000Z');
+      expect(due.map((row) => row.id)).toEqual([earlier.id, later.id]);
+    });
+
+    test('should skip messages waiting for a disconnected session', () => {
+      createSession(db, 'sales');
+      const waiting = schedule('2024-01-01T09:00:00.000Z', { sessionId: 'sales' });
+      const toMiss = schedule('2024-01-01T09:00:00.000Z', { sessionId: 'sales', whenDisconnected: 'miss' });
+      const connected = schedule('2024-01-01T09:00:00.000Z');
+      const orphaned = schedule('2024-01-01T09:00:00.000Z', { sessionId: 'deleted' });
+
+      const ids = getDueScheduledMessages(db, '2024-01-01T12:00:00.000Z', 20, ['default']).map((row) => row.id);
+      expect(ids).toEqual([toMiss.id, connected.id, orphaned.id]);
+      expect(ids).not.toContain(waiting.id);
+    });
+
+    test('should finish only pending messages', () => {
+      const scheduled = schedule('2024-01-01T09:00:00.000Z');
+
+      expect(finishScheduledMessage(db, scheduled.id, { status: 'sent', messageId: 7 }).changes).toBe(1);
+      expect(finishScheduledMessage(db, scheduled.id, { status: 'failed', error: 'late' }).changes).toBe(0);
+
+      const row = getScheduledMessage(db, scheduled.id);
+      expect(row.status).toBe('sent');
+      expect(row.message_id).toBe(7);
+      expect(row.processed_at).not.toBeNull();
+      expect(getDueScheduledMessages(db, '2024-01-01T12:00:00.000Z')).toHaveLength(0);
+    });
+
+    test('should cancel only pending messages', () => {
+      const scheduled = schedule('2030-01-01T09:00:00.000Z');
+
+      expect(cancelScheduledMessage(db, scheduled.id)).toBe(true);
+      expect(cancelScheduledMessage(db, scheduled.id)).toBe(false);
+      expect(getScheduledMessage(db, scheduled.id).status).toBe('cancelled');
+    });
+
+    test('should list scheduled messages by session and status', () => {
+      createSession(db, 'sales');
+      const first = schedule('2030-01-01T09:00:00.000Z');
+      const second = schedule('2030-01-02T09:00:00.000Z');
+      schedule('2030-01-03T09:00:00.000Z', { sessionId: 'sales' });
+      cancelScheduledMessage(db, first.id);
+
+      expect(getScheduledMessages(db).map((row) => row.id)).toEqual([second.id, first.id]);
+      expect(getScheduledMessages(db, { status: 'cancelled' }).map((row) => row.id)).toEqual([first.id]);
+      expect(getScheduledMessages(db, { cursor: second.id }).map((row) => row.id)).toEqual([first.id]);
+      expect(getScheduledMessages(db, { sessionId: 'sales' })).toHaveLength(1);
+    });
+  });
+
+  describe('Broadcasts', () => {
+    const broadcast = (options = {}) => createBroadcast(db, {
+      payload: { message: 'Hi {{name}}' },
+      recipients: [
+        { recipient: '919800000001@s.whatsapp.net', variables: { name: 'Asha' } },
+        { recipient: '919800000002@s.whatsapp.net', variables: { name: 'Ravi' } }
+      ],
+      ratePerMinute: 20,
+      jitterSeconds: 5,
+      ...options
+    });
+
+    test('should create running broadcast with pending recipients', () => {
+      const job = broadcast({ name: 'Diwali offer' });
+
+      expect(job.status).toBe('running');
+      expect(job.total).toBe(2);
+      expect(job.name).toBe('Diwali offer');
+      expect(getBroadcastProgress(db, job.id)).toEqual({ pending: 2, sent: 0, failed: 0, cancelled: 0 });
+
+      const recipients = getBroadcastRecipients(db, job.id);
+      expect(recipients.map((row) => row.recipient)).toEqual(['919800000001@s.whatsapp.net', '919800000002@s.whatsapp.net']);
+      expect(JSON.parse(recipients[0].variables)).toEqual({ name: 'Asha' });
+    });
+
+    test('should record recipient results in sending order', () => {
+      const job = broadcast();
+      const first = getNextBroadcastRecipient(db, job.id);
+
+      finishBroadcastRecipient(db, first.id, { status: 'sent', messageId: 9 });
+
+      expect(getNextBroadcastRecipient(db, job.id).recipient).toBe('919800000002@s.whatsapp.net');
+      expect(getBroadcastProgress(db, job.id)).toEqual({ pending: 1, sent: 1, failed: 0, cancelled: 0 });
+      expect(getBroadcastRecipients(db, job.id, { status: 'sent' })[0].message_id).toBe(9);
+      expect(getBroadcastRecipients(db, job.id, { cursor: first.id })).toHaveLength(1);
+    });
+
+    test('should return only the oldest running job of each session when due', () => {
+      createSession(db, 'sales');
+      const first = broadcast();
+      broadcast();
+      const sales = broadcast({ sessionId: 'sales' });
+      const now = new Date().toISOString();
+
+      expect(getRunnableBroadcasts(db, now).map((row) => row.id)).toEqual([first.id, sales.id]);
+
+      setBroadcastNextSendAt(db, first.id, '2099-01-01T00:00:00.000Z');
+      expect(getRunnableBroadcasts(db, now).map((row) => row.id)).toEqual([sales.id]);
+    });
+
+    test('should pause and resume only from matching states', () => {
+      const job = broadcast();
+
+      expect(setBroadcastStatus(db, job.id, 'running', ['paused'])).toBe(false);
+      expect(setBroadcastStatus(db, job.id, 'paused', ['running'])).toBe(true);
+      expect(getRunnableBroadcasts(db)).toHaveLength(0);
+      expect(setBroadcastStatus(db, job.id, 'running', ['paused'])).toBe(true);
+    });
+
+    test('should set finished time when completed', () => {
+      const job = broadcast();
+
+      setBroadcastStatus(db, job.id, 'completed', ['running']);
+
+      expect(getBroadcast(db, job.id).finished_at).not.toBeNull();
+    });
+
+    test('should cancel pending recipients with the job', () => {
+      const job = broadcast();
+      finishBroadcastRecipient(db, getNextBroadcastRecipient(db, job.id).id, { status: 'sent' });
+
+      expect(cancelBroadcast(db, job.id)).toBe(true);
+      expect(cancelBroadcast(db, job.id)).toBe(false);
+      expect(getBroadcast(db, job.id).status).toBe('cancelled');
+      expect(getBroadcastProgress(db, job.id)).toEqual({ pending: 0, sent: 1, failed: 0, cancelled: 1 });
+    });
+
+    test('should count sent broadcast messages per session', () => {
+      createSession(db, 'sales');
+      const job = broadcast();
+      const sales = broadcast({ sessionId: 'sales' });
+      finishBroadcastRecipient(db, getNextBroadcastRecipient(db, job.id).id, { status: 'sent' });
+      finishBroadcastRecipient(db, getNextBroadcastRecipient(db, job.id).id, { status: 'failed' });
+      finishBroadcastRecipient(db, getNextBroadcastRecipient(db, sales.id).id, { status: 'sent' });
+
+      expect(countBroadcastSentSince(db, 'default', '2000-01-01T00:00:00.000Z')).toBe(1);
+      expect(countBroadcastSentSince(db, 'default', '2099-01-01T00:00:00.000Z')).toBe(0);
+    });
+  });
+
+  describe('Outbound queue', () => {
+    const queue = (text = 'Hello') => {
+      const messageId = insertMessage(db, 'outgoing', '919876543210@s.whatsapp.net', text, 'sent').lastInsertRowid;
+      return createOutboundMessage(db, {
+        messageId,
+        recipient: '919876543210@s.whatsapp.net',
+        payload: { message: text }
+      });
+    };
+
+    test('should queue message and mark it queued', () => {
+      const queued = queue();
+
+      expect(queued.status).toBe('queued');
+      expect(queued.attempts).toBe(0);
+      expect(getMessageById(db, queued.message_id).delivery_status).toBe('queued');
+      expect(getOutboundMessageByMessageId(db, queued.message_id).id).toBe(queued.id);
+    });
+
+    test('should return queued messages in order', () => {
+      const first = queue('First');
+      const second = queue('Second');
+
+      expect(getNextOutboundMessage(db, 'default').id).toBe(first.id);
+      recordOutboundAttempt(db, first.id, { status: 'sent' });
+      expect(getNextOutboundMessage(db, 'default').id).toBe(second.id);
+      expect(getNextOutboundMessage(db, 'sales')).toBeUndefined();
+    });
+
+    test('should keep message queued for a retry', () => {
+      const queued = queue();
+
+      recordOutboundAttempt(db, queued.id, { status: 'queued', error: 'Connection Closed', nextAttemptAt: '2030-01-01T00:00:00.000Z' });
+
+      const row = getOutboundMessage(db, queued.id);
+      expect(row.status).toBe('queued');
+      expect(row.attempts).toBe(1);
+      expect(row.next_attempt_at).toBe('2030-01-01T00:00:00.000Z');
+      expect(row.processed_at).toBeNull();
+    });
+
+    test('should mark the message failed when the queue gives up', () => {
+      const queued = queue();
+
+      recordOutboundAttempt(db, queued.id, { status: 'failed', error: 'Number is not registered on WhatsApp' });
+      recordOutboundAttempt(db, queued.id, { status: 'sent' });
+
+      expect(getOutboundMessage(db, queued.id).status).toBe('failed');
+      const message = getMessageById(db, queued.message_id);
+      expect(message.delivery_status).toBe('failed');
+      expect(message.failed_at).not.toBeNull();
+    });
+
+    test('should list queue by status', () => {
+      const first = queue('First');
+      queue('Second');
+      recordOutboundAttempt(db, first.id, { status: 'sent' });
+
+      expect(getOutboundMessages(db).map((row) => row.id)).toHaveLength(2);
+      expect(getOutboundMessages(db, { status: 'sent' }).map((row) => row.id)).toEqual([first.id]);
+      expect(getOutboundMessages(db, { cursor: first.id })).toHaveLength(1);
+    });
+  });
+
+  describe('Templates', () => {
+    const variants = { en: { text: 'Hi {{name}}', media: null } };
+
+    test('should create template with parsed variants', () => {
+      const template = createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants });
+
+      expect(template.variants).toEqual(variants);
+      expect(getTemplate(db, template.id)).toEqual(template);
+      expect(getTemplateByName(db, 'greeting').id).toBe(template.id);
+      expect(getTemplate(db, 99)).toBeNull();
+    });
+
+    test('should enforce unique names', () => {
+      createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants });
+
+      expect(() => createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants })).toThrow();
+    });
+
+    test('should update only provided fields', () => {
+      const { id } = createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants });
+
+      const updated = updateTemplate(db, id, { variants: { ...variants, hi: { text: 'नमस्ते', media: null } } });
+
+      expect(updated.name).toBe('greeting');
+      expect(Object.keys(updated.variants)).toEqual(['en', 'hi']);
+    });
+
+    test('should search templates by name', () => {
+      createTemplate(db, { name: 'order_shipped', defaultLanguage: 'en', variants });
+      createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants });
+
+      expect(getTemplates(db).map((template) => template.name)).toEqual(['order_shipped', 'greeting']);
+      expect(getTemplates(db, { search: 'order_' }).map((template) => template.name)).toEqual(['order_shipped']);
+    });
+
+    test('should delete template', () => {
+      const { id } = createTemplate(db, { name: 'greeting', defaultLanguage: 'en', variants });
+
+      expect(deleteTemplate(db, id)).toBe(true);
+      expect(deleteTemplate(db, id)).toBe(false);
+    });
+  });
+
+  describe('Auto-reply rules', () => {
+    const rule = (fields) => createAutoReplyRule(db, {
+      name: 'Hours',
+      conditions: { keywords: ['hours'], groups: false },
+      action: { type: 'reply', text: 'Open 9-5' },
+      ...fields
+    });
+
+    test('should create rule with parsed conditions and action', () => {
+      const created = rule({ cooldownSeconds: 60 });
+
+      expect(created).toMatchObject({
+        name: 'Hours',
+        enabled: true,
+        priority: 0,
+        session_id: null,
+        conditions: { keywords: ['hours'], groups: false },
+        action: { type: 'reply', text: 'Open 9-5' },
+        cooldown_seconds: 60,
+        trigger_count: 0,
+        last_triggered_at: null
+      });
+      expect(getAutoReplyRule(db, 99)).toBeNull();
+    });
+
+    test('should list rules by priority and filter by session and state', () => {
+      rule({ name: 'Low', priority: -1 });
+      rule({ name: 'High', priority: 10, sessionId: 'sales' });
+      rule({ name: 'Off', enabled: false });
+
+      expect(getAutoReplyRules(db).map((r) => r.name)).toEqual(['High', 'Off', 'Low']);
+      expect(getAutoReplyRules(db, { sessionId: 'default', enabledOnly: true }).map((r) => r.name)).toEqual(['Low']);
+    });
+
+    test('should update only provided fields', () => {
+      const { id } = rule({ sessionId: 'sales' });
+
+      const updated = updateAutoReplyRule(db, id, { enabled: false, priority: 3 });
+      expect(updated).toMatchObject({ name: 'Hours', enabled: false, priority: 3, session_id: 'sales' });
+
+      expect(updateAutoReplyRule(db, id, { sessionId: null }).session_id).toBeNull();
+    });
+
+    test('should track the last successful run per contact', () => {
+      const { id } = rule();
+      const run = { ruleId: id, messageId: 1, contact: '919876543210@s.whatsapp.net' };
+
+      recordAutoReplyRun(db, { ...run, status: 'failed', error: 'Connection closed' });
+      expect(getLastAutoReplyRun(db, id, run.contact)).toBeNull();
+
+      recordAutoReplyRun(db, { ...run, status: 'done' });
+      expect(getLastAutoReplyRun(db, id, run.contact)).not.toBeNull();
+      expect(getLastAutoReplyRun(db, id, '911111111111@s.whatsapp.net')).toBeNull();
+      expect(getAutoReplyRule(db, id).trigger_count).toBe(1);
+    });
+
+    test('should delete rule with its runs', () => {
+      const { id } = rule();
+      recordAutoReplyRun(db, { ruleId: id, messageId: 1, contact: 'a@s.whatsapp.net', status: 'done' });
+
+      expect(deleteAutoReplyRule(db, id)).toBe(true);
+      expect(deleteAutoReplyRule(db, id)).toBe(false);
+      expect(getLastAutoReplyRun(db, id, 'a@s.whatsapp.net')).toBeNull();
+    });
+  });
 });
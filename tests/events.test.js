@@ -0,0 +1,117 @@
+const { EVENT_HISTORY_SIZE, publishEvent, subscribeEvents, formatServerSentEvent } = require('../src/api/events');
+const { emitWebhookEvent } = require('../src/api/webhooks');
+const { OPCODES, encodeFrame, decodeFrame } = require('../src/api/websocket');
+const { initializeDatabase, getEventsAfter } = require('../src/database');
+
+describe('Event stream', () => {
+  let db;
+  const unsubscribers = [];
+
+  // Subscribe and collect the events received
+  const collect = (options = {}, database = db) => {
+    const received = [];
+    unsubscribers.push(subscribeEvents(database, options, (entry) => received.push(entry)));
+    return received;
+  };
+
+  const publish = (event, session = 'default', database = db) => (
+    publishEvent(database, event, { event, timestamp: '2024-05-01T10:00:00.000Z', session })
+  );
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+  });
+
+  afterEach(() => {
+    unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+    db.close();
+  });
+
+  test('should push published events to matching subscribers', () => {
+    const all = collect();
+    const sales = collect({ sessionId: 'sales' });
+    const connection = collect({ events: ['connection.open', 'connection.close'] });
+
+    publish('message.received');
+    publish('connection.open', 'sales');
+
+    expect(all.map((entry) => [entry.event, entry.sessionId])).toEqual([['message.received', 'default'], ['connection.open', 'sales']]);
+    expect(sales.map((entry) => entry.event)).toEqual(['connection.open']);
+    expect(connection.map((entry) => entry.event)).toEqual(['connection.open']);
+    expect(all[1].data).toEqual({ event: 'connection.open', timestamp: '2024-05-01T10:00:00.000Z', session: 'sales' });
+  });
+
+  test('should only push events of the subscribed database', () => {
+    const other = initializeDatabase(':memory:');
+    try {
+      const received = collect({}, other);
+      publish('message.received');
+      expect(received).toEqual([]);
+    } finally {
+      other.close();
+    }
+  });
+
+  test('should replay events after the last event ID before live ones', () => {
+    const first = publish('message.received');
+    publish('message.sent', 'sales');
+    publish('message.status');
+
+    const received = collect({ lastEventId: first, sessionId: 'default' });
+    publish('message.received');
+
+    expect(received.map((entry) => entry.event)).toEqual(['message.status', 'message.received']);
+    expect(received[0].id).toBeGreaterThan(first);
+  });
+
+  test('should stop pushing after unsubscribing', () => {
+    const received = [];
+    const unsubscribe = subscribeEvents(db, {}, (entry) => received.push(entry));
+    unsubscribe();
+
+    publish('message.received');
+    expect(received).toEqual([]);
+  });
+
+  test('should keep only recent events', () => {
+    for (let index = 0; index < EVENT_HISTORY_SIZE + 100; index++) {
+      publish('message.received');
+    }
+
+    const kept = getEventsAfter(db, 0, {}, EVENT_HISTORY_SIZE * 2);
+    expect(kept).toHaveLength(EVENT_HISTORY_SIZE);
+    expect(kept[kept.length - 1].id).toBe(EVENT_HISTORY_SIZE + 100);
+  });
+
+  test('should receive webhook events', () => {
+    const received = collect();
+    emitWebhookEvent(db, 'logged_out', { session: 'default' });
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ event: 'logged_out', data: { event: 'logged_out', session: 'default' } });
+  });
+
+  test('should format Server-Sent Events', () => {
+    expect(formatServerSentEvent({ id: 7, event: 'message.received', data: { text: 'a\nb' } }))
+      .toBe('id: 7\nevent: message.received\ndata: {"text":"a\\nb"}\n\n');
+  });
+
+  describe('WebSocket frames', () => {
+    test('should round-trip frames of every length encoding', () => {
+      for (const length of [0, 125, 126, 70000]) {
+        const payload = Buffer.alloc(length, 'x');
+        const frame = encodeFrame(OPCODES.text, payload);
+
+        expect(decodeFrame(frame)).toEqual({ fin: true, opcode: OPCODES.text, payload, length: frame.length });
+        expect(decodeFrame(frame.subarray(0, frame.length - 1))).toBeNull();
+      }
+    });
+
+    test('should unmask client frames', () => {
+      const frame = encodeFrame(OPCODES.close, Buffer.from([0x03, 0xe8]), Buffer.from([1, 2, 3, 4]));
+
+      expect(decodeFrame(frame).payload).toEqual(Buffer.from([0x03, 0xe8]));
+      expect(() => decodeFrame(encodeFrame(OPCODES.text, 'too long'), 4)).toThrow('Frame larger than 4 bytes');
+    });
+  });
+});
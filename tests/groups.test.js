@@ -0,0 +1,113 @@
+const {
+  isGroupJid,
+  isIgnoringGroups,
+  setIgnoringGroups,
+  getGroupMetadata,
+  applyGroupUpdates,
+  applyParticipantsUpdate,
+  toWebhookGroup
+} = require('../src/api/groups');
+const { initializeDatabase, getGroup, getContact } = require('../src/database');
+
+describe('Groups', () => {
+  let db;
+  let logger;
+  let sock;
+
+  const metadata = {
+    id: '120363000000000001@g.us',
+    subject: 'Support Team',
+    desc: 'Escalations',
+    owner: '919800000111@s.whatsapp.net',
+    participants: [
+      { id: '919800000111@s.whatsapp.net', admin: 'superadmin' },
+      { id: '5522@lid', phoneNumber: '919800000222@s.whatsapp.net', admin: null }
+    ]
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    logger = { error: jest.fn() };
+    sock = { groupMetadata: jest.fn().mockResolvedValue(metadata) };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should recognise group JIDs', () => {
+    expect(isGroupJid(metadata.id)).toBe(true);
+    expect(isGroupJid('919800000111@s.whatsapp.net')).toBe(false);
+    expect(isGroupJid(undefined)).toBe(false);
+  });
+
+  test('should store the ignore groups setting', () => {
+    expect(isIgnoringGroups(db)).toBe(false);
+
+    setIgnoringGroups(db, true);
+    expect(isIgnoringGroups(db)).toBe(true);
+  });
+
+  describe('getGroupMetadata', () => {
+    test('should fetch and cache metadata', async () => {
+      const group = await getGroupMetadata(db, sock, metadata.id, logger);
+
+      expect(group).toMatchObject({
+        subject: 'Support Team',
+        description: 'Escalations',
+        size: 2,
+        participants: [
+          { jid: '919800000111@s.whatsapp.net', admin: 'superadmin' },
+          { jid: '919800000222@s.whatsapp.net', admin: null }
+        ]
+      });
+      expect(getContact(db, '5522@lid').jid).toBe('919800000222@s.whatsapp.net');
+
+      await getGroupMetadata(db, sock, metadata.id, logger);
+      expect(sock.groupMetadata).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fetch again after a participant change', async () => {
+      await getGroupMetadata(db, sock, metadata.id, logger);
+      applyParticipantsUpdate(db, { id: metadata.id, participants: ['919800000333@s.whatsapp.net'], action: 'add' });
+
+      await getGroupMetadata(db, sock, metadata.id, logger);
+      expect(sock.groupMetadata).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fall back to cached metadata when the fetch fails', async () => {
+      applyGroupUpdates(db, [{ id: metadata.id, subject: 'Old subject' }]);
+      sock.groupMetadata.mockRejectedValue(new Error('timeout'));
+
+      const group = await getGroupMetadata(db, sock, metadata.id, logger);
+      expect(group.subject).toBe('Old subject');
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should fall back to cached metadata when the fetch is slow', async () => {
+      applyGroupUpdates(db, [{ id: metadata.id, subject: 'Old subject' }]);
+      sock.groupMetadata.mockReturnValue(new Promise(() => {}));
+
+      const group = await getGroupMetadata(db, sock, metadata.id, logger, { timeoutMs: 10 });
+      expect(group.subject).toBe('Old subject');
+      expect(logger.error).toHaveBeenCalledWith('Failed to fetch group metadata:', { jid: metadata.id, error: 'Timed out after 10ms' });
+    });
+  });
+
+  test('should apply partial group updates', async () => {
+    await getGroupMetadata(db, sock, metadata.id, logger);
+    applyGroupUpdates(db, [{ id: metadata.id, subject: 'Support (EU)' }, { id: 'not-a-group', subject: 'x' }]);
+
+    const group = getGroup(db, metadata.id);
+    expect(group.subject).toBe('Support (EU)');
+    expect(group.participants).toHaveLength(2);
+    expect(getGroup(db, 'not-a-group')).toBeNull();
+  });
+
+  test('should format groups for webhooks', async () => {
+    const group = await getGroupMetadata(db, sock, metadata.id, logger);
+
+    expect(toWebhookGroup(group)).toEqual({ jid: metadata.id, subject: 'Support Team', participantCount: 2 });
+    expect(toWebhookGroup(null)).toBeNull();
+  });
+});
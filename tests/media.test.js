@@ -0,0 +1,109 @@
+const { getMediaInfo, getExtension, validateOutgoingMedia, buildMediaContent } = require('../src/api/media');
+
+describe('Media Helpers', () => {
+  describe('getMediaInfo', () => {
+    test('should return null for text-only messages', () => {
+      expect(getMediaInfo({ conversation: 'Hello' })).toBeNull();
+      expect(getMediaInfo(null)).toBeNull();
+    });
+
+    test('should detect image with caption', () => {
+      const info = getMediaInfo({
+        imageMessage: { mimetype: 'image/jpeg', caption: 'Look', fileLength: '2048' }
+      });
+
+      expect(info.type).toBe('image');
+      expect(info.mimetype).toBe('image/jpeg');
+      expect(info.caption).toBe('Look');
+      expect(info.fileLength).toBe(2048);
+    });
+
+    test('should detect voice notes from push-to-talk audio', () => {
+      const info = getMediaInfo({
+        audioMessage: { mimetype: 'audio/ogg; codecs=opus', ptt: true, seconds: 12 }
+      });
+
+      expect(info.type).toBe('voice');
+      expect(info.seconds).toBe(12);
+    });
+
+    test('should detect regular audio', () => {
+      const info = getMediaInfo({ audioMessage: { mimetype: 'audio/mpeg', seconds: 180 } });
+      expect(info.type).toBe('audio');
+    });
+
+    test('should detect documents wrapped with a caption', () => {
+      const info = getMediaInfo({
+        documentWithCaptionMessage: {
+          message: {
+            documentMessage: {
+              mimetype: 'application/pdf',
+              fileName: 'invoice-4417.pdf',
+              caption: 'Your invoice'
+            }
+          }
+        }
+      });
+
+      expect(info.type).toBe('document');
+      expect(info.fileName).toBe('invoice-4417.pdf');
+      expect(info.caption).toBe('Your invoice');
+    });
+
+    test('should default mimetype when missing', () => {
+      const info = getMediaInfo({ stickerMessage: {} });
+
+      expect(info.type).toBe('sticker');
+      expect(info.mimetype).toBe('image/webp');
+    });
+  });
+
+  describe('getExtension', () => {
+    test('should map known mimetypes', () => {
+      expect(getExtension('image/jpeg')).toBe('jpg');
+      expect(getExtension('video/mp4')).toBe('mp4');
+      expect(getExtension('application/pdf')).toBe('pdf');
+    });
+
+    test('should ignore mimetype parameters', () => {
+      expect(getExtension('audio/ogg; codecs=opus')).toBe('ogg');
+    });
+
+    test('should fall back to file name extension', () => {
+      expect(getExtension('application/x-custom', 'report.ODS')).toBe('ods');
+    });
+
+    test('should fall back to bin', () => {
+      expect(getExtension(null, null)).toBe('bin');
+      expect(getExtension('application/octet-stream', 'noextension')).toBe('bin');
+    });
+  });
+
+  describe('validateOutgoingMedia', () => {
+    test('should accept a valid media object', () => {
+      expect(validateOutgoingMedia({ type: 'document', url: 'https://example.com/a.pdf' })).toBeNull();
+      expect(validateOutgoingMedia({ type: 'sticker', mediaId: 12 })).toBeNull();
+    });
+
+    test('should reject non-http URLs', () => {
+      expect(validateOutgoingMedia({ type: 'image', url: 'file:///etc/passwd' })).toContain('http');
+    });
+  });
+
+  describe('buildMediaContent', () => {
+    test('should map audio with a default mimetype', () => {
+      const source = { url: 'https://example.com/a.mp3' };
+      expect(buildMediaContent('audio', source)).toEqual({ audio: source, mimetype: 'audio/mp4' });
+    });
+
+    test('should name documents from the mimetype when no filename is given', () => {
+      const content = buildMediaContent('document', Buffer.from('x'), { mimetype: 'application/pdf' });
+      expect(content.fileName).toBe('document.pdf');
+    });
+
+    test('should map stickers without caption', () => {
+      const source = Buffer.from('x');
+      expect(buildMediaContent('sticker', source, { caption: 'ignored' })).toEqual({ sticker: source });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIGRATIONS,
+  addColumn,
+  getSchemaVersion,
+  getMigrationStatus,
+  runMigrations
+} = require('../src/database/migrations');
+const { initializeDatabase } = require('../src/database');
+
+describe('Schema migrations', () => {
+  let db;
+
+  const columns = (table) => db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should number migrations in order', () => {
+    expect(MIGRATIONS.map((migration) => migration.version)).toEqual(MIGRATIONS.map((migration, index) => index + 1));
+  });
+
+  test('should apply every migration to a new database and record it', () => {
+    expect(getSchemaVersion(db)).toBe(0);
+
+    const applied = runMigrations(db);
+
+    expect(applied.map((migration) => migration.version)).toEqual(MIGRATIONS.map((migration) => migration.version));
+    expect(getSchemaVersion(db)).toBe(MIGRATIONS.length);
+    expect(getMigrationStatus(db)).toMatchObject({ version: MIGRATIONS.length, latest: MIGRATIONS.length, pending: [] });
+    expect(getMigrationStatus(db).applied[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+  });
+
+  test('should only apply pending migrations', () => {
+    const migrations = [
+      { version: 1, name: 'create_notes', up: jest.fn((database) => database.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)')) },
+      { version: 2, name: 'add_note_text', up: jest.fn((database) => addColumn(database, 'notes', 'text TEXT')) }
+    ];
+
+    runMigrations(db, migrations.slice(0, 1));
+    expect(getMigrationStatus(db, migrations).pending).toEqual([{ version: 2, name: 'add_note_text' }]);
+
+    expect(runMigrations(db, migrations)).toEqual([{ version: 2, name: 'add_note_text' }]);
+    expect(runMigrations(db, migrations)).toEqual([]);
+    expect(migrations[0].up).toHaveBeenCalledTimes(1);
+    expect(columns('notes')).toEqual(['id', 'text']);
+  });
+
+  test('should roll back a failed migration', () => {
+    const migrations = [
+      { version: 1, name: 'create_notes', up: (database) => database.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)') },
+      {
+        version: 2,
+        name: 'broken',
+        up: (database) => {
+          addColumn(database, 'notes', 'text TEXT');
+          database.exec('ALTER TABLE missing ADD COLUMN text TEXT');
+        }
+      }
+    ];
+
+    expect(() => runMigrations(db, migrations)).toThrow('Migration 2 (broken) failed: no such table: missing');
+    expect(getSchemaVersion(db)).toBe(1);
+    expect(columns('notes')).toEqual(['id']);
+  });
+
+  test('should refuse a database migrated by a newer version', () => {
+    runMigrations(db);
+    db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, 'future', ?)`)
+      .run(MIGRATIONS.length + 1, new Date().toISOString());
+
+    expect(() => runMigrations(db)).toThrow(
+      `Database schema version ${MIGRATIONS.length + 1} is newer than this version of OpenWAPI supports (${MIGRATIONS.length})`
+    );
+  });
+
+  test('should bring databases created before versioning up to date', () => {
+    db.exec(`
+      CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        direction TEXT NOT NULL,
+        phone TEXT NOT NULL,
+        sender_name TEXT,
+        message TEXT NOT NULL,
+        reply_status TEXT DEFAULT 'unread',
+        media_type TEXT,
+        media_url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO messages (direction, phone, message, created_at) VALUES ('incoming', '1@s.whatsapp.net', 'Hi', '2024-05-01 15:30:00');
+    `);
+
+    runMigrations(db);
+
+    expect(columns('messages')).toEqual(expect.arrayContaining(['session_id', 'chat_jid', 'delivery_status']));
+    expect(db.prepare('SELECT session_id, chat_jid, created_at FROM messages').get()).toEqual({
+      session_id: 'default',
+      chat_jid: '1@s.whatsapp.net',
+      created_at: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('should keep auto-reply runs when message_id becomes nullable', () => {
+    runMigrations(db, MIGRATIONS.slice(0, 5));
+    db.prepare(`
+      INSERT INTO auto_reply_runs (rule_id, session_id, message_id, contact, status, created_at)
+      VALUES (1, 'default', 7, '1@s.whatsapp.net', 'done', '2024-05-01T10:00:00.000Z')
+    `).run();
+
+    runMigrations(db);
+
+    const messageId = db.prepare('PRAGMA table_info(auto_reply_runs)').all().find((column) => column.name === 'message_id');
+    expect(messageId.notnull).toBe(0);
+    expect(db.prepare('SELECT rule_id, message_id, status FROM auto_reply_runs').get()).toEqual({ rule_id: 1, message_id: 7, status: 'done' });
+    expect(db.prepare(`SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'auto_reply_runs'`).all())
+      .toEqual([{ name: 'idx_auto_reply_runs_contact' }]);
+  });
+
+  test('should not open a database that is newer than the code', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-db-')), 'newer.db');
+    initializeDatabase(file).close();
+
+    const newer = new Database(file);
+    newer.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, 'future', ?)`)
+      .run(MIGRATIONS.length + 1, new Date().toISOString());
+    newer.close();
+
+    try {
+      expect(() => initializeDatabase(file)).toThrow('is newer than this version of OpenWAPI supports');
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
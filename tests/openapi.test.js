@@ -0,0 +1,102 @@
+const { createRoutes } = require('../src/api/routes');
+const { OPERATIONS, buildOpenApiDocument, validateRequest } = require('../src/api/openapi');
+const { initializeDatabase } = require('../src/database');
+
+describe('OpenAPI document', () => {
+  const document = buildOpenApiDocument();
+
+  // Express paths such as /messages/:id(\d+) in OpenAPI form
+  const toOpenApiPath = (route) => route.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+  test('should describe every route of the router', () => {
+    const db = initializeDatabase(':memory:');
+    try {
+      const router = createRoutes(db, {}, {}, { info: jest.fn(), error: jest.fn(), warn: jest.fn() });
+      const routes = router.stack.filter((layer) => layer.route).flatMap((layer) => (
+        [].concat(layer.route.path).flatMap((routePath) => Object.keys(layer.route.methods).map((method) => ({
+          key: `${method} ${toOpenApiPath(routePath)}`,
+          validators: layer.route.stack.map((handler) => handler.handle.operationId).filter(Boolean)
+        })))
+      ));
+
+      const documented = Object.entries(document.paths).flatMap(([path, operations]) => (
+        Object.entries(operations).map(([method, operation]) => ({ key: `${method} ${path}`, operation }))
+      ));
+
+      expect(routes.map((route) => route.key).sort()).toEqual(documented.map((entry) => entry.key).sort());
+
+      // Routes with parameters or a body validate them against their own operation
+      for (const route of routes) {
+        const { operation } = documented.find((entry) => entry.key === route.key);
+        const source = OPERATIONS.find((candidate) => candidate.id === operation.operationId.replace(/ForSession$/, ''));
+        const inputs = Boolean(source.parameters?.length || source.body);
+
+        expect([route.key, route.validators]).toEqual([route.key, inputs ? [source.id] : []]);
+      }
+    } finally {
+      db.close();
+    }
+  });
+
+  test('should serve session-scoped operations under /sessions/{sessionId}', () => {
+    expect(document.openapi).toBe('3.0.3');
+    expect(document.paths['/inbox'].get.operationId).toBe('getInbox');
+
+    const scoped = document.paths['/sessions/{sessionId}/inbox'].get;
+    expect(scoped.operationId).toBe('getInboxForSession');
+    expect(scoped.parameters[0]).toMatchObject({ name: 'sessionId', in: 'path', required: true });
+    expect(scoped.responses[404].description).toBe('Session not found');
+  });
+
+  test('should describe authentication and error responses', () => {
+    const send = document.paths['/messages/send'].post;
+    expect(send.security).toEqual([{ ApiKey: [] }, { BasicAuth: [] }]);
+    expect(send['x-required-scope']).toBe('send');
+    expect(Object.keys(send.responses)).toEqual(expect.arrayContaining(['200', '202', '400', '401', '403', '404']));
+
+    expect(document.paths['/health'].get.security).toEqual([]);
+    expect(document.paths['/keys'].post.security).toEqual([{ BasicAuth: [] }]);
+  });
+
+  test('should only reference defined components', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+    for (const ref of new Set(refs)) {
+      const [, section, name] = ref.match(/#\/components\/(\w+)\/(\w+)/);
+      expect([ref, Boolean(document.components[section][name])]).toEqual([ref, true]);
+    }
+  });
+
+  test('should have unique operation IDs', () => {
+    const ids = OPERATIONS.map((operation) => operation.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(() => validateRequest('missingOperation')).toThrow('Unknown operation: missingOperation');
+  });
+
+  test('should validate and convert query parameters', () => {
+    const middleware = validateRequest('listMessages');
+    const req = { params: {}, headers: {}, query: { limit: '20', cursor: '', status: 'unread,replied' } };
+    const next = jest.fn();
+
+    middleware(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({ limit: 20, status: ['unread', 'replied'] });
+  });
+
+  test('should answer 400 with every invalid field', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const req = { params: {}, headers: {}, query: { limit: '500', order: 'up' } };
+
+    validateRequest('listMessages')(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'order must be one of: asc, desc',
+      errors: [
+        { in: 'query', field: 'order', message: 'order must be one of: asc, desc' },
+        { in: 'query', field: 'limit', message: 'limit must be an integer from 1 to 200' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { getQueueRetryDelay, drainOutboundQueue, startOutboundQueueWorker } = require('../src/api/outbound');
+const { queueOutgoingMessage } = require('../src/api/sender');
+const {
+  initializeDatabase,
+  insertMessage,
+  getMessageById,
+  getOutboundMessage,
+  getDueWebhookDeliveries,
+  createWebhook
+} = require('../src/database');
+
+describe('Outbound queue', () => {
+  let db;
+  let logger;
+  let state;
+  let sessionManager;
+
+  const queue = (text, jid = '919876543210@s.whatsapp.net', replyToId = null) => (
+    queueOutgoingMessage(db, jid, { message: text }, './media', 'default', replyToId)
+  );
+
+  const webhookPayloads = (event) => getDueWebhookDeliveries(db, new Date(Date.now() + 60000).toISOString(), 100)
+    .filter((delivery) => delivery.event === event)
+    .map((delivery) => JSON.parse(delivery.payload));
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    createWebhook(db, 'https://example.com/hook', ['*']);
+    logger = { info: jest.fn(), error: jest.fn() };
+    let sent = 0;
+    state = {
+      connected: true,
+      sock: {
+        sendMessage: jest.fn(async () => ({ key: { id: `WAID${++sent}` } })),
+        onWhatsApp: jest.fn(async (jid) => [{ exists: true, jid }])
+      }
+    };
+    sessionManager = {
+      get: (id) => (id === 'default' ? state : null),
+      list: () => [{ id: 'default', connected: state.connected }]
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    db.close();
+  });
+
+  test('should double retry delay up to 5 minutes', () => {
+    expect(getQueueRetryDelay(1, 5)).toBe(5000);
+    expect(getQueueRetryDelay(3, 5)).toBe(20000);
+    expect(getQueueRetryDelay(20, 5)).toBe(300000);
+  });
+
+  test('should store queued message before sending it', () => {
+    const { id, queueId } = queue('Hello');
+
+    const message = getMessageById(db, id);
+    expect(message.direction).toBe('outgoing');
+    expect(message.delivery_status).toBe('queued');
+    expect(getOutboundMessage(db, queueId).message_id).toBe(id);
+  });
+
+  test('should send queued messages in order and report them', async () => {
+    const first = queue('First');
+    const second = queue('Second');
+
+    await expect(drainOutboundQueue(db, sessionManager, 'default', logger)).resolves.toBe(2);
+
+    expect(state.sock.sendMessage.mock.calls.map(([, content]) => content.text)).toEqual(['First', 'Second']);
+    expect(getMessageById(db, first.id)).toMatchObject({ whatsapp_id: 'WAID1', delivery_status: 'sent' });
+    expect(getOutboundMessage(db, second.queueId).status).toBe('sent');
+    expect(webhookPayloads('message.sent').map((payload) => payload.message.id)).toEqual([first.id, second.id]);
+  });
+
+  test('should mark replied message once the reply is sent', async () => {
+    const incoming = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Hi', 'unread').lastInsertRowid;
+    queue('Reply', '919876543210@s.whatsapp.net', incoming);
+
+    await drainOutboundQueue(db, sessionManager, 'default', logger);
+
+    expect(getMessageById(db, incoming).reply_status).toBe('replied');
+  });
+
+  test('should not send while disconnected', async () => {
+    state.connected = false;
+    const { queueId } = queue('Hello');
+
+    await expect(drainOutboundQueue(db, sessionManager, 'default', logger)).resolves.toBe(0);
+    expect(getOutboundMessage(db, queueId).status).toBe('queued');
+  });
+
+  test('should retry a failed send before later messages', async () => {
+    state.sock.sendMessage.mockRejectedValueOnce(new Error('Connection Closed'));
+    const first = queue('First');
+    queue('Second');
+
+    await drainOutboundQueue(db, sessionManager, 'default', logger);
+
+    const row = getOutboundMessage(db, first.queueId);
+    expect(row).toMatchObject({ status: 'queued', attempts: 1, error: 'Connection Closed' });
+    expect(new Date(row.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+
+    // Still waiting for the retry: nothing overtakes the first message
+    await drainOutboundQueue(db, sessionManager, 'default', logger);
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail after the last attempt and notify webhooks', async () => {
+    state.sock.sendMessage.mockRejectedValue(new Error('Connection Closed'));
+    const { id, queueId } = queue('Hello');
+
+    await drainOutboundQueue(db, sessionManager, 'default', logger, { maxAttempts: 1 });
+
+    expect(getOutboundMessage(db, queueId).status).toBe('failed');
+    expect(getMessageById(db, id).delivery_status).toBe('failed');
+    expect(webhookPayloads('message.failed')[0].message).toEqual({
+      id,
+      to: '919876543210@s.whatsapp.net',
+      error: 'Connection Closed',
+      attempts: 1
+    });
+  });
+
+  test('should fail numbers not on WhatsApp without retrying', async () => {
+    state.sock.onWhatsApp.mockResolvedValueOnce([]);
+    const failed = queue('First');
+    const next = queue('Second');
+
+    await drainOutboundQueue(db, sessionManager, 'default', logger);
+
+    expect(getOutboundMessage(db, failed.queueId)).toMatchObject({ status: 'failed', error: 'Number is not registered on WhatsApp' });
+    expect(getOutboundMessage(db, next.queueId).status).toBe('sent');
+  });
+
+  test('should drain connected sessions on each tick', async () => {
+    jest.useFakeTimers();
+    const { queueId } = queue('Hello');
+
+    const stop = startOutboundQueueWorker(db, sessionManager, logger, { intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+    stop();
+
+    expect(getOutboundMessage(db, queueId).status).toBe('sent');
+  });
+});
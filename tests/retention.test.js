@@ -0,0 +1,262 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseRetentionRules,
+  getRetentionRules,
+  setRetentionRules,
+  runRetention,
+  startRetentionWorker
+} = require('../src/api/retention');
+const {
+  initializeDatabase,
+  insertMessage,
+  getMessageById,
+  updateMessageMedia,
+  createOutboundMessage,
+  getOutboundMessage,
+  recordOutboundAttempt,
+  setMessageWhatsAppId,
+  createScheduledMessage,
+  finishScheduledMessage,
+  getScheduledMessage,
+  createBroadcast,
+  getBroadcastRecipients,
+  finishBroadcastRecipient,
+  recordAutoReplyRun,
+  searchMessages
+} = require('../src/database');
+
+describe('Retention', () => {
+  let db;
+  let mediaPath;
+
+  const NOW = new Date('2024-06-01T00:00:00.000Z');
+
+  // A message created daysAgo days before NOW, with a media file for incoming media
+  const message = (daysAgo, { direction = 'incoming', status = 'unread', media = false, text = 'Hello' } = {}) => {
+    const createdAt = new Date(NOW.getTime() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+    const id = insertMessage(
+      db, direction, '919876543210@s.whatsapp.net', text, status,
+      media ? 'image' : 'text', null, null, 'default', null, createdAt
+    ).lastInsertRowid;
+
+    if (media) {
+      fs.writeFileSync(path.join(mediaPath, `${id}.jpg`), 'x'.repeat(100));
+      updateMessageMedia(db, id, { url: `${id}.jpg`, mimetype: 'image/jpeg', size: 100 });
+    }
+    return id;
+  };
+
+  const run = (rules, options = {}) => runRetention(db, parseRetentionRules(rules).rules, { mediaPath, now: NOW, ...options });
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    mediaPath = fs.mkdtempSync(path.join(os.tmpdir(), 'openwapi-retention-'));
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(mediaPath, { recursive: true, force: true });
+  });
+
+  describe('parseRetentionRules', () => {
+    test('should fill optional filters', () => {
+      expect(parseRetentionRules([{ target: 'messages', olderThanDays: 90, status: ['ignored', 'ignored'] }])).toEqual({
+        rules: [{ target: 'messages', olderThanDays: 90, status: ['ignored'], direction: null, session: null }]
+      });
+    });
+
+    test('should reject invalid rules', () => {
+      expect(parseRetentionRules('all').error).toContain('rules must be an array');
+      expect(parseRetentionRules([{ target: 'files', olderThanDays: 1 }]).error).toBe('rules[0].target must be one of: media, messages');
+      expect(parseRetentionRules([{ target: 'media', olderThanDays: 0 }]).error).toContain('rules[0].olderThanDays');
+      expect(parseRetentionRules([{ target: 'media', olderThanDays: 1.5 }]).error).toContain('rules[0].olderThanDays');
+      expect(parseRetentionRules([{ target: 'messages', olderThanDays: 1, status: ['archived'] }]).error).toContain('rules[0].status');
+      expect(parseRetentionRules([{ target: 'media', olderThanDays: 1, direction: 'outgoing' }]).error).toContain('only applies to messages');
+      expect(parseRetentionRules([{ target: 'messages', olderThanDays: 1, session: 'a b' }]).error).toContain('rules[0].session');
+    });
+  });
+
+  test('should store rules in settings', () => {
+    expect(getRetentionRules(db)).toEqual([]);
+
+    const { rules } = parseRetentionRules([{ target: 'media', olderThanDays: 30 }]);
+    setRetentionRules(db, rules);
+
+    expect(getRetentionRules(db)).toEqual(rules);
+  });
+
+  test('should delete old media files and keep the messages', async () => {
+    const old = message(31, { media: true });
+    const recent = message(5, { media: true });
+
+    const result = await run([{ target: 'media', olderThanDays: 30 }]);
+
+    expect(result.totals).toEqual({ messages: 0, mediaFiles: 1, bytes: 100 });
+    expect(result.rules[0].cutoffAt).toBe('2024-05-02T00:00:00.000Z');
+    expect(getMessageById(db, old)).toMatchObject({ media_type: 'image', media_url: null });
+    expect(fs.existsSync(path.join(mediaPath, `${old}.jpg`))).toBe(false);
+    expect(getMessageById(db, recent).media_url).toBe(`${recent}.jpg`);
+    expect(fs.existsSync(path.join(mediaPath, `${recent}.jpg`))).toBe(true);
+  });
+
+  test('should delete old messages by status with their files', async () => {
+    const ignored = message(91, { status: 'ignored', media: true, text: 'spam offer' });
+    const replied = message(91, { status: 'replied' });
+    const recentIgnored = message(10, { status: 'ignored' });
+
+    const result = await run([{ target: 'messages', olderThanDays: 90, status: ['ignored'] }]);
+
+    expect(result.totals).toEqual({ messages: 1, mediaFiles: 1, bytes: 100 });
+    expect(getMessageById(db, ignored)).toBeUndefined();
+    expect(fs.existsSync(path.join(mediaPath, `${ignored}.jpg`))).toBe(false);
+    expect(getMessageById(db, replied)).toBeDefined();
+    expect(getMessageById(db, recentIgnored)).toBeDefined();
+    expect(searchMessages(db, 'spam')).toEqual([]);
+  });
+
+  test('should keep messages waiting in the outbound queue', async () => {
+    const queued = message(400, { direction: 'outgoing', status: 'sent' });
+    createOutboundMessage(db, { messageId: queued, recipient: '919876543210@s.whatsapp.net', payload: { message: 'Hi' } });
+    const sent = message(400, { direction: 'outgoing', status: 'sent' });
+
+    await run([{ target: 'messages', olderThanDays: 365, direction: 'outgoing' }]);
+
+    expect(getMessageById(db, queued)).toBeDefined();
+    expect(getMessageById(db, sent)).toBeUndefined();
+  });
+
+  test('should keep media files that outgoing messages still use', async () => {
+    const incoming = message(100, { media: true });
+    // Sent later with the stored file (mediaId)
+    const outgoing = message(20, { direction: 'outgoing', status: 'sent' });
+    updateMessageMedia(db, outgoing, { url: `${incoming}.jpg`, mimetype: 'image/jpeg', size: 100 });
+    const file = path.join(mediaPath, `${incoming}.jpg`);
+
+    const rules = [{ target: 'messages', olderThanDays: 90 }];
+    expect((await run(rules, { dryRun: true })).totals).toEqual({ messages: 1, mediaFiles: 0, bytes: 0 });
+    expect((await run(rules)).totals).toEqual({ messages: 1, mediaFiles: 0, bytes: 0 });
+    expect(getMessageById(db, incoming)).toBeUndefined();
+    expect(fs.existsSync(file)).toBe(true);
+
+    // The file goes with the last message that uses it
+    const later = [{ target: 'messages', olderThanDays: 10 }];
+    expect((await run(later, { dryRun: true })).totals).toEqual({ messages: 1, mediaFiles: 1, bytes: 100 });
+    expect((await run(later)).totals).toEqual({ messages: 1, mediaFiles: 1, bytes: 100 });
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('should detach rows that point to deleted messages', async () => {
+    const incoming = message(100);
+    const reply = message(100, { direction: 'outgoing', status: 'sent' });
+    const recipient = '919876543210@s.whatsapp.net';
+
+    const queued = createOutboundMessage(db, { messageId: reply, recipient, payload: { message: 'Hi' }, replyToId: incoming });
+    recordOutboundAttempt(db, queued.id, { status: 'sent' });
+    setMessageWhatsAppId(db, reply, 'WA1');
+
+    const scheduled = createScheduledMessage(db, { recipient, payload: { message: 'Hi' }, sendAt: NOW.toISOString() });
+    finishScheduledMessage(db, scheduled.id, { status: 'sent', messageId: reply });
+
+    const broadcast = createBroadcast(db, { payload: { message: 'Hi' }, recipients: [{ recipient }], ratePerMinute: 10 });
+    const [broadcastRecipient] = getBroadcastRecipients(db, broadcast.id);
+    finishBroadcastRecipient(db, broadcastRecipient.id, { status: 'sent', messageId: reply });
+
+    recordAutoReplyRun(db, { ruleId: 1, messageId: incoming, contact: recipient, status: 'done' });
+
+    await run([{ target: 'messages', olderThanDays: 90 }]);
+
+    expect(getMessageById(db, reply)).toBeUndefined();
+    expect(getOutboundMessage(db, queued.id)).toBeUndefined();
+    expect(getScheduledMessage(db, scheduled.id)).toMatchObject({ status: 'sent', message_id: null });
+    expect(getBroadcastRecipients(db, broadcast.id)[0]).toMatchObject({ status: 'sent', message_id: null });
+    expect(db.prepare('SELECT message_id, status FROM auto_reply_runs').get()).toEqual({ message_id: null, status: 'done' });
+  });
+
+  test('should report a dry run without deleting anything', async () => {
+    const id = message(100, { status: 'ignored', media: true });
+    message(100, { status: 'replied' });
+
+    const rules = [
+      { target: 'media', olderThanDays: 30 },
+      { target: 'messages', olderThanDays: 90 }
+    ];
+    const preview = await run(rules, { dryRun: true });
+
+    // The file is counted once, under the rule that removes it first
+    expect(preview).toMatchObject({
+      dryRun: true,
+      totals: { messages: 2, mediaFiles: 1, bytes: 100 },
+      rules: [{ target: 'media', messages: 0, mediaFiles: 1 }, { target: 'messages', messages: 2, mediaFiles: 0 }]
+    });
+    expect(getMessageById(db, id).media_url).toBe(`${id}.jpg`);
+    expect(fs.existsSync(path.join(mediaPath, `${id}.jpg`))).toBe(true);
+
+    expect((await run(rules)).totals).toEqual(preview.totals);
+    expect(getMessageById(db, id)).toBeUndefined();
+  });
+
+  test('should preview without writing to the database', async () => {
+    message(100, { status: 'ignored', media: true });
+    const changes = () => db.prepare('SELECT total_changes() AS changes').get().changes;
+    const before = changes();
+
+    await run([{ target: 'messages', olderThanDays: 90 }], { dryRun: true });
+
+    expect(changes()).toBe(before);
+  });
+
+  test('should look up media files by index', async () => {
+    const prepare = jest.spyOn(db, 'prepare');
+    await run([{ target: 'messages', olderThanDays: 90 }], { dryRun: true });
+    const queries = prepare.mock.calls.map(([sql]) => sql).filter((sql) => sql.includes('kept.media_url'));
+    prepare.mockRestore();
+
+    expect(queries).toHaveLength(1);
+    const placeholders = queries[0].match(/\?/g).length;
+    const plan = db.prepare(`EXPLAIN QUERY PLAN ${queries[0]}`).all(...Array(placeholders).fill(null)).map((step) => step.detail);
+
+    expect(plan).toContain('SEARCH kept USING INDEX idx_messages_media_url (media_url=?)');
+    expect(plan.some((step) => step.startsWith('SCAN'))).toBe(false);
+  });
+
+  test('should remove messages in several batches', async () => {
+    const insert = db.transaction(() => {
+      for (let i = 0; i < 501; i++) message(100);
+    });
+    insert();
+    const rules = [
+      { target: 'messages', olderThanDays: 90, direction: 'incoming' },
+      { target: 'messages', olderThanDays: 30 }
+    ];
+
+    const preview = await run(rules, { dryRun: true });
+    expect(preview.rules.map((rule) => rule.messages)).toEqual([501, 0]);
+
+    const result = await run(rules);
+    expect(result.rules.map((rule) => rule.messages)).toEqual([501, 0]);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM messages').get().count).toBe(0);
+  });
+
+  test('should apply saved rules periodically', async () => {
+    jest.useFakeTimers({ now: NOW });
+    const logger = { info: jest.fn(), error: jest.fn() };
+    const id = message(31, { media: true });
+    setRetentionRules(db, parseRetentionRules([{ target: 'media', olderThanDays: 30 }]).rules);
+
+    const stop = startRetentionWorker(db, logger, { intervalMs: 1000, mediaPath });
+    try {
+      await jest.advanceTimersByTimeAsync(1000);
+      stop();
+      // Let the purge finish its batches
+      await jest.runAllTimersAsync();
+    } finally {
+      stop();
+      jest.useRealTimers();
+    }
+
+    expect(getMessageById(db, id).media_url).toBeNull();
+    expect(logger.info).toHaveBeenCalledWith('Retention purge', { messages: 0, mediaFiles: 1, bytes: 100 });
+  });
+});
@@ -1,53 +1,44 @@
 const express = require('express');
 const request = require('supertest');
-const Database = require('better-sqlite3');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { createRoutes } = require('../src/api/routes');
-const { insertMessage, ensureApiKey } = require('../src/database');
+const {
+  initializeDatabase,
+  insertMessage,
+  getMessageById,
+  ensureApiKey,
+  setMessageWhatsAppId,
+  updateMessageDelivery,
+  createApiKey,
+  upsertContact,
+  updateContactDetails,
+  saveGroup,
+  createTemplate
+} = require('../src/database');
 const { WhatsAppState } = require('../src/api/state');
+const { SessionManager } = require('../src/api/sessions');
+const { OPCODES, encodeFrame, decodeFrame, handleUpgrade } = require('../src/api/websocket');
 
 describe('API Routes', () => {
   let app;
   let db;
   let whatsappState;
+  let sessionManager;
   let apiKey;
   const config = {
     DASHBOARD_USER: 'testuser',
-    DASHBOARD_PASSWORD: 'testpass'
+    DASHBOARD_PASSWORD: 'testpass',
+    MEDIA_PATH: path.join(os.tmpdir(), 'openwapi-test-media'),
+    API_KEY_ROTATION_GRACE_HOURS: 24
   };
 
-  beforeEach(() => {
-    // Create in-memory database
-    db = new Database(':memory:');
-    db.pragma('journal_mode = WAL');
-
-    // Initialize schema
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        direction TEXT NOT NULL,
-        phone TEXT NOT NULL,
-        message TEXT NOT NULL,
-        reply_status TEXT DEFAULT 'unread',
-        media_type TEXT,
-        media_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(reply_status);
-      CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone);
-      CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at DESC);
-
-      CREATE TABLE IF NOT EXISTS api_keys (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        key TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL
-      );
-    `);
+  beforeEach(async () => {
+    // Create in-memory database with the application schema
+    db = initializeDatabase(':memory:');
 
     // Generate API key
     apiKey = ensureApiKey(db);
@@ -65,7 +56,16 @@ describe('API Routes', () => {
       debug: jest.fn()
     };
 
-    const routes = createRoutes(db, whatsappState, config, logger);
+    // Sessions connect to stub states instead of WhatsApp
+    const connect = async (database, sessionLogger, authPath, mediaPath, id) => (
+      id === 'default' ? whatsappState : new WhatsAppState(id)
+    );
+    sessionManager = new SessionManager(db, logger, {
+      sessionsPath: path.join(os.tmpdir(), 'openwapi-test-sessions')
+    }, connect);
+    await sessionManager.start('default');
+
+    const routes = createRoutes(db, sessionManager, config, logger);
     app.use('/api/v1', routes);
   });
 
@@ -85,6 +85,27 @@ describe('API Routes', () => {
     });
   });
 
+  describe('GET /openapi.json', () => {
+    test('should serve the OpenAPI document without authentication', async () => {
+      const res = await request(app).get('/api/v1/openapi.json?timezone=Asia/Kolkata');
+
+      expect(res.status).toBe(200);
+      expect(res.body.openapi).toBe('3.0.3');
+      expect(res.body.servers).toEqual([{ url: '/api/v1' }]);
+      expect(res.body.paths['/messages/send'].post.operationId).toBe('sendMessage');
+    });
+
+    test('should check session before validating the request', async () => {
+      const res = await request(app)
+        .post('/api/v1/sessions/missing/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({});
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Session not found');
+    });
+  });
+
   describe('GET /qr', () => {
     test('should return error when already connected', async () => {
       whatsappState.setConnected(true, '1234567890');
@@ -139,7 +160,46 @@ describe('API Routes', () => {
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.apiKey).toBe(apiKey);
+      expect(res.body.data.apiKey).toBeUndefined();
+      expect(res.body.data.activeApiKeys).toBe(1);
+      expect(res.body.data.ignoreGroups).toBe(false);
+      expect(res.body.data.timezone).toBe('UTC');
+    });
+  });
+
+  describe('PATCH /config', () => {
+    test('should require Basic Auth', async () => {
+      const res = await request(app)
+        .patch('/api/v1/config')
+        .set('X-API-Key', apiKey)
+        .send({ ignoreGroups: true });
+
+      expect(res.status).toBe(401);
+    });
+
+    test('should turn ignoring groups on and off', async () => {
+      const res = await request(app)
+        .patch('/api/v1/config')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ ignoreGroups: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ ignoreGroups: true });
+
+      const current = await request(app)
+        .get('/api/v1/config')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+      expect(current.body.data.ignoreGroups).toBe(true);
+    });
+
+    test('should validate ignoreGroups', async () => {
+      const res = await request(app)
+        .patch('/api/v1/config')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ ignoreGroups: 'yes' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('ignoreGroups must be a boolean');
     });
   });
 
@@ -214,6 +274,23 @@ describe('API Routes', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.data).toHaveLength(10);
     });
+
+    test('should include media details', async () => {
+      const result = insertMessage(db, 'incoming', '456@s.whatsapp.net', '', 'unread', 'voice');
+      db.prepare(`
+        UPDATE messages SET media_url = ?, media_mimetype = ?, media_size = ?, media_duration = ? WHERE id = ?
+      `).run('11.ogg', 'audio/ogg; codecs=opus', 4096, 7, result.lastInsertRowid);
+
+      const res = await request(app)
+        .get('/api/v1/inbox')
+        .set('X-API-Key', apiKey);
+
+      const voice = res.body.data.find((msg) => msg.id === result.lastInsertRowid);
+      expect(voice.media_type).toBe('voice');
+      expect(voice.media_mimetype).toBe('audio/ogg; codecs=opus');
+      expect(voice.media_size).toBe(4096);
+      expect(voice.media_duration).toBe(7);
+    });
   });
 
   describe('POST /messages/:id/reply', () => {
@@ -238,14 +315,14 @@ describe('API Routes', () => {
       expect(res.status).toBe(401);
     });
 
-    test('should require message or image field', async () => {
+    test('should require message, image or media field', async () => {
       const res = await request(app)
         .post(`/api/v1/messages/${messageId}/reply`)
         .set('X-API-Key', apiKey)
         .send({});
 
       expect(res.status).toBe(400);
-      expect(res.body.error).toBe('Message or image is required');
+      expect(res.body.error).toBe('body must include one of: message, image, media, templateId');
     });
 
     test('should return error for non-existent message', async () => {
@@ -331,6 +408,311 @@ describe('API Routes', () => {
     });
   });
 
+  describe('POST /messages/:id/reply with media', () => {
+    let messageId;
+
+    beforeEach(() => {
+      const result = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Send me the invoice', 'unread');
+      messageId = result.lastInsertRowid;
+
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({
+        sendMessage: jest.fn().mockResolvedValue({})
+      });
+    });
+
+    test('should send document from URL with filename and mimetype', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({
+          message: 'Invoice attached',
+          media: {
+            type: 'document',
+            url: 'https://example.com/invoice.pdf',
+            filename: 'invoice-4417.pdf',
+            mimetype: 'application/pdf'
+          }
+        });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith('123@s.whatsapp.net', {
+        document: { url: 'https://example.com/invoice.pdf' },
+        mimetype: 'application/pdf',
+        fileName: 'invoice-4417.pdf',
+        caption: 'Invoice attached'
+      });
+
+      const stored = db.prepare(`SELECT * FROM messages WHERE direction = 'outgoing'`).get();
+      expect(stored.media_type).toBe('document');
+      expect(stored.media_url).toBe('https://example.com/invoice.pdf');
+      expect(stored.media_mimetype).toBe('application/pdf');
+      expect(stored.media_filename).toBe('invoice-4417.pdf');
+    });
+
+    test('should send voice note from base64 as push-to-talk audio', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ media: { type: 'voice', data: Buffer.from('voice').toString('base64') } });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith('123@s.whatsapp.net', {
+        audio: expect.any(Buffer),
+        ptt: true,
+        mimetype: 'audio/ogg; codecs=opus'
+      });
+
+      const stored = db.prepare(`SELECT * FROM messages WHERE direction = 'outgoing'`).get();
+      expect(stored.media_type).toBe('voice');
+      expect(stored.media_url).toBe('base64');
+    });
+
+    test('should send stored media by message id', async () => {
+      const stored = insertMessage(db, 'incoming', '456@s.whatsapp.net', '', 'unread', 'video');
+      const filename = `${stored.lastInsertRowid}.mp4`;
+      fs.mkdirSync(config.MEDIA_PATH, { recursive: true });
+      fs.writeFileSync(path.join(config.MEDIA_PATH, filename), 'video');
+      db.prepare('UPDATE messages SET media_url = ?, media_mimetype = ? WHERE id = ?')
+        .run(filename, 'video/mp4', stored.lastInsertRowid);
+
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ message: 'Forwarding this', media: { type: 'video', mediaId: stored.lastInsertRowid } });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith('123@s.whatsapp.net', {
+        video: { url: path.join(path.resolve(config.MEDIA_PATH), filename) },
+        caption: 'Forwarding this',
+        mimetype: 'video/mp4'
+      });
+
+      fs.rmSync(path.join(config.MEDIA_PATH, filename), { force: true });
+    });
+
+    test('should return 404 for unknown stored media', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ media: { type: 'document', mediaId: 999 } });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Stored media not found');
+      expect(whatsappState.sock.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid media type', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ media: { type: 'hologram', url: 'https://example.com/x' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('media.type must be one of: image, video, audio, voice, document, sticker');
+    });
+
+    test('should reject media without exactly one source', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ media: { type: 'audio', url: 'https://example.com/a.mp3', data: 'abc' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('exactly one source');
+    });
+
+    test('should reject captions on audio', async () => {
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ message: 'Listen', media: { type: 'audio', url: 'https://example.com/a.mp3' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Captions are not supported for audio media');
+    });
+  });
+
+  describe('POST /messages/send', () => {
+    beforeEach(() => {
+      // Mock WhatsApp socket
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({
+        sendMessage: jest.fn().mockResolvedValue({}),
+        onWhatsApp: jest.fn().mockResolvedValue([{ exists: true, jid: '919876543210@s.whatsapp.net' }])
+      });
+    });
+
+    test('should require API key', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .send({ to: '919876543210', message: 'Hello' });
+
+      expect(res.status).toBe(401);
+    });
+
+    test('should require recipient', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ message: 'Hello' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('to is required');
+      expect(res.body.errors).toEqual([{ in: 'body', field: 'to', message: 'to is required' }]);
+    });
+
+    test('should require message, image or media field', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('body must include one of: message, image, media, templateId');
+    });
+
+    test('should reject invalid phone number', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: 'not-a-number', message: 'Hello' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid phone number or JID');
+    });
+
+    test('should reject number not on WhatsApp', async () => {
+      whatsappState.sock.onWhatsApp.mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '+91 98765 43210', message: 'Hello' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Number is not registered on WhatsApp');
+      expect(whatsappState.sock.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should send text message and store it as outgoing', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '+91 98765 43210', message: 'Your order is confirmed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.to).toBe('919876543210@s.whatsapp.net');
+      expect(whatsappState.sock.onWhatsApp).toHaveBeenCalledWith('919876543210@s.whatsapp.net');
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith(
+        '919876543210@s.whatsapp.net',
+        { text: 'Your order is confirmed' }
+      );
+
+      const stored = getMessageById(db, res.body.data.id);
+      expect(stored.direction).toBe('outgoing');
+      expect(stored.reply_status).toBe('sent');
+      expect(stored.message).toBe('Your order is confirmed');
+    });
+
+    test('should store the WhatsApp message ID for receipt tracking', async () => {
+      whatsappState.sock.sendMessage.mockResolvedValue({ key: { id: '3EB0C431C26A1916E0' } });
+
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hi' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.whatsappId).toBe('3EB0C431C26A1916E0');
+
+      const stored = getMessageById(db, res.body.data.id);
+      expect(stored.whatsapp_id).toBe('3EB0C431C26A1916E0');
+      expect(stored.delivery_status).toBe('sent');
+    });
+
+    test('should send image message with URL', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210@s.whatsapp.net', image: 'https://example.com/invoice.png' });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith(
+        '919876543210@s.whatsapp.net',
+        expect.objectContaining({
+          image: { url: 'https://example.com/invoice.png' },
+          caption: ''
+        })
+      );
+    });
+
+    test('should skip WhatsApp lookup for group JIDs', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '120363000000000000@g.us', message: 'Hello group' });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.onWhatsApp).not.toHaveBeenCalled();
+    });
+
+    test('should return error when not connected', async () => {
+      whatsappState.setConnected(false, null);
+
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hello' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('WhatsApp not connected');
+    });
+  });
+
+  describe('GET /messages/:id', () => {
+    test('should require API key', async () => {
+      const res = await request(app).get('/api/v1/messages/1');
+      expect(res.status).toBe(401);
+    });
+
+    test('should return 404 for non-existent message', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages/999')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Message not found');
+    });
+
+    test('should return delivery timeline for outgoing messages', async () => {
+      const id = insertMessage(db, 'outgoing', '123@s.whatsapp.net', 'Hi', 'sent').lastInsertRowid;
+      setMessageWhatsAppId(db, id, 'WAID1');
+      updateMessageDelivery(db, 'WAID1', 'delivered');
+
+      const res = await request(app)
+        .get(`/api/v1/messages/${id}`)
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.whatsapp_id).toBe('WAID1');
+      expect(res.body.data.delivery_status).toBe('delivered');
+      expect(res.body.data.timeline.map((step) => step.status)).toEqual(['sent', 'server_ack', 'delivered']);
+    });
+
+    test('should return empty timeline for incoming messages', async () => {
+      const id = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Hello', 'unread').lastInsertRowid;
+
+      const res = await request(app)
+        .get(`/api/v1/messages/${id}`)
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.timeline).toEqual([]);
+    });
+  });
+
   describe('PATCH /messages/:id/status', () => {
     let messageId;
 
@@ -354,7 +736,7 @@ describe('API Routes', () => {
         .send({});
 
       expect(res.status).toBe(400);
-      expect(res.body.error).toBe('Status is required');
+      expect(res.body.error).toBe('status is required');
     });
 
     test('should reject invalid status', async () => {
@@ -364,7 +746,7 @@ describe('API Routes', () => {
         .send({ status: 'invalid' });
 
       expect(res.status).toBe(400);
-      expect(res.body.error).toContain('Invalid status');
+      expect(res.body.error).toBe('status must be one of: unread, replied, ignored, sent');
     });
 
     test('should update status successfully', async () => {
@@ -387,4 +769,1942 @@ describe('API Routes', () => {
       expect(res.body.error).toBe('Message not found');
     });
   });
+
+  describe('Sessions', () => {
+    const auth = 'Basic ' + Buffer.from('testuser:testpass').toString('base64');
+
+    test('should require Basic Auth', async () => {
+      const res = await request(app).get('/api/v1/sessions');
+      expect(res.status).toBe(401);
+    });
+
+    test('should list the default session', async () => {
+      const res = await request(app)
+        .get('/api/v1/sessions')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({ id: 'default', running: true, autoStart: true });
+    });
+
+    test('should create and start a session', async () => {
+      const res = await request(app)
+        .post('/api/v1/sessions')
+        .set('Authorization', auth)
+        .send({ id: 'support' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ id: 'support', running: true, connected: false });
+      expect(sessionManager.get('support')).not.toBeNull();
+    });
+
+    test('should remove a session that fails to start so it can be created again', async () => {
+      const connect = sessionManager.connect;
+      sessionManager.connect = jest.fn().mockRejectedValueOnce(new Error('Connection failed')).mockImplementation(connect);
+
+      const failed = await request(app)
+        .post('/api/v1/sessions')
+        .set('Authorization', auth)
+        .send({ id: 'support' });
+      expect(failed.status).toBe(500);
+      expect(sessionManager.has('support')).toBe(false);
+
+      const retried = await request(app)
+        .post('/api/v1/sessions')
+        .set('Authorization', auth)
+        .send({ id: 'support' });
+      expect(retried.status).toBe(201);
+    });
+
+    test('should open one connection for concurrent starts', async () => {
+      await sessionManager.create('sales');
+      await sessionManager.stop('sales');
+      sessionManager.connect = jest.fn(sessionManager.connect);
+
+      const [first, second] = await Promise.all([sessionManager.start('sales'), sessionManager.start('sales')]);
+
+      expect(first).toBe(second);
+      expect(sessionManager.connect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep a session stopped or deleted while it was starting', async () => {
+      await sessionManager.create('sales');
+      await sessionManager.stop('sales');
+      const connect = sessionManager.connect;
+      let finishConnect;
+      sessionManager.connect = jest.fn((...args) => new Promise((resolve) => {
+        finishConnect = () => resolve(connect(...args));
+      }));
+
+      const started = sessionManager.start('sales');
+      const stopped = sessionManager.stop('sales');
+      finishConnect();
+      await Promise.all([started, stopped]);
+
+      expect(sessionManager.getStatus('sales')).toMatchObject({ running: false, autoStart: false });
+
+      const restarted = sessionManager.start('sales');
+      const deleted = sessionManager.delete('sales');
+      finishConnect();
+      await Promise.all([restarted, deleted]);
+
+      expect(sessionManager.has('sales')).toBe(false);
+      expect(sessionManager.get('sales')).toBeNull();
+    });
+
+    test('should reject invalid and duplicate session IDs', async () => {
+      const invalid = await request(app)
+        .post('/api/v1/sessions')
+        .set('Authorization', auth)
+        .send({ id: '../etc' });
+      expect(invalid.status).toBe(400);
+
+      const duplicate = await request(app)
+        .post('/api/v1/sessions')
+        .set('Authorization', auth)
+        .send({ id: 'default' });
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('should return 404 for unknown sessions on scoped routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/sessions/unknown/status')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Session not found');
+    });
+
+    test('should send through the scoped session and tag the message', async () => {
+      const sales = await sessionManager.create('sales');
+      sales.setConnected(true, '15550001111');
+      sales.setSock({
+        sendMessage: jest.fn().mockResolvedValue({ key: { id: 'SALES1' } }),
+        onWhatsApp: jest.fn().mockResolvedValue([{ exists: true, jid: '919876543210@s.whatsapp.net' }])
+      });
+
+      const res = await request(app)
+        .post('/api/v1/sessions/sales/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hello from sales' });
+
+      expect(res.status).toBe(200);
+      expect(sales.sock.sendMessage).toHaveBeenCalled();
+      expect(getMessageById(db, res.body.data.id).session_id).toBe('sales');
+    });
+
+    test('should scope inbox and replies to the session', async () => {
+      await sessionManager.create('sales');
+      insertMessage(db, 'incoming', '111@s.whatsapp.net', 'Default message', 'unread');
+      const salesMessage = insertMessage(db, 'incoming', '222@s.whatsapp.net', 'Sales message', 'unread', 'text', null, null, 'sales');
+
+      const inbox = await request(app)
+        .get('/api/v1/sessions/sales/inbox')
+        .set('X-API-Key', apiKey);
+
+      expect(inbox.body.data).toHaveLength(1);
+      expect(inbox.body.data[0].message).toBe('Sales message');
+
+      const defaultInbox = await request(app)
+        .get('/api/v1/inbox')
+        .set('X-API-Key', apiKey);
+
+      expect(defaultInbox.body.data).toHaveLength(1);
+      expect(defaultInbox.body.data[0].message).toBe('Default message');
+
+      // Message of another session is not visible through the default routes
+      const res = await request(app)
+        .patch(`/api/v1/messages/${salesMessage.lastInsertRowid}/status`)
+        .set('X-API-Key', apiKey)
+        .send({ status: 'replied' });
+      expect(res.status).toBe(404);
+    });
+
+    test('should stop and start a session', async () => {
+      await sessionManager.create('sales');
+
+      const stopped = await request(app)
+        .post('/api/v1/sessions/sales/stop')
+        .set('Authorization', auth);
+
+      expect(stopped.status).toBe(200);
+      expect(stopped.body.data).toMatchObject({ running: false, autoStart: false, connected: false });
+
+      const status = await request(app)
+        .get('/api/v1/sessions/sales/status')
+        .set('X-API-Key', apiKey);
+      expect(status.body.data.connected).toBe(false);
+
+      const started = await request(app)
+        .post('/api/v1/sessions/sales/start')
+        .set('Authorization', auth);
+
+      expect(started.status).toBe(200);
+      expect(started.body.data.running).toBe(true);
+    });
+
+    test('should delete a session but keep its messages', async () => {
+      await sessionManager.create('sales');
+      const message = insertMessage(db, 'incoming', '222@s.whatsapp.net', 'Hi', 'unread', 'text', null, null, 'sales');
+
+      const res = await request(app)
+        .delete('/api/v1/sessions/sales')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(sessionManager.has('sales')).toBe(false);
+      expect(getMessageById(db, message.lastInsertRowid)).toBeDefined();
+    });
+
+    test('should not delete the default session', async () => {
+      const res = await request(app)
+        .delete('/api/v1/sessions/default')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('API keys', () => {
+    const auth = 'Basic ' + Buffer.from('testuser:testpass').toString('base64');
+
+    async function createKey(body) {
+      return request(app)
+        .post('/api/v1/keys')
+        .set('Authorization', auth)
+        .send(body);
+    }
+
+    test('should require Basic Auth for key management', async () => {
+      const res = await request(app)
+        .get('/api/v1/keys')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(401);
+    });
+
+    test('should create a key and show it only once', async () => {
+      const res = await createKey({ name: 'CRM', scopes: ['inbox'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.key).toMatch(/^owk_/);
+      expect(res.body.data).toMatchObject({ name: 'CRM', scopes: ['inbox'], status: 'active' });
+
+      const list = await request(app)
+        .get('/api/v1/keys')
+        .set('Authorization', auth);
+
+      expect(list.body.data).toHaveLength(2);
+      expect(list.body.data[0].key).toBeUndefined();
+      expect(list.body.data[0].prefix).toBe(res.body.data.key.slice(0, 12));
+    });
+
+    test('should validate name, scopes and expiry', async () => {
+      expect((await createKey({ scopes: ['inbox'] })).status).toBe(400);
+      expect((await createKey({ name: 'CRM', scopes: ['everything'] })).body.error).toMatch(/^scopes\[0\] must be one of: \*, inbox/);
+      expect((await createKey({ name: 'CRM', scopes: ['send'], expiresAt: 'soon' })).status).toBe(400);
+      expect((await createKey({ name: 'CRM', scopes: ['send'], expiresAt: '2000-01-01T00:00:00Z' })).body.error)
+        .toBe('expiresAt must be in the future');
+    });
+
+    test('should enforce scopes', async () => {
+      const { body } = await createKey({ name: 'Reader', scopes: ['inbox'] });
+
+      const inbox = await request(app)
+        .get('/api/v1/inbox')
+        .set('X-API-Key', body.data.key);
+      expect(inbox.status).toBe(200);
+
+      const send = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', body.data.key)
+        .send({ to: '919876543210', message: 'Hi' });
+      expect(send.status).toBe(403);
+      expect(send.body.error).toContain("'send'");
+
+      const webhooks = await request(app)
+        .get('/api/v1/webhooks')
+        .set('X-API-Key', body.data.key);
+      expect(webhooks.status).toBe(403);
+    });
+
+    test('should record last use', async () => {
+      await request(app).get('/api/v1/status').set('X-API-Key', apiKey);
+
+      const list = await request(app)
+        .get('/api/v1/keys')
+        .set('Authorization', auth);
+      expect(list.body.data[0].last_used_at).toBeTruthy();
+    });
+
+    test('should reject revoked and expired keys', async () => {
+      const { body } = await createKey({ name: 'Temp', scopes: ['*'] });
+
+      const revoke = await request(app)
+        .delete(`/api/v1/keys/${body.data.id}`)
+        .set('Authorization', auth);
+      expect(revoke.status).toBe(200);
+
+      const revoked = await request(app)
+        .get('/api/v1/status')
+        .set('X-API-Key', body.data.key);
+      expect(revoked.status).toBe(401);
+      expect(revoked.body.error).toBe('API key revoked');
+
+      const expiring = await createKey({ name: 'Expiring', scopes: ['*'], expiresAt: new Date(Date.now() + 60000).toISOString() });
+      db.prepare('UPDATE api_keys SET expires_at = ? WHERE id = ?').run('2000-01-01T00:00:00.000Z', expiring.body.data.id);
+
+      const expired = await request(app)
+        .get('/api/v1/status')
+        .set('X-API-Key', expiring.body.data.key);
+      expect(expired.status).toBe(401);
+      expect(expired.body.error).toBe('API key expired');
+    });
+
+    test('should keep the old key working during the rotation grace period', async () => {
+      const { body } = await createKey({ name: 'CRM', scopes: ['inbox'] });
+
+      const rotate = await request(app)
+        .post(`/api/v1/keys/${body.data.id}/rotate`)
+        .set('Authorization', auth)
+        .send({ graceHours: 1 });
+
+      expect(rotate.status).toBe(200);
+      expect(rotate.body.data.key).not.toBe(body.data.key);
+      expect(rotate.body.data.scopes).toEqual(['inbox']);
+      expect(rotate.body.data.previous.expires_at).toBe(rotate.body.data.previousExpiresAt);
+
+      for (const key of [body.data.key, rotate.body.data.key]) {
+        const res = await request(app).get('/api/v1/inbox').set('X-API-Key', key);
+        expect(res.status).toBe(200);
+      }
+    });
+
+    test('should revoke the old key when rotating without grace period', async () => {
+      const { body } = await createKey({ name: 'CRM', scopes: ['inbox'] });
+
+      await request(app)
+        .post(`/api/v1/keys/${body.data.id}/rotate`)
+        .set('Authorization', auth)
+        .send({ graceHours: 0 });
+
+      const res = await request(app).get('/api/v1/inbox').set('X-API-Key', body.data.key);
+      expect(res.status).toBe(401);
+
+      const again = await request(app)
+        .post(`/api/v1/keys/${body.data.id}/rotate`)
+        .set('Authorization', auth);
+      expect(again.status).toBe(400);
+    });
+
+    test('should accept dashboard credentials on API key routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/inbox')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('Conversations', () => {
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Hi, where is order 4417?', 'unread', 'text', null, 'Asha');
+      insertMessage(db, 'outgoing', '919800000111@s.whatsapp.net', 'It ships today', 'sent', 'text');
+      insertMessage(db, 'incoming', '919800000222@s.whatsapp.net', 'Hello', 'unread', 'text', null, 'Ravi');
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Thanks!', 'unread', 'text', null, 'Asha');
+    });
+
+    test('should require API key', async () => {
+      const res = await request(app).get('/api/v1/conversations');
+      expect(res.status).toBe(401);
+    });
+
+    test('should list one row per phone by last activity', async () => {
+      const res = await request(app)
+        .get('/api/v1/conversations')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((c) => c.phone)).toEqual(['919800000111@s.whatsapp.net', '919800000222@s.whatsapp.net']);
+      expect(res.body.data[0]).toMatchObject({
+        sender_name: 'Asha',
+        unread_count: 2,
+        message_count: 3,
+        last_message: { direction: 'incoming', message: 'Thanks!' }
+      });
+      expect(res.body.paging.nextCursor).toBeNull();
+    });
+
+    test('should paginate conversations with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/v1/conversations?limit=1')
+        .set('X-API-Key', apiKey);
+
+      expect(first.body.data).toHaveLength(1);
+      expect(first.body.paging.nextCursor).not.toBeNull();
+
+      const second = await request(app)
+        .get(`/api/v1/conversations?limit=1&cursor=${first.body.paging.nextCursor}`)
+        .set('X-API-Key', apiKey);
+
+      expect(second.body.data.map((c) => c.phone)).toEqual(['919800000222@s.whatsapp.net']);
+      expect(second.body.paging.nextCursor).toBeNull();
+    });
+
+    test('should return both directions in order', async () => {
+      const res = await request(app)
+        .get('/api/v1/conversations/919800000111/messages')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((m) => m.message)).toEqual(['Hi, where is order 4417?', 'It ships today', 'Thanks!']);
+      expect(res.body.data.map((m) => m.direction)).toEqual(['incoming', 'outgoing', 'incoming']);
+    });
+
+    test('should page backwards through older messages', async () => {
+      const first = await request(app)
+        .get('/api/v1/conversations/919800000111@s.whatsapp.net/messages?limit=2')
+        .set('X-API-Key', apiKey);
+
+      expect(first.body.data.map((m) => m.message)).toEqual(['It ships today', 'Thanks!']);
+
+      const second = await request(app)
+        .get(`/api/v1/conversations/919800000111@s.whatsapp.net/messages?limit=2&cursor=${first.body.paging.nextCursor}`)
+        .set('X-API-Key', apiKey);
+
+      expect(second.body.data.map((m) => m.message)).toEqual(['Hi, where is order 4417?']);
+      expect(second.body.paging.nextCursor).toBeNull();
+    });
+
+    test('should reject invalid phone and cursor', async () => {
+      const phone = await request(app)
+        .get('/api/v1/conversations/abc/messages')
+        .set('X-API-Key', apiKey);
+      expect(phone.status).toBe(400);
+
+      const cursor = await request(app)
+        .get('/api/v1/conversations?cursor=xyz')
+        .set('X-API-Key', apiKey);
+      expect(cursor.status).toBe(400);
+      expect(cursor.body.error).toBe('cursor must be an integer');
+    });
+  });
+
+  describe('GET /messages', () => {
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Hi', 'replied', 'text', null, 'Asha');
+      insertMessage(db, 'outgoing', '919800000111@s.whatsapp.net', 'Hello Asha', 'sent', 'text');
+      insertMessage(db, 'incoming', '919800000222@s.whatsapp.net', 'Photo', 'unread', 'image', 'a.jpg', 'Ravi');
+    });
+
+    test('should require API key', async () => {
+      const res = await request(app).get('/api/v1/messages');
+      expect(res.status).toBe(401);
+    });
+
+    test('should list all messages newest first with a total', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((m) => m.message)).toEqual(['Photo', 'Hello Asha', 'Hi']);
+      expect(res.body.paging).toEqual({ limit: 50, nextCursor: null, total: 3 });
+    });
+
+    test('should filter messages', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages?direction=incoming&status=unread,replied&senderName=ash&phone=919800000111')
+        .set('X-API-Key', apiKey);
+
+      expect(res.body.data.map((m) => m.message)).toEqual(['Hi']);
+      expect(res.body.paging.total).toBe(1);
+
+      const media = await request(app)
+        .get('/api/v1/messages?mediaType=image')
+        .set('X-API-Key', apiKey);
+      expect(media.body.data.map((m) => m.media_url)).toEqual(['a.jpg']);
+    });
+
+    test('should page oldest first with a stable cursor', async () => {
+      const first = await request(app)
+        .get('/api/v1/messages?order=asc&limit=2')
+        .set('X-API-Key', apiKey);
+      expect(first.body.data.map((m) => m.message)).toEqual(['Hi', 'Hello Asha']);
+
+      // Messages arriving between pages do not shift the next page
+      insertMessage(db, 'incoming', '919800000222@s.whatsapp.net', 'Later', 'unread');
+
+      const second = await request(app)
+        .get(`/api/v1/messages?order=asc&limit=2&cursor=${first.body.paging.nextCursor}`)
+        .set('X-API-Key', apiKey);
+      expect(second.body.data.map((m) => m.message)).toEqual(['Photo', 'Later']);
+      expect(second.body.paging.total).toBe(4);
+    });
+
+    test('should validate filters and order', async () => {
+      const order = await request(app)
+        .get('/api/v1/messages?order=random')
+        .set('X-API-Key', apiKey);
+      expect(order.status).toBe(400);
+      expect(order.body.error).toBe('order must be one of: asc, desc');
+
+      const status = await request(app)
+        .get('/api/v1/messages?status=archived')
+        .set('X-API-Key', apiKey);
+      expect(status.status).toBe(400);
+    });
+  });
+
+  describe('Timezones', () => {
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Early', 'unread', 'text', null, null, 'default', null, '2024-05-01T10:00:00.000Z');
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Late', 'unread', 'text', null, null, 'default', null, '2024-05-01T20:00:00.000Z');
+    });
+
+    test('should return UTC timestamps by default', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages')
+        .set('X-API-Key', apiKey);
+
+      expect(res.body.data.map((m) => m.created_at)).toEqual(['2024-05-01T20:00:00.000Z', '2024-05-01T10:00:00.000Z']);
+    });
+
+    test('should show timestamps in the requested timezone', async () => {
+      const query = await request(app)
+        .get('/api/v1/messages?timezone=Asia/Kolkata')
+        .set('X-API-Key', apiKey);
+      expect(query.body.data.map((m) => m.created_at)).toEqual(['2024-05-02T01:30:00.000+05:30', '2024-05-01T15:30:00.000+05:30']);
+
+      const header = await request(app)
+        .get('/api/v1/messages')
+        .set('X-API-Key', apiKey)
+        .set('X-Timezone', 'America/New_York');
+      expect(header.body.data[0].created_at).toBe('2024-05-01T16:00:00.000-04:00');
+    });
+
+    test('should read dates of filters in the requested timezone', async () => {
+      const utc = await request(app)
+        .get('/api/v1/messages?from=2024-05-01&to=2024-05-01')
+        .set('X-API-Key', apiKey);
+      expect(utc.body.data.map((m) => m.message)).toEqual(['Late', 'Early']);
+
+      // 2024-05-01 in India ends at 18:30 UTC
+      const india = await request(app)
+        .get('/api/v1/messages?from=2024-05-01&to=2024-05-01&timezone=Asia/Kolkata')
+        .set('X-API-Key', apiKey);
+      expect(india.body.data.map((m) => m.message)).toEqual(['Early']);
+    });
+
+    test('should reject unknown timezones', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages?timezone=Mars/Olympus')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid timezone: Mars/Olympus. Use an IANA name such as UTC or Asia/Kolkata');
+    });
+  });
+
+  describe('GET /messages/search', () => {
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Hi, where is order 4417?', 'unread', 'text', null, 'Asha');
+      insertMessage(db, 'outgoing', '919800000111@s.whatsapp.net', 'Order 4417 ships today', 'sent', 'text');
+      insertMessage(db, 'incoming', '919800000222@s.whatsapp.net', 'New order please', 'replied', 'text', null, 'Ravi');
+    });
+
+    test('should require API key', async () => {
+      const res = await request(app).get('/api/v1/messages/search?q=order');
+      expect(res.status).toBe(401);
+    });
+
+    test('should return matches newest first with highlighted snippets', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages/search?q=order')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((m) => m.message)).toEqual([
+        'New order please',
+        'Order 4417 ships today',
+        'Hi, where is order 4417?'
+      ]);
+      expect(res.body.data[0].snippet).toBe('New <mark>order</mark> please');
+      expect(res.body.paging.nextCursor).toBeNull();
+    });
+
+    test('should apply filters', async () => {
+      const res = await request(app)
+        .get('/api/v1/messages/search?q=4417&direction=incoming&phone=919800000111&status=unread,replied')
+        .set('X-API-Key', apiKey);
+
+      expect(res.body.data.map((m) => m.message)).toEqual(['Hi, where is order 4417?']);
+
+      const dated = await request(app)
+        .get('/api/v1/messages/search?q=order&to=2000-01-01')
+        .set('X-API-Key', apiKey);
+      expect(dated.body.data).toEqual([]);
+    });
+
+    test('should paginate with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/v1/messages/search?q=order&limit=2')
+        .set('X-API-Key', apiKey);
+      expect(first.body.data).toHaveLength(2);
+
+      const second = await request(app)
+        .get(`/api/v1/messages/search?q=order&limit=2&cursor=${first.body.paging.nextCursor}`)
+        .set('X-API-Key', apiKey);
+      expect(second.body.data.map((m) => m.message)).toEqual(['Hi, where is order 4417?']);
+      expect(second.body.paging.nextCursor).toBeNull();
+    });
+
+    test('should only search the requested session', async () => {
+      await sessionManager.create('sales');
+
+      const res = await request(app)
+        .get('/api/v1/sessions/sales/messages/search?q=order')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+    });
+
+    test('should validate query and filters', async () => {
+      const cases = [
+        ['', 'q is required'],
+        ['?q=%20', 'q must not be empty'],
+        ['?q=order&direction=sideways', 'direction must be one of: incoming, outgoing'],
+        ['?q=order&status=unread,archived', 'status[1] must be one of: unread, replied, ignored, sent'],
+        ['?q=order&phone=abc', 'Invalid phone number or JID'],
+        ['?q=order&from=yesterday', "Invalid 'from' date. Use ISO 8601 (e.g. 2024-05-01 or 2024-05-01T10:00:00Z)"]
+      ];
+
+      for (const [query, error] of cases) {
+        const res = await request(app)
+          .get(`/api/v1/messages/search${query}`)
+          .set('X-API-Key', apiKey);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(error);
+      }
+    });
+  });
+
+  describe('Group messages', () => {
+    let messageId;
+
+    beforeEach(() => {
+      saveGroup(db, '120363000000000001@g.us', { subject: 'Support Team', participants: [] });
+      updateContactDetails(db, '919800000111@s.whatsapp.net', { displayName: 'Asha (VIP)' });
+      messageId = insertMessage(
+        db, 'incoming', '120363000000000001@g.us', 'Anyone there?', 'unread', 'text', null, 'Asha', 'default', '919800000111@s.whatsapp.net'
+      ).lastInsertRowid;
+    });
+
+    test('should show group context in the inbox', async () => {
+      const res = await request(app)
+        .get('/api/v1/inbox')
+        .set('X-API-Key', apiKey);
+
+      expect(res.body.data[0]).toMatchObject({
+        phone: '120363000000000001@g.us',
+        chat_jid: '120363000000000001@g.us',
+        sender_jid: '919800000111@s.whatsapp.net',
+        contact_name: 'Asha (VIP)',
+        is_group: true,
+        group_subject: 'Support Team'
+      });
+    });
+
+    test('should reply in the group', async () => {
+      const sendMessage = jest.fn().mockResolvedValue({});
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({ sendMessage });
+
+      const res = await request(app)
+        .post(`/api/v1/messages/${messageId}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ message: 'Yes, how can we help?' });
+
+      expect(res.status).toBe(200);
+      expect(sendMessage).toHaveBeenCalledWith('120363000000000001@g.us', { text: 'Yes, how can we help?' });
+    });
+  });
+
+  describe('Contacts', () => {
+    beforeEach(() => {
+      upsertContact(db, '919800000111@s.whatsapp.net', { notify: 'Asha', lid: '5511@lid' });
+      upsertContact(db, '919800000222@s.whatsapp.net', { name: 'Ravi Kumar' });
+    });
+
+    test('should require API key', async () => {
+      const res = await request(app).get('/api/v1/contacts');
+      expect(res.status).toBe(401);
+    });
+
+    test('should list and search contacts', async () => {
+      const res = await request(app)
+        .get('/api/v1/contacts')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((c) => c.name)).toEqual(['Ravi Kumar', 'Asha']);
+      expect(res.body.paging.nextCursor).toBeNull();
+
+      const search = await request(app)
+        .get('/api/v1/contacts?search=asha')
+        .set('X-API-Key', apiKey);
+      expect(search.body.data).toHaveLength(1);
+      expect(search.body.data[0]).toMatchObject({
+        jid: '919800000111@s.whatsapp.net',
+        lid: '5511@lid',
+        phone: '919800000111',
+        push_name: 'Asha'
+      });
+    });
+
+    test('should get a contact by phone number or LID', async () => {
+      const byPhone = await request(app)
+        .get('/api/v1/contacts/919800000111')
+        .set('X-API-Key', apiKey);
+      expect(byPhone.body.data.jid).toBe('919800000111@s.whatsapp.net');
+
+      const byLid = await request(app)
+        .get('/api/v1/contacts/5511@lid')
+        .set('X-API-Key', apiKey);
+      expect(byLid.body.data.jid).toBe('919800000111@s.whatsapp.net');
+
+      const missing = await request(app)
+        .get('/api/v1/contacts/919800000999')
+        .set('X-API-Key', apiKey);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should update display name, notes and external ID', async () => {
+      const res = await request(app)
+        .patch('/api/v1/contacts/5511@lid')
+        .set('X-API-Key', apiKey)
+        .send({ displayName: 'Asha (VIP)', notes: 'Prefers mornings', externalId: 'crm-7' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        jid: '919800000111@s.whatsapp.net',
+        name: 'Asha (VIP)',
+        display_name: 'Asha (VIP)',
+        notes: 'Prefers mornings',
+        external_id: 'crm-7'
+      });
+
+      const cleared = await request(app)
+        .patch('/api/v1/contacts/919800000111')
+        .set('X-API-Key', apiKey)
+        .send({ displayName: null });
+      expect(cleared.body.data).toMatchObject({ name: 'Asha', notes: 'Prefers mornings' });
+    });
+
+    test('should create a contact that has not written yet', async () => {
+      const res = await request(app)
+        .patch('/api/v1/contacts/919800000333')
+        .set('X-API-Key', apiKey)
+        .send({ externalId: 'crm-9' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ jid: '919800000333@s.whatsapp.net', external_id: 'crm-9' });
+    });
+
+    test('should validate contact details', async () => {
+      const cases = [
+        [{}, 'body must include one of: displayName, notes, externalId'],
+        [{ displayName: 42 }, 'displayName must be a string or null'],
+        [{ externalId: 'x'.repeat(101) }, 'externalId must be at most 100 characters']
+      ];
+
+      for (const [body, error] of cases) {
+        const res = await request(app)
+          .patch('/api/v1/contacts/919800000111')
+          .set('X-API-Key', apiKey)
+          .send(body);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(error);
+      }
+    });
+
+    test('should require the contacts scope', async () => {
+      const { key } = createApiKey(db, { name: 'Reader', scopes: ['inbox'] });
+
+      const res = await request(app)
+        .get('/api/v1/contacts')
+        .set('X-API-Key', key);
+      expect(res.status).toBe(403);
+    });
+
+    test('should show contact names in the inbox', async () => {
+      updateContactDetails(db, '919800000111@s.whatsapp.net', { displayName: 'Asha (VIP)', externalId: 'crm-7' });
+      insertMessage(db, 'incoming', '5511@lid', 'Hi', 'unread', 'text', null, 'Asha');
+
+      const res = await request(app)
+        .get('/api/v1/inbox')
+        .set('X-API-Key', apiKey);
+
+      expect(res.body.data[0]).toMatchObject({ sender_name: 'Asha', contact_name: 'Asha (VIP)', external_id: 'crm-7' });
+    });
+  });
+
+  describe('Scheduled messages', () => {
+    const sendAt = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const schedule = (body) => request(app)
+      .post('/api/v1/scheduled')
+      .set('X-API-Key', apiKey)
+      .send({ to: '919876543210', message: 'Reminder', sendAt: sendAt(), ...body });
+
+    test('should schedule message', async () => {
+      const res = await schedule();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        session: 'default',
+        to: '919876543210@s.whatsapp.net',
+        message: 'Reminder',
+        media: null,
+        status: 'pending',
+        when_disconnected: 'send'
+      });
+    });
+
+    test('should normalise sendAt with an offset to UTC', async () => {
+      const res = await schedule({ sendAt: '2099-05-01T09:00:00+05:30' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.send_at).toBe('2099-05-01T03:30:00.000Z');
+    });
+
+    test('should leave base64 media data out of responses', async () => {
+      const res = await schedule({
+        message: undefined,
+        media: { type: 'document', data: Buffer.from('%PDF').toString('base64'), filename: 'invoice.pdf' }
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.media).toEqual({ type: 'document', filename: 'invoice.pdf' });
+    });
+
+    test('should reject sendAt in the past', async () => {
+      const res = await schedule({ sendAt: '2020-01-01T00:00:00Z' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('sendAt must be in the future');
+    });
+
+    test('should reject invalid sendAt', async () => {
+      const res = await schedule({ sendAt: 'tomorrow' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^sendAt must be an ISO 8601 date-time/);
+    });
+
+    test('should reject invalid whenDisconnected', async () => {
+      const res = await schedule({ whenDisconnected: 'drop' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('whenDisconnected must be one of: send, miss');
+    });
+
+    test('should validate payload like the send endpoint', async () => {
+      const res = await schedule({ message: undefined });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('body must include one of: message, image, media, templateId');
+    });
+
+    test('should require send scope', async () => {
+      const { key } = createApiKey(db, { name: 'reader', scopes: ['inbox'] });
+      const res = await request(app).get('/api/v1/scheduled').set('X-API-Key', key);
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should list and filter scheduled messages', async () => {
+      const first = await schedule();
+      await schedule({ whenDisconnected: 'miss' });
+      await request(app).delete(`/api/v1/scheduled/${first.body.data.id}`).set('X-API-Key', apiKey);
+
+      const all = await request(app).get('/api/v1/scheduled').set('X-API-Key', apiKey);
+      expect(all.body.data).toHaveLength(2);
+
+      const cancelled = await request(app).get('/api/v1/scheduled?status=cancelled').set('X-API-Key', apiKey);
+      expect(cancelled.body.data.map((row) => row.id)).toEqual([first.body.data.id]);
+
+      const invalid = await request(app).get('/api/v1/scheduled?status=queued').set('X-API-Key', apiKey);
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should get scheduled message by ID', async () => {
+      const created = await schedule();
+      const res = await request(app).get(`/api/v1/scheduled/${created.body.data.id}`).set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe(created.body.data.id);
+    });
+
+    test('should not find scheduled messages of other sessions', async () => {
+      await request(app)
+        .post('/api/v1/sessions')
+        .auth('testuser', 'testpass')
+        .send({ id: 'sales' });
+      const created = await schedule();
+
+      const res = await request(app).get(`/api/v1/sessions/sales/scheduled/${created.body.data.id}`).set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Scheduled message not found');
+    });
+
+    test('should cancel pending message once', async () => {
+      const created = await schedule();
+      const url = `/api/v1/scheduled/${created.body.data.id}`;
+
+      const cancelled = await request(app).delete(url).set('X-API-Key', apiKey);
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.data.status).toBe('cancelled');
+
+      const again = await request(app).delete(url).set('X-API-Key', apiKey);
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe('Scheduled message is already cancelled');
+    });
+  });
+
+  describe('Broadcasts', () => {
+    const create = (body) => request(app)
+      .post('/api/v1/broadcasts')
+      .set('X-API-Key', apiKey)
+      .send({
+        name: 'Diwali offer',
+        message: 'Hi {{name}}',
+        recipients: [
+          { to: '919800000001', variables: { name: 'Asha' } },
+          { to: '919800000002', variables: { name: 'Ravi' } }
+        ],
+        ...body
+      });
+
+    test('should create broadcast with progress', async () => {
+      const res = await create({ ratePerMinute: 10, jitterSeconds: 0 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        session: 'default',
+        name: 'Diwali offer',
+        message: 'Hi {{name}}',
+        status: 'running',
+        rate_per_minute: 10,
+        jitter_seconds: 0,
+        progress: { total: 2, pending: 2, sent: 0, failed: 0, cancelled: 0, percent: 0 }
+      });
+    });
+
+    test('should use default pace when not given', async () => {
+      const res = await create();
+
+      expect(res.body.data.rate_per_minute).toBe(20);
+      expect(res.body.data.jitter_seconds).toBe(5);
+    });
+
+    test('should accept plain numbers and skip repeated recipients', async () => {
+      const res = await create({ message: 'Sale today', recipients: ['919800000001', '+91 98000 00001', '919800000002'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.progress.total).toBe(2);
+    });
+
+    test('should reject recipients missing placeholder variables', async () => {
+      const res = await create({ recipients: [{ to: '919800000001', variables: { name: 'Asha' } }, { to: '919800000002' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('recipients[1] is missing variables: name');
+    });
+
+    test('should reject invalid recipients', async () => {
+      const empty = await create({ recipients: [] });
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('recipients must have 1 to 1000 items');
+
+      const invalid = await create({ message: 'Hi', recipients: ['919800000001', 'nope'] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('recipients[1]: Invalid phone number or JID');
+    });
+
+    test('should reject out of range pace', async () => {
+      const res = await create({ ratePerMinute: 600 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('ratePerMinute must be an integer from 1 to 60');
+    });
+
+    test('should list per-recipient results', async () => {
+      const created = await create();
+      const res = await request(app)
+        .get(`/api/v1/broadcasts/${created.body.data.id}/recipients`)
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((recipient) => recipient.to)).toEqual([
+        '919800000001@s.whatsapp.net',
+        '919800000002@s.whatsapp.net'
+      ]);
+      expect(res.body.data[0]).toMatchObject({ variables: { name: 'Asha' }, status: 'pending', message_id: null });
+    });
+
+    test('should pause, resume and cancel', async () => {
+      const created = await create();
+      const url = `/api/v1/broadcasts/${created.body.data.id}`;
+
+      const paused = await request(app).post(`${url}/pause`).set('X-API-Key', apiKey);
+      expect(paused.body.data.status).toBe('paused');
+
+      const pausedAgain = await request(app).post(`${url}/pause`).set('X-API-Key', apiKey);
+      expect(pausedAgain.status).toBe(409);
+      expect(pausedAgain.body.error).toBe('Cannot pause a broadcast that is paused');
+
+      const resumed = await request(app).post(`${url}/resume`).set('X-API-Key', apiKey);
+      expect(resumed.body.data.status).toBe('running');
+
+      const cancelled = await request(app).post(`${url}/cancel`).set('X-API-Key', apiKey);
+      expect(cancelled.body.data.status).toBe('cancelled');
+      expect(cancelled.body.data.progress).toMatchObject({ pending: 0, cancelled: 2, percent: 100 });
+
+      const resumeCancelled = await request(app).post(`${url}/resume`).set('X-API-Key', apiKey);
+      expect(resumeCancelled.status).toBe(409);
+    });
+
+    test('should get and list broadcasts of the session only', async () => {
+      const created = await create();
+
+      const found = await request(app).get(`/api/v1/broadcasts/${created.body.data.id}`).set('X-API-Key', apiKey);
+      expect(found.body.data.id).toBe(created.body.data.id);
+
+      const list = await request(app).get('/api/v1/broadcasts?status=running').set('X-API-Key', apiKey);
+      expect(list.body.data).toHaveLength(1);
+
+      await request(app)
+        .post('/api/v1/sessions')
+        .auth('testuser', 'testpass')
+        .send({ id: 'sales' });
+      const other = await request(app).get(`/api/v1/sessions/sales/broadcasts/${created.body.data.id}`).set('X-API-Key', apiKey);
+      expect(other.status).toBe(404);
+      expect(other.body.error).toBe('Broadcast not found');
+    });
+  });
+
+  describe('Outbound queue', () => {
+    test('should queue send while disconnected and return 202', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hello', queue: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body.data).toMatchObject({ to: '919876543210@s.whatsapp.net', status: 'queued' });
+
+      const message = await request(app).get(`/api/v1/messages/${res.body.data.id}`).set('X-API-Key', apiKey);
+      expect(message.body.data.delivery_status).toBe('queued');
+      expect(message.body.data.timeline.map((step) => step.status)).toEqual(['queued']);
+    });
+
+    test('should queue by default when OUTBOUND_QUEUE is on', async () => {
+      config.OUTBOUND_QUEUE = true;
+      try {
+        const res = await request(app)
+          .post('/api/v1/messages/send')
+          .set('X-API-Key', apiKey)
+          .send({ to: '919876543210', message: 'Hello' });
+
+        expect(res.status).toBe(202);
+      } finally {
+        delete config.OUTBOUND_QUEUE;
+      }
+    });
+
+    test('should still reject sends while disconnected without the queue', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hello', queue: false });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('WhatsApp not connected');
+    });
+
+    test('should reject non-boolean queue', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Hello', queue: 'yes' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('queue must be a boolean or null');
+    });
+
+    test('should queue reply to the original chat', async () => {
+      const incoming = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Hi', 'unread').lastInsertRowid;
+
+      const res = await request(app)
+        .post(`/api/v1/messages/${incoming}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ message: 'Thanks', queue: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.to).toBe('919876543210@s.whatsapp.net');
+      // Marked replied only once the queue has sent it
+      expect(getMessageById(db, incoming).reply_status).toBe('unread');
+
+      const queue = await request(app).get('/api/v1/queue?status=queued').set('X-API-Key', apiKey);
+      expect(queue.body.data).toHaveLength(1);
+      expect(queue.body.data[0]).toMatchObject({
+        id: res.body.data.queueId,
+        message_id: res.body.data.id,
+        message: 'Thanks',
+        reply_to: incoming,
+        status: 'queued',
+        attempts: 0
+      });
+    });
+
+    test('should reject missing stored media when queueing', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', media: { type: 'document', mediaId: 999 }, queue: true });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Stored media not found');
+    });
+
+    test('should reject invalid queue status filter', async () => {
+      const res = await request(app).get('/api/v1/queue?status=pending').set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Templates', () => {
+    const createShipped = () => createTemplate(db, {
+      name: 'order_shipped',
+      defaultLanguage: 'en',
+      variants: {
+        en: { text: 'Hi {{name}}, order {{order_id}} has shipped', media: null },
+        hi: { text: 'नमस्ते {{name}}, ऑर्डर {{order_id}} भेज दिया गया है', media: null }
+      }
+    });
+
+    test('should create template', async () => {
+      const res = await request(app)
+        .post('/api/v1/templates')
+        .set('X-API-Key', apiKey)
+        .send({
+          name: 'invoice',
+          variants: [{ language: 'en', text: 'Invoice {{number}}', media: { type: 'document', url: 'https://example.com/i.pdf' } }]
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        name: 'invoice',
+        default_language: 'en',
+        languages: ['en'],
+        placeholders: ['number'],
+        variants: [{ language: 'en', text: 'Invoice {{number}}', media: { type: 'document', url: 'https://example.com/i.pdf' } }]
+      });
+    });
+
+    test('should reject duplicate template names', async () => {
+      createShipped();
+
+      const res = await request(app)
+        .post('/api/v1/templates')
+        .set('X-API-Key', apiKey)
+        .send({ name: 'order_shipped', variants: [{ language: 'en', text: 'Hi' }] });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('should require templates scope', async () => {
+      const { key } = createApiKey(db, { name: 'sender', scopes: ['send'] });
+      const res = await request(app).get('/api/v1/templates').set('X-API-Key', key);
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should list, update and delete templates', async () => {
+      const { id } = createShipped();
+
+      const list = await request(app).get('/api/v1/templates?search=shipped').set('X-API-Key', apiKey);
+      expect(list.body.data.map((template) => template.id)).toEqual([id]);
+
+      const updated = await request(app)
+        .patch(`/api/v1/templates/${id}`)
+        .set('X-API-Key', apiKey)
+        .send({ defaultLanguage: 'hi' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.default_language).toBe('hi');
+      expect(updated.body.data.languages).toEqual(['en', 'hi']);
+
+      const deleted = await request(app).delete(`/api/v1/templates/${id}`).set('X-API-Key', apiKey);
+      expect(deleted.status).toBe(200);
+
+      const missing = await request(app).get(`/api/v1/templates/${id}`).set('X-API-Key', apiKey);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should reply with a filled template', async () => {
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({ sendMessage: jest.fn().mockResolvedValue({}) });
+      const { id } = createShipped();
+      const incoming = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Where is my order?', 'unread').lastInsertRowid;
+
+      const res = await request(app)
+        .post(`/api/v1/messages/${incoming}/reply`)
+        .set('X-API-Key', apiKey)
+        .send({ templateId: id, language: 'hi', variables: { name: 'Asha', order_id: 'A-17' } });
+
+      expect(res.status).toBe(200);
+      expect(whatsappState.sock.sendMessage).toHaveBeenCalledWith('919876543210@s.whatsapp.net', {
+        text: 'नमस्ते Asha, ऑर्डर A-17 भेज दिया गया है'
+      });
+    });
+
+    test('should reject sends with missing template variables', async () => {
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({ sendMessage: jest.fn(), onWhatsApp: jest.fn() });
+      const { id } = createShipped();
+
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', templateId: id, variables: { name: 'Asha' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Missing template variables: order_id');
+      expect(whatsappState.sock.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown template IDs', async () => {
+      const res = await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', templateId: 404 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Template not found');
+    });
+
+    test('should broadcast a template with per-recipient variables', async () => {
+      const { id } = createShipped();
+
+      const missing = await request(app)
+        .post('/api/v1/broadcasts')
+        .set('X-API-Key', apiKey)
+        .send({ templateId: id, recipients: [{ to: '919800000001', variables: { name: 'Asha' } }] });
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe('recipients[0] is missing variables: order_id');
+
+      const res = await request(app)
+        .post('/api/v1/broadcasts')
+        .set('X-API-Key', apiKey)
+        .send({ templateId: id, recipients: [{ to: '919800000001', variables: { name: 'Asha', order_id: 'A-17' } }] });
+      expect(res.status).toBe(201);
+      expect(res.body.data.message).toBe('Hi {{name}}, order {{order_id}} has shipped');
+    });
+  });
+
+  describe('Auto-reply rules', () => {
+    const createRule = (body) => request(app)
+      .post('/api/v1/rules')
+      .set('X-API-Key', apiKey)
+      .send({ name: 'Hours', match: { keywords: ['hours'] }, action: { type: 'reply', text: 'Hi {{name}}, we are open 9-5' }, ...body });
+
+    const testRules = (body) => request(app)
+      .post('/api/v1/rules/test')
+      .set('X-API-Key', apiKey)
+      .send(body);
+
+    test('should create rule', async () => {
+      const res = await createRule({ priority: 5, cooldownSeconds: 600 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        name: 'Hours',
+        enabled: true,
+        priority: 5,
+        session: null,
+        match: { keywords: ['hours'], groups: false },
+        action: { type: 'reply', text: 'Hi {{name}}, we are open 9-5' },
+        cooldown_seconds: 600,
+        trigger_count: 0
+      });
+    });
+
+    test('should return field errors for invalid rules', async () => {
+      expect((await createRule({ name: '' })).body.error).toBe('name must not be empty');
+      expect((await createRule({ match: { pattern: '[' } })).body.error).toContain('not a valid regular expression');
+      expect((await createRule({ action: { type: 'forward', webhookId: 9 } })).status).toBe(400);
+    });
+
+    test('should require rules scope', async () => {
+      const { key } = createApiKey(db, { name: 'sender', scopes: ['send'] });
+      const res = await request(app).get('/api/v1/rules').set('X-API-Key', key);
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should list, update and delete rules', async () => {
+      const { body: { data: low } } = await createRule({ name: 'Low' });
+      const { body: { data: high } } = await createRule({ name: 'High', priority: 2 });
+
+      const list = await request(app).get('/api/v1/rules').set('X-API-Key', apiKey);
+      expect(list.body.data.map((rule) => rule.name)).toEqual(['High', 'Low']);
+
+      const updated = await request(app)
+        .patch(`/api/v1/rules/${low.id}`)
+        .set('X-API-Key', apiKey)
+        .send({ enabled: false, action: { type: 'set_status', status: 'ignored' } });
+      expect(updated.body.data).toMatchObject({ name: 'Low', enabled: false, action: { type: 'set_status', status: 'ignored' } });
+
+      const deleted = await request(app).delete(`/api/v1/rules/${high.id}`).set('X-API-Key', apiKey);
+      expect(deleted.body.message).toBe('Rule deleted successfully');
+
+      const missing = await request(app).get(`/api/v1/rules/${high.id}`).set('X-API-Key', apiKey);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should dry-run saved rules without sending', async () => {
+      await createRule({ name: 'Menu', match: { keywords: ['menu'] } });
+      const { body: { data: hours } } = await createRule();
+
+      const res = await testRules({ text: 'What are your hours?', from: '919876543210', name: 'Asha' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        matched: { id: hours.id, name: 'Hours' },
+        action: { type: 'reply', text: 'Hi {{name}}, we are open 9-5', content: { message: 'Hi Asha, we are open 9-5' } },
+        rules: [
+          { id: 1, name: 'Menu', matched: false, cooldown_until: null },
+          { id: hours.id, name: 'Hours', matched: true, cooldown_until: null }
+        ]
+      });
+      expect(getMessageById(db, 1)).toBeUndefined();
+    });
+
+    test('should dry-run an unsaved rule', async () => {
+      const res = await testRules({
+        text: 'photo',
+        mediaType: 'image',
+        rule: { name: 'Draft', match: { mediaTypes: ['image'] }, action: { type: 'set_status', status: 'ignored' } }
+      });
+
+      expect(res.body.data.matched).toEqual({ id: null, name: 'Draft' });
+      expect(res.body.data.action).toEqual({ type: 'set_status', status: 'ignored' });
+    });
+
+    test('should validate dry-run input', async () => {
+      expect((await testRules({ from: 'abc' })).body.error).toBe('from must be a phone number or JID');
+      expect((await testRules({ mediaType: 'gif' })).status).toBe(400);
+      expect((await testRules({ rule: { name: 'Draft' } })).body.error).toBe('rule.action is required');
+    });
+  });
+
+  describe('Retention', () => {
+    const admin = (req) => req.auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+    const oldMessage = () => insertMessage(
+      db, 'incoming', '919800000111@s.whatsapp.net', 'Old', 'ignored',
+      'text', null, null, 'default', null, '2020-01-01T00:00:00.000Z'
+    ).lastInsertRowid;
+
+    test('should save rules with Basic Auth only', async () => {
+      const rules = [{ target: 'messages', olderThanDays: 90, status: ['ignored'] }];
+
+      const withKey = await request(app)
+        .put('/api/v1/retention')
+        .set('X-API-Key', apiKey)
+        .send({ rules });
+      expect(withKey.status).toBe(401);
+
+      const saved = await admin(request(app).put('/api/v1/retention')).send({ rules });
+      expect(saved.status).toBe(200);
+      expect(saved.body.data.rules).toEqual([{ target: 'messages', olderThanDays: 90, status: ['ignored'], direction: null, session: null }]);
+
+      const res = await admin(request(app).get('/api/v1/retention'));
+      expect(res.body.data).toEqual({ rules: saved.body.data.rules, intervalMinutes: 60 });
+    });
+
+    test('should validate rules', async () => {
+      const res = await admin(request(app).put('/api/v1/retention')).send({ rules: [{ target: 'media' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('rules[0].olderThanDays is required');
+
+      const range = await admin(request(app).put('/api/v1/retention')).send({ rules: [{ target: 'media', olderThanDays: 0 }] });
+      expect(range.body.error).toBe('rules[0].olderThanDays must be an integer from 1 to 36500');
+    });
+
+    test('should preview without deleting', async () => {
+      const id = oldMessage();
+
+      const res = await request(app)
+        .post('/api/v1/retention/preview')
+        .set('X-API-Key', apiKey)
+        .send({ rules: [{ target: 'messages', olderThanDays: 30 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ dryRun: true, totals: { messages: 1, mediaFiles: 0, bytes: 0 } });
+      expect(getMessageById(db, id)).toBeDefined();
+    });
+
+    test('should purge with the saved rules for admins only', async () => {
+      const id = oldMessage();
+      await admin(request(app).put('/api/v1/retention')).send({ rules: [{ target: 'messages', olderThanDays: 30 }] });
+
+      const withKey = await request(app)
+        .post('/api/v1/retention/purge')
+        .set('X-API-Key', apiKey);
+      expect(withKey.status).toBe(401);
+      expect(getMessageById(db, id)).toBeDefined();
+
+      const res = await admin(request(app).post('/api/v1/retention/purge'));
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ dryRun: false, totals: { messages: 1 } });
+      expect(getMessageById(db, id)).toBeUndefined();
+    });
+  });
+
+  describe('Export and import', () => {
+    // Collect binary responses (ZIP archives) as buffers
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(() => {
+      insertMessage(db, 'incoming', '919800000111@s.whatsapp.net', 'Where is my order?', 'replied', 'text', null, 'Asha', 'default', null, '2024-05-01T10:00:00.000Z');
+      insertMessage(db, 'outgoing', '919800000111@s.whatsapp.net', 'It ships today', 'sent', 'text', null, null, 'default', null, '2024-05-01T10:05:00.000Z');
+      insertMessage(db, 'incoming', '919800000222@s.whatsapp.net', 'Hello', 'unread', 'text', null, null, 'default', null, '2024-05-03T09:00:00.000Z');
+    });
+
+    test('should stream NDJSON filtered by phone and date', async () => {
+      const res = await request(app)
+        .get('/api/v1/export?phone=919800000111&from=2024-05-01&to=2024-05-01')
+        .set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/x-ndjson');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="messages-default-\d{4}-\d{2}-\d{2}\.ndjson"$/);
+      expect(res.text.trim().split('\n').map((line) => JSON.parse(line).message)).toEqual(['Where is my order?', 'It ships today']);
+    });
+
+    test('should export CSV and ZIP archives', async () => {
+      const csv = await request(app)
+        .get('/api/v1/export?format=csv')
+        .set('X-API-Key', apiKey);
+      expect(csv.headers['content-type']).toContain('text/csv');
+      expect(csv.text.split('\r\n')[0]).toMatch(/^id,session_id,direction,phone,/);
+
+      const zip = await request(app)
+        .get('/api/v1/export?media=true')
+        .set('X-API-Key', apiKey)
+        .buffer(true)
+        .parse(binary);
+      expect(zip.headers['content-type']).toBe('application/zip');
+      expect(zip.body.readUInt32LE(0)).toBe(0x04034b50);
+    });
+
+    test('should validate export options', async () => {
+      const format = await request(app)
+        .get('/api/v1/export?format=xml')
+        .set('X-API-Key', apiKey);
+      expect(format.status).toBe(400);
+      expect(format.body.error).toBe('format must be one of: ndjson, csv');
+
+      const media = await request(app)
+        .get('/api/v1/export?media=yes')
+        .set('X-API-Key', apiKey);
+      expect(media.status).toBe(400);
+
+      const noKey = await request(app).get('/api/v1/export');
+      expect(noKey.status).toBe(401);
+    });
+
+    test('should import an export once with Basic Auth', async () => {
+      const exported = await request(app)
+        .get('/api/v1/export')
+        .set('X-API-Key', apiKey);
+
+      const withKey = await request(app)
+        .post('/api/v1/sessions/default/import')
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(exported.text);
+      expect(withKey.status).toBe(401);
+
+      const res = await request(app)
+        .post('/api/v1/import')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(exported.text);
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ imported: 0, duplicates: 3, mediaFiles: 0 });
+    });
+
+    test('should import CSV rows and report invalid ones', async () => {
+      const csv = 'direction,phone,message,created_at\r\noutgoing,919800000333,Imported,2023-01-01T08:00:00Z\r\n';
+
+      const res = await request(app)
+        .post('/api/v1/import')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+      expect(res.body.data).toEqual({ imported: 1, duplicates: 0, mediaFiles: 0 });
+
+      const invalid = await request(app)
+        .post('/api/v1/import')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .set('Content-Type', 'text/csv')
+        .send('direction,phone,created_at\r\nincoming,abc,2023-01-01T08:00:00Z\r\n');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('row 1: phone must be a phone number or JID');
+
+      const unsupported = await request(app)
+        .post('/api/v1/import')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ messages: [] });
+      expect(unsupported.status).toBe(400);
+    });
+  });
+
+  describe('Event stream', () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      server = http.createServer(app);
+      server.on('upgrade', handleUpgrade(app));
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const updateStatus = (id, status) => request(app)
+      .patch(`/api/v1/messages/${id}/status`)
+      .set('X-API-Key', apiKey)
+      .send({ status });
+
+    // Read Server-Sent Events until `count` events arrived
+    const readEvents = (path, headers, count, afterConnect = () => {}) => new Promise((resolve, reject) => {
+      const req = http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+          const events = text.split('\n\n').filter((block) => block.includes('data: '));
+          if (events.length >= count) {
+            req.destroy();
+            resolve({ res, text, events });
+          }
+        });
+        afterConnect();
+      });
+      req.on('error', reject);
+    });
+
+    // Open a WebSocket and read `count` text messages
+    const readWebSocket = (path, headers, count, afterConnect = () => {}) => new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1');
+      let buffer = Buffer.alloc(0);
+      let response = null;
+      const messages = [];
+
+      socket.on('connect', () => {
+        socket.write([
+          `GET ${path} HTTP/1.1`,
+          'Host: localhost',
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version: 13',
+          ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+          '',
+          ''
+        ].join('\r\n'));
+      });
+
+      socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        if (response === null) {
+          const end = buffer.indexOf('\r\n\r\n');
+          if (end === -1) return;
+          response = buffer.subarray(0, end).toString();
+          buffer = buffer.subarray(end + 4);
+          if (!response.startsWith('HTTP/1.1 101')) return;
+          afterConnect();
+        }
+
+        let frame;
+        while ((frame = decodeFrame(buffer))) {
+          buffer = buffer.subarray(frame.length);
+          if (frame.opcode === OPCODES.text) messages.push(JSON.parse(frame.payload.toString()));
+        }
+        if (messages.length >= count) {
+          socket.end(encodeFrame(OPCODES.close, Buffer.from([0x03, 0xe8]), Buffer.from([1, 2, 3, 4])));
+          resolve({ response, messages });
+        }
+      });
+
+      socket.on('end', () => resolve({ response: response || buffer.toString(), messages }));
+      socket.on('error', reject);
+    });
+
+    test('should stream events as Server-Sent Events', async () => {
+      const id = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Hi', 'unread').lastInsertRowid;
+
+      const { res, text, events } = await readEvents('/api/v1/events', { 'X-API-Key': apiKey }, 1, () => updateStatus(id, 'ignored').then(() => {}));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+      expect(text).toMatch(/^retry: 5000\n\n/);
+      expect(events[0]).toMatch(/^id: \d+\nevent: message.status_changed\ndata: /);
+      expect(JSON.parse(events[0].split('data: ')[1])).toMatchObject({
+        event: 'message.status_changed',
+        session: 'default',
+        message: { id, status: 'ignored', previousStatus: 'unread' }
+      });
+    });
+
+    test('should resume after Last-Event-ID', async () => {
+      const id = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Hi', 'unread').lastInsertRowid;
+      await updateStatus(id, 'ignored');
+      await updateStatus(id, 'replied');
+
+      const first = await readEvents('/api/v1/events', { 'X-API-Key': apiKey, 'Last-Event-ID': '0' }, 2);
+      const lastEventId = first.events[0].match(/id: (\d+)/)[1];
+
+      const resumed = await readEvents('/api/v1/events?events=message.status_changed', { 'X-API-Key': apiKey, 'Last-Event-ID': lastEventId }, 1);
+      expect(resumed.events[0]).toContain(`id: ${Number(lastEventId) + 1}\n`);
+      expect(resumed.events[0]).toContain('"status":"replied"');
+    });
+
+    test('should validate the stream options', async () => {
+      const noKey = await request(app).get('/api/v1/events');
+      expect(noKey.status).toBe(401);
+
+      const events = await request(app).get('/api/v1/events?events=message.deleted').set('X-API-Key', apiKey);
+      expect(events.status).toBe(400);
+      expect(events.body.error).toMatch(/^events\[0\] must be one of: \*, message\.received/);
+
+      const lastEventId = await request(app).get('/api/v1/events').set('X-API-Key', apiKey).set('Last-Event-ID', 'abc');
+      expect(lastEventId.status).toBe(400);
+
+      const session = await request(app).get('/api/v1/events?session=a%20b').set('X-API-Key', apiKey);
+      expect(session.status).toBe(400);
+    });
+
+    test('should stream events over a WebSocket', async () => {
+      const id = insertMessage(db, 'incoming', '919876543210@s.whatsapp.net', 'Hi', 'unread').lastInsertRowid;
+      await updateStatus(id, 'ignored');
+
+      const { response, messages } = await readWebSocket('/api/v1/events?lastEventId=0', { 'X-API-Key': apiKey }, 2, () => {
+        updateStatus(id, 'replied').then(() => {});
+      });
+
+      expect(response).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+      expect(messages.map((message) => message.message.status)).toEqual(['ignored', 'replied']);
+      expect(messages[1].id).toBe(messages[0].id + 1);
+    });
+
+    test('should reject WebSocket upgrades without a valid key', async () => {
+      const { response, messages } = await readWebSocket('/api/v1/events', { 'X-API-Key': 'invalid' }, 1);
+
+      expect(response).toMatch(/^HTTP\/1.1 401/);
+      expect(messages).toEqual([]);
+    });
+  });
+
+  describe('Webhook configuration', () => {
+    test('should require Basic Auth', async () => {
+      const res = await request(app).get('/api/v1/webhook');
+
+      expect(res.status).toBe(401);
+    });
+
+    test('should return generated secret when setting webhook', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ url: 'https://example.com/hook' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.url).toBe('https://example.com/hook');
+      expect(res.body.data.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+
+      const get = await request(app)
+        .get('/api/v1/webhook')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(get.body.data.url).toBe('https://example.com/hook');
+      expect(get.body.data.secret).toBe(res.body.data.secret);
+    });
+
+    test('should reject invalid webhook URL', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ url: 'not a url' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('url must be an http or https URL');
+    });
+
+    test('should rotate webhook secret', async () => {
+      const created = await request(app)
+        .post('/api/v1/webhook')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD)
+        .send({ url: 'https://example.com/hook' });
+
+      const res = await request(app)
+        .post('/api/v1/webhook/secret')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.secret).toMatch(/^whsec_/);
+      expect(res.body.data.secret).not.toBe(created.body.data.secret);
+    });
+
+    test('should return 404 when rotating without a webhook', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook/secret')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('No webhook configured');
+    });
+  });
+
+  describe('Webhook deliveries', () => {
+    let deadId;
+
+    beforeEach(() => {
+      db.prepare(`
+        INSERT INTO webhook_deliveries (url, event, payload, status, attempts, created_at)
+        VALUES ('https://example.com/hook', 'message.received', '{"event":"message.received"}', 'delivered', 1, '2025-01-01T00:00:00.000Z')
+      `).run();
+      deadId = db.prepare(`
+        INSERT INTO webhook_deliveries (url, event, payload, status, attempts, last_error, created_at)
+        VALUES ('https://example.com/hook', 'message.received', '{"event":"message.received"}', 'dead', 8, 'HTTP 503', '2025-01-01T00:00:00.000Z')
+      `).run().lastInsertRowid;
+    });
+
+    test('should require Basic Auth', async () => {
+      const res = await request(app).get('/api/v1/webhook/deliveries');
+
+      expect(res.status).toBe(401);
+    });
+
+    test('should list deliveries filtered by status', async () => {
+      const res = await request(app)
+        .get('/api/v1/webhook/deliveries?status=dead')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].id).toBe(deadId);
+      expect(res.body.data[0].payload).toEqual({ event: 'message.received' });
+    });
+
+    test('should reject invalid status filter', async () => {
+      const res = await request(app)
+        .get('/api/v1/webhook/deliveries?status=lost')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('should replay a dead delivery', async () => {
+      const res = await request(app)
+        .post(`/api/v1/webhook/deliveries/${deadId}/replay`)
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(200);
+
+      const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deadId);
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(0);
+    });
+
+    test('should refuse to replay a delivery that is not dead', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook/deliveries/1/replay')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Only dead deliveries can be replayed');
+    });
+
+    test('should return 404 for unknown delivery', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook/deliveries/999/replay')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(404);
+    });
+
+    test('should replay all dead deliveries', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhook/deliveries/replay')
+        .auth(config.DASHBOARD_USER, config.DASHBOARD_PASSWORD);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.replayed).toBe(1);
+    });
+  });
+
+  describe('Webhook subscriptions', () => {
+    const auth = () => [config.DASHBOARD_USER, config.DASHBOARD_PASSWORD];
+
+    test('should list the event catalog', async () => {
+      const res = await request(app)
+        .get('/api/v1/webhooks/events')
+        .auth(...auth());
+
+      expect(res.status).toBe(200);
+      const events = res.body.data.map((item) => item.event);
+      expect(events).toEqual(expect.arrayContaining([
+        'message.received', 'message.sent', 'message.status', 'message.status_changed',
+        'connection.open', 'connection.close', 'qr.updated', 'logged_out'
+      ]));
+    });
+
+    test('should create several subscriptions', async () => {
+      const first = await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.received'] });
+      const second = await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://ops.example.com/hook', events: ['connection.open', 'connection.close'] });
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(201);
+      expect(second.body.data.events).toEqual(['connection.open', 'connection.close']);
+      expect(second.body.data.secret).toMatch(/^whsec_/);
+
+      const list = await request(app)
+        .get('/api/v1/webhooks')
+        .auth(...auth());
+
+      expect(list.body.data).toHaveLength(2);
+    });
+
+    test('should reject unknown events', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.exploded'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^events\[0\] must be one of: \*, message\.received/);
+    });
+
+    test('should update and deactivate a subscription', async () => {
+      const created = await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.received'] });
+
+      const res = await request(app)
+        .patch(`/api/v1/webhooks/${created.body.data.id}`)
+        .auth(...auth())
+        .send({ events: ['*'], active: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.events).toEqual(['*']);
+      expect(res.body.data.active).toBe(false);
+      expect(res.body.data.url).toBe('https://crm.example.com/hook');
+    });
+
+    test('should rotate and delete a subscription', async () => {
+      const created = await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.received'] });
+      const id = created.body.data.id;
+
+      const rotated = await request(app)
+        .post(`/api/v1/webhooks/${id}/secret`)
+        .auth(...auth());
+      expect(rotated.body.data.secret).not.toBe(created.body.data.secret);
+
+      const deleted = await request(app)
+        .delete(`/api/v1/webhooks/${id}`)
+        .auth(...auth());
+      expect(deleted.status).toBe(200);
+
+      const missing = await request(app)
+        .delete(`/api/v1/webhooks/${id}`)
+        .auth(...auth());
+      expect(missing.status).toBe(404);
+    });
+
+    test('should emit message.status_changed when status is patched', async () => {
+      await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.status_changed'] });
+      const message = insertMessage(db, 'incoming', '123@s.whatsapp.net', 'Hello', 'unread');
+      updateContactDetails(db, '123@s.whatsapp.net', { displayName: 'Asha', externalId: 'crm-7' });
+
+      await request(app)
+        .patch(`/api/v1/messages/${message.lastInsertRowid}/status`)
+        .set('X-API-Key', apiKey)
+        .send({ status: 'ignored' });
+
+      const delivery = db.prepare('SELECT * FROM webhook_deliveries').get();
+      const payload = JSON.parse(delivery.payload);
+      expect(payload.event).toBe('message.status_changed');
+      expect(payload.message).toEqual({
+        id: message.lastInsertRowid,
+        phone: '123@s.whatsapp.net',
+        status: 'ignored',
+        previousStatus: 'unread'
+      });
+      expect(payload.contact).toEqual({ jid: '123@s.whatsapp.net', name: 'Asha', externalId: 'crm-7' });
+    });
+
+    test('should emit message.sent when a message is sent', async () => {
+      await request(app)
+        .post('/api/v1/webhooks')
+        .auth(...auth())
+        .send({ url: 'https://crm.example.com/hook', events: ['message.sent'] });
+      whatsappState.setConnected(true, '1234567890');
+      whatsappState.setSock({
+        sendMessage: jest.fn().mockResolvedValue({}),
+        onWhatsApp: jest.fn().mockResolvedValue([{ exists: true, jid: '919876543210@s.whatsapp.net' }])
+      });
+
+      await request(app)
+        .post('/api/v1/messages/send')
+        .set('X-API-Key', apiKey)
+        .send({ to: '919876543210', message: 'Reminder' });
+
+      const delivery = db.prepare('SELECT * FROM webhook_deliveries').get();
+      const payload = JSON.parse(delivery.payload);
+      expect(payload.event).toBe('message.sent');
+      expect(payload.message.to).toBe('919876543210@s.whatsapp.net');
+      expect(payload.message.text).toBe('Reminder');
+      expect(payload.contact).toBeNull();
+    });
+  });
 });
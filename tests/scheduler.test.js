@@ -0,0 +1,148 @@
+const { processScheduledMessage, startScheduler } = require('../src/api/scheduler');
+const {
+  initializeDatabase,
+  createScheduledMessage,
+  getScheduledMessage,
+  cancelScheduledMessage,
+  claimScheduledMessage,
+  getMessageById,
+  getDueWebhookDeliveries,
+  createWebhook
+} = require('../src/database');
+
+describe('Scheduler', () => {
+  let db;
+  let logger;
+  let state;
+  let sessionManager;
+
+  const schedule = (options = {}) => createScheduledMessage(db, {
+    recipient: '919876543210@s.whatsapp.net',
+    payload: { message: 'Reminder' },
+    sendAt: '2024-01-01T09:00:00.000Z',
+    ...options
+  });
+
+  const webhookEvents = () => getDueWebhookDeliveries(db, new Date(Date.now() + 60000).toISOString(), 100)
+    .map((delivery) => delivery.event);
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    createWebhook(db, 'https://example.com/hook', ['*']);
+    logger = { info: jest.fn(), error: jest.fn() };
+    state = {
+      connected: true,
+      sock: { sendMessage: jest.fn().mockResolvedValue({ key: { id: 'WAID1' } }) }
+    };
+    sessionManager = {
+      has: (id) => id === 'default',
+      get: (id) => (id === 'default' ? state : null),
+      list: () => [{ id: 'default', connected: state.connected }]
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    db.close();
+  });
+
+  test('should send due message and record the sent message', async () => {
+    const scheduled = schedule();
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('sent');
+
+    expect(state.sock.sendMessage).toHaveBeenCalledWith('919876543210@s.whatsapp.net', { text: 'Reminder' });
+    const row = getScheduledMessage(db, scheduled.id);
+    expect(row.status).toBe('sent');
+    expect(getMessageById(db, row.message_id).whatsapp_id).toBe('WAID1');
+  });
+
+  test('should keep message pending while disconnected by default', async () => {
+    state.connected = false;
+    const scheduled = schedule();
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('pending');
+
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('pending');
+    expect(state.sock.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('should mark message missed while disconnected with the miss policy', async () => {
+    state.connected = false;
+    const scheduled = schedule({ whenDisconnected: 'miss' });
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('missed');
+
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('missed');
+    expect(webhookEvents()).toContain('scheduled.missed');
+  });
+
+  test('should mark message failed when sending fails', async () => {
+    state.sock.sendMessage.mockRejectedValue(new Error('Connection Closed'));
+    const scheduled = schedule();
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('failed');
+
+    const row = getScheduledMessage(db, scheduled.id);
+    expect(row.status).toBe('failed');
+    expect(row.error).toBe('Connection Closed');
+    expect(webhookEvents()).toContain('scheduled.failed');
+  });
+
+  test('should fail messages of deleted sessions', async () => {
+    const scheduled = schedule({ sessionId: 'deleted' });
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('failed');
+    expect(getScheduledMessage(db, scheduled.id).error).toBe('Session not found');
+  });
+
+  test('should not cancel a message while it is being sent', async () => {
+    let finishSend;
+    state.sock.sendMessage.mockReturnValue(new Promise((resolve) => { finishSend = resolve; }));
+    const scheduled = schedule();
+
+    const processing = processScheduledMessage(db, sessionManager, scheduled, logger);
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('sending');
+    expect(cancelScheduledMessage(db, scheduled.id)).toBe(false);
+
+    finishSend({ key: { id: 'WAID1' } });
+    await expect(processing).resolves.toBe('sent');
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('sent');
+  });
+
+  test('should not send a message cancelled before it was claimed', async () => {
+    const scheduled = schedule();
+    cancelScheduledMessage(db, scheduled.id);
+
+    await expect(processScheduledMessage(db, sessionManager, scheduled, logger)).resolves.toBe('cancelled');
+    expect(state.sock.sendMessage).not.toHaveBeenCalled();
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('cancelled');
+  });
+
+  test('should fail messages interrupted by a restart instead of sending them again', () => {
+    const scheduled = schedule();
+    claimScheduledMessage(db, scheduled.id);
+
+    const stop = startScheduler(db, sessionManager, logger);
+    stop();
+
+    const row = getScheduledMessage(db, scheduled.id);
+    expect(row.status).toBe('failed');
+    expect(row.error).toBe('Server stopped while the message was being sent');
+    expect(webhookEvents()).toContain('scheduled.failed');
+  });
+
+  test('should send due messages on each tick', async () => {
+    jest.useFakeTimers();
+    const scheduled = schedule();
+    const future = schedule({ sendAt: '2099-01-01T09:00:00.000Z' });
+
+    const stop = startScheduler(db, sessionManager, logger, { intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+    stop();
+
+    expect(getScheduledMessage(db, scheduled.id).status).toBe('sent');
+    expect(getScheduledMessage(db, future.id).status).toBe('pending');
+    expect(state.sock.sendMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,102 @@
+const { validateSchema, coerceParameter } = require('../src/api/schema');
+
+describe('Schema validation', () => {
+  const components = {
+    schemas: {
+      Rule: {
+        type: 'object',
+        required: ['target', 'days'],
+        properties: {
+          target: { type: 'string', enum: ['media', 'messages'] },
+          days: { type: 'integer', minimum: 1, maximum: 365 }
+        }
+      }
+    }
+  };
+
+  const validate = (schema, value) => validateSchema(schema, value, { components });
+
+  test('should accept valid values and treat undefined as absent', () => {
+    expect(validate({ type: 'string' }, 'hello')).toEqual([]);
+    expect(validate({ type: 'integer' }, undefined)).toEqual([]);
+    expect(validate({ type: 'string', nullable: true }, null)).toEqual([]);
+    expect(validate({ $ref: '#/components/schemas/Rule' }, { target: 'media', days: 30 })).toEqual([]);
+  });
+
+  test('should describe keyword errors', () => {
+    const cases = [
+      [{ type: 'integer' }, 'x', 'must be an integer'],
+      [{ type: 'boolean', nullable: true }, 'yes', 'must be a boolean or null'],
+      [{ type: 'string' }, null, 'must be a string'],
+      [{ type: 'string', enum: ['asc', 'desc'] }, 'up', 'must be one of: asc, desc'],
+      [{ type: 'string', minLength: 1 }, '', 'must not be empty'],
+      [{ type: 'string', maxLength: 3 }, 'abcd', 'must be at most 3 characters'],
+      [{ type: 'string', format: 'uri' }, 'ftp://example.com', 'must be an http or https URL'],
+      [{ type: 'integer', minimum: 0 }, -1, 'must be at least 0'],
+      [{ type: 'number', minimum: 1, maximum: 5 }, 6, 'must be a number from 1 to 5'],
+      [{ type: 'array', minItems: 1 }, [], 'must not be empty'],
+      [{ type: 'array', maxItems: 2 }, [1, 2, 3], 'must have at most 2 items'],
+      [{ type: 'string', pattern: '^\\d+$', 'x-error': 'must be digits' }, 'abc', 'must be digits']
+    ];
+
+    for (const [schema, value, message] of cases) {
+      expect(validate(schema, value)).toEqual([{ field: '', message }]);
+    }
+  });
+
+  test('should report every invalid field with its path', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        rules: { type: 'array', items: { $ref: '#/components/schemas/Rule' } }
+      }
+    };
+
+    expect(validate(schema, { rules: [{ target: 'media', days: 30 }, { target: 'files', days: 0 }, { days: 1 }] })).toEqual([
+      { field: 'name', message: 'is required' },
+      { field: 'rules[1].target', message: 'must be one of: media, messages' },
+      { field: 'rules[1].days', message: 'must be an integer from 1 to 365' },
+      { field: 'rules[2].target', message: 'is required' }
+    ]);
+  });
+
+  test('should check anyOf and allOf', () => {
+    const content = {
+      type: 'object',
+      required: ['to'],
+      anyOf: [{ required: ['message'] }, { required: ['media'] }],
+      properties: { to: { type: 'string' } }
+    };
+    expect(validate(content, {})).toEqual([
+      { field: 'to', message: 'is required' },
+      { field: '', message: 'must include one of: message, media' }
+    ]);
+    expect(validate(content, { to: '1', media: {} })).toEqual([]);
+
+    const recipient = { anyOf: [{ type: 'string' }, { type: 'integer' }, { type: 'object', required: ['to'] }] };
+    expect(validate(recipient, 42)).toEqual([]);
+    expect(validate(recipient, true)).toEqual([{ field: '', message: 'must be a string, an integer or an object' }]);
+
+    const create = { allOf: [{ $ref: '#/components/schemas/Rule' }], required: ['extra'] };
+    expect(validate(create, { target: 'media' })).toEqual([
+      { field: 'extra', message: 'is required' },
+      { field: 'days', message: 'is required' }
+    ]);
+  });
+
+  test('should reject unknown references', () => {
+    expect(() => validate({ $ref: '#/components/schemas/Missing' }, {})).toThrow('Unknown schema');
+  });
+
+  test('should convert parameters to their schema type', () => {
+    expect(coerceParameter({ type: 'integer' }, '42')).toBe(42);
+    expect(coerceParameter({ type: 'integer' }, 'abc')).toBe('abc');
+    expect(coerceParameter({ type: 'number' }, '1.5')).toBe(1.5);
+    expect(coerceParameter({ type: 'boolean' }, 'false')).toBe(false);
+    expect(coerceParameter({ type: 'boolean' }, 'yes')).toBe('yes');
+    expect(coerceParameter({ type: 'array', items: { type: 'string' } }, 'unread, replied,')).toEqual(['unread', 'replied']);
+    expect(coerceParameter({ type: 'string' }, ['a', 'b'])).toEqual(['a', 'b']);
+  });
+});
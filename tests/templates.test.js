@@ -0,0 +1,140 @@
+const {
+  getPlaceholders,
+  fillPlaceholders,
+  parseTemplateInput,
+  getTemplateVariant,
+  renderTemplate,
+  resolveRequestContent
+} = require('../src/api/templates');
+const { initializeDatabase, createTemplate } = require('../src/database');
+
+describe('Templates', () => {
+  const template = {
+    id: 1,
+    name: 'order_shipped',
+    default_language: 'en',
+    variants: {
+      en: { text: 'Hi {{name}}, order {{ order_id }} has shipped', media: null },
+      hi: { text: 'नमस्ते {{name}}, ऑर्डर {{order_id}} भेज दिया गया है', media: null }
+    }
+  };
+
+  describe('placeholders', () => {
+    test('should list unique placeholder names', () => {
+      expect(getPlaceholders('Hi {{name}}, {{ name }} - {{order.id}}')).toEqual(['name', 'order.id']);
+      expect(getPlaceholders(undefined)).toEqual([]);
+    });
+
+    test('should fill known placeholders and keep unknown ones', () => {
+      expect(fillPlaceholders('Hi {{ name }}, {{total}} due {{date}}', { name: 'Asha', total: 250 }))
+        .toBe('Hi Asha, 250 due {{date}}');
+    });
+  });
+
+  describe('parseTemplateInput', () => {
+    test('should parse variants keyed by language', () => {
+      const { fields } = parseTemplateInput({
+        name: ' order_shipped ',
+        variants: [
+          { language: 'en', text: 'Shipped' },
+          { language: 'pt-BR', media: { type: 'document', url: 'https://example.com/a.pdf' } }
+        ]
+      });
+
+      expect(fields).toEqual({
+        name: 'order_shipped',
+        defaultLanguage: 'en',
+        variants: {
+          en: { text: 'Shipped', media: null },
+          'pt-BR': { text: null, media: { type: 'document', url: 'https://example.com/a.pdf' } }
+        }
+      });
+    });
+
+    test('should reject invalid variants', () => {
+      expect(parseTemplateInput({ name: 'a', variants: [] }).error).toMatch(/^variants must be an array/);
+      expect(parseTemplateInput({ name: 'a', variants: [{ language: 'English', text: 'Hi' }] }).error)
+        .toBe('variants[0].language must be a language code such as en, hi or pt-BR');
+      expect(parseTemplateInput({ name: 'a', variants: [{ language: 'en' }] }).error)
+        .toBe('variants[0]: Text or media is required');
+      expect(parseTemplateInput({ name: 'a', variants: [{ language: 'en', text: 'a' }, { language: 'en', text: 'b' }] }).error)
+        .toBe('variants[1]: language en is listed twice');
+    });
+
+    test('should require defaultLanguage to be one of the variants', () => {
+      const { error } = parseTemplateInput({ name: 'a', defaultLanguage: 'hi', variants: [{ language: 'en', text: 'Hi' }] });
+
+      expect(error).toBe('defaultLanguage must be one of the template languages');
+    });
+
+    test('should only parse provided fields when updating', () => {
+      expect(parseTemplateInput({ defaultLanguage: 'hi' }, template)).toEqual({ fields: { defaultLanguage: 'hi' } });
+      expect(parseTemplateInput({ name: 'renamed' }, template)).toEqual({ fields: { name: 'renamed' } });
+    });
+
+    test('should move the default language when its variant is removed', () => {
+      const { fields } = parseTemplateInput({ variants: [{ language: 'hi', text: 'नमस्ते' }] }, template);
+
+      expect(fields.defaultLanguage).toBe('hi');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should fill the requested language', () => {
+      const { language, payload } = renderTemplate(template, { language: 'hi', variables: { name: 'Asha', order_id: 42 } });
+
+      expect(language).toBe('hi');
+      expect(payload.message).toBe('नमस्ते Asha, ऑर्डर 42 भेज दिया गया है');
+    });
+
+    test('should fall back to the default language', () => {
+      expect(getTemplateVariant(template, 'ta').language).toBe('en');
+    });
+
+    test('should fail on missing variables', () => {
+      expect(() => renderTemplate(template, { variables: { name: 'Asha' } }))
+        .toThrow('Missing template variables: order_id');
+    });
+
+    test('should fail on invalid variables', () => {
+      expect(() => renderTemplate(template, { variables: { name: ['Asha'] } }))
+        .toThrow('variables must be an object of strings or numbers');
+    });
+  });
+
+  describe('resolveRequestContent', () => {
+    let db;
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('should return the request content without a template', () => {
+      expect(resolveRequestContent(db, { message: 'Hi' })).toEqual({ message: 'Hi', image: undefined, media: undefined });
+    });
+
+    test('should fill the template with the request variables', () => {
+      const { id } = createTemplate(db, {
+        name: 'invoice',
+        defaultLanguage: 'en',
+        variants: { en: { text: 'Invoice {{number}}', media: { type: 'document', url: 'https://example.com/i.pdf' } } }
+      });
+
+      expect(resolveRequestContent(db, { templateId: id, variables: { number: 'INV-7' } })).toEqual({
+        message: 'Invoice INV-7',
+        media: { type: 'document', url: 'https://example.com/i.pdf' }
+      });
+    });
+
+    test('should reject unknown templates and mixed content', () => {
+      expect(() => resolveRequestContent(db, { templateId: 99 })).toThrow('Template not found');
+      expect(() => resolveRequestContent(db, { templateId: 'x' })).toThrow('templateId must be a positive integer');
+      expect(() => resolveRequestContent(db, { templateId: 1, message: 'Hi' }))
+        .toThrow('Use either templateId or message/image/media, not both');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  formatTimestamp,
+  localizeTimestamps,
+  localToUtc,
+  fromUnixSeconds
+} = require('../src/api/time');
+
+describe('Timestamps', () => {
+  test('should validate IANA timezone names', () => {
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+
+  test('should get offsets with daylight saving time', () => {
+    expect(getTimeZoneOffset('Asia/Kolkata', new Date('2024-01-01T00:00:00Z'))).toBe(330);
+    expect(getTimeZoneOffset('America/New_York', new Date('2024-01-15T12:00:00Z'))).toBe(-300);
+    expect(getTimeZoneOffset('America/New_York', new Date('2024-07-15T12:00:00Z'))).toBe(-240);
+  });
+
+  test('should format stored timestamps in a timezone', () => {
+    expect(formatTimestamp('2024-05-01T10:00:00.000Z', 'Asia/Kolkata')).toBe('2024-05-01T15:30:00.000+05:30');
+    expect(formatTimestamp('2024-05-01T02:00:00.000Z', 'America/New_York')).toBe('2024-04-30T22:00:00.000-04:00');
+    expect(formatTimestamp('2024-05-01T10:00:00.000Z', 'UTC')).toBe('2024-05-01T10:00:00.000Z');
+    expect(formatTimestamp('not a date', 'Asia/Kolkata')).toBe('not a date');
+    expect(formatTimestamp(null, 'Asia/Kolkata')).toBeNull();
+  });
+
+  test('should localize only timestamp fields', () => {
+    const body = {
+      success: true,
+      data: [{ id: 1, text: '2024-05-01T10:00:00.000Z', created_at: '2024-05-01T10:00:00.000Z', sendAt: '2024-05-01T10:00:00Z' }]
+    };
+
+    expect(localizeTimestamps(body, 'Asia/Kolkata')).toEqual({
+      success: true,
+      data: [{ id: 1, text: '2024-05-01T10:00:00.000Z', created_at: '2024-05-01T15:30:00.000+05:30', sendAt: '2024-05-01T15:30:00.000+05:30' }]
+    });
+    expect(body.data[0].created_at).toBe('2024-05-01T10:00:00.000Z');
+  });
+
+  test('should read date-times without a zone in a timezone', () => {
+    expect(localToUtc('2024-05-01T15:30', 'Asia/Kolkata')).toBe('2024-05-01T10:00:00.000Z');
+    expect(localToUtc('2024-05-01T00:00:00.000', 'UTC')).toBe('2024-05-01T00:00:00.000Z');
+    expect(localToUtc('2024-01-15T09:00:00', 'America/New_York')).toBe('2024-01-15T14:00:00.000Z');
+    expect(localToUtc('2024-07-15T09:00:00', 'America/New_York')).toBe('2024-07-15T13:00:00.000Z');
+    expect(localToUtc('2024-05-01T10:00:00Z', 'Asia/Kolkata')).toBeNull();
+    expect(localToUtc('2024-13-01T10:00', 'UTC')).toBeNull();
+  });
+
+  test('should convert WhatsApp message timestamps', () => {
+    expect(fromUnixSeconds(1714557600)).toBe('2024-05-01T10:00:00.000Z');
+    expect(fromUnixSeconds('1714557600')).toBe('2024-05-01T10:00:00.000Z');
+    expect(fromUnixSeconds({ toNumber: () => 1714557600 })).toBe('2024-05-01T10:00:00.000Z');
+    expect(fromUnixSeconds(undefined)).toBeNull();
+    expect(fromUnixSeconds(0)).toBeNull();
+  });
+});
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const {
+  signWebhookPayload,
+  callWebhook,
+  getRetryDelay,
+  enqueueWebhook,
+  validateWebhookEvents,
+  emitWebhookEvent,
+  processWebhookDelivery
+} = require('../src/api/webhooks');
+const {
+  initializeDatabase,
+  setWebhook,
+  getWebhook,
+  createWebhook,
+  getWebhookDelivery,
+  getDueWebhookDeliveries,
+  createWebhookDelivery,
+  updateWebhook,
+  deleteWebhookById
+} = require('../src/database');
+
+describe('Webhooks', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signWebhookPayload', () => {
+    test('should sign timestamp and body with HMAC-SHA256', () => {
+      const body = JSON.stringify({ event: 'message.received' });
+      const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+      expect(signWebhookPayload('secret', '1700000000', body)).toBe(`sha256=${expected}`);
+    });
+
+    test('should produce different signatures for different timestamps', () => {
+      const body = '{}';
+      expect(signWebhookPayload('secret', 1, body)).not.toBe(signWebhookPayload('secret', 2, body));
+    });
+  });
+
+  describe('callWebhook', () => {
+    test('should send signature and timestamp headers when a secret is set', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      const data = { event: 'message.received', message: { id: 1 } };
+
+      await callWebhook('https://example.com/hook', data, logger, 'whsec_test');
+
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://example.com/hook');
+      expect(options.body).toBe(JSON.stringify(data));
+
+      const timestamp = options.headers['X-OpenWAPI-Timestamp'];
+      expect(timestamp).toMatch(/^\d+$/);
+      expect(options.headers['X-OpenWAPI-Signature']).toBe(signWebhookPayload('whsec_test', timestamp, options.body));
+    });
+
+    test('should not sign when no secret is set', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+
+      await callWebhook('https://example.com/hook', {}, logger);
+
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options.headers['X-OpenWAPI-Signature']).toBeUndefined();
+    });
+
+    test('should report errors instead of throwing', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const result = await callWebhook('https://example.com/hook', {}, logger, 'secret');
+      expect(result).toEqual({ ok: false, status: null, error: 'ECONNREFUSED' });
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should report non-2xx responses', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+
+      const result = await callWebhook('https://example.com/hook', {}, logger);
+      expect(result).toEqual({ ok: false, status: 503, error: 'HTTP 503' });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should double the delay after each failure', () => {
+      expect(getRetryDelay(1, 1000, 60000)).toBe(1000);
+      expect(getRetryDelay(2, 1000, 60000)).toBe(2000);
+      expect(getRetryDelay(4, 1000, 60000)).toBe(8000);
+    });
+
+    test('should cap the delay', () => {
+      expect(getRetryDelay(20, 1000, 60000)).toBe(60000);
+    });
+  });
+
+  describe('delivery queue', () => {
+    let db;
+    let webhook;
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+      setWebhook(db, 'https://example.com/hook');
+      webhook = getWebhook(db);
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('should queue deliveries as due immediately', () => {
+      const id = enqueueWebhook(db, webhook, { event: 'message.received', message: { id: 1 } });
+
+      const due = getDueWebhookDeliveries(db);
+      expect(due).toHaveLength(1);
+      expect(due[0].id).toBe(id);
+      expect(due[0].event).toBe('message.received');
+      expect(JSON.parse(due[0].payload).message.id).toBe(1);
+    });
+
+    test('should mark successful deliveries as delivered', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      const id = enqueueWebhook(db, webhook, { event: 'message.received' });
+
+      const status = await processWebhookDelivery(db, getWebhookDelivery(db, id), logger);
+
+      expect(status).toBe('delivered');
+      const delivery = getWebhookDelivery(db, id);
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.last_status_code).toBe(200);
+      expect(delivery.delivered_at).not.toBeNull();
+
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options.headers['X-OpenWAPI-Delivery']).toBe(String(id));
+      expect(options.headers['X-OpenWAPI-Signature']).toBeDefined();
+    });
+
+    test('should schedule a retry with backoff after a failure', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 500 });
+      const id = enqueueWebhook(db, webhook, { event: 'message.received' });
+
+      const before = Date.now();
+      const status = await processWebhookDelivery(db, getWebhookDelivery(db, id), logger, { retryBaseMs: 60000 });
+
+      expect(status).toBe('pending');
+      const delivery = getWebhookDelivery(db, id);
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.last_error).toBe('HTTP 500');
+      expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + 60000);
+      expect(getDueWebhookDeliveries(db)).toHaveLength(0);
+    });
+
+    test('should move to dead-letter after max attempts', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('ECONNREFUSED'));
+      const id = enqueueWebhook(db, webhook, { event: 'message.received' });
+
+      let status;
+      for (let i = 0; i < 3; i++) {
+        status = await processWebhookDelivery(db, getWebhookDelivery(db, id), logger, { maxAttempts: 3, retryBaseMs: 0 });
+      }
+
+      expect(status).toBe('dead');
+      const delivery = getWebhookDelivery(db, id);
+      expect(delivery.status).toBe('dead');
+      expect(delivery.attempts).toBe(3);
+      expect(delivery.last_error).toBe('ECONNREFUSED');
+    });
+
+    test('should dead-letter pending deliveries when the webhook is replaced or deleted', () => {
+      const replaced = enqueueWebhook(db, webhook, { event: 'message.received' });
+      setWebhook(db, 'https://example.com/new-hook');
+      const deleted = enqueueWebhook(db, getWebhook(db), { event: 'message.received' });
+      deleteWebhookById(db, getWebhook(db).id);
+
+      expect(getDueWebhookDeliveries(db)).toHaveLength(0);
+      expect(getWebhookDelivery(db, replaced)).toMatchObject({ status: 'dead', last_error: 'Webhook was replaced' });
+      expect(getWebhookDelivery(db, deleted)).toMatchObject({ status: 'dead', last_error: 'Webhook was deleted' });
+    });
+
+    test('should drop deliveries of missing or inactive webhooks without sending', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      const id = enqueueWebhook(db, webhook, { event: 'message.received' });
+      updateWebhook(db, webhook.id, { active: false });
+
+      expect(await processWebhookDelivery(db, getWebhookDelivery(db, id), logger)).toBe('dead');
+      expect(getWebhookDelivery(db, id)).toMatchObject({ status: 'dead', attempts: 0, last_error: 'Webhook is inactive' });
+
+      const orphan = createWebhookDelivery(db, { webhookId: 999, url: 'https://example.com/gone', event: 'message.received', payload: {} });
+      expect(await processWebhookDelivery(db, getWebhookDelivery(db, orphan), logger)).toBe('dead');
+      expect(getWebhookDelivery(db, orphan).last_error).toBe('Webhook was deleted');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateWebhookEvents', () => {
+    test('should accept known events and wildcard', () => {
+      expect(validateWebhookEvents(['message.received', 'qr.updated'])).toBeNull();
+      expect(validateWebhookEvents(['*'])).toBeNull();
+    });
+
+    test('should reject unknown or empty event lists', () => {
+      expect(validateWebhookEvents([])).toBe('Events must be a non-empty array');
+      expect(validateWebhookEvents('message.received')).toBe('Events must be a non-empty array');
+      expect(validateWebhookEvents(['message.received', 'message.deleted'])).toBe('Unknown events: message.deleted');
+    });
+  });
+
+  describe('emitWebhookEvent', () => {
+    let db;
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('should queue one delivery per subscribed webhook', () => {
+      createWebhook(db, 'https://a.example.com', ['connection.open']);
+      createWebhook(db, 'https://b.example.com', ['*']);
+      createWebhook(db, 'https://c.example.com', ['message.received']);
+
+      const count = emitWebhookEvent(db, 'connection.open', { connection: { phone: '1234567890' } });
+
+      expect(count).toBe(2);
+      const due = getDueWebhookDeliveries(db);
+      expect(due.map((delivery) => delivery.url)).toEqual(['https://a.example.com', 'https://b.example.com']);
+
+      const payload = JSON.parse(due[0].payload);
+      expect(payload.event).toBe('connection.open');
+      expect(payload.connection.phone).toBe('1234567890');
+      expect(payload.timestamp).toBeDefined();
+    });
+
+    test('should queue nothing without subscribers', () => {
+      expect(emitWebhookEvent(db, 'logged_out')).toBe(0);
+      expect(getDueWebhookDeliveries(db)).toHaveLength(0);
+    });
+  });
+});